@@ -2,10 +2,21 @@ import { useState, useEffect, useRef } from 'react';
 import './App.css';
 import { GameState } from '../../shared/GameState.js';
 import { ENTITY_STATS, GLOBAL_STATS } from '../../shared/constants/EntityStats.js';
+import { validateAction } from '../../shared/ActionValidator.js';
 import GameBoard from './components/GameBoard';
 import RadialMenu from './components/RadialMenu';
 import { LobbyOverlay } from './components/LobbyOverlay';
 import MapDesigner from './components/MapDesigner';
+import ReplayViewer from './components/ReplayViewer';
+import BattleLog from './components/BattleLog';
+import { mergeBattleLog } from './utils/battleLog.js';
+import { formatVictoryProgress } from './utils/victoryHud.js';
+import { formatWeather } from './utils/weatherHud.js';
+import { getTurnLimit } from '../../shared/MatchRules.js';
+import { applyDelta } from '../../shared/StateDelta.js';
+import { isDisabled } from '../../shared/StatusEffects.js';
+import { getEntityStats, getTier, getUpgradeCost } from '../../shared/Upgrades.js';
+import { REPAIR_STATS } from '../../shared/Repair.js';
 import { io } from 'socket.io-client';
 
 const socket = io('/', {
@@ -29,11 +40,18 @@ const getSessionToken = () => {
 function App() {
     const [playerState, setPlayerState] = useState(null);
     const turnRef = useRef(1); // Track turn for stale closures in listeners
+    const streamRef = useRef(null); // Last full state and delta frame, for 'state:delta' updates
     const [isConnected, setIsConnected] = useState(socket.connected);
     const [myPlayerId, setMyPlayerId] = useState(null);
-    const [syncStatus, setSyncStatus] = useState({ lockedIn: { player1: false, player2: false } });
+    const [syncStatus, setSyncStatus] = useState({ lockedIn: {} });
+    const [connections, setConnections] = useState({ players: {}, timerPaused: false }); // Seats held for dropped players
+    const [offers, setOffers] = useState({ drawOffers: [], rematchRequests: [] });
     const [lastError, setLastError] = useState(null);
+    const [actionNotice, setActionNotice] = useState(null); // Latest invalid plan / server rejection
     const [availableMaps, setAvailableMaps] = useState([]);
+    const [roomList, setRoomList] = useState([]);
+    const [replayList, setReplayList] = useState([]);
+    const [loadedReplay, setLoadedReplay] = useState(null); // { name, replay }
     const [selectedHubId, setSelectedHubId] = useState(null);
     const [selectedItemType, setSelectedItemType] = useState('HUB');
     const [launchMode, setLaunchMode] = useState(false);
@@ -42,7 +60,8 @@ function App() {
     const [showDebugPreview, setShowDebugPreview] = useState(false);
     const [timeRemaining, setTimeRemaining] = useState(30);
     const [isResolving, setIsResolving] = useState(false);
-    const [currentView, setCurrentView] = useState('LOBBY'); // 'LOBBY', 'GAME', 'DESIGNER'
+    const [battleLog, setBattleLog] = useState([]); // Combat events seen this match
+    const [currentView, setCurrentView] = useState('LOBBY'); // 'LOBBY', 'GAME', 'DESIGNER', 'REPLAY'
 
     // Lobby State
     const [lobbyStatus, setLobbyStatus] = useState(null);
@@ -57,6 +76,11 @@ function App() {
     const isResolvingPhase = playerState?.phase === 'RESOLVING';
     const isResolvingUI = isResolving || isResolvingPhase;
     const isLocked = syncStatus?.lockedIn?.[myPlayerId] || false;
+    const validationOptions = { allowExperimental: !!lobbyStatus?.allowExperimental };
+
+    // Same rules the server enforces, applied on top of what is already planned this turn
+    const checkPlannedAction = (action) =>
+        validateAction(playerState, myPlayerId, action, committedActions, validationOptions);
 
     const handleAimStart = (overrideHubId) => {
         const targetHubId = overrideHubId || selectedHubId;
@@ -64,7 +88,9 @@ function App() {
 
         // Check if selected structure has fuel
         const selectedEntity = playerState?.entities?.find((e) => e.id === targetHubId);
-        const pendingFuelSpent = committedActions.filter((a) => a.sourceId === targetHubId).length;
+        const pendingFuelSpent = committedActions.filter(
+            (a) => a.sourceId === targetHubId && (a.type || 'LAUNCH') === 'LAUNCH'
+        ).length;
         const hasFuel = selectedEntity
             ? selectedEntity.fuel === undefined || selectedEntity.fuel - pendingFuelSpent > 0
             : false;
@@ -111,10 +137,42 @@ function App() {
             distance: distance
         };
 
+        const check = checkPlannedAction(action);
+        if (!check.valid) {
+            setActionNotice(check.message);
+            setLaunchMode(false);
+            return;
+        }
+
+        setActionNotice(null);
         setCommittedActions((prev) => [...prev, action]);
         setLaunchMode(false);
     };
 
+    const handleUpgrade = () => {
+        const action = { playerId: myPlayerId, type: 'UPGRADE', targetId: selectedHubId };
+        const check = checkPlannedAction(action);
+        if (!check.valid) {
+            setActionNotice(check.message);
+            return;
+        }
+
+        setActionNotice(null);
+        setCommittedActions((prev) => [...prev, action]);
+    };
+
+    const handleRepair = () => {
+        const action = { playerId: myPlayerId, type: 'REPAIR', sourceId: selectedHubId };
+        const check = checkPlannedAction(action);
+        if (!check.valid) {
+            setActionNotice(check.message);
+            return;
+        }
+
+        setActionNotice(null);
+        setCommittedActions((prev) => [...prev, action]);
+    };
+
     const handleExecuteTurn = () => {
         if (committedActions.length > 0) {
             socket.emit('submitActions', committedActions);
@@ -136,6 +194,24 @@ function App() {
         setMatchStarted(false);
     };
 
+    const handleSurrender = () => {
+        if (window.confirm('Surrender this match?')) {
+            socket.emit('match:surrender');
+        }
+    };
+
+    const handleOfferDraw = () => {
+        socket.emit('match:offerDraw');
+    };
+
+    const handleDeclineDraw = () => {
+        socket.emit('match:declineDraw');
+    };
+
+    const handleRematch = () => {
+        socket.emit('match:rematch');
+    };
+
     const handleClaimSeat = (index) => {
         socket.emit('lobby:claimSeat', index);
     };
@@ -148,6 +224,51 @@ function App() {
         socket.emit('lobby:setMap', mapName);
     };
 
+    const handleSetRules = (rules) => {
+        socket.emit('lobby:setRules', rules);
+    };
+
+    const handleSetMaxPlayers = (count) => {
+        socket.emit('lobby:setMaxPlayers', count);
+    };
+
+    const handleAddBot = (slotIndex, difficulty) => {
+        socket.emit('lobby:addBot', { slotIndex, difficulty });
+    };
+
+    const handleRemoveBot = (slotIndex) => {
+        socket.emit('lobby:removeBot', slotIndex);
+    };
+
+    const handleKick = (slotIndex) => {
+        socket.emit('lobby:kick', slotIndex);
+    };
+
+    const handleTransferHost = (slotIndex) => {
+        socket.emit('room:transferHost', slotIndex);
+    };
+
+    const handleCreateRoom = (roomName) => {
+        socket.emit('room:create', roomName);
+    };
+
+    const handleJoinRoom = (roomId) => {
+        socket.emit('room:join', roomId);
+    };
+
+    const handleLeaveRoom = () => {
+        socket.emit('room:leave');
+    };
+
+    const handleOpenReplays = () => {
+        socket.emit('replay:list');
+        setCurrentView('REPLAY');
+    };
+
+    const handleLoadReplay = (name) => {
+        socket.emit('replay:load', name);
+    };
+
     const handleMapSave = (mapData) => {
         const name = prompt('Enter a name for your map:');
         if (name) {
@@ -171,19 +292,40 @@ function App() {
             setIsConnected(false);
         };
 
-        const onUpdate = (newState) => {
+        const showState = (newState) => {
             setPlayerState(newState);
             setMatchStarted(true);
+            setBattleLog((log) => mergeBattleLog(log, newState.events));
 
             // Reset local committed state ONLY when the turn has advanced
             if (newState.turn > turnRef.current) {
                 setCommittedActions([]);
                 setSelectedHubId(null);
                 setLaunchMode(false);
+                setActionNotice(null);
                 turnRef.current = newState.turn;
             }
         };
 
+        const onUpdate = (newState) => {
+            streamRef.current = { frame: 0, state: newState };
+            showState(newState);
+        };
+
+        // Resolution streams deltas against the last state; resync on any gap
+        const onStateDelta = ({ frame, delta }) => {
+            const stream = streamRef.current;
+            if (!stream) return; // Waiting for a keyframe
+            if (frame !== stream.frame + 1) {
+                streamRef.current = null;
+                socket.emit('requestState');
+                return;
+            }
+            const newState = applyDelta(stream.state, delta);
+            streamRef.current = { frame, state: newState };
+            showState(newState);
+        };
+
         const onAssignment = (assignedId) => {
             console.log('Assigned as:', assignedId);
             setMyPlayerId(assignedId);
@@ -200,6 +342,14 @@ function App() {
             setSyncStatus(status);
         };
 
+        const onConnections = (status) => {
+            setConnections(status);
+        };
+
+        const onOffers = (update) => {
+            setOffers(update);
+        };
+
         const onTimerUpdate = (timeLeft) => {
             setTimeRemaining(timeLeft);
         };
@@ -215,6 +365,12 @@ function App() {
         const onMatchStarted = (data) => {
             console.log('Match started!', data);
             setMatchStarted(true);
+            // A rematch starts over at turn 1 in the same room
+            setBattleLog([]);
+            setCommittedActions([]);
+            setSelectedHubId(null);
+            setLaunchMode(false);
+            turnRef.current = 1;
             // After match starts, we might need a fresh assignment
             const token = getSessionToken();
             socket.emit('authenticate', token);
@@ -225,6 +381,58 @@ function App() {
             setAvailableMaps(maps);
         };
 
+        const onRoomListUpdate = (rooms) => {
+            setRoomList(rooms);
+        };
+
+        const onRoomJoined = (update) => {
+            console.log('Joined room:', update.id);
+            setLobbyStatus(update);
+            setPlayerState(null);
+            setBattleLog([]);
+            setConnections({ players: {}, timerPaused: false });
+            setOffers({ drawOffers: [], rematchRequests: [] });
+            setMatchStarted(update.status === 'IN_GAME');
+            setCommittedActions([]);
+            setSelectedHubId(null);
+            setLaunchMode(false);
+            turnRef.current = 1;
+        };
+
+        const onActionsRejected = ({ rejected }) => {
+            console.warn('Actions rejected by server:', rejected);
+            setActionNotice(
+                `${rejected.length} action(s) rejected: ${rejected.map((r) => r.message).join('; ')}`
+            );
+        };
+
+        const onReplayListUpdate = (replays) => {
+            setReplayList(replays);
+        };
+
+        const onReplayData = (data) => {
+            setLoadedReplay(data);
+        };
+
+        const onReplayError = (err) => {
+            console.warn('Replay error:', err.message);
+            setLastError(err.message);
+        };
+
+        const onRoomError = (err) => {
+            console.warn('Room error:', err.message);
+            setLastError(err.message);
+        };
+
+        const onPermissionDenied = ({ action, message }) => {
+            console.warn(`Permission denied for ${action}:`, message);
+            setLastError(message);
+        };
+
+        const onKicked = ({ roomId }) => {
+            setLastError(`You were removed from room ${roomId} by its host.`);
+        };
+
         // CRASH REPORTER: Catch any runtime errors and show them on screen
         const handleGlobalError = (event) => {
             setLastError(`CRASH: ${event.message} at ${event.filename}:${event.lineno}`);
@@ -246,9 +454,21 @@ function App() {
             }
         };
 
+        const onResolutionFailed = ({ turn, reason }) => {
+            console.warn(`Turn ${turn} failed to resolve (${reason})`);
+            setLastError(
+                reason === 'timeout'
+                    ? `Turn ${turn} took too long to resolve and was cancelled. Plan it again.`
+                    : `Turn ${turn} could not be resolved and was cancelled. Plan it again.`
+            );
+        };
+
         const onMatchRestarted = () => {
             console.log('Match restarted! Re-authenticating...');
             setMatchStarted(false);
+            setBattleLog([]);
+            setConnections({ players: {}, timerPaused: false });
+            setOffers({ drawOffers: [], rematchRequests: [] });
             const token = getSessionToken();
             socket.emit('authenticate', token);
         };
@@ -256,14 +476,27 @@ function App() {
         socket.on('connect', onConnect);
         socket.on('disconnect', onDisconnect);
         socket.on('gameStateUpdate', onUpdate);
+        socket.on('state:delta', onStateDelta);
         socket.on('playerAssignment', onAssignment);
         socket.on('syncStatus', onSyncStatus);
         socket.on('timerUpdate', onTimerUpdate);
+        socket.on('match:connections', onConnections);
+        socket.on('match:offers', onOffers);
         socket.on('resolutionStatus', onResolutionStatus);
+        socket.on('resolution:failed', onResolutionFailed);
         socket.on('matchRestarted', onMatchRestarted);
         socket.on('lobby:update', onLobbyUpdate);
         socket.on('matchStarted', onMatchStarted);
         socket.on('room:mapsUpdate', onMapsUpdate);
+        socket.on('room:listUpdate', onRoomListUpdate);
+        socket.on('room:joined', onRoomJoined);
+        socket.on('room:error', onRoomError);
+        socket.on('permission:denied', onPermissionDenied);
+        socket.on('room:kicked', onKicked);
+        socket.on('actionsRejected', onActionsRejected);
+        socket.on('replay:listUpdate', onReplayListUpdate);
+        socket.on('replay:data', onReplayData);
+        socket.on('replay:error', onReplayError);
         socket.on('connect_error', onError);
 
         // Initial check in case it connected before the effect ran
@@ -274,14 +507,27 @@ function App() {
             socket.off('connect', onConnect);
             socket.off('disconnect', onDisconnect);
             socket.off('gameStateUpdate', onUpdate);
+            socket.off('state:delta', onStateDelta);
             socket.off('playerAssignment', onAssignment);
             socket.off('syncStatus', onSyncStatus);
             socket.off('timerUpdate', onTimerUpdate);
+            socket.off('match:connections', onConnections);
+            socket.off('match:offers', onOffers);
             socket.off('resolutionStatus', onResolutionStatus);
+            socket.off('resolution:failed', onResolutionFailed);
             socket.off('matchRestarted', onMatchRestarted);
             socket.off('lobby:update', onLobbyUpdate);
             socket.off('matchStarted', onMatchStarted);
             socket.off('room:mapsUpdate', onMapsUpdate);
+            socket.off('room:listUpdate', onRoomListUpdate);
+            socket.off('room:joined', onRoomJoined);
+            socket.off('room:error', onRoomError);
+            socket.off('permission:denied', onPermissionDenied);
+            socket.off('room:kicked', onKicked);
+            socket.off('actionsRejected', onActionsRejected);
+            socket.off('replay:listUpdate', onReplayListUpdate);
+            socket.off('replay:data', onReplayData);
+            socket.off('replay:error', onReplayError);
             socket.off('connect_error', onError);
         };
     }, []);
@@ -289,6 +535,7 @@ function App() {
     useEffect(() => {
         if (!matchStarted && currentView === 'LOBBY') {
             socket.emit('room:listMaps');
+            socket.emit('room:list');
         }
     }, [matchStarted, currentView]);
 
@@ -342,6 +589,11 @@ function App() {
 
     const pendingCost = committedActions.reduce(
         (sum, act) => {
+            if (act.type === 'UPGRADE') {
+                const target = playerState?.entities?.find((e) => e.id === act.targetId);
+                return sum + ((target && getUpgradeCost(target)) || 0);
+            }
+            if (act.type === 'REPAIR') return sum + REPAIR_STATS.cost;
             const stats = ENTITY_STATS[act.itemType];
             return sum + (stats?.cost || 0);
         },
@@ -355,6 +607,15 @@ function App() {
     const isSpectator = myPlayerId === 'spectator';
     const isUnassigned = !myPlayerId;
     const interactionBlocked = isLocked || isResolvingUI || isSpectator || isUnassigned;
+    // A team winner is credited to every member
+    const winnerIds = GameState.getTeamMembers(playerState?.players, playerState?.winner);
+    const canConcede = !isSpectator && !isUnassigned && pBase.alive && !playerState?.winner;
+    const drawOfferedByMe = offers.drawOffers.includes(myPlayerId);
+    const drawOfferedToMe = canConcede && offers.drawOffers.length > 0 && !drawOfferedByMe;
+    const selectedStructure = playerState?.entities?.find((e) => e.id === selectedHubId && e.owner === myPlayerId);
+    const upgradeCost = selectedStructure ? getUpgradeCost(selectedStructure) : null;
+    const upgradeQueued = committedActions.some((a) => a.type === 'UPGRADE' && a.targetId === selectedHubId);
+    const repairQueued = committedActions.some((a) => a.type === 'REPAIR' && a.sourceId === selectedHubId);
 
     const header = (
         <header className="game-header">
@@ -364,13 +625,13 @@ function App() {
                     <span className="badge">You: {myPlayerId || 'Pending'}</span>
                     <span className="energy">Energy: {pCurrent.energy}</span>
                     {(() => {
-                        let projectedIncome = GLOBAL_STATS.ENERGY_INCOME_PER_TURN;
+                        let projectedIncome = playerState?.rules?.incomePerTurn ?? GLOBAL_STATS.ENERGY_INCOME_PER_TURN;
                         if (playerState?.entities && myPlayerId && !isSpectator) {
                             playerState.entities.forEach((entity) => {
                                 if (entity.owner === myPlayerId) {
-                                    if (entity.disabledUntilTurn > playerState.turn) return;
+                                    if (isDisabled(entity, playerState.turn)) return;
 
-                                    const stats = ENTITY_STATS[entity.type];
+                                    const stats = getEntityStats(entity);
                                     if (stats && stats.energyGen) {
                                         projectedIncome += stats.energyGen;
                                         if (entity.type === 'EXTRACTOR') {
@@ -397,28 +658,65 @@ function App() {
                             </span>
                         );
                     })()}
-                    <span className="turn">Turn: {playerState?.turn || 1}</span>
+                    <span className="turn">
+                        Turn: {playerState?.turn || 1}
+                        {getTurnLimit(playerState?.rules) > 0 ? `/${getTurnLimit(playerState.rules)}` : ''}
+                    </span>
+                    {formatVictoryProgress(playerState, myPlayerId) && (
+                        <span className="badge victory-progress" title="Progress towards the victory condition">
+                            {formatVictoryProgress(playerState, myPlayerId)}
+                        </span>
+                    )}
+                    {formatWeather(playerState) && (
+                        <span className="badge weather" title="This turn's weather: wind drift, haze and storms">
+                            {formatWeather(playerState)}
+                        </span>
+                    )}
                     <span className={`timer ${timeRemaining <= 10 ? 'low' : ''}`}>
-                        Time: {timeRemaining}s
+                        Time: {timeRemaining}s{connections.timerPaused ? ' (paused)' : ''}
                     </span>
+                    {actionNotice && (
+                        <span className="action-notice" title={actionNotice}>
+                            ⚠ {actionNotice}
+                        </span>
+                    )}
                 </div>
             </div>
 
             <div className="sync-monitor">
-                <div
-                    className={`player-dot ${syncStatus?.lockedIn?.player1 ? 'ready' : ''}`}
-                    title="Player 1"
-                >
-                    P1
-                </div>
-                <div
-                    className={`player-dot ${syncStatus?.lockedIn?.player2 ? 'ready' : ''}`}
-                    title="Player 2"
-                >
-                    P2
-                </div>
+                {Object.keys(syncStatus?.lockedIn || {}).map((pid, index) => {
+                    const player = playerState?.players?.[pid];
+                    const connection = connections.players?.[pid];
+                    const isAway = connection?.status === 'disconnected';
+                    return (
+                        <div
+                            key={pid}
+                            className={`player-dot ${syncStatus.lockedIn[pid] ? 'ready' : ''} ${player && !player.alive ? 'eliminated' : ''} ${isAway ? 'disconnected' : ''}`}
+                            title={
+                                isAway
+                                    ? `Player ${index + 1} disconnected`
+                                    : connection?.standIn
+                                        ? `Player ${index + 1} (bot stand-in)`
+                                        : `Player ${index + 1}`
+                            }
+                            style={{ borderColor: player?.color }}
+                        >
+                            P{index + 1}
+                        </div>
+                    );
+                })}
             </div>
 
+            {Object.entries(connections.players || {})
+                .filter(([, connection]) => connection.status === 'disconnected')
+                .map(([pid, connection]) => (
+                    <div key={pid} className="connection-notice">
+                        {pid} disconnected. Holding their seat for {connection.expiresIn}s before{' '}
+                        {connections.disconnectAction === 'bot' ? 'a bot takes over' : 'they forfeit'}
+                        {connections.timerPaused ? ' (turn timer paused)' : ''}.
+                    </div>
+                ))}
+
             <div className="controls">
                 <div className="debug-toggle">
                     <label>
@@ -431,6 +729,50 @@ function App() {
                     </label>
                 </div>
 
+                {canConcede && (
+                    <>
+                        <button
+                            className="draw-btn"
+                            onClick={handleOfferDraw}
+                            disabled={drawOfferedByMe || isResolvingUI}
+                        >
+                            {drawOfferedByMe ? 'Draw Offered' : drawOfferedToMe ? 'Accept Draw' : 'Offer Draw'}
+                        </button>
+                        {drawOfferedToMe && (
+                            <button className="draw-btn" onClick={handleDeclineDraw}>
+                                Decline
+                            </button>
+                        )}
+                        <button className="clear-btn" onClick={handleSurrender}>
+                            Surrender
+                        </button>
+                    </>
+                )}
+
+                {upgradeCost !== null && !interactionBlocked && (
+                    <button
+                        className="draw-btn"
+                        onClick={handleUpgrade}
+                        disabled={upgradeQueued}
+                        title={`Spend ${upgradeCost} energy to raise this ${selectedStructure.type} a tier`}
+                    >
+                        {upgradeQueued
+                            ? 'Upgrade Queued'
+                            : `Upgrade to T${getTier(selectedStructure) + 1} (${upgradeCost})`}
+                    </button>
+                )}
+
+                {selectedStructure?.type === 'HUB' && !interactionBlocked && (
+                    <button
+                        className="draw-btn"
+                        onClick={handleRepair}
+                        disabled={repairQueued}
+                        title={`Spend ${REPAIR_STATS.cost} energy to restore up to ${REPAIR_STATS.heal} HP on every structure within ${REPAIR_STATS.hops} links of this hub`}
+                    >
+                        {repairQueued ? 'Repair Queued' : `Repair (${REPAIR_STATS.cost})`}
+                    </button>
+                )}
+
                 {committedActions.length > 0 && !interactionBlocked && (
                     <button className="clear-btn" onClick={handleClearActions}>
                         Clear All ({committedActions.length})
@@ -469,16 +811,42 @@ function App() {
         );
     }
 
+    if (currentView === 'REPLAY') {
+        return (
+            <div className="App">
+                <ReplayViewer
+                    key={loadedReplay?.name || 'none'}
+                    replayList={replayList}
+                    replay={loadedReplay?.replay || null}
+                    replayName={loadedReplay?.name || null}
+                    onLoadReplay={handleLoadReplay}
+                    onBack={() => setCurrentView('LOBBY')}
+                />
+            </div>
+        );
+    }
+
     if (!matchStarted) {
         return (
             <div className="App">
                 <LobbyOverlay
                     lobbyUpdate={lobbyStatus}
                     availableMaps={availableMaps}
+                    roomList={roomList}
                     onClaimSeat={handleClaimSeat}
                     onReadyToggle={handleReadyToggle}
                     onSetMap={handleSetMap}
+                    onSetMaxPlayers={handleSetMaxPlayers}
+                    onSetRules={handleSetRules}
+                    onAddBot={handleAddBot}
+                    onRemoveBot={handleRemoveBot}
+                    onKick={handleKick}
+                    onTransferHost={handleTransferHost}
+                    onCreateRoom={handleCreateRoom}
+                    onJoinRoom={handleJoinRoom}
+                    onLeaveRoom={handleLeaveRoom}
                     onOpenDesigner={() => setCurrentView('DESIGNER')}
+                    onOpenReplays={handleOpenReplays}
                     socketId={socket.id}
                 />
             </div>
@@ -555,6 +923,8 @@ function App() {
                         console.log('RadialMenu check: Hub not found for ID', selectedHubId);
                         return null;
                     }
+                    // Other selected structures can only be upgraded
+                    if (hub.type !== 'HUB') return null;
 
                     // We need to calculate where the hub is on screen
                     // GameBoard already has the math, but we'll approximate/sync here
@@ -564,8 +934,14 @@ function App() {
                         <RadialMenu
                             x={hubScreenPos?.x || 0}
                             y={hubScreenPos?.y || 0}
-                            playerEnergy={pCurrent.energy}
-                            hubFuel={hub.fuel !== undefined ? hub.fuel - committedActions.filter(a => a.sourceId === selectedHubId).length : 99}
+                            bannedItems={playerState.rules?.bannedItems}
+                            isItemAllowed={(type) => checkPlannedAction({
+                                type: 'LAUNCH',
+                                itemType: type,
+                                sourceId: hub.id,
+                                angle: 0,
+                                distance: 0
+                            }).valid}
                             onSelect={(type) => {
                                 setSelectedItemType(type);
                                 setLaunchMode(true);
@@ -578,6 +954,8 @@ function App() {
                 {launchMode && !isResolvingUI && (
                     <div className="hint-overlay">Pull back from the Hub to Aim & Launch!</div>
                 )}
+
+                <BattleLog events={battleLog} myPlayerId={myPlayerId} players={playerState.players} />
             </main>
 
             <footer className="debug-info">
@@ -595,15 +973,31 @@ function App() {
                     <div
                         className="winner-card"
                         style={{
-                            borderColor: playerState.players[playerState.winner]?.color || '#fff'
+                            borderColor:
+                                playerState.players[winnerIds[0]]?.color || '#fff'
                         }}
                     >
                         <h2>{playerState.winner === 'DRAW' ? "It's a Draw!" : 'Victory!'}</h2>
                         <p>
                             {playerState.winner === 'DRAW'
                                 ? 'Mutual destruction on Titan.'
-                                : `Player ${playerState.winner} has conquered the sector.`}
+                                : playerState.players[playerState.winner]
+                                    ? `Player ${playerState.winner} has conquered the sector.`
+                                    : `Team ${playerState.winner.replace('team', '')} (${winnerIds.join(', ')}) has conquered the sector.`}
                         </p>
+                        {!isSpectator && !isUnassigned && (
+                            <button
+                                className="restart-btn"
+                                onClick={handleRematch}
+                                disabled={offers.rematchRequests.includes(myPlayerId)}
+                            >
+                                {offers.rematchRequests.includes(myPlayerId)
+                                    ? `Waiting for rematch (${offers.rematchRequests.length})...`
+                                    : offers.rematchRequests.length > 0
+                                        ? 'Accept Rematch'
+                                        : 'Rematch'}
+                            </button>
+                        )}{' '}
                         <button className="restart-btn" onClick={handleRestart}>
                             Initialize New Mission
                         </button>
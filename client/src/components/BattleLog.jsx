@@ -0,0 +1,48 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatBattleEvent } from '../utils/battleLog.js';
+import './BattleLog.css';
+
+/**
+ * Scrollable list of combat events. Follows new entries unless the player
+ * has scrolled up to read older ones.
+ */
+const BattleLog = ({ events, myPlayerId, players }) => {
+    const [collapsed, setCollapsed] = useState(false);
+    const listRef = useRef(null);
+    const followRef = useRef(true);
+
+    useEffect(() => {
+        const list = listRef.current;
+        if (list && followRef.current) list.scrollTop = list.scrollHeight;
+    }, [events, collapsed]);
+
+    const handleScroll = () => {
+        const list = listRef.current;
+        followRef.current = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+    };
+
+    return (
+        <div className={`battle-log ${collapsed ? 'collapsed' : ''}`}>
+            <div className="battle-log-header" onClick={() => setCollapsed(!collapsed)}>
+                Battle Log ({events.length}) {collapsed ? '▸' : '▾'}
+            </div>
+            {!collapsed && (
+                <ul className="battle-log-list" ref={listRef} onScroll={handleScroll}>
+                    {events.length === 0 && <li className="battle-log-empty">No combat yet.</li>}
+                    {events.map((event) => (
+                        <li
+                            key={`${event.turn}:${event.seq}`}
+                            className={`battle-log-entry ${event.type.toLowerCase()}`}
+                            style={{ borderLeftColor: players?.[event.owner || event.targetOwner]?.color }}
+                        >
+                            <span className="battle-log-turn">T{event.turn}</span>
+                            {formatBattleEvent(event, myPlayerId)}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default BattleLog;
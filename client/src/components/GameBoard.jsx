@@ -4,6 +4,12 @@ import { ENTITY_STATS, GLOBAL_STATS } from '../../../shared/constants/EntityStat
 import { VISUAL_STATS } from '../constants/VisualStats.js';
 import { shouldHighlightRing } from '../utils/uiLogic.js';
 import { getGhostColor } from '../utils/RenderingHelpers.js';
+import { getHillZone } from '../../../shared/Victory.js';
+import { getBehavior } from '../../../shared/EntityBehaviors.js';
+import { isDisabled } from '../../../shared/StatusEffects.js';
+import { getStatusBadges } from '../utils/statusIcons.js';
+import { getVisionFactor, WEATHER_STATS } from '../../../shared/Weather.js';
+import { getEntityStats, getTier, getMaxTier } from '../../../shared/Upgrades.js';
 
 /**
  * GameBoard Component
@@ -52,6 +58,43 @@ const drawToroidalLine = (
     ctx.stroke();
 };
 
+/**
+ * Marks what a predicted launch runs into: hazards that burn the projectile
+ * in flight, terrain a structure would land on, and links its new link would cross.
+ */
+const drawPredictionWarnings = (ctx, prediction, size) => {
+    const drawCross = (x, y, r) => {
+        ctx.beginPath();
+        ctx.moveTo(x - r, y - r);
+        ctx.lineTo(x + r, y + r);
+        ctx.moveTo(x + r, y - r);
+        ctx.lineTo(x - r, y + r);
+        ctx.stroke();
+    };
+
+    ctx.save();
+    ctx.setLineDash([]);
+    ctx.lineWidth = 2;
+
+    ctx.strokeStyle = 'rgba(255, 200, 0, 0.6)';
+    prediction.crossings
+        .filter((c) => !c.destroysProjectile)
+        .forEach((c) => {
+            ctx.beginPath();
+            ctx.arc(c.x, c.y, 4, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+    ctx.strokeStyle = 'rgba(255, 60, 60, 0.9)';
+    prediction.crossings.filter((c) => c.destroysProjectile).forEach((c) => drawCross(c.x, c.y, 8));
+    prediction.linkCollisions.filter((c) => c.kind === 'LINK').forEach((c) => drawCross(c.x, c.y, 8));
+    if (prediction.landingHazard || prediction.linkCollisions.some((c) => c.kind === 'LAKE')) {
+        drawCross(prediction.landing.x, prediction.landing.y, size + 6);
+    }
+
+    ctx.restore();
+};
+
 const GameBoard = forwardRef(({
     gameState,
     myPlayerId,
@@ -190,13 +233,15 @@ const GameBoard = forwardRef(({
                 // LERP_FACTOR targets how fast we reach the server's state.
                 const LERP_FACTOR = 0.3;
 
-                // Define current vision circles for re-scouting check
+                // Define current vision circles for re-scouting check (allies share vision)
+                const isFriendly = (owner) => GameState.areAllies(currentGameState.players, owner, myPlayerId);
+                const hazeFactor = getVisionFactor(currentGameState.weather); // Titan haze shrinks every vision radius
                 const currentVisionCircles = currentGameState.entities
-                    .filter((e) => e.owner === myPlayerId)
+                    .filter((e) => isFriendly(e.owner))
                     .map((e) => ({
                         x: e.x,
                         y: e.y,
-                        radius: ENTITY_STATS[e.itemType || e.type]?.vision || 0
+                        radius: (getEntityStats(e, e.itemType || e.type)?.vision || 0) * hazeFactor
                     }))
                     .filter((v) => v.radius > 0);
 
@@ -214,11 +259,11 @@ const GameBoard = forwardRef(({
 
                     // Then check specialized cone vision for projectiles
                     return currentGameState.entities.some((e) => {
-                        if (e.owner !== myPlayerId) return false;
-                        const stats = ENTITY_STATS[e.itemType || e.type];
-                        const radius = stats?.vision || 0;
+                        if (!isFriendly(e.owner)) return false;
+                        const stats = getEntityStats(e, e.itemType || e.type);
+                        const radius = (stats?.vision || 0) * hazeFactor;
                         if (radius <= 0) return false;
-                        if (e.itemType !== 'HOMING_MISSILE') return false;
+                        if (!getBehavior(e.itemType).coneVision) return false;
 
                         const d = getToroidalDist(e.x, e.y, x, y, mapW, mapH);
                         if (d > radius) return false;
@@ -258,6 +303,8 @@ const GameBoard = forwardRef(({
                         viz.owner = serverEnt.owner;
                         viz.hp = serverEnt.hp;
                         viz.fuel = serverEnt.fuel;
+                        viz.maxFuel = serverEnt.maxFuel;
+                        viz.tier = serverEnt.tier;
                         viz.energy = serverEnt.energy;
                         viz.deployed = serverEnt.deployed;
                         viz.itemType = serverEnt.itemType;
@@ -269,6 +316,7 @@ const GameBoard = forwardRef(({
                         viz.flakTriggerTick = serverEnt.flakTriggerTick;
                         viz.barrierHp = serverEnt.barrierHp;
                         viz.disabledUntilTurn = serverEnt.disabledUntilTurn;
+                        viz.effects = serverEnt.effects;
                         viz.detonationTurn = serverEnt.detonationTurn;
                         viz.isCapturing = serverEnt.isCapturing;
                         viz.capturedNodeId = serverEnt.capturedNodeId;
@@ -294,7 +342,7 @@ const GameBoard = forwardRef(({
                             'LINK_COLLISION',
                             'SPARK'
                         ];
-                        if (TRANSIENT_TYPES.includes(viz.type) || viz.owner === myPlayerId) {
+                        if (TRANSIENT_TYPES.includes(viz.type) || isFriendly(viz.owner)) {
                             delete visualEntities.current[id];
                             return;
                         }
@@ -435,6 +483,37 @@ const GameBoard = forwardRef(({
                             });
                         }
 
+                        // 2-d. King-of-the-hill zone
+                        if (currentGameState.map.hill || currentGameState.rules?.victory?.mode === 'king') {
+                            const hill = getHillZone(currentGameState.map);
+                            ctx.save();
+                            ctx.fillStyle = 'rgba(241, 196, 15, 0.08)';
+                            ctx.strokeStyle = '#f1c40f';
+                            ctx.lineWidth = 3;
+                            ctx.setLineDash([12, 8]);
+                            ctx.beginPath();
+                            ctx.arc(hill.x, hill.y, hill.radius, 0, Math.PI * 2);
+                            ctx.fill();
+                            ctx.stroke();
+                            ctx.restore();
+                        }
+
+                        // 2-e. Methane storms (launches from inside are grounded)
+                        (currentGameState.weather?.storms || []).forEach((storm) => {
+                            const weatherStats = VISUAL_STATS.WEATHER;
+                            ctx.save();
+                            ctx.fillStyle = weatherStats.stormFill;
+                            ctx.strokeStyle = weatherStats.stormStroke;
+                            ctx.lineWidth = 2;
+                            ctx.setLineDash([4, 10]);
+                            ctx.lineDashOffset = -Date.now() / 40; // Swirl
+                            ctx.beginPath();
+                            ctx.arc(storm.x, storm.y, storm.radius, 0, Math.PI * 2);
+                            ctx.fill();
+                            ctx.stroke();
+                            ctx.restore();
+                        });
+
                         // 2b. DRAW GRID (Inside tiling for toroidal continuity)
                         ctx.strokeStyle = '#222';
                         ctx.lineWidth = 1;
@@ -612,13 +691,13 @@ const GameBoard = forwardRef(({
                             fctx.translate(ox, oy);
 
                             currentGameState.entities.forEach((e) => {
-                                const stats = ENTITY_STATS[e.itemType || e.type];
+                                const stats = getEntityStats(e, e.itemType || e.type);
                                 const isOwnProjectile =
                                     stats?.damageFull !== undefined && e.owner === myPlayerId;
                                 const isOwnEntity = e.owner === myPlayerId;
 
                                 if (isOwnEntity || isOwnProjectile) {
-                                    const radius = stats?.vision || 0;
+                                    const radius = (stats?.vision || 0) * hazeFactor;
                                     if (radius > 0) {
                                         const viz = visualEntities.current[e.id] || e;
                                         fctx.beginPath();
@@ -654,6 +733,39 @@ const GameBoard = forwardRef(({
                     ctx.restore();
                 }
 
+                // 7b. WEATHER: haze tint and a wind arrow in the corner (screen space)
+                const weather = currentGameState.weather;
+                if (weather && currentGameState.rules?.weather) {
+                    const weatherStats = VISUAL_STATS.WEATHER;
+                    ctx.save();
+                    ctx.setTransform(1, 0, 0, 1, 0, 0);
+                    ctx.fillStyle = weatherStats.hazeColor;
+                    ctx.globalAlpha = weather.haze * weatherStats.hazeAlpha;
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+                    const windSpeed = Math.hypot(weather.wind.dx, weather.wind.dy);
+                    if (windSpeed > 0) {
+                        const length = weatherStats.arrowLength * Math.min(1, windSpeed / WEATHER_STATS.maxWind);
+                        ctx.globalAlpha = 0.9;
+                        ctx.translate(weatherStats.arrowMargin, weatherStats.arrowMargin);
+                        ctx.rotate(Math.atan2(weather.wind.dy, weather.wind.dx));
+                        ctx.strokeStyle = weatherStats.windColor;
+                        ctx.fillStyle = weatherStats.windColor;
+                        ctx.lineWidth = 3;
+                        ctx.beginPath();
+                        ctx.moveTo(-length / 2, 0);
+                        ctx.lineTo(length / 2, 0);
+                        ctx.stroke();
+                        ctx.beginPath();
+                        ctx.moveTo(length / 2 + 6, 0);
+                        ctx.lineTo(length / 2 - 4, -6);
+                        ctx.lineTo(length / 2 - 4, 6);
+                        ctx.closePath();
+                        ctx.fill();
+                    }
+                    ctx.restore();
+                }
+
                 // -----------------------------------------------------------------
                 // 8. FOREGROUND & UI (Entities, Highlights, Aiming)
                 // -----------------------------------------------------------------
@@ -671,7 +783,7 @@ const GameBoard = forwardRef(({
                             const player = currentGameState.players[entity.owner];
                             let color = player ? player.color : '#fff';
 
-                            const isDisabled = entity.disabledUntilTurn > currentGameState.turn;
+                            const disabled = isDisabled(entity, currentGameState.turn);
 
                             // Bug 2 fix: An entity should display as a "ghost" (desaturated) if it's
                             // NOT in active vision, even if it's still in the server state (e.g. as a link endpoint).
@@ -694,7 +806,7 @@ const GameBoard = forwardRef(({
                             ctx.save();
 
                             // APPLY EMP JITTER (inside save/restore block to prevent cumulative drift)
-                            if (isDisabled && !displayAsGhost) {
+                            if (disabled && !displayAsGhost) {
                                 const eStats = VISUAL_STATS.EMP;
                                 const tSeed = Math.floor(Date.now() / (eStats.jitterFrequency || 60));
                                 const dx = Math.sin(tSeed * 12.98) * (eStats.jitterMagnitude || 2);
@@ -1016,7 +1128,7 @@ const GameBoard = forwardRef(({
                                     // --- Flak Defense Wall Visuals ---
                                     if (entity.type === 'FLAK_DEFENSE' && entity.flakActive) {
                                         ctx.save();
-                                        const stats = ENTITY_STATS.FLAK_DEFENSE;
+                                        const stats = getEntityStats(entity);
                                         const arcRange = stats.range;
                                         const arcWidth = (stats.arc * Math.PI) / 180;
                                         const centerAngle = (entity.flakAngle * Math.PI) / 180;
@@ -1162,7 +1274,7 @@ const GameBoard = forwardRef(({
                                     ctx.restore();
 
                                     // 2. Render Barrier Bubble (if active and NOT disabled)
-                                    if (entity.barrierHp > 0 && !isDisabled) {
+                                    if (entity.barrierHp > 0 && !disabled) {
                                         ctx.save();
                                         ctx.translate(entity.x, entity.y);
 
@@ -1251,7 +1363,7 @@ const GameBoard = forwardRef(({
                                     let drawX = entity.x;
                                     let drawY = entity.y;
 
-                                    if (!isOwner && !isDisabled) {
+                                    if (!isOwner && !disabled) {
                                         // Obfuscate center with slight jitter to prevent easy sniping
                                         drawX += Math.sin(time / 50) * 2;
                                         drawY += Math.cos(time / 70) * 2;
@@ -1297,7 +1409,7 @@ const GameBoard = forwardRef(({
                                         ctx.globalAlpha = 0.05;
                                         ctx.fill();
                                         ctx.restore();
-                                    } else if (!isDisabled) {
+                                    } else if (!disabled) {
                                         // Enemy sees an intermittent shimmer (every 5 seconds)
                                         const shimmerCycle = 5000;
                                         const shimmerDuration = 1000;
@@ -1549,8 +1661,10 @@ const GameBoard = forwardRef(({
                                 ctx.textAlign = 'center';
                                 const labelOffset =
                                     ENTITY_STATS[entity.itemType || entity.type]?.labelOffset || 35;
+                                // Upgraded structures carry their tier, e.g. "EXTRACTOR T2"
+                                const tierTag = getTier(entity) > 1 ? ` T${getTier(entity)}` : '';
                                 ctx.fillText(
-                                    displayAsGhost ? `Ghost ${entity.type}` : entity.type,
+                                    displayAsGhost ? `Ghost ${entity.type}` : `${entity.type}${tierTag}`,
                                     entity.x,
                                     entity.y + labelOffset
                                 );
@@ -1573,6 +1687,21 @@ const GameBoard = forwardRef(({
                                 }
 
                                 // Nuke Countdown logic moved to main rendering block
+
+                                // Status effect badges, in a row above the entity
+                                const badges = displayAsGhost ? [] : getStatusBadges(entity, currentGameState.turn);
+                                if (badges.length > 0) {
+                                    const iconStats = VISUAL_STATS.STATUS_ICONS;
+                                    const startX = entity.x - ((badges.length - 1) * iconStats.spacing * 2) / 2;
+                                    ctx.save();
+                                    ctx.font = `${iconStats.size}px Arial`;
+                                    ctx.textAlign = 'center';
+                                    badges.forEach((badge, i) => {
+                                        ctx.fillStyle = badge.color;
+                                        ctx.fillText(badge.text, startX + i * iconStats.spacing * 2, entity.y - radius - 8);
+                                    });
+                                    ctx.restore();
+                                }
                             }
                         });
 
@@ -1634,16 +1763,20 @@ const GameBoard = forwardRef(({
                                 ctx.fill();
                                 ctx.restore();
 
-                                if (showDebugPreview) {
-                                    let launchDistance = GameState.calculateLaunchDistance(distance);
+                                // Engine-backed prediction of the flight (landing, split points, hazards)
+                                const prediction =
+                                    showDebugPreview &&
+                                    GameState.predictLaunch(gameState, {
+                                        sourceId: selectedHubId,
+                                        itemType: selectedItemType,
+                                        angle: (launchAngle * 180) / Math.PI,
+                                        distance
+                                    });
+                                if (prediction) {
                                     const stats = ENTITY_STATS[selectedItemType];
-                                    if (stats?.minRange) {
-                                        launchDistance = Math.max(stats.minRange, launchDistance);
-                                    }
-                                    const ldx = Math.cos(launchAngle) * launchDistance;
-                                    const ldy = Math.sin(launchAngle) * launchDistance;
-                                    const targetX = (hub.x + (ldx % mapW) + mapW) % mapW;
-                                    const targetY = (hub.y + (ldy % mapH) + mapH) % mapH;
+                                    // For Napalm the target is the fire's tip; the shell lands short of it
+                                    const targetX = prediction.target.x;
+                                    const targetY = prediction.target.y;
 
                                     ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
                                     ctx.setLineDash([2, 5]);
@@ -1651,35 +1784,23 @@ const GameBoard = forwardRef(({
                                         ctx,
                                         hub.x,
                                         hub.y,
-                                        targetX,
-                                        targetY,
+                                        prediction.landing.x,
+                                        prediction.landing.y,
                                         mapW,
                                         mapH,
-                                        ldx,
-                                        ldy
+                                        prediction.dx,
+                                        prediction.dy
                                     );
                                     ctx.setLineDash([]);
 
                                     const previewSize = stats?.size || 12;
 
                                     if (selectedItemType === 'CLUSTER_BOMB') {
-                                        const count = stats.subBombCount;
-                                        const totalSpread = stats.spreadDistance;
-                                        const step = totalSpread / (count - 1 || 1);
-
-                                        // Perpendicular unit vector
-                                        const px = -ldy / launchDistance;
-                                        const py = ldx / launchDistance;
-
-                                        for (let i = 0; i < count; i++) {
-                                            const offset = i * step - totalSpread / 2;
-                                            const subTargetX = (targetX + offset * px + mapW) % mapW;
-                                            const subTargetY = (targetY + offset * py + mapH) % mapH;
-
+                                        prediction.subLandings.forEach((sub) => {
                                             ctx.beginPath();
-                                            ctx.arc(subTargetX, subTargetY, previewSize, 0, Math.PI * 2);
+                                            ctx.arc(sub.x, sub.y, previewSize, 0, Math.PI * 2);
                                             ctx.stroke();
-                                        }
+                                        });
                                     } else {
                                         ctx.beginPath();
                                         if (selectedItemType === 'HUB' || selectedItemType === 'NUKE') {
@@ -1804,6 +1925,8 @@ const GameBoard = forwardRef(({
                                             ctx.restore();
                                         }
                                     }
+
+                                    drawPredictionWarnings(ctx, prediction, previewSize);
                                 }
                             }
                         }
@@ -1811,7 +1934,7 @@ const GameBoard = forwardRef(({
                         // committed actions preview - moved out of isAiming block to stay visible
                         committedActions.forEach((action, index) => {
                             const hub = visualEntities.current[action.sourceId];
-                            if (hub) {
+                            if (hub && (action.type || 'LAUNCH') === 'LAUNCH') {
                                 const angleRad = (action.angle * Math.PI) / 180;
                                 const ratio = action.distance / maxPullDistance;
                                 const strengthColor = getStrengthColor(ratio);
@@ -2039,9 +2162,9 @@ const GameBoard = forwardRef(({
                 if (isShortClick) {
                     const { x: gameX, y: gameY } = getGameCoords(e);
 
-                    // Check for hub click
+                    // Check for hub click (other upgradable structures can be selected to upgrade them)
                     const clickedHub = gameState.entities.find((ent) => {
-                        if (ent.type !== 'HUB') return false;
+                        if (ent.type !== 'HUB' && getMaxTier(ent.type) <= 1) return false;
                         const d = getToroidalDist(
                             ent.x,
                             ent.y,
@@ -1,44 +1,131 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './LobbyOverlay.css';
+import { GameState } from '../../../shared/GameState.js';
+import { GLOBAL_STATS } from '../../../shared/constants/EntityStats.js';
+import RulesPanel from './RulesPanel';
+
+const PLAYER_COUNT_OPTIONS = Array.from(
+    { length: GLOBAL_STATS.MAX_PLAYERS - GLOBAL_STATS.MIN_PLAYERS + 1 },
+    (_, i) => GLOBAL_STATS.MIN_PLAYERS + i
+);
+
+export const LobbyOverlay = ({
+    lobbyUpdate,
+    availableMaps,
+    roomList,
+    onClaimSeat,
+    onReadyToggle,
+    onSetMap,
+    onSetMaxPlayers,
+    onSetRules,
+    onAddBot,
+    onRemoveBot,
+    onKick,
+    onTransferHost,
+    onCreateRoom,
+    onJoinRoom,
+    onLeaveRoom,
+    onOpenDesigner,
+    onOpenReplays,
+    socketId
+}) => {
+    const [newRoomName, setNewRoomName] = useState('');
 
-export const LobbyOverlay = ({ lobbyUpdate, availableMaps, onClaimSeat, onReadyToggle, onSetMap, onOpenDesigner, socketId }) => {
     if (!lobbyUpdate) return null;
 
+    const otherRooms = (roomList || []).filter((r) => r.id !== lobbyUpdate.id);
+
     const mySeat = lobbyUpdate.slots.find(s => s && s.socketId === socketId);
     const mySeatIndex = lobbyUpdate.slots.findIndex(s => s && s.socketId === socketId);
+    const isHost = mySeatIndex !== -1 && mySeatIndex === lobbyUpdate.hostSlot;
 
     return (
         <div className="lobby-overlay">
             <div className="lobby-content">
                 <h1 className="lobby-title">TITAN: NEXUS</h1>
-                <p>Waiting for players...</p>
+                <p>Room: <strong>{lobbyUpdate.id}</strong> — Waiting for players...</p>
 
                 <div className="slots-container">
                     {lobbyUpdate.slots.map((slot, index) => (
-                        <button
-                            key={index}
-                            className={`slot-button ${slot ? 'occupied' : ''} ${mySeatIndex === index ? 'my-seat' : ''}`}
-                            onClick={() => !slot && onClaimSeat(index)}
-                            disabled={!!slot && slot.socketId !== socketId}
-                        >
-                            <span>Player {index + 1}</span>
-                            {slot ? (
-                                <span className={`status-badge ${slot.ready ? 'ready' : ''}`}>
-                                    {slot.ready ? 'READY' : 'CLAIMED'}
+                        <div key={index} className="slot-row">
+                            <button
+                                className={`slot-button ${slot ? 'occupied' : ''} ${mySeatIndex === index ? 'my-seat' : ''}`}
+                                onClick={() => !slot && onClaimSeat(index)}
+                                disabled={!!slot && slot.socketId !== socketId}
+                            >
+                                <span>
+                                    <span
+                                        className="slot-color"
+                                        style={{ background: GameState.getPlayerColor(index) }}
+                                    />
+                                    Player {index + 1}
+                                    {index === lobbyUpdate.hostSlot && (
+                                        <span className="host-badge" title="Room host">★</span>
+                                    )}
                                 </span>
-                            ) : (
-                                <span className="status-badge">AVAILABLE</span>
+                                {slot?.isBot ? (
+                                    <span className="status-badge ready">BOT ({slot.difficulty.toUpperCase()})</span>
+                                ) : slot ? (
+                                    <span className={`status-badge ${slot.ready ? 'ready' : ''}`}>
+                                        {slot.ready ? 'READY' : 'CLAIMED'}
+                                    </span>
+                                ) : (
+                                    <span className="status-badge">AVAILABLE</span>
+                                )}
+                            </button>
+                            {isHost && !slot && (
+                                <select
+                                    className="bot-select"
+                                    value=""
+                                    onChange={(e) => e.target.value && onAddBot(index, e.target.value)}
+                                    title="Fill this seat with a computer opponent"
+                                >
+                                    <option value="">+ Bot</option>
+                                    <option value="easy">Easy</option>
+                                    <option value="normal">Normal</option>
+                                </select>
                             )}
-                        </button>
+                            {isHost && slot?.isBot && (
+                                <button className="bot-remove" onClick={() => onRemoveBot(index)} title="Remove bot">
+                                    ✕
+                                </button>
+                            )}
+                            {isHost && slot && !slot.isBot && index !== mySeatIndex && (
+                                <>
+                                    <button className="bot-remove" onClick={() => onTransferHost(index)} title="Make host">
+                                        ★
+                                    </button>
+                                    <button className="bot-remove" onClick={() => onKick(index)} title="Kick player">
+                                        ✕
+                                    </button>
+                                </>
+                            )}
+                        </div>
                     ))}
                 </div>
 
+                <div className="map-selection">
+                    <label>Players:</label>
+                    <select
+                        value={lobbyUpdate.maxPlayers}
+                        onChange={(e) => onSetMaxPlayers(parseInt(e.target.value))}
+                        disabled={!isHost}
+                        className="map-select"
+                    >
+                        {PLAYER_COUNT_OPTIONS.map((count) => (
+                            <option key={count} value={count}>
+                                {count === 2 ? '1v1 (2 players)' : `Free-for-all (${count} players)`}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
                 <div className="map-selection">
                     <label>Battlefield:</label>
                     <select
                         value={lobbyUpdate.selectedMapName || ''}
                         onChange={(e) => onSetMap(e.target.value || null)}
-                        disabled={mySeatIndex !== 0}
+                        disabled={!isHost}
                         className="map-select"
                     >
                         <option value="">Default Sector</option>
@@ -48,11 +135,18 @@ export const LobbyOverlay = ({ lobbyUpdate, availableMaps, onClaimSeat, onReadyT
                             </option>
                         ))}
                     </select>
-                    {mySeatIndex !== 0 && (
-                        <p className="host-only-hint">Only Player 1 can select maps</p>
+                    {!isHost && (
+                        <p className="host-only-hint">Only the host (★) can select maps, player count, rules and bots</p>
                     )}
                 </div>
 
+                <RulesPanel
+                    rules={lobbyUpdate.rules}
+                    seats={lobbyUpdate.slots.length}
+                    editable={isHost}
+                    onChange={onSetRules}
+                />
+
                 {mySeatIndex !== -1 && (
                     <button
                         className={`ready-button ${mySeat?.ready ? 'is-ready' : ''}`}
@@ -80,6 +174,45 @@ export const LobbyOverlay = ({ lobbyUpdate, availableMaps, onClaimSeat, onReadyT
                     </button>
                 )}
 
+                <div className="room-browser">
+                    <label>Rooms:</label>
+                    {otherRooms.length === 0 && <p className="room-empty">No other rooms open.</p>}
+                    {otherRooms.map((room) => (
+                        <div key={room.id} className="room-row">
+                            <span className="room-name">{room.id}</span>
+                            <span className="room-meta">
+                                {room.playerCount}/{room.maxPlayers} {room.status === 'IN_GAME' ? '• IN GAME' : ''}
+                            </span>
+                            <button className="room-join-button" onClick={() => onJoinRoom(room.id)}>
+                                {room.status === 'IN_GAME' ? 'Watch' : 'Join'}
+                            </button>
+                        </div>
+                    ))}
+                    <div className="room-create">
+                        <input
+                            type="text"
+                            className="room-name-input"
+                            placeholder="New room name (optional)"
+                            value={newRoomName}
+                            onChange={(e) => setNewRoomName(e.target.value)}
+                        />
+                        <button
+                            className="room-join-button"
+                            onClick={() => {
+                                onCreateRoom(newRoomName || null);
+                                setNewRoomName('');
+                            }}
+                        >
+                            Create
+                        </button>
+                    </div>
+                    {lobbyUpdate.id !== 'default' && (
+                        <button className="room-leave-button" onClick={onLeaveRoom}>
+                            Leave Room
+                        </button>
+                    )}
+                </div>
+
                 <button
                     className="designer-button"
                     onClick={onOpenDesigner}
@@ -98,8 +231,26 @@ export const LobbyOverlay = ({ lobbyUpdate, availableMaps, onClaimSeat, onReadyT
                     Design Custom Map
                 </button>
 
+                <button
+                    className="replays-button"
+                    onClick={onOpenReplays}
+                    style={{
+                        marginTop: '0.5rem',
+                        padding: '0.8rem 1.5rem',
+                        backgroundColor: '#3a3a3a',
+                        color: '#fff',
+                        border: '1px solid #555',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontWeight: 'bold',
+                        width: '100%'
+                    }}
+                >
+                    Watch Replays
+                </button>
+
                 <p style={{ marginTop: '1rem', opacity: 0.7, fontSize: '0.9rem' }}>
-                    Match starts when both players are ready.
+                    Match starts when all players are ready.
                 </p>
             </div>
         </div>
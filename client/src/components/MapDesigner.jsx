@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import GameBoard from './GameBoard';
 import { ENTITY_STATS, GLOBAL_STATS, RESOURCE_NODE_STATS } from '../../../shared/constants/EntityStats.js';
+import { GameState } from '../../../shared/GameState.js';
+import { DEFAULT_HILL_RADIUS } from '../../../shared/Victory.js';
 import './MapDesigner.css';
 
 const TOOLS = {
@@ -9,11 +11,22 @@ const TOOLS = {
     RESOURCE_SUPER: 'RESOURCE_SUPER',
     LAKE: 'LAKE',
     MOUNTAIN: 'MOUNTAIN',
-    PLAYER1_BASE: 'PLAYER1_BASE',
-    PLAYER2_BASE: 'PLAYER2_BASE',
+    HILL: 'HILL',
+    PLAYER_BASE: 'PLAYER_BASE',
     DELETE: 'DELETE'
 };
 
+/**
+ * Builds N player bases at the engine's default start positions.
+ */
+const createPlayerBases = (count, existing = []) => {
+    const defaults = GameState.getDefaultStartPositions(count, GLOBAL_STATS.MAP_WIDTH, GLOBAL_STATS.MAP_HEIGHT);
+    return defaults.map((pos, index) => {
+        const owner = `player${index + 1}`;
+        return existing.find(b => b.owner === owner) || { id: `p${index + 1}`, x: pos.x, y: pos.y, owner };
+    });
+};
+
 const MapDesigner = ({ onSave, onBack }) => {
     const [mapData, setMapData] = useState({
         width: GLOBAL_STATS.MAP_WIDTH,
@@ -21,13 +34,12 @@ const MapDesigner = ({ onSave, onBack }) => {
         resources: [],
         lakes: [],
         mountains: [],
-        playerBases: [
-            { id: 'p1', x: 250, y: 500, owner: 'player1' },
-            { id: 'p2', x: 750, y: 500, owner: 'player2' }
-        ]
+        hill: null,
+        playerBases: createPlayerBases(2)
     });
 
     const [selectedTool, setSelectedTool] = useState(TOOLS.SELECT);
+    const [activeBaseOwner, setActiveBaseOwner] = useState('player1');
     const [selectedId, setSelectedId] = useState(null);
     const [cameraOffset, setCameraOffset] = useState({ x: 0, y: 0 });
     const gameBoardRef = useRef(null);
@@ -35,17 +47,17 @@ const MapDesigner = ({ onSave, onBack }) => {
     // Mock GameState for GameBoard to render
     const mockGameState = React.useMemo(() => ({
         turn: 1,
-        players: {
-            player1: { color: 'hsl(0, 70%, 50%)', energy: 100 },
-            player2: { color: 'hsl(60, 70%, 50%)', energy: 100 }
-        },
+        players: Object.fromEntries(
+            mapData.playerBases.map((b, index) => [b.owner, { color: GameState.getPlayerColor(index), energy: 100 }])
+        ),
         map: {
             width: mapData.width,
             height: mapData.height,
             resources: mapData.resources,
             obstacles: [], // Added missing field
             lakes: mapData.lakes,
-            mountains: mapData.mountains
+            mountains: mapData.mountains,
+            hill: mapData.hill
         },
         entities: [
             ...mapData.playerBases.map(b => ({
@@ -103,17 +115,16 @@ const MapDesigner = ({ onSave, onBack }) => {
                     y: coords.y,
                     radius: 100
                 }];
+            } else if (selectedTool === TOOLS.HILL) {
+                newState.hill = { x: coords.x, y: coords.y, radius: DEFAULT_HILL_RADIUS };
             } else if (selectedTool === TOOLS.DELETE) {
                 newState.resources = prev.resources.filter(r => dist(r, coords) > 30);
                 newState.lakes = prev.lakes.filter(l => dist(l, coords) > l.radius);
                 newState.mountains = prev.mountains.filter(m => dist(m, coords) > m.radius);
-            } else if (selectedTool === TOOLS.PLAYER1_BASE) {
-                newState.playerBases = prev.playerBases.map(b =>
-                    b.owner === 'player1' ? { ...b, x: coords.x, y: coords.y } : b
-                );
-            } else if (selectedTool === TOOLS.PLAYER2_BASE) {
+                if (prev.hill && dist(prev.hill, coords) <= prev.hill.radius) newState.hill = null;
+            } else if (selectedTool === TOOLS.PLAYER_BASE) {
                 newState.playerBases = prev.playerBases.map(b =>
-                    b.owner === 'player2' ? { ...b, x: coords.x, y: coords.y } : b
+                    b.owner === activeBaseOwner ? { ...b, x: coords.x, y: coords.y } : b
                 );
             }
             return newState;
@@ -128,6 +139,13 @@ const MapDesigner = ({ onSave, onBack }) => {
         return Math.sqrt(dx * dx + dy * dy);
     };
 
+    const handlePlayerCountChange = (count) => {
+        setMapData(prev => ({ ...prev, playerBases: createPlayerBases(count, prev.playerBases) }));
+        if (parseInt(activeBaseOwner.replace('player', '')) > count) {
+            setActiveBaseOwner('player1');
+        }
+    };
+
     const handleExport = () => {
         const json = JSON.stringify(mapData, null, 2);
         navigator.clipboard.writeText(json);
@@ -162,13 +180,33 @@ const MapDesigner = ({ onSave, onBack }) => {
                     onClick={() => setSelectedTool(TOOLS.MOUNTAIN)}
                 >+ Mountain</button>
                 <button
-                    className={selectedTool === TOOLS.PLAYER1_BASE ? 'active' : ''}
-                    onClick={() => setSelectedTool(TOOLS.PLAYER1_BASE)}
-                >P1 Base</button>
-                <button
-                    className={selectedTool === TOOLS.PLAYER2_BASE ? 'active' : ''}
-                    onClick={() => setSelectedTool(TOOLS.PLAYER2_BASE)}
-                >P2 Base</button>
+                    className={selectedTool === TOOLS.HILL ? 'active' : ''}
+                    onClick={() => setSelectedTool(TOOLS.HILL)}
+                    title="King-of-the-hill zone (defaults to the map centre)"
+                >Set Hill</button>
+                <select
+                    value={mapData.playerBases.length}
+                    onChange={(e) => handlePlayerCountChange(parseInt(e.target.value))}
+                    title="Number of player bases"
+                >
+                    {Array.from(
+                        { length: GLOBAL_STATS.MAX_PLAYERS - GLOBAL_STATS.MIN_PLAYERS + 1 },
+                        (_, i) => GLOBAL_STATS.MIN_PLAYERS + i
+                    ).map(count => (
+                        <option key={count} value={count}>{count} Players</option>
+                    ))}
+                </select>
+                {mapData.playerBases.map((base, index) => (
+                    <button
+                        key={base.owner}
+                        className={selectedTool === TOOLS.PLAYER_BASE && activeBaseOwner === base.owner ? 'active' : ''}
+                        style={{ borderColor: GameState.getPlayerColor(index) }}
+                        onClick={() => {
+                            setSelectedTool(TOOLS.PLAYER_BASE);
+                            setActiveBaseOwner(base.owner);
+                        }}
+                    >P{index + 1} Base</button>
+                ))}
                 <button
                     className={selectedTool === TOOLS.DELETE ? 'active' : ''}
                     onClick={() => setSelectedTool(TOOLS.DELETE)}
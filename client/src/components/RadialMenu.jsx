@@ -4,13 +4,13 @@ import { ENTITY_STATS } from '../../../shared/constants/EntityStats.js';
 
 const CATEGORIES = ['OFFENSE', 'DEFENSE', 'UTILITY', 'SPECIAL'];
 
-const RadialMenu = ({ x, y, onSelect, onCancel, playerEnergy, hubFuel }) => {
+const RadialMenu = ({ x, y, onSelect, onCancel, isItemAllowed, bannedItems = [] }) => {
     const [currentCategory, setCurrentCategory] = useState(null);
 
-    // Filter items by category
+    // Filter items by category (items banned by the match rules are not offered at all)
     const getItemsInCategory = (cat) => {
         return Object.entries(ENTITY_STATS)
-            .filter(([, stats]) => stats.category === cat)
+            .filter(([type, stats]) => stats.category === cat && !bannedItems.includes(type))
             .map(([type, stats]) => ({ type, ...stats }));
     };
 
@@ -27,7 +27,9 @@ const RadialMenu = ({ x, y, onSelect, onCancel, playerEnergy, hubFuel }) => {
     };
 
     const renderRing = () => {
-        const items = currentCategory ? getItemsInCategory(currentCategory) : CATEGORIES;
+        const items = currentCategory
+            ? getItemsInCategory(currentCategory)
+            : CATEGORIES.filter((cat) => getItemsInCategory(cat).length > 0);
         const count = items.length;
         const angleStep = (2 * Math.PI) / count;
         const outerRadius = 120;
@@ -56,10 +58,8 @@ const RadialMenu = ({ x, y, onSelect, onCancel, playerEnergy, hubFuel }) => {
             `;
 
             const label = currentCategory ? item.type : item;
-            const isAffordable = currentCategory ? playerEnergy >= item.cost : true;
-            // hubFuel <= 0 is only relevant for non-HUB structures that require a hub to launch
-            // But since the menu is ON a hub, we check that hub's fuel.
-            const isDisabled = currentCategory && (!isAffordable || hubFuel <= 0);
+            // Energy, fuel, EMP and experimental checks come from the shared ActionValidator
+            const isDisabled = currentCategory && !isItemAllowed(item.type);
 
             return (
                 <g
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import GameBoard from './GameBoard';
+import { ReplayPlayer } from '../../../shared/Replay.js';
+import './ReplayViewer.css';
+
+const SUB_TICK_DELAY = 60;
+const ROUND_DELAY = 400;
+
+/**
+ * Plays back a recorded match by re-running GameState.resolveTurn locally.
+ * Mount with a `key` per replay so playback state starts fresh.
+ */
+const ReplayViewer = ({ replayList, replay, replayName, onLoadReplay, onBack }) => {
+    const { player, error } = useMemo(() => {
+        if (!replay) return { player: null, error: null };
+        try {
+            return { player: new ReplayPlayer(replay), error: null };
+        } catch (err) {
+            return { player: null, error: err.message };
+        }
+    }, [replay]);
+
+    const [baseState, setBaseState] = useState(() => player?.game.getState() || null);
+    const [turnIndex, setTurnIndex] = useState(0);
+    const [queue, setQueue] = useState([]);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [viewAs, setViewAs] = useState('spectator');
+    const [cameraOffset, setCameraOffset] = useState({ x: 0, y: 0 });
+    const gameBoardRef = useRef(null);
+
+    const totalTurns = replay?.turns?.length || 0;
+    const isFinished = turnIndex >= totalTurns;
+
+    // Resolves the next turn; animated playback then walks through its snapshots
+    const resolveNextTurn = useCallback((animate) => {
+        if (!player || player.isFinished) return false;
+        const snapshots = player.step();
+        setTurnIndex(player.turnIndex);
+        setBaseState(player.game.getState());
+        setQueue(animate ? snapshots : []);
+        return true;
+    }, [player]);
+
+    useEffect(() => {
+        if (!isPlaying) return undefined;
+        const delay = queue.length === 0
+            ? 0
+            : queue[0].type === 'ROUND_SUB' ? SUB_TICK_DELAY : ROUND_DELAY;
+        const timer = setTimeout(() => {
+            if (queue.length > 0) {
+                setQueue(queue.slice(1));
+            } else if (!resolveNextTurn(true)) {
+                setIsPlaying(false);
+            }
+        }, delay);
+        return () => clearTimeout(timer);
+    }, [isPlaying, queue, resolveNextTurn]);
+
+    const handleStep = () => {
+        setIsPlaying(false);
+        resolveNextTurn(false);
+    };
+
+    const handleRestart = () => {
+        if (!player) return;
+        setIsPlaying(false);
+        setQueue([]);
+        player.reset();
+        setTurnIndex(0);
+        setBaseState(player.game.getState());
+    };
+
+    const shownState = queue.length > 0 ? queue[0].state : baseState;
+    const displayState = player && shownState ? player.getView(viewAs, shownState) : null;
+
+    return (
+        <div className="replay-viewer">
+            <div className="replay-toolbar">
+                <select
+                    value={replayName || ''}
+                    onChange={(e) => e.target.value && onLoadReplay(e.target.value)}
+                    title="Recorded matches"
+                >
+                    <option value="">Select a replay...</option>
+                    {(replayList || []).map((name) => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+                <button onClick={handleRestart} disabled={!player}>⏮ Restart</button>
+                <button
+                    className={isPlaying ? 'active' : ''}
+                    onClick={() => setIsPlaying(!isPlaying)}
+                    disabled={!player || (isFinished && queue.length === 0)}
+                >
+                    {isPlaying ? '⏸ Pause' : '▶ Play'}
+                </button>
+                <button onClick={handleStep} disabled={!player || isFinished}>⏭ Step</button>
+                <span className="replay-turn">
+                    Turn {turnIndex} / {totalTurns}
+                </span>
+                <select
+                    value={viewAs}
+                    onChange={(e) => setViewAs(e.target.value)}
+                    disabled={!player}
+                    title="Fog of war"
+                >
+                    <option value="spectator">Full View</option>
+                    {(replay?.playerIds || []).map((pid) => (
+                        <option key={pid} value={pid}>Fog: {pid}</option>
+                    ))}
+                </select>
+                <div className="spacer"></div>
+                <button onClick={onBack}>Back to Lobby</button>
+            </div>
+
+            <main className="replay-world">
+                {error && <div className="replay-message">Error: {error}</div>}
+                {!error && !displayState && <div className="replay-message">Select a replay to watch.</div>}
+                {displayState && (
+                    <GameBoard
+                        ref={gameBoardRef}
+                        gameState={displayState}
+                        myPlayerId={viewAs}
+                        selectedHubId={null}
+                        launchMode={false}
+                        isAiming={false}
+                        committedActions={[]}
+                        showDebugPreview={false}
+                        isResolving={queue.length > 0}
+                        cameraOffset={cameraOffset}
+                        setCameraOffset={setCameraOffset}
+                        onSelectHub={() => { }}
+                        onAimStart={() => { }}
+                        onAimUpdate={() => { }}
+                        onAimEnd={() => { }}
+                    />
+                )}
+                {displayState?.winner && isFinished && queue.length === 0 && (
+                    <div className="replay-message replay-result">
+                        {displayState.winner === 'DRAW' ? 'Match ended in a draw' : `Winner: ${displayState.winner}`}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default ReplayViewer;
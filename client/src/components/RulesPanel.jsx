@@ -0,0 +1,165 @@
+import React from 'react';
+import './RulesPanel.css';
+import { ENTITY_STATS } from '../../../shared/constants/EntityStats.js';
+import { DEFAULT_RULES, RULE_LIMITS, VICTORY_MODES, VICTORY_LIMITS } from '../../../shared/MatchRules.js';
+
+const NUMBER_RULES = [
+    { key: 'turnDuration', label: 'Turn timer (s)' },
+    { key: 'startingEnergy', label: 'Starting energy' },
+    { key: 'incomePerTurn', label: 'Base income' },
+    { key: 'maxTurns', label: 'Turn limit (0 = none)' }
+];
+
+const VICTORY_MODE_LABELS = {
+    elimination: 'Elimination',
+    score: 'Score at turn limit',
+    king: 'King of the hill',
+    economic: 'Economic',
+    nodes: 'Capture super nodes'
+};
+
+// The victory target each mode uses, if any
+const VICTORY_TARGETS = {
+    king: { key: 'holdTurns', label: 'Turns to hold' },
+    economic: { key: 'energyTarget', label: 'Energy to bank' },
+    nodes: { key: 'nodeTarget', label: 'Super nodes' }
+};
+
+const LAUNCHABLE_ITEMS = Object.keys(ENTITY_STATS).filter((type) => ENTITY_STATS[type].category);
+
+/**
+ * Match rules of the room. Only the host can edit them; everyone else sees them read-only.
+ * Each change sends just the edited rule; the server merges and clamps it.
+ */
+const RulesPanel = ({ rules = DEFAULT_RULES, seats = 2, editable, onChange }) => {
+    const banned = rules.bannedItems || [];
+    const teams = rules.teams || {};
+    const victory = rules.victory || DEFAULT_RULES.victory;
+    const victoryTarget = VICTORY_TARGETS[victory.mode];
+
+    const setTeam = (playerId, team) => {
+        const next = { ...teams, [playerId]: team };
+        if (!team) delete next[playerId];
+        onChange({ teams: next });
+    };
+
+    const toggleBanned = (type) => {
+        onChange({
+            bannedItems: banned.includes(type) ? banned.filter((t) => t !== type) : [...banned, type]
+        });
+    };
+
+    return (
+        <div className="map-selection rules-panel">
+            <label>Rules:</label>
+            <div className="rules-grid">
+                {NUMBER_RULES.map(({ key, label }) => (
+                    <div key={key} className="rule-row">
+                        <span>{label}</span>
+                        <input
+                            type="number"
+                            className="rule-input"
+                            min={RULE_LIMITS[key].min}
+                            max={RULE_LIMITS[key].max}
+                            value={rules[key]}
+                            disabled={!editable}
+                            onChange={(e) => onChange({ [key]: e.target.value })}
+                        />
+                    </div>
+                ))}
+                <div className="rule-row">
+                    <span>Fog of war</span>
+                    <input
+                        type="checkbox"
+                        checked={rules.fogOfWar}
+                        disabled={!editable}
+                        onChange={(e) => onChange({ fogOfWar: e.target.checked })}
+                    />
+                </div>
+                <div className="rule-row">
+                    <span>Titan weather</span>
+                    <input
+                        type="checkbox"
+                        checked={rules.weather}
+                        disabled={!editable}
+                        onChange={(e) => onChange({ weather: e.target.checked })}
+                    />
+                </div>
+                <div className="rule-row">
+                    <span>Friendly fire</span>
+                    <input
+                        type="checkbox"
+                        checked={rules.friendlyFire}
+                        disabled={!editable}
+                        onChange={(e) => onChange({ friendlyFire: e.target.checked })}
+                    />
+                </div>
+                <div className="rule-row">
+                    <span>Victory</span>
+                    <select
+                        className="rule-input rule-select"
+                        value={victory.mode}
+                        disabled={!editable}
+                        onChange={(e) => onChange({ victory: { mode: e.target.value } })}
+                    >
+                        {VICTORY_MODES.map((mode) => (
+                            <option key={mode} value={mode}>
+                                {VICTORY_MODE_LABELS[mode]}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                {victoryTarget && (
+                    <div className="rule-row">
+                        <span>{victoryTarget.label}</span>
+                        <input
+                            type="number"
+                            className="rule-input"
+                            min={VICTORY_LIMITS[victoryTarget.key].min}
+                            max={VICTORY_LIMITS[victoryTarget.key].max}
+                            value={victory[victoryTarget.key]}
+                            disabled={!editable}
+                            onChange={(e) => onChange({ victory: { [victoryTarget.key]: e.target.value } })}
+                        />
+                    </div>
+                )}
+            </div>
+            <div className="rules-teams">
+                <span>Teams:</span>
+                {Array.from({ length: seats }, (_, index) => `player${index + 1}`).map((playerId, index) => (
+                    <label key={playerId} className="team-pick">
+                        P{index + 1}
+                        <select
+                            className="rule-input"
+                            value={teams[playerId] || ''}
+                            disabled={!editable}
+                            onChange={(e) => setTeam(playerId, e.target.value)}
+                        >
+                            <option value="">Solo</option>
+                            {Array.from({ length: Math.ceil(seats / 2) }, (_, team) => (
+                                <option key={team} value={team + 1}>
+                                    Team {team + 1}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+            <div className="rules-banned">
+                <span>Banned items:</span>
+                {LAUNCHABLE_ITEMS.map((type) => (
+                    <button
+                        key={type}
+                        className={`banned-item ${banned.includes(type) ? 'banned' : ''}`}
+                        disabled={!editable}
+                        onClick={() => toggleBanned(type)}
+                    >
+                        {type.replace(/_/g, ' ')}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default RulesPanel;
@@ -34,6 +34,26 @@ export const VISUAL_STATS = {
         captureRadiusColor: 'rgba(0, 255, 255, 0.4)',
         tetherColor: 'rgba(131, 255, 100, 1)'
     },
+    STATUS_ICONS: {
+        // Glyph and color of each status effect's badge (see shared/StatusEffects.js)
+        disabled: { glyph: '⚡', color: '#00ffff' },
+        burning: { glyph: '🔥', color: '#ff6b00' },
+        slowed: { glyph: '⏳', color: '#9b59b6' },
+        revealed: { glyph: '👁', color: '#f1c40f' },
+        shielded: { glyph: '⛨', color: '#3498db' },
+        fortified: { glyph: '▣', color: '#95a5a6' },
+        size: 10, // Font size in px
+        spacing: 12 // Distance between badges
+    },
+    WEATHER: {
+        stormFill: 'rgba(120, 90, 160, 0.18)',
+        stormStroke: 'rgba(170, 140, 220, 0.7)',
+        hazeColor: '#d99a3a', // Titan orange
+        hazeAlpha: 0.35, // Tint opacity at full haze
+        windColor: '#e8d8b0',
+        arrowLength: 60, // Arrow length at maximum wind
+        arrowMargin: 50 // Distance of the arrow's centre from the canvas corner
+    },
     FOG_OF_WAR: {
         GHOST_SATURATION: '35%',
         GHOST_TRANS_ALPHA: 0.4,
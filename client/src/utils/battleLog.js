@@ -0,0 +1,58 @@
+/**
+ * Helpers for the battle log panel: turning GameState combat events into
+ * readable lines and accumulating them across resolution snapshots.
+ */
+
+export const BATTLE_LOG_LIMIT = 200;
+
+const name = (type) => (type || 'UNKNOWN').replace(/_/g, ' ');
+
+const who = (playerId, myPlayerId) => {
+    if (!playerId) return 'Unknown';
+    return playerId === myPlayerId ? 'You' : playerId;
+};
+
+const whose = (playerId, myPlayerId) => {
+    if (!playerId) return 'a';
+    return playerId === myPlayerId ? 'your' : `${playerId}'s`;
+};
+
+/**
+ * One line of text describing an event, from the point of view of `myPlayerId`.
+ */
+export const formatBattleEvent = (event, myPlayerId) => {
+    const by = who(event.owner, myPlayerId);
+    const target = `${whose(event.targetOwner, myPlayerId)} ${name(event.targetType)}`;
+
+    if (event.type === 'LAUNCH') return `${by} launched ${name(event.itemType)}`;
+    if (event.type === 'DEFENSE_FIRE') return `${by}: ${name(event.defenseType)} fired at ${name(event.projectileType)}`;
+    if (event.type === 'INTERCEPT') {
+        const absorbed = event.absorbed ? ` (${event.absorbed} absorbed)` : '';
+        return `${by}: ${name(event.defenseType)} intercepted ${whose(event.targetOwner, myPlayerId)} ${name(event.projectileType)}${absorbed}`;
+    }
+    if (event.type === 'DAMAGE') return `${name(event.itemType)} hit ${target} for ${event.amount}`;
+    if (event.type === 'DESTROY') return `${target} destroyed`;
+    if (event.type === 'DEPLOY') return `${by} deployed ${name(event.itemType)}`;
+    if (event.type === 'CAPTURE') return `${by} captured an energy node`;
+    if (event.type === 'LINK_DECAY') return `${target} lost its link and decayed`;
+    if (event.type === 'RECLAIM') return `${by} reclaimed ${name(event.itemType)} (+${event.refund} energy)`;
+    if (event.type === 'EMP_DISABLE') return `${target} disabled by EMP until turn ${event.untilTurn}`;
+    if (event.type === 'GROUNDED') return `${by}: ${name(event.itemType)} launch grounded by a storm`;
+    if (event.type === 'STATUS') return `${target} is ${event.effect} until turn ${event.untilTurn}`;
+    if (event.type === 'CRATER') return 'Nuke hazard subsided, leaving a crater';
+    if (event.type === 'UPGRADE') return `${by} upgraded ${name(event.itemType)} to tier ${event.tier}`;
+    if (event.type === 'REPAIR') return `${by} repaired ${name(event.itemType)} (+${event.amount} HP)`;
+    return name(event.type);
+};
+
+/**
+ * Appends newly received events to the log. The same event can arrive more than
+ * once (e.g. a state re-request), so entries are keyed by turn and sequence.
+ */
+export const mergeBattleLog = (log, events, limit = BATTLE_LOG_LIMIT) => {
+    if (!events || events.length === 0) return log;
+    const seen = new Set(log.map((e) => `${e.turn}:${e.seq}`));
+    const fresh = events.filter((e) => !seen.has(`${e.turn}:${e.seq}`));
+    if (fresh.length === 0) return log;
+    return [...log, ...fresh].slice(-limit);
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { formatBattleEvent, mergeBattleLog } from './battleLog.js';
+
+describe('Battle Log', () => {
+    it('should describe events from the viewing player\'s perspective', () => {
+        expect(formatBattleEvent({ type: 'LAUNCH', owner: 'player1', itemType: 'HOMING_MISSILE' }, 'player1')).toBe(
+            'You launched HOMING MISSILE'
+        );
+        expect(
+            formatBattleEvent(
+                { type: 'DAMAGE', owner: 'player2', itemType: 'WEAPON', targetOwner: 'player1', targetType: 'HUB', amount: 3 },
+                'player1'
+            )
+        ).toBe('WEAPON hit your HUB for 3');
+        expect(formatBattleEvent({ type: 'RECLAIM', owner: 'player2', itemType: 'EXTRACTOR', refund: 13 }, 'player1')).toBe(
+            'player2 reclaimed EXTRACTOR (+13 energy)'
+        );
+        expect(
+            formatBattleEvent({ type: 'STATUS', effect: 'burning', targetOwner: 'player2', targetType: 'EXTRACTOR', untilTurn: 4 }, 'player1')
+        ).toBe("player2's EXTRACTOR is burning until turn 4");
+        expect(formatBattleEvent({ type: 'UPGRADE', owner: 'player1', itemType: 'FLAK_DEFENSE', tier: 2 }, 'player1')).toBe(
+            'You upgraded FLAK DEFENSE to tier 2'
+        );
+        expect(formatBattleEvent({ type: 'REPAIR', owner: 'player2', itemType: 'EXTRACTOR', amount: 2 }, 'player1')).toBe(
+            'player2 repaired EXTRACTOR (+2 HP)'
+        );
+    });
+
+    it('should append only events it has not seen yet', () => {
+        const first = [{ turn: 1, seq: 0 }, { turn: 1, seq: 1 }];
+        const log = mergeBattleLog([], first);
+
+        expect(mergeBattleLog(log, first)).toBe(log);
+        expect(mergeBattleLog(log, [{ turn: 1, seq: 1 }, { turn: 2, seq: 0 }])).toEqual([...first, { turn: 2, seq: 0 }]);
+    });
+
+    it('should keep only the most recent entries', () => {
+        const events = [0, 1, 2, 3].map((seq) => ({ turn: 1, seq }));
+        expect(mergeBattleLog([], events, 2)).toEqual(events.slice(2));
+    });
+});
@@ -0,0 +1,22 @@
+/**
+ * Helpers for the status effect badges drawn over entities (see shared/StatusEffects.js).
+ */
+
+import { getActiveEffects, getEffect } from '../../../shared/StatusEffects.js';
+import { VISUAL_STATS } from '../constants/VisualStats.js';
+
+/**
+ * One badge per active effect: its glyph and color, plus the stack count (if above 1)
+ * and the turns left, e.g. "🔥2 1t".
+ */
+export const getStatusBadges = (entity, turn) =>
+    getActiveEffects(entity, turn).map((type) => {
+        const effect = getEffect(entity, type, turn);
+        const icon = VISUAL_STATS.STATUS_ICONS[type] || { glyph: '?', color: '#fff' };
+        const stacks = effect.stacks > 1 ? effect.stacks : '';
+        return {
+            type,
+            color: icon.color,
+            text: `${icon.glyph}${stacks} ${effect.untilTurn - turn}t`
+        };
+    });
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { getStatusBadges } from './statusIcons.js';
+
+describe('Status effect badges', () => {
+    it('should list active effects with stacks and turns left', () => {
+        const entity = {
+            effects: {
+                burning: { untilTurn: 5, stacks: 2 },
+                revealed: { untilTurn: 4, stacks: 1 },
+                slowed: { untilTurn: 2, stacks: 1 } // Expired
+            }
+        };
+        expect(getStatusBadges(entity, 3)).toEqual([
+            { type: 'burning', color: '#ff6b00', text: '🔥2 2t' },
+            { type: 'revealed', color: '#f1c40f', text: '👁 1t' }
+        ]);
+    });
+
+    it('should show a disable set through the legacy field', () => {
+        expect(getStatusBadges({ disabledUntilTurn: 4 }, 3)).toEqual([
+            { type: 'disabled', color: '#00ffff', text: '⚡ 1t' }
+        ]);
+        expect(getStatusBadges({ disabledUntilTurn: 0 }, 3)).toEqual([]);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Helpers for the header's victory-condition readout (see shared/Victory.js).
+ */
+
+const MODE_PROGRESS = {
+    score: { label: 'Score', value: (p) => p.progress?.score ?? 0, target: () => null },
+    king: { label: 'Hill', value: (p) => p.progress?.hillTurns ?? 0, target: (v) => v.holdTurns },
+    economic: { label: 'Bank', value: (p) => Math.floor(p.energy ?? 0), target: (v) => v.energyTarget },
+    nodes: { label: 'Super nodes', value: (p) => p.progress?.superNodes ?? 0, target: (v) => v.nodeTarget }
+};
+
+/**
+ * Progress towards the match's victory condition, e.g. "Hill: 2/5 (best 3)".
+ * Spectators only see the best value. Returns null for plain elimination matches.
+ */
+export const formatVictoryProgress = (state, myPlayerId) => {
+    const victory = state?.rules?.victory;
+    const mode = MODE_PROGRESS[victory?.mode];
+    if (!mode) return null;
+
+    const players = state.players || {};
+    const best = Math.max(0, ...Object.values(players).filter((p) => p.alive).map(mode.value));
+    const target = mode.target(victory);
+    const suffix = target ? `/${target}` : '';
+    const mine = players[myPlayerId];
+
+    if (!mine) return `${mode.label}: best ${best}${suffix}`;
+    return `${mode.label}: ${mode.value(mine)}${suffix} (best ${best})`;
+};
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { formatVictoryProgress } from './victoryHud.js';
+
+const stateWith = (victory, players) => ({ rules: { victory }, players });
+
+describe('Victory HUD', () => {
+    it('should show nothing for elimination matches', () => {
+        expect(formatVictoryProgress(stateWith({ mode: 'elimination' }, {}), 'player1')).toBeNull();
+        expect(formatVictoryProgress({}, 'player1')).toBeNull();
+    });
+
+    it('should show own progress against the target and the best alive rival', () => {
+        const players = {
+            player1: { alive: true, energy: 120.5, progress: { hillTurns: 1 } },
+            player2: { alive: true, energy: 300, progress: { hillTurns: 3 } },
+            player3: { alive: false, energy: 900, progress: { hillTurns: 4 } }
+        };
+        expect(formatVictoryProgress(stateWith({ mode: 'king', holdTurns: 5 }, players), 'player1')).toBe(
+            'Hill: 1/5 (best 3)'
+        );
+        expect(formatVictoryProgress(stateWith({ mode: 'economic', energyTarget: 500 }, players), 'player1')).toBe(
+            'Bank: 120/500 (best 300)'
+        );
+        expect(formatVictoryProgress(stateWith({ mode: 'economic', energyTarget: 500 }, players), 'spectator')).toBe(
+            'Bank: best 300/500'
+        );
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * Helpers for the header's weather readout (see shared/Weather.js).
+ */
+
+const COMPASS = ['E', 'SE', 'S', 'SW', 'W', 'NW', 'N', 'NE'];
+
+/**
+ * Compass direction the wind blows towards (map y grows southwards).
+ */
+export const getWindDirection = (wind) => {
+    const angle = (Math.atan2(wind.dy, wind.dx) * 180) / Math.PI;
+    return COMPASS[(Math.round(angle / 45) + 8) % 8];
+};
+
+/**
+ * This turn's weather, e.g. "Wind 0.45 → NE · Haze 20% · 1 storm". Null when the match has no weather.
+ */
+export const formatWeather = (state) => {
+    const weather = state?.weather;
+    if (!state?.rules?.weather || !weather) return null;
+
+    const speed = Math.hypot(weather.wind.dx, weather.wind.dy);
+    const parts = [speed > 0 ? `Wind ${speed.toFixed(2)} → ${getWindDirection(weather.wind)}` : 'Calm'];
+    if (weather.haze > 0) parts.push(`Haze ${Math.round(weather.haze * 100)}%`);
+    if (weather.storms.length > 0) parts.push(`${weather.storms.length} storm${weather.storms.length > 1 ? 's' : ''}`);
+    return parts.join(' · ');
+};
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { formatWeather, getWindDirection } from './weatherHud.js';
+
+describe('Weather HUD', () => {
+    it('should show nothing when the match has no weather', () => {
+        expect(formatWeather({ rules: { weather: false }, weather: { wind: { dx: 1, dy: 0 }, haze: 0, storms: [] } })).toBeNull();
+        expect(formatWeather({})).toBeNull();
+    });
+
+    it('should describe wind, haze and storms', () => {
+        const state = {
+            rules: { weather: true },
+            weather: { wind: { dx: 0.3, dy: -0.4 }, haze: 0.25, storms: [{ x: 0, y: 0, radius: 100 }] }
+        };
+        expect(formatWeather(state)).toBe('Wind 0.50 → NE · Haze 25% · 1 storm');
+        expect(formatWeather({ rules: { weather: true }, weather: { wind: { dx: 0, dy: 0 }, haze: 0, storms: [] } })).toBe('Calm');
+    });
+
+    it('should point the wind along the map axes', () => {
+        expect(getWindDirection({ dx: 1, dy: 0 })).toBe('E');
+        expect(getWindDirection({ dx: 0, dy: 1 })).toBe('S');
+        expect(getWindDirection({ dx: -1, dy: 0 })).toBe('W');
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Balance report for Titan: Nexus Command.
+ *
+ * Runs a batch of headless matches and prints per-item cost efficiency
+ * (damage per energy, interception and survival rates) plus per-defense
+ * interception rates as comparison tables.
+ *
+ * Usage:
+ *   node scripts/balance-report.js [--p1 arsenal] [--p2 arsenal] [--games 200]
+ *                                  [--map playground] [--seed 42] [--max-turns 200]
+ *                                  [--out report.json] [--baseline old-report.json]
+ *                                  [--json] [--verbose] [--allow-experimental]
+ *
+ * Save a report with --out before changing EntityStats.js, then pass it as
+ * --baseline afterwards (with the same seed) to see what the change moved.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { runMatch, summarizeResults } from '../shared/MatchRunner.js';
+import { BalanceTracker, formatReport } from '../shared/BalanceReport.js';
+import { MATCH_OPTIONS, fail, resolveMatchOptions, silenceEngine } from './simulation-cli.js';
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...MATCH_OPTIONS,
+            p1: { type: 'string', default: 'arsenal' },
+            p2: { type: 'string', default: 'arsenal' },
+            games: { type: 'string', default: '50' },
+            baseline: { type: 'string' },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const run = await resolveMatchOptions(values);
+
+    let baseline = null;
+    if (values.baseline) {
+        if (!fs.existsSync(values.baseline)) fail(`Baseline report ${values.baseline} not found`);
+        baseline = JSON.parse(fs.readFileSync(values.baseline, 'utf8')).report;
+    }
+
+    const tracker = new BalanceTracker();
+    const restoreLog = silenceEngine(values.verbose);
+    const results = [];
+    for (let i = 0; i < run.games; i++) {
+        const seed = (run.baseSeed + i) >>> 0;
+        tracker.beginMatch();
+        results.push(runMatch({
+            controllers: run.controllersFor(seed),
+            mapConfig: run.mapConfig,
+            mapName: run.mapName,
+            seed,
+            maxTurns: run.maxTurns,
+            options: run.options,
+            onTurn: (summary) => tracker.recordTurn(summary.events),
+            onEnd: (game) => tracker.endMatch(game)
+        }));
+        if (process.stderr.isTTY) process.stderr.write(`\r[Balance] ${i + 1}/${run.games} games`);
+    }
+    if (process.stderr.isTTY) process.stderr.write('\n');
+    restoreLog();
+
+    const output = {
+        config: run.config,
+        summary: summarizeResults(results),
+        report: tracker.getReport()
+    };
+
+    if (values.out) {
+        fs.writeFileSync(values.out, JSON.stringify(output, null, 2));
+        process.stderr.write(`Report written to ${values.out}\n`);
+    }
+    process.stdout.write(values.json ? `${JSON.stringify(output, null, 2)}\n` : `${formatReport(output.report, baseline)}\n`);
+}
+
+main().catch((err) => fail(err.message));
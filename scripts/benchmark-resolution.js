@@ -0,0 +1,142 @@
+/**
+ * Resolution benchmark for Titan: Nexus Command.
+ *
+ * Builds a crowded two-player board, then resolves the same turns twice:
+ * once scanning every entity for each proximity query (the old behaviour)
+ * and once through GameState's spatial index. Also times the fog-of-war
+ * views the server builds for every resolution snapshot. Both runs must end
+ * in the exact same state.
+ *
+ * Usage:
+ *   node scripts/benchmark-resolution.js [--entities 320] [--turns 3] [--launches 8] [--seed 1]
+ */
+
+import { parseArgs } from 'util';
+import { performance } from 'perf_hooks';
+import { GameState } from '../shared/GameState.js';
+import { PLAYER_IDS, fail, parseCount, silenceEngine } from './simulation-cli.js';
+
+const STRUCTURE_MIX = [
+    'EXTRACTOR',
+    'EXTRACTOR',
+    'LASER_POINT_DEFENSE',
+    'FLAK_DEFENSE',
+    'LIGHT_SAM_DEFENSE',
+    'SHIELD',
+    'CLOAKING_FIELD'
+];
+const LAUNCH_MIX = ['WEAPON', 'HOMING_MISSILE', 'CLUSTER_BOMB', 'EXTRACTOR', 'EMP'];
+const HUB_SHARE = 0.25;
+
+/**
+ * Serialized starting state: every player gets entities/2 structures, a quarter of
+ * them hubs, each linked back to the nearest earlier hub of its owner.
+ */
+function buildBoard(entityCount, seed) {
+    const game = new GameState();
+    game.initializeGame(PLAYER_IDS, null, seed);
+    game.map.lakes = [];
+    game.map.mountains = [];
+
+    PLAYER_IDS.forEach((pid, seat) => {
+        const hubs = game.entities.filter((e) => e.owner === pid);
+        const perPlayer = Math.floor(entityCount / PLAYER_IDS.length) - hubs.length;
+        for (let i = 0; i < perPlayer; i++) {
+            // Each player holds one half of the map so there is a front line to fight over
+            const x = game.wrapX(seat * 1000 + game.random() * 1000);
+            const y = game.random() * game.map.height;
+            const type = game.random() < HUB_SHARE ? 'HUB' : STRUCTURE_MIX[i % STRUCTURE_MIX.length];
+            const parent = hubs.reduce((best, hub) =>
+                game.getToroidalDistance(x, y, hub.x, hub.y) < game.getToroidalDistance(x, y, best.x, best.y)
+                    ? hub
+                    : best
+            );
+            const entity = game.addEntity({ type, owner: pid, x, y, deployed: true });
+            game.addLink(parent.id, entity.id, pid);
+            if (type === 'HUB') hubs.push(entity);
+        }
+    });
+    return game.serialize();
+}
+
+/**
+ * Launches for one turn, drawn from the benchmark's own RNG so both runs fire the same shots.
+ */
+function planTurn(game, rng, launches) {
+    const actions = {};
+    PLAYER_IDS.forEach((pid) => {
+        const hubs = game.entities.filter((e) => e.owner === pid && e.type === 'HUB');
+        actions[pid] = hubs.slice(0, launches).map((hub, i) => ({
+            playerId: pid,
+            sourceId: hub.id,
+            itemType: LAUNCH_MIX[(i + game.turn) % LAUNCH_MIX.length],
+            angle: GameState.advanceRng(rng) * 360,
+            distance: GameState.calculatePullDistance(200 + GameState.advanceRng(rng) * 400)
+        }));
+    });
+    return actions;
+}
+
+function run(board, { indexed, turns, launches, seed }) {
+    const game = GameState.deserialize(board);
+    game.spatialIndexEnabled = indexed;
+    const rng = { seed, state: seed };
+    const timing = { resolve: 0, fog: 0, snapshots: 0 };
+
+    for (let t = 0; t < turns && !game.winner; t++) {
+        PLAYER_IDS.forEach((pid) => (game.players[pid].energy = 1000000));
+        const actions = planTurn(game, rng, launches);
+
+        let start = performance.now();
+        const snapshots = game.resolveTurn(actions);
+        timing.resolve += performance.now() - start;
+        timing.snapshots += snapshots.length;
+
+        // What the server does for every snapshot it streams
+        start = performance.now();
+        snapshots.forEach((snap) => PLAYER_IDS.forEach((pid) => game.getVisibleState(pid, snap.state)));
+        timing.fog += performance.now() - start;
+    }
+    return { timing, final: JSON.stringify(game.serialize()), entities: game.entities.length };
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            entities: { type: 'string', default: '320' },
+            turns: { type: 'string', default: '3' },
+            launches: { type: 'string', default: '8' },
+            seed: { type: 'string', default: '1' },
+            verbose: { type: 'boolean', default: false }
+        }
+    });
+    const options = {
+        turns: parseCount(values.turns, 'turns'),
+        launches: parseCount(values.launches, 'launches'),
+        seed: parseCount(values.seed, 'seed', 0)
+    };
+    const entityCount = parseCount(values.entities, 'entities', PLAYER_IDS.length);
+
+    const restoreLog = silenceEngine(values.verbose);
+    const board = buildBoard(entityCount, options.seed);
+    const linear = run(board, { ...options, indexed: false });
+    const indexed = run(board, { ...options, indexed: true });
+    restoreLog();
+
+    const row = (label, before, after) =>
+        `${label.padEnd(20)}${`${before.toFixed(0)} ms`.padStart(12)}${`${after.toFixed(0)} ms`.padStart(12)}${`${(before / Math.max(after, 0.001)).toFixed(1)}x`.padStart(10)}`;
+
+    console.log(
+        `Resolution benchmark: ${entityCount} entities, ${options.turns} turns, ` +
+        `${options.launches} launches per player per turn, seed ${options.seed}`
+    );
+    console.log(`${''.padEnd(20)}${'scan'.padStart(12)}${'index'.padStart(12)}${'speedup'.padStart(10)}`);
+    console.log(row('resolveTurn', linear.timing.resolve, indexed.timing.resolve));
+    console.log(row(`fog views (${linear.timing.snapshots * PLAYER_IDS.length})`, linear.timing.fog, indexed.timing.fog));
+    console.log(`Entities left: ${indexed.entities}`);
+
+    if (linear.final !== indexed.final) fail('Indexed and scanned runs ended in different states');
+    console.log('Final states identical: yes');
+}
+
+main();
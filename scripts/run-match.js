@@ -0,0 +1,83 @@
+/**
+ * Headless match runner for Titan: Nexus Command.
+ *
+ * Plays complete matches through GameState without a server, printing a
+ * summary line per turn to stderr and the final result JSON to stdout.
+ *
+ * Usage:
+ *   node scripts/run-match.js [--map playground] [--p1 normal] [--p2 easy]
+ *                             [--games 100] [--seed 42] [--max-turns 200]
+ *                             [--out results.json] [--replays dir]
+ *                             [--quiet] [--verbose] [--allow-experimental]
+ *
+ * Controllers are a bot difficulty (easy, normal), a scripted controller
+ * (idle, arsenal) or a path to an ES module whose default export is
+ * `(playerId, seed) => ({ planTurn(visibleState, options) })`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { runMatch, summarizeResults } from '../shared/MatchRunner.js';
+import { MATCH_OPTIONS, fail, resolveMatchOptions, silenceEngine } from './simulation-cli.js';
+
+function formatTurn(gameIndex, summary) {
+    const players = Object.entries(summary.players)
+        .map(([pid, p]) => `${pid}${p.alive ? '' : '✝'} E:${p.energy} H:${p.hubs} S:${p.structures} A:${summary.actions[pid]}`)
+        .join(' | ');
+    return `[Game ${gameIndex + 1}] Turn ${summary.turn}: ${players}${summary.winner ? ` -> ${summary.winner}` : ''}`;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...MATCH_OPTIONS,
+            replays: { type: 'string' },
+            quiet: { type: 'boolean', default: false }
+        }
+    });
+    const run = await resolveMatchOptions(values);
+
+    if (values.replays) fs.mkdirSync(values.replays, { recursive: true });
+
+    const restoreLog = silenceEngine(values.verbose);
+    const results = [];
+    for (let i = 0; i < run.games; i++) {
+        const seed = (run.baseSeed + i) >>> 0;
+        const result = runMatch({
+            controllers: run.controllersFor(seed),
+            mapConfig: run.mapConfig,
+            mapName: run.mapName,
+            seed,
+            maxTurns: run.maxTurns,
+            options: run.options,
+            recordReplay: !!values.replays,
+            onTurn: values.quiet ? null : (summary) => process.stderr.write(`${formatTurn(i, summary)}\n`)
+        });
+
+        if (result.replay) {
+            const file = path.join(values.replays, `sim_${seed}.json`);
+            fs.writeFileSync(file, JSON.stringify(result.replay, null, 2));
+            delete result.replay;
+            result.replayFile = file;
+        }
+        results.push(result);
+        process.stderr.write(`[Game ${i + 1}/${run.games}] seed ${seed}: ${result.winner || result.reason} after ${result.turns} turns\n`);
+    }
+    restoreLog();
+
+    const output = {
+        config: run.config,
+        summary: summarizeResults(results),
+        matches: results
+    };
+    const json = JSON.stringify(output, null, 2);
+
+    if (values.out) {
+        fs.writeFileSync(values.out, json);
+        process.stderr.write(`Results written to ${values.out}\n`);
+    }
+    process.stdout.write(`${json}\n`);
+}
+
+main().catch((err) => fail(err.message));
@@ -0,0 +1,105 @@
+/**
+ * Helpers shared by the headless simulation scripts (run-match, balance-report).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { mapService } from '../server/MapService.js';
+import { createController, listControllerNames, DEFAULT_MAX_TURNS } from '../shared/MatchRunner.js';
+import { GameState } from '../shared/GameState.js';
+
+export const PLAYER_IDS = ['player1', 'player2'];
+
+/**
+ * parseArgs options every simulation script accepts.
+ */
+export const MATCH_OPTIONS = {
+    map: { type: 'string' },
+    p1: { type: 'string', default: 'normal' },
+    p2: { type: 'string', default: 'normal' },
+    games: { type: 'string', default: '1' },
+    seed: { type: 'string' },
+    'max-turns': { type: 'string', default: String(DEFAULT_MAX_TURNS) },
+    out: { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+    'allow-experimental': { type: 'boolean', default: false }
+};
+
+export function fail(message) {
+    process.stderr.write(`Error: ${message}\n`);
+    process.exit(1);
+}
+
+export function parseCount(value, name, min = 1) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) fail(`--${name} must be an integer >= ${min}`);
+    return n;
+}
+
+/**
+ * Resolves a controller spec to a factory `(playerId, seed) => controller`.
+ */
+async function loadControllerFactory(spec) {
+    if (listControllerNames().includes(spec)) {
+        return (playerId, seed) => createController(spec, playerId, seed);
+    }
+    const modulePath = path.resolve(process.cwd(), spec);
+    if (!fs.existsSync(modulePath)) {
+        fail(`Unknown controller "${spec}" (use ${listControllerNames().join(', ')} or a module path)`);
+    }
+    const mod = await import(pathToFileURL(modulePath).href);
+    if (typeof mod.default !== 'function') {
+        fail(`Controller module ${spec} must default-export a (playerId, seed) => controller factory`);
+    }
+    return mod.default;
+}
+
+/**
+ * Turns parsed MATCH_OPTIONS into everything needed to run a batch.
+ * `controllersFor(seed)` builds fresh controllers per game, seeded like LobbyRoom.createBots.
+ */
+export async function resolveMatchOptions(values) {
+    const games = parseCount(values.games, 'games');
+    const maxTurns = parseCount(values['max-turns'], 'max-turns');
+    const baseSeed = values.seed !== undefined ? parseCount(values.seed, 'seed', 0) : GameState.createSeed();
+
+    let mapConfig = null;
+    if (values.map) {
+        mapConfig = mapService.loadReadyMap(values.map);
+        if (!mapConfig) fail(`Ready map "${values.map}" not found (available: ${mapService.listReadyMaps().join(', ')})`);
+    }
+
+    const factories = [await loadControllerFactory(values.p1), await loadControllerFactory(values.p2)];
+    const controllersFor = (seed) =>
+        Object.fromEntries(PLAYER_IDS.map((pid, index) => [pid, factories[index](pid, (seed + index + 1) >>> 0)]));
+
+    return {
+        games,
+        maxTurns,
+        baseSeed,
+        mapConfig,
+        mapName: values.map || null,
+        controllersFor,
+        options: { allowExperimental: values['allow-experimental'] },
+        config: {
+            map: values.map || null,
+            controllers: { [PLAYER_IDS[0]]: values.p1, [PLAYER_IDS[1]]: values.p2 },
+            games,
+            seed: baseSeed,
+            maxTurns
+        }
+    };
+}
+
+/**
+ * The engine narrates every launch and hit; that's noise across hundreds of games.
+ * Returns a function that restores console.log.
+ */
+export function silenceEngine(verbose) {
+    const engineLog = console.log;
+    if (!verbose) console.log = () => { };
+    return () => {
+        console.log = engineLog;
+    };
+}
@@ -1,19 +1,69 @@
 import { LobbyRoom } from './LobbyRoom.js';
 
+export const DEFAULT_ROOM_ID = 'default';
+
 export class LobbyManager {
-    constructor() {
+    /**
+     * @param {object} roomOptions - Defaults applied to every room (see LobbyRoom)
+     */
+    constructor(roomOptions = {}) {
+        this.roomOptions = roomOptions;
         this.rooms = new Map();
-        // Create a default room for the prototype
-        this.getOrCreateRoom('default');
+        // The default room is permanent and acts as the landing lobby
+        this.getOrCreateRoom(DEFAULT_ROOM_ID);
     }
 
-    getOrCreateRoom(roomId) {
+    getOrCreateRoom(roomId, maxPlayers = 2) {
         if (!this.rooms.has(roomId)) {
-            this.rooms.set(roomId, new LobbyRoom(roomId));
+            this.rooms.set(roomId, new LobbyRoom(roomId, maxPlayers, this.roomOptions));
         }
         return this.rooms.get(roomId);
     }
 
+    getRoom(roomId) {
+        return this.rooms.get(roomId) || null;
+    }
+
+    /**
+     * Creates a new room. If no id is requested (or it is taken), a random one is generated.
+     */
+    createRoom(requestedId = null, maxPlayers = 2) {
+        let roomId = typeof requestedId === 'string'
+            ? requestedId.trim().replace(/[^a-z0-9_-]/gi, '_').substring(0, 32)
+            : '';
+        if (!roomId || this.rooms.has(roomId)) {
+            do {
+                roomId = `room-${Math.random().toString(36).substring(2, 8)}`;
+            } while (this.rooms.has(roomId));
+        }
+        return this.getOrCreateRoom(roomId, maxPlayers);
+    }
+
+    /**
+     * Removes a room. The default room can never be removed.
+     */
+    removeRoom(roomId) {
+        if (roomId === DEFAULT_ROOM_ID) return false;
+        const room = this.rooms.get(roomId);
+        if (!room) return false;
+        room.resetMatch();
+        return this.rooms.delete(roomId);
+    }
+
+    listRooms() {
+        return Array.from(this.rooms.values()).map((room) => room.getSummary());
+    }
+
+    /**
+     * Finds the room holding a seat (lobby) or assignment (match) for a session token.
+     */
+    findRoomByToken(token) {
+        for (const room of this.rooms.values()) {
+            if (room.hasToken(token)) return room;
+        }
+        return null;
+    }
+
     handleSocketDisconnect(socketId) {
         for (const room of this.rooms.values()) {
             room.handleDisconnect(socketId);
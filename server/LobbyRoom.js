@@ -1,11 +1,120 @@
+import { GameState } from '../shared/GameState.js';
+import { GLOBAL_STATS } from '../shared/constants/EntityStats.js';
+import { ReplayRecorder } from '../shared/Replay.js';
+import { BotPlayer, BOT_TOKEN_PREFIX } from '../shared/BotPlayer.js';
+import { normalizeRules } from '../shared/MatchRules.js';
+
+/**
+ * Clamps a requested seat count to the supported free-for-all range.
+ */
+export function clampPlayerCount(count) {
+    const parsed = parseInt(count);
+    if (isNaN(parsed)) return GLOBAL_STATS.MIN_PLAYERS;
+    return Math.max(GLOBAL_STATS.MIN_PLAYERS, Math.min(GLOBAL_STATS.MAX_PLAYERS, parsed));
+}
+
+/**
+ * Room actions only the host (or a server admin) may perform, with the wording used when one is denied.
+ */
+export const HOST_ACTIONS = {
+    restart: 'restart the match',
+    setMap: 'choose the map',
+    kick: 'kick players',
+    settings: 'change the room settings',
+    transferHost: 'hand over the host role'
+};
+
 export class LobbyRoom {
-    constructor(id, maxPlayers = 2) {
+    /**
+     * @param {object} options - { allowExperimental, reconnectGrace, pauseOnDisconnect, disconnectAction,
+     *   adminTokens, rules } server-wide defaults for new rooms
+     */
+    constructor(id, maxPlayers = 2, options = {}) {
         this.id = id;
-        this.maxPlayers = maxPlayers;
-        this.slots = new Array(maxPlayers).fill(null);
+        this.allowExperimental = !!options.allowExperimental;
+        this.adminTokens = options.adminTokens || []; // Session tokens allowed every host action in every room
+        this.hostToken = null; // Creator, or whoever the role was handed to (see getHostToken)
+        this.creatorSocketId = null; // Creating socket that had not authenticated yet (see setCreator)
+        this.rules = normalizeRules(options.rules); // MatchRules the host picked for the next match
+        // Disconnected players keep their seat for reconnectGrace seconds, then forfeit or are replaced by a bot
+        this.reconnectGrace = options.reconnectGrace ?? 60;
+        this.pauseOnDisconnect = !!options.pauseOnDisconnect;
+        this.disconnectAction = options.disconnectAction === 'bot' ? 'bot' : 'forfeit';
+        this.maxPlayers = clampPlayerCount(maxPlayers);
+        this.slots = new Array(this.maxPlayers).fill(null);
         this.spectators = [];
         this.status = 'LOBBY'; // LOBBY, IN_GAME
         this.selectedMapName = null;
+
+        // Match context (one independent match per room)
+        this.game = new GameState();
+        this.timeRemaining = 0;
+        this.timerTimeout = null;
+        this.matchGeneration = 0;
+        this.disconnected = {};
+        this.resetMatch();
+    }
+
+    get playerIds() {
+        return Array.from({ length: this.maxPlayers }, (_, i) => `player${i + 1}`);
+    }
+
+    /**
+     * Clears all per-match tracking (assignments, sockets, actions, lock-in).
+     * Does not touch lobby slots; callers decide whether seats survive.
+     */
+    resetMatch() {
+        if (this.timerTimeout) {
+            clearTimeout(this.timerTimeout);
+            this.timerTimeout = null;
+        }
+        Object.values(this.disconnected).forEach((away) => clearTimeout(away.timeout));
+        this.disconnected = {}; // { playerId: { expiresAt, timeout } } seats held for a dropped player
+        this.pendingForfeits = []; // Players who forfeited while a turn was resolving
+        this.drawOffers = []; // Players offering a draw this turn
+        this.rematchRequests = []; // Players asking for a rematch once the match is over
+        this.timerPaused = false;
+        this.matchStarted = false;
+        // Bumped on every reset so async work (a turn resolving in a worker) can tell its match is gone
+        this.matchGeneration++;
+        this.replay = null; // ReplayRecorder for the running match
+        this.bots = {}; // { playerId: BotPlayer } for seats filled by the computer
+        this.playerAssignments = {};
+        this.activeSockets = {};
+        this.turnActions = {};
+        this.lockedIn = {};
+        this.playerIds.forEach((pid) => {
+            this.playerAssignments[pid] = null;
+            this.activeSockets[pid] = null;
+            this.turnActions[pid] = null;
+            this.lockedIn[pid] = false;
+        });
+    }
+
+    /**
+     * Lock-in status restricted to valid player ids (safe to broadcast).
+     */
+    getLockedInStatus() {
+        const filtered = {};
+        this.playerIds.forEach((pid) => {
+            filtered[pid] = this.lockedIn[pid];
+        });
+        return filtered;
+    }
+
+    /**
+     * Players still in the match. Eliminated players no longer hold up the turn.
+     */
+    getActivePlayerIds() {
+        return this.playerIds.filter((pid) => this.game.players[pid]?.alive !== false);
+    }
+
+    isEveryoneLockedIn() {
+        return this.getActivePlayerIds().every((pid) => this.lockedIn[pid]);
+    }
+
+    isPlayer(playerId) {
+        return this.playerIds.includes(playerId);
     }
 
     claimSeat(slotIndex, token, socketId) {
@@ -19,6 +128,7 @@ export class LobbyRoom {
 
         // Remove from existing slot if any
         this.slots = this.slots.map(slot => (slot && (slot.token === token || slot.socketId === socketId)) ? null : slot);
+        this.adoptCreator(socketId, token);
 
         this.slots[slotIndex] = { token, socketId, ready: false };
         return { success: true };
@@ -33,16 +143,347 @@ export class LobbyRoom {
         return false;
     }
 
+    /**
+     * Seats a computer opponent. Bots are always ready.
+     */
+    addBot(slotIndex, difficulty = 'normal') {
+        if (this.matchStarted) {
+            return { success: false, message: 'Match already started' };
+        }
+        if (slotIndex < 0 || slotIndex >= this.maxPlayers) {
+            return { success: false, message: 'Invalid slot' };
+        }
+        if (this.slots[slotIndex]) {
+            return { success: false, message: 'Slot already occupied' };
+        }
+        if (!BotPlayer.isValidDifficulty(difficulty)) {
+            return { success: false, message: `Unknown difficulty ${difficulty}` };
+        }
+
+        this.slots[slotIndex] = {
+            token: `${BOT_TOKEN_PREFIX}${this.id}:${slotIndex}`,
+            socketId: null,
+            ready: true,
+            isBot: true,
+            difficulty
+        };
+        return { success: true };
+    }
+
+    removeBot(slotIndex) {
+        if (this.matchStarted || !this.slots[slotIndex]?.isBot) {
+            return { success: false, message: 'No bot in that slot' };
+        }
+        this.slots[slotIndex] = null;
+        return { success: true };
+    }
+
+    /**
+     * Creates the BotPlayer for every bot seat. Each bot gets its own RNG stream off the match seed.
+     */
+    createBots(seed) {
+        this.bots = {};
+        this.playerIds.forEach((pid, index) => {
+            const slot = this.slots[index];
+            if (slot?.isBot) {
+                this.bots[pid] = new BotPlayer(pid, slot.difficulty, (seed + index + 1) >>> 0);
+            }
+        });
+    }
+
+    /**
+     * Hands a disconnected player's seat to a bot until they come back.
+     */
+    addStandInBot(playerId) {
+        const seed = this.game.rng.seed + this.playerIds.indexOf(playerId) + 1;
+        this.bots[playerId] = new BotPlayer(playerId, 'normal', seed >>> 0);
+    }
+
+    /**
+     * True if a human seat is currently played by a stand-in bot.
+     */
+    hasStandInBot(playerId) {
+        return !!this.bots[playerId] && !BotPlayer.isBotToken(this.playerAssignments[playerId]);
+    }
+
+    /**
+     * Starts a player's reconnection grace period. `onExpire` runs if they have not returned in time.
+     */
+    markDisconnected(playerId, onExpire) {
+        this.markReconnected(playerId);
+        const timeout = setTimeout(() => {
+            delete this.disconnected[playerId];
+            onExpire();
+        }, this.reconnectGrace * 1000);
+        this.disconnected[playerId] = { expiresAt: Date.now() + this.reconnectGrace * 1000, timeout };
+    }
+
+    /**
+     * Ends a player's grace period. Returns false if they were not marked as disconnected.
+     */
+    markReconnected(playerId) {
+        const away = this.disconnected[playerId];
+        if (!away) return false;
+        clearTimeout(away.timeout);
+        delete this.disconnected[playerId];
+        return true;
+    }
+
+    hasDisconnectedPlayers() {
+        return Object.keys(this.disconnected).length > 0;
+    }
+
+    /**
+     * Connection state of every seat (safe to broadcast). `expiresIn` is the grace time left in seconds.
+     */
+    getConnectionStatus() {
+        const players = {};
+        this.playerIds.forEach((pid) => {
+            const away = this.disconnected[pid];
+            if (away) {
+                players[pid] = {
+                    status: 'disconnected',
+                    expiresIn: Math.max(0, Math.ceil((away.expiresAt - Date.now()) / 1000))
+                };
+            } else if (this.bots[pid]) {
+                players[pid] = { status: 'bot', standIn: this.hasStandInBot(pid) };
+            } else {
+                players[pid] = { status: this.activeSockets[pid] ? 'connected' : 'offline' };
+            }
+        });
+        return {
+            players,
+            timerPaused: this.timerPaused,
+            disconnectAction: this.disconnectAction
+        };
+    }
+
+    /**
+     * Records a draw offer (or acceptance). Returns true once every player still in the match agrees.
+     */
+    offerDraw(playerId) {
+        if (!this.drawOffers.includes(playerId)) this.drawOffers.push(playerId);
+        return this.isDrawAgreed();
+    }
+
+    isDrawAgreed() {
+        return this.drawOffers.length > 0 && this.getActivePlayerIds().every((pid) => this.drawOffers.includes(pid));
+    }
+
+    /**
+     * Records a rematch request. Returns true once every human seat has asked; bots always agree.
+     */
+    requestRematch(playerId) {
+        if (!this.rematchRequests.includes(playerId)) this.rematchRequests.push(playerId);
+        return this.playerIds.every(
+            (pid) => BotPlayer.isBotToken(this.playerAssignments[pid]) || this.rematchRequests.includes(pid)
+        );
+    }
+
+    /**
+     * Pending draw offers and rematch requests (safe to broadcast).
+     */
+    getOffers() {
+        return { drawOffers: [...this.drawOffers], rematchRequests: [...this.rematchRequests] };
+    }
+
+    /**
+     * Re-seats the finished match's players (and bots) so the next match starts with the same lineup.
+     */
+    prepareRematch() {
+        this.slots = this.playerIds.map((pid) => {
+            const token = this.playerAssignments[pid];
+            if (!token) return null;
+            if (BotPlayer.isBotToken(token)) {
+                return { token, socketId: null, ready: true, isBot: true, difficulty: this.bots[pid]?.difficulty || 'normal' };
+            }
+            return { token, socketId: this.activeSockets[pid], ready: true };
+        });
+    }
+
+    /**
+     * Session token of the host: the room creator (or whoever it was handed to),
+     * otherwise the human in the lowest seat.
+     */
+    getHostToken() {
+        if (this.hostToken) return this.hostToken;
+        const seatTokens = this.matchStarted
+            ? this.playerIds.map((pid) => this.playerAssignments[pid])
+            : this.slots.map((slot) => slot?.token);
+        return seatTokens.find((token) => token && !BotPlayer.isBotToken(token)) || null;
+    }
+
+    isHost(token) {
+        return !!token && token === this.getHostToken();
+    }
+
+    isAdmin(token) {
+        return !!token && this.adminTokens.includes(token);
+    }
+
+    /**
+     * Whether a session token may perform a room action. Actions outside HOST_ACTIONS are open to everyone.
+     */
+    can(token, action) {
+        if (!(action in HOST_ACTIONS)) return true;
+        return this.isAdmin(token) || this.isHost(token);
+    }
+
+    setHost(token) {
+        this.hostToken = token || null;
+    }
+
+    /**
+     * Makes the session of the socket that created the room its host. A socket that has
+     * not authenticated yet is remembered and takes the role once its token is known.
+     */
+    setCreator(socketId, token) {
+        this.creatorSocketId = token ? null : socketId;
+        this.setHost(token);
+    }
+
+    /**
+     * Called when a socket authenticates or sits down: the creator takes the host role
+     * with its token, unless someone was handed the role in the meantime.
+     */
+    adoptCreator(socketId, token) {
+        if (!token || !socketId || socketId !== this.creatorSocketId) return;
+        this.creatorSocketId = null;
+        if (!this.hostToken) this.hostToken = token;
+    }
+
+    /**
+     * Called when a token leaves the room. A departing host falls back to the lowest seated human.
+     */
+    releaseHost(token) {
+        if (token && token === this.hostToken) this.hostToken = null;
+    }
+
+    /**
+     * Hands the host role to the human in a seat.
+     */
+    transferHost(slotIndex) {
+        const slot = this.slots[slotIndex];
+        if (!slot || slot.isBot) {
+            return { success: false, message: 'No player in that seat' };
+        }
+        this.hostToken = slot.token;
+        return { success: true };
+    }
+
+    /**
+     * Removes a human from their lobby seat. Returns the kicked socket id so the caller can notify it.
+     */
+    kick(slotIndex, byToken) {
+        if (this.matchStarted) {
+            return { success: false, message: 'Match already started' };
+        }
+        const slot = this.slots[slotIndex];
+        if (!slot || slot.isBot) {
+            return { success: false, message: 'No player in that seat' };
+        }
+        if (slot.token === byToken) {
+            return { success: false, message: 'You cannot kick yourself' };
+        }
+        this.slots[slotIndex] = null;
+        this.releaseHost(slot.token);
+        return { success: true, socketId: slot.socketId };
+    }
+
+    /**
+     * Changes some of the room's rules (see MatchRules). Only allowed before the match starts.
+     */
+    setRules(rules) {
+        if (this.matchStarted) {
+            return { success: false, message: 'Match already started' };
+        }
+        this.rules = normalizeRules(rules, this.rules);
+        return { success: true };
+    }
+
     setMap(mapName) {
         this.selectedMapName = mapName;
     }
 
+    /**
+     * Resizes the lobby. Only allowed before the match starts, and never drops a claimed seat.
+     */
+    setMaxPlayers(count) {
+        if (this.matchStarted) {
+            return { success: false, message: 'Match already started' };
+        }
+        const newMax = clampPlayerCount(count);
+        if (this.slots.slice(newMax).some(s => s !== null)) {
+            return { success: false, message: 'Cannot remove an occupied seat' };
+        }
+
+        this.slots = Array.from({ length: newMax }, (_, i) => this.slots[i] || null);
+        this.maxPlayers = newMax;
+        this.resetMatch();
+        return { success: true };
+    }
+
+    hasToken(token) {
+        if (!token) return false;
+        if (this.matchStarted) {
+            return Object.values(this.playerAssignments).includes(token);
+        }
+        return this.slots.some(s => s && s.token === token);
+    }
+
     handleDisconnect(socketId) {
         const slotIndex = this.slots.findIndex(s => s && s.socketId === socketId);
         if (slotIndex !== -1) {
             this.slots[slotIndex] = null;
         }
         this.spectators = this.spectators.filter(id => id !== socketId);
+        if (socketId === this.creatorSocketId) this.creatorSocketId = null;
+    }
+
+    /**
+     * Everything needed to resume this room's running match after a server restart.
+     * Sockets, lock-ins and pending actions are transient and intentionally left out.
+     */
+    serializeMatch() {
+        return {
+            id: this.id,
+            maxPlayers: this.maxPlayers,
+            selectedMapName: this.selectedMapName,
+            hostToken: this.hostToken,
+            rules: this.rules,
+            playerAssignments: { ...this.playerAssignments },
+            bots: Object.fromEntries(
+                Object.entries(this.bots).map(([pid, bot]) => [pid, { difficulty: bot.difficulty, rng: { ...bot.rng } }])
+            ),
+            game: this.game.serialize(),
+            replay: this.replay ? this.replay.toJSON() : null
+        };
+    }
+
+    /**
+     * Rebuilds a running match from serializeMatch() output. Seats are reclaimed by session token.
+     */
+    restoreMatch(data) {
+        this.maxPlayers = clampPlayerCount(data.maxPlayers);
+        this.slots = new Array(this.maxPlayers).fill(null);
+        this.selectedMapName = data.selectedMapName || null;
+        this.hostToken = data.hostToken || null;
+        this.rules = normalizeRules(data.rules, this.rules);
+        this.resetMatch();
+
+        this.playerIds.forEach((pid) => {
+            this.playerAssignments[pid] = data.playerAssignments?.[pid] || null;
+        });
+        Object.entries(data.bots || {}).forEach(([pid, saved]) => {
+            const bot = new BotPlayer(pid, saved.difficulty, saved.rng.seed);
+            bot.rng = { ...saved.rng };
+            this.bots[pid] = bot;
+        });
+        this.game = GameState.deserialize(data.game);
+        this.game.phase = 'PLANNING'; // Checkpoints are taken between turns
+        this.replay = data.replay ? ReplayRecorder.fromJSON(data.replay) : null;
+        this.matchStarted = true;
+        this.status = 'IN_GAME';
     }
 
     getUpdate() {
@@ -51,6 +492,22 @@ export class LobbyRoom {
             slots: this.slots,
             maxPlayers: this.maxPlayers,
             status: this.status,
+            selectedMapName: this.selectedMapName,
+            allowExperimental: this.allowExperimental,
+            rules: this.rules,
+            hostSlot: this.slots.findIndex((slot) => slot && slot.token === this.getHostToken())
+        };
+    }
+
+    /**
+     * Compact description used by the room browser.
+     */
+    getSummary() {
+        return {
+            id: this.id,
+            status: this.status,
+            maxPlayers: this.maxPlayers,
+            playerCount: this.slots.filter(s => s !== null).length,
             selectedMapName: this.selectedMapName
         };
     }
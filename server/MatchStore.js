@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shouldPersistMatches } from './persistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SAVE_DIR = process.env.SAVE_DIR || path.join(__dirname, '../shared/saves');
+
+/**
+ * Disk checkpoints of running matches, one file per room, so a restarted server can resume them.
+ */
+class MatchStore {
+    constructor() {
+        this.enabled = shouldPersistMatches();
+        if (this.enabled && !fs.existsSync(SAVE_DIR)) {
+            fs.mkdirSync(SAVE_DIR, { recursive: true });
+        }
+    }
+
+    getFilePath(roomId) {
+        return path.join(SAVE_DIR, `${String(roomId).replace(/[^a-z0-9_-]/gi, '_')}.json`);
+    }
+
+    /**
+     * Writes the checkpoint atomically (temp file + rename) so a crash mid-write never corrupts it.
+     */
+    saveCheckpoint(roomId, data) {
+        if (!this.enabled) return false;
+        const filePath = this.getFilePath(roomId);
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ ...data, savedAt: new Date().toISOString() }));
+        fs.renameSync(tempPath, filePath);
+        return true;
+    }
+
+    deleteCheckpoint(roomId) {
+        if (!this.enabled) return false;
+        const filePath = this.getFilePath(roomId);
+        if (!fs.existsSync(filePath)) return false;
+        fs.unlinkSync(filePath);
+        return true;
+    }
+
+    /**
+     * Loads every readable checkpoint. Corrupt files are skipped and reported.
+     */
+    loadCheckpoints() {
+        if (!this.enabled || !fs.existsSync(SAVE_DIR)) return [];
+        return fs.readdirSync(SAVE_DIR)
+            .filter(f => f.endsWith('.json'))
+            .map((f) => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(SAVE_DIR, f), 'utf-8'));
+                } catch (err) {
+                    console.error(`[MatchStore] Skipping unreadable checkpoint ${f}:`, err.message);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+}
+
+export const matchStore = new MatchStore();
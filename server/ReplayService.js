@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shouldPersistMatches } from './persistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, '../shared/replays');
+
+export class ReplayService {
+    /**
+     * @param {string} [dir] - Folder holding the replay files
+     * @param {boolean} [enabled] - Whether saveReplay writes anything
+     */
+    constructor(dir = REPLAY_DIR, enabled = shouldPersistMatches()) {
+        this.dir = dir;
+        this.enabled = enabled;
+        if (this.enabled && !fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    /**
+     * File name for a recorder's match, stable for the lifetime of the match.
+     */
+    getReplayName(replay) {
+        const data = replay.toJSON ? replay.toJSON() : replay;
+        const stamp = data.startedAt.replace(/[^0-9]/g, '').substring(0, 14);
+        return `${data.roomId}_${stamp}_${data.seed}`.replace(/[^a-z0-9_-]/gi, '_');
+    }
+
+    /**
+     * Writes (or overwrites) the replay file. Called after every turn so a crash keeps the match.
+     * Returns the replay name, or null when persistence is off.
+     */
+    saveReplay(replay) {
+        if (!this.enabled) return null;
+        const name = this.getReplayName(replay);
+        const filePath = path.join(this.dir, `${name}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(replay, null, 2));
+        return name;
+    }
+
+    listReplays() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => f.replace('.json', ''))
+            .sort()
+            .reverse();
+    }
+
+    loadReplay(name) {
+        const safeName = String(name).replace(/[^a-z0-9_-]/gi, '_');
+        const filePath = path.join(this.dir, `${safeName}.json`);
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+}
+
+export const replayService = new ReplayService();
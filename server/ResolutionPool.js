@@ -0,0 +1,129 @@
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const WORKER_FILE = path.join(__dirname, 'resolutionWorker.js');
+
+const RESOLUTION_WORKERS = parseInt(process.env.RESOLUTION_WORKERS) || Math.max(1, Math.min(4, os.availableParallelism() - 1));
+const RESOLUTION_TIMEOUT = parseInt(process.env.RESOLUTION_TIMEOUT) || 15000;
+
+/**
+ * Why a turn could not be resolved: 'timeout' (the worker was stopped) or 'error'.
+ */
+export class ResolutionError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ResolutionError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Resolves turns on worker threads so a heavy turn never blocks the Socket.io event loop.
+ * Each job gets a serialized GameState and the turn's actions; the worker resolves a copy
+ * and streams the snapshots back one message at a time, then the resulting state.
+ * The caller's GameState is never touched, so a failed turn leaves the match as it was.
+ */
+export class ResolutionPool {
+    constructor({ size = RESOLUTION_WORKERS, timeoutMs = RESOLUTION_TIMEOUT, workerFile = WORKER_FILE } = {}) {
+        this.size = Math.max(1, size);
+        this.timeoutMs = timeoutMs;
+        this.workerFile = workerFile;
+        this.workers = []; // { worker, job }
+        this.queue = []; // Jobs waiting for a free worker
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Resolves one turn. Returns { snapshots, state } with state as produced by GameState.serialize().
+     * Rejects with a ResolutionError if the worker fails or runs longer than the timeout.
+     */
+    resolve(state, actionsMap) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextJobId++, state, actionsMap, snapshots: [], resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find((w) => !w.job);
+            if (!slot && this.workers.length < this.size) slot = this.spawn();
+            if (!slot) return;
+            this.start(slot, this.queue.shift());
+        }
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.workerFile), job: null };
+        slot.worker.unref(); // Idle workers never keep the process alive
+        slot.worker.on('message', (message) => this.handleMessage(slot, message));
+        slot.worker.on('error', (err) => this.retire(slot, new ResolutionError('error', err.message)));
+        slot.worker.on('exit', (code) => this.retire(slot, new ResolutionError('error', `Resolution worker exited with code ${code}`)));
+        this.workers.push(slot);
+        return slot;
+    }
+
+    start(slot, job) {
+        slot.job = job;
+        job.timer = setTimeout(() => {
+            // The worker may be stuck in the simulation: stop it and let the next job spawn a fresh one
+            this.retire(slot, new ResolutionError('timeout', `Turn resolution exceeded ${this.timeoutMs}ms`));
+            slot.worker.terminate();
+        }, this.timeoutMs);
+        slot.worker.postMessage({ id: job.id, state: job.state, actions: job.actionsMap });
+    }
+
+    handleMessage(slot, message) {
+        const job = slot.job;
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'snapshot') {
+            job.snapshots.push(message.snapshot);
+        } else if (message.type === 'done') {
+            this.finish(slot);
+            job.resolve({ snapshots: job.snapshots, state: message.state });
+        } else if (message.type === 'error') {
+            this.finish(slot);
+            job.reject(new ResolutionError('error', message.message));
+        }
+    }
+
+    finish(slot) {
+        clearTimeout(slot.job.timer);
+        slot.job = null;
+        this.dispatch();
+    }
+
+    /**
+     * Drops a broken or stuck worker, failing the job it was running.
+     */
+    retire(slot, error) {
+        if (!this.workers.includes(slot)) return;
+        this.workers = this.workers.filter((w) => w !== slot);
+        const job = slot.job;
+        if (job) {
+            clearTimeout(job.timer);
+            slot.job = null;
+            job.reject(error);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Stops every worker. Pending and queued turns fail.
+     */
+    async close() {
+        const closing = new ResolutionError('error', 'Resolution pool closed');
+        this.queue.splice(0).forEach((job) => job.reject(closing));
+        const workers = this.workers;
+        workers.forEach((slot) => this.retire(slot, closing));
+        await Promise.all(workers.map((slot) => slot.worker.terminate()));
+    }
+}
+
+export const resolutionPool = new ResolutionPool();
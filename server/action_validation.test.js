@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Authoritative Action Validation', () => {
+    let serverProcess;
+    let replayDir;
+    const url = 'http://localhost:3123';
+    const clients = [];
+
+    beforeAll(async () => {
+        // Replays are written to a temp folder so the recorded (sanitized) actions can be read back
+        replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titan-validation-'));
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: {
+                ...process.env,
+                PORT: '3123',
+                PERSIST_MATCHES: '1',
+                SAVE_DIR: replayDir,
+                REPLAY_DIR: replayDir,
+                RESOLUTION_ROUND_DELAY: '10',
+                RESOLUTION_SUB_TICK_DELAY: '1'
+            },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+        fs.rmSync(replayDir, { recursive: true, force: true });
+    });
+
+    it('should reject invalid actions with structured reasons and lock in the rest', async () => {
+        const p1 = Client(url);
+        const p2 = Client(url);
+        clients.push(p1, p2);
+
+        const stateP1 = new Promise((resolve) => {
+            p1.on('gameStateUpdate', function listener(s) {
+                if (s.turn >= 1) {
+                    p1.off('gameStateUpdate', listener);
+                    resolve(s);
+                }
+            });
+        });
+
+        p1.emit('authenticate', 'validation-token-p1');
+        p2.emit('authenticate', 'validation-token-p2');
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:claimSeat', 0);
+        p2.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:ready', true);
+        p2.emit('lobby:ready', true);
+
+        const state = await stateP1;
+        const hub = state.entities.find((e) => e.owner === 'player1' && e.type === 'HUB');
+
+        const rejectedPromise = new Promise((resolve) => p1.once('actionsRejected', resolve));
+        const lockedPromise = new Promise((resolve) => {
+            p1.on('syncStatus', function listener(status) {
+                if (status.lockedIn.player1) {
+                    p1.off('syncStatus', listener);
+                    resolve(status);
+                }
+            });
+        });
+
+        p1.emit('submitActions', [
+            { sourceId: hub.id, itemType: 'HUB', angle: 0, distance: 100 },
+            { sourceId: hub.id, itemType: 'SUPER_BOMB', angle: 0, distance: 100 },
+            { sourceId: hub.id, itemType: 'WEAPON', angle: 0, distance: 5000 },
+            { sourceId: 'not-a-real-entity', itemType: 'WEAPON', angle: 0, distance: 100 }
+        ]);
+
+        const { turn, rejected } = await rejectedPromise;
+        expect(turn).toBe(1);
+        expect(rejected.map((r) => [r.index, r.reason])).toEqual([
+            [1, 'EXPERIMENTAL_ITEM'],
+            [2, 'INVALID_DISTANCE'],
+            [3, 'UNKNOWN_SOURCE']
+        ]);
+        rejected.forEach((r) => expect(typeof r.message).toBe('string'));
+
+        // The valid launch still locks the player in
+        await lockedPromise;
+    }, 20000);
+
+    it('should strip fields outside the action whitelist before resolving', async () => {
+        // Continues the match above: player1 is locked in, player2 submits and the turn resolves
+        const [p1, p2] = clients;
+        const resolving = new Promise((resolve) => {
+            p1.on('resolutionStatus', function listener(status) {
+                if (status.active) {
+                    p1.off('resolutionStatus', listener);
+                    resolve();
+                }
+            });
+        });
+
+        const state = await new Promise((resolve) => {
+            p2.once('gameStateUpdate', resolve);
+            p2.emit('requestState');
+        });
+        const hub = state.entities.find((e) => e.owner === 'player2' && e.type === 'HUB');
+        p2.emit('submitActions', [
+            { type: 'LAUNCH', sourceId: hub.id, itemType: 'WEAPON', angle: 90, distance: 100, cost: 0, hp: 999 }
+        ]);
+        await resolving;
+
+        const file = fs.readdirSync(replayDir).find((name) => name.startsWith('default_'));
+        const replay = JSON.parse(fs.readFileSync(path.join(replayDir, file), 'utf8'));
+        expect(replay.turns[0].actions.player2).toEqual([
+            { type: 'LAUNCH', sourceId: hub.id, itemType: 'WEAPON', angle: 90, distance: 100, playerId: 'player2' }
+        ]);
+    }, 20000);
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Bot Opponents', () => {
+    let serverProcess;
+    const url = 'http://localhost:3124';
+    const clients = [];
+
+    beforeAll(async () => {
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: { ...process.env, PORT: '3124', BOT_THINK_DELAY: '50' },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+    });
+
+    it('should start a match against a bot that locks in on its own', async () => {
+        const host = Client(url);
+        const guest = Client(url);
+        clients.push(host, guest);
+
+        host.emit('authenticate', 'bot-match-host');
+        guest.emit('authenticate', 'bot-match-guest');
+        await new Promise((r) => setTimeout(r, 200));
+        host.emit('lobby:claimSeat', 0);
+        await new Promise((r) => setTimeout(r, 200));
+
+        // Only the host may seat bots
+        guest.emit('lobby:addBot', { slotIndex: 1, difficulty: 'easy' });
+        await new Promise((r) => setTimeout(r, 200));
+
+        const botSeated = new Promise((resolve) => {
+            host.on('lobby:update', function listener(update) {
+                if (update.slots[1]?.isBot) {
+                    host.off('lobby:update', listener);
+                    resolve(update);
+                }
+            });
+        });
+        host.emit('lobby:addBot', { slotIndex: 1, difficulty: 'easy' });
+        const update = await botSeated;
+        expect(update.slots[1]).toMatchObject({ ready: true, difficulty: 'easy' });
+
+        const botLockedIn = new Promise((resolve) => {
+            host.on('syncStatus', function listener(status) {
+                if (status.lockedIn.player2) {
+                    host.off('syncStatus', listener);
+                    resolve(status);
+                }
+            });
+        });
+        host.emit('lobby:ready', true);
+        const status = await botLockedIn;
+        expect(status.lockedIn.player1).toBe(false);
+
+        const nextTurn = new Promise((resolve) => {
+            host.on('gameStateUpdate', function listener(s) {
+                if (s.turn >= 2) {
+                    host.off('gameStateUpdate', listener);
+                    resolve(s);
+                }
+            });
+        });
+        host.emit('submitActions', []);
+        expect((await nextTurn).turn).toBe(2);
+    }, 20000);
+});
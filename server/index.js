@@ -3,9 +3,16 @@ import http from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import { GameState } from '../shared/GameState.js';
-import { ENTITY_STATS } from '../shared/constants/EntityStats.js';
-import { LobbyManager } from './LobbyManager.js';
+import { LobbyManager, DEFAULT_ROOM_ID } from './LobbyManager.js';
+import { HOST_ACTIONS } from './LobbyRoom.js';
 import { mapService } from './MapService.js';
+import { replayService } from './ReplayService.js';
+import { matchStore } from './MatchStore.js';
+import { resolutionPool } from './ResolutionPool.js';
+import { ReplayRecorder } from '../shared/Replay.js';
+import { diffStates } from '../shared/StateDelta.js';
+import { validateActions } from '../shared/ActionValidator.js';
+import { BotPlayer } from '../shared/BotPlayer.js';
 
 const app = express();
 app.use(cors());
@@ -40,72 +47,338 @@ function safeEmit(emitter, event, data) {
     }
 }
 
-// Global Game + Lobby State
-const game = new GameState();
-const lobbyManager = new LobbyManager();
-const playerIds = ['player1', 'player2'];
+// Experimental items (ExperimentalStats.js) are rejected unless explicitly enabled
+const ALLOW_EXPERIMENTAL_ITEMS = process.env.ALLOW_EXPERIMENTAL_ITEMS === '1';
 
-let playerAssignments = {
-    player1: null,
-    player2: null
-};
+// Mid-match disconnects: seconds a seat is held, whether the turn timer waits, and what happens after
+const RECONNECT_GRACE = parseInt(process.env.RECONNECT_GRACE) || 60;
+const PAUSE_ON_DISCONNECT = process.env.PAUSE_ON_DISCONNECT === '1';
+const DISCONNECT_ACTION = process.env.DISCONNECT_ACTION === 'bot' ? 'bot' : 'forfeit';
 
-let activeSockets = {
-    player1: null,
-    player2: null
-};
+// Session tokens that may restart, configure and moderate any room (comma-separated)
+const ADMIN_TOKENS = (process.env.ADMIN_TOKENS || '').split(',').map((t) => t.trim()).filter(Boolean);
 
-let turnActions = {
-    player1: null,
-    player2: null
-};
+// Default planning time per turn; hosts can change it in their room's rules
+const TURN_DURATION = parseInt(process.env.TURN_DURATION) || 30;
 
-let lockedIn = {
-    player1: false,
-    player2: false
-};
+// Lobby State: every room owns its own match context (GameState, timer, lock-in)
+const lobbyManager = new LobbyManager({
+    allowExperimental: ALLOW_EXPERIMENTAL_ITEMS,
+    adminTokens: ADMIN_TOKENS,
+    rules: { turnDuration: TURN_DURATION },
+    reconnectGrace: RECONNECT_GRACE,
+    pauseOnDisconnect: PAUSE_ON_DISCONNECT,
+    disconnectAction: DISCONNECT_ACTION
+});
 
-const TURN_DURATION = parseInt(process.env.TURN_DURATION) || 30;
 const RESOLUTION_ROUND_DELAY = parseInt(process.env.RESOLUTION_ROUND_DELAY) || 2000;
 const RESOLUTION_SUB_TICK_DELAY = parseInt(process.env.RESOLUTION_SUB_TICK_DELAY) || 60;
+const BOT_THINK_DELAY = parseInt(process.env.BOT_THINK_DELAY) || 500;
+
+/**
+ * Returns the lobby room a socket currently belongs to (falls back to the default room).
+ */
+function getSocketRoom(socket) {
+    return lobbyManager.getRoom(socket.roomId) || lobbyManager.getOrCreateRoom(DEFAULT_ROOM_ID);
+}
+
+/**
+ * Returns the connected sockets that joined a room's Socket.io channel.
+ */
+function getRoomSockets(room) {
+    const socketIds = io.sockets.adapter.rooms.get(room.id) || new Set();
+    return Array.from(socketIds)
+        .map((sid) => io.sockets.sockets.get(sid))
+        .filter(Boolean);
+}
+
+/**
+ * Checks a host-only room action (HOST_ACTIONS) for a socket and tells it when it is denied.
+ */
+function authorize(socket, room, action) {
+    if (room.can(socket.currentToken, action)) return true;
+    console.warn(`[Lobby] Denied ${action} by ${socket.id} in room ${room.id}`);
+    safeEmit(socket, 'permission:denied', { action, message: `Only the room host can ${HOST_ACTIONS[action]}` });
+    return false;
+}
+
+function broadcastRoomList() {
+    io.emit('room:listUpdate', lobbyManager.listRooms());
+}
+
+/**
+ * Deletes a non-default room once nobody is left in it and no match is running.
+ */
+function pruneRoom(room) {
+    if (room.id === DEFAULT_ROOM_ID || room.matchStarted) return;
+    if (getRoomSockets(room).length > 0) return;
+    console.log(`[Lobby] Removing empty room ${room.id}`);
+    lobbyManager.removeRoom(room.id);
+    broadcastRoomList();
+}
+
+/**
+ * Moves a socket into a room, releasing anything it held in its previous room.
+ */
+function moveSocketToRoom(socket, room) {
+    if (socket.roomId && socket.roomId !== room.id) {
+        const previous = getSocketRoom(socket);
+        previous.releaseHost(socket.currentToken);
+        if (!previous.matchStarted) {
+            previous.handleDisconnect(socket.id);
+            io.to(previous.id).emit('lobby:update', previous.getUpdate());
+        } else if (
+            socket.assignedPlayerId &&
+            previous.activeSockets[socket.assignedPlayerId] === socket.id
+        ) {
+            handlePlayerDisconnect(previous, socket.assignedPlayerId);
+        }
+        socket.leave(previous.id);
+        socket.assignedPlayerId = null;
+        pruneRoom(previous);
+    }
+    socket.join(room.id);
+    socket.roomId = room.id;
+}
 
-let timeRemaining = TURN_DURATION;
-let timerTimeout = null;
-let matchStarted = false;
+function startTimer(room) {
+    if (room.timerTimeout) {
+        clearTimeout(room.timerTimeout);
+        room.timerTimeout = null;
+    }
+    room.timeRemaining = room.rules.turnDuration;
+    console.log(`[Timer] [${room.id}] NEW TIMER START: ${room.timeRemaining}s`);
+    safeEmit(io.to(room.id), 'timerUpdate', room.timeRemaining);
 
-function startTimer() {
-    if (timerTimeout) {
-        clearTimeout(timerTimeout);
-        timerTimeout = null;
+    // While paused for a disconnected player the clock waits at full time (see resumeTimer)
+    if (!room.timerPaused) {
+        room.timerTimeout = setTimeout(() => tick(room), 1000);
     }
-    timeRemaining = TURN_DURATION;
-    console.log(`[Timer] NEW TIMER START: ${timeRemaining}s`);
-    safeEmit(io, 'timerUpdate', timeRemaining);
 
-    timerTimeout = setTimeout(tick, 1000);
+    // A new timer means a new planning phase: let the bots plan theirs
+    scheduleBots(room);
 }
 
-function tick() {
-    timeRemaining--;
-    safeEmit(io, 'timerUpdate', timeRemaining);
+/**
+ * Bots plan from their own fogged view and submit through the same path as human players.
+ */
+function scheduleBots(room) {
+    if (Object.keys(room.bots).length === 0) return;
+    const turn = room.game.turn;
+    setTimeout(() => {
+        if (!room.matchStarted || room.game.phase !== 'PLANNING' || room.game.turn !== turn) return;
+        Object.entries(room.bots).forEach(([pid, bot]) => {
+            if (room.lockedIn[pid] || room.game.players[pid]?.alive === false) return;
+            const actions = bot.planTurn(room.game.getVisibleState(pid), {
+                allowExperimental: room.allowExperimental
+            });
+            console.log(`[Bot] [${room.id}] ${pid} (${bot.difficulty}) planned ${actions.length} action(s)`);
+            submitPlayerActions(room, pid, actions);
+        });
+    }, BOT_THINK_DELAY);
+}
 
-    if (timeRemaining <= 0) {
-        console.log('[Timer] Time up!');
-        resolveTurn();
+function tick(room) {
+    room.timeRemaining--;
+    safeEmit(io.to(room.id), 'timerUpdate', room.timeRemaining);
+
+    if (room.timeRemaining <= 0) {
+        console.log(`[Timer] [${room.id}] Time up!`);
+        resolveTurn(room);
     } else {
-        timerTimeout = setTimeout(tick, 1000);
+        room.timerTimeout = setTimeout(() => tick(room), 1000);
+    }
+}
+
+/**
+ * Stops the turn clock while a player is disconnected (PAUSE_ON_DISCONNECT).
+ */
+function pauseTimer(room) {
+    if (room.timerPaused) return;
+    room.timerPaused = true;
+    if (room.timerTimeout) {
+        clearTimeout(room.timerTimeout);
+        room.timerTimeout = null;
     }
+    console.log(`[Timer] [${room.id}] Paused with ${room.timeRemaining}s left`);
 }
 
-function startMatch() {
-    console.log('[Lobby] Starting match...');
-    const room = lobbyManager.getOrCreateRoom('default');
+/**
+ * Restarts a paused turn clock once no player is disconnected any more.
+ */
+function resumeTimer(room) {
+    if (!room.timerPaused || room.hasDisconnectedPlayers()) return;
+    room.timerPaused = false;
+    if (room.matchStarted && room.game.phase === 'PLANNING' && !room.timerTimeout) {
+        console.log(`[Timer] [${room.id}] Resumed with ${room.timeRemaining}s left`);
+        room.timerTimeout = setTimeout(() => tick(room), 1000);
+    }
+}
+
+function emitConnectionStatus(room) {
+    safeEmit(io.to(room.id), 'match:connections', room.getConnectionStatus());
+}
+
+/**
+ * A player's socket left a running match. Their seat is held for the room's grace period;
+ * if they have not returned by then they forfeit or a bot takes over (DISCONNECT_ACTION).
+ */
+function handlePlayerDisconnect(room, playerId) {
+    room.activeSockets[playerId] = null;
+    if (room.bots[playerId] || room.game.winner || room.game.players[playerId]?.alive === false) return;
+
+    console.log(`[Server] [${room.id}] ${playerId} disconnected, holding seat for ${room.reconnectGrace}s`);
+    room.markDisconnected(playerId, () => expireDisconnect(room, playerId));
+    if (room.pauseOnDisconnect) pauseTimer(room);
+    emitConnectionStatus(room);
+}
+
+/**
+ * Ends a player's grace period when one of their sockets reclaims the seat.
+ * A stand-in bot hands control back.
+ */
+function handlePlayerReconnect(room, playerId) {
+    const wasAway = room.markReconnected(playerId);
+    const hadStandIn = room.hasStandInBot(playerId);
+    if (hadStandIn) delete room.bots[playerId];
+    if (wasAway || hadStandIn) {
+        console.log(`[Server] [${room.id}] ${playerId} reconnected`);
+        resumeTimer(room);
+    }
+    emitConnectionStatus(room);
+}
+
+function expireDisconnect(room, playerId) {
+    console.log(`[Server] [${room.id}] ${playerId} did not reconnect in time (${room.disconnectAction})`);
+    if (room.disconnectAction === 'bot') {
+        room.addStandInBot(playerId);
+        scheduleBots(room);
+    } else {
+        requestForfeit(room, playerId);
+    }
+    resumeTimer(room);
+    emitConnectionStatus(room);
+}
+
+/**
+ * Forfeits now, or once the turn in flight is applied (it was resolved from a copy of the match).
+ */
+function requestForfeit(room, playerId) {
+    if (room.game.phase === 'RESOLVING') {
+        if (!room.pendingForfeits.includes(playerId)) room.pendingForfeits.push(playerId);
+    } else {
+        forfeitPlayer(room, playerId);
+    }
+}
+
+/**
+ * Eliminates a player outside of combat and announces the new state (and winner, if any).
+ */
+function forfeitPlayer(room, playerId) {
+    const game = room.game;
+    if (!game.eliminatePlayer(playerId)) return;
+    console.log(`[Server] [${room.id}] ${playerId} forfeited`);
+    room.replay?.recordForfeit(game.turn, playerId);
+    if (game.winner) room.replay?.finish(game.winner);
+    saveReplay(room);
+    checkpointMatch(room);
+
+    emitFilteredState(room);
+    safeEmit(io.to(room.id), 'syncStatus', { lockedIn: room.getLockedInStatus() });
+
+    // The forfeiting player may have been the last one the others were waiting for (or to accept a draw)
+    if (!game.winner && game.phase === 'PLANNING') {
+        if (room.isDrawAgreed()) {
+            endInDraw(room);
+        } else if (room.isEveryoneLockedIn()) {
+            resolveTurn(room);
+        }
+    }
+}
+
+/**
+ * Ends the match in the draw every remaining player agreed to.
+ */
+function endInDraw(room) {
+    const game = room.game;
+    if (!game.declareDraw()) return;
+    console.log(`[Server] [${room.id}] Players agreed to a draw on turn ${game.turn}`);
+    room.drawOffers = [];
+    room.replay?.recordDraw(game.turn);
+    room.replay?.finish(game.winner);
+    saveReplay(room);
+    checkpointMatch(room);
+
+    emitFilteredState(room);
+    emitOffers(room);
+}
+
+function emitOffers(room) {
+    safeEmit(io.to(room.id), 'match:offers', room.getOffers());
+}
+
+/**
+ * Restarts a finished match with the same seats and map once every human player asked for it.
+ */
+function startRematch(room) {
+    console.log(`[Lobby] Rematch in room ${room.id}`);
+    room.prepareRematch();
+    startMatch(room);
+    io.to(room.id).emit('lobby:update', room.getUpdate());
+}
+
+/**
+ * Persists the room's replay. Failures are logged but never interrupt the match.
+ */
+function saveReplay(room) {
+    if (!room.replay) return;
+    try {
+        replayService.saveReplay(room.replay);
+    } catch (err) {
+        console.error(`[Replay] Failed to save replay for room ${room.id}:`, err);
+    }
+}
+
+/**
+ * Checkpoints a running match to disk (between turns), or drops the checkpoint once it is over.
+ */
+function checkpointMatch(room) {
+    try {
+        if (room.matchStarted && !room.game.winner) {
+            matchStore.saveCheckpoint(room.id, room.serializeMatch());
+        } else {
+            matchStore.deleteCheckpoint(room.id);
+        }
+    } catch (err) {
+        console.error(`[MatchStore] Failed to checkpoint room ${room.id}:`, err);
+    }
+}
+
+/**
+ * Resumes every checkpointed match after a server restart. Players reclaim seats by session token.
+ */
+function restoreMatches() {
+    matchStore.loadCheckpoints().forEach((data) => {
+        try {
+            const room = lobbyManager.getOrCreateRoom(data.id, data.maxPlayers);
+            room.restoreMatch(data);
+            console.log(`[MatchStore] Resumed match in room ${room.id} at turn ${room.game.turn}`);
+            startTimer(room);
+        } catch (err) {
+            console.error(`[MatchStore] Failed to resume room ${data.id}:`, err);
+        }
+    });
+}
+
+function startMatch(room) {
+    console.log(`[Lobby] Starting match in room ${room.id}...`);
+    room.resetMatch();
 
     // Assign players based on lobby slots
-    playerAssignments.player1 = room.slots[0]?.token || null;
-    playerAssignments.player2 = room.slots[1]?.token || null;
-    activeSockets.player1 = room.slots[0]?.socketId || null;
-    activeSockets.player2 = room.slots[1]?.socketId || null;
+    room.playerIds.forEach((pid, index) => {
+        room.playerAssignments[pid] = room.slots[index]?.token || null;
+        room.activeSockets[pid] = room.slots[index]?.socketId || null;
+    });
 
     // Load custom map if selected
     let mapConfig = null;
@@ -118,15 +391,29 @@ function startMatch() {
         }
     }
 
-    game.initializeGame(playerIds, mapConfig);
-    matchStarted = true;
+    // Every match gets a fresh seed; it is logged so a bad turn can be reproduced offline
+    const seed = GameState.createSeed();
+    room.game.initializeGame(room.playerIds, mapConfig, seed, room.rules);
+    room.createBots(seed);
+    console.log(`[Server] Room ${room.id} match seed: ${seed}`);
+    room.replay = new ReplayRecorder({
+        roomId: room.id,
+        playerIds: room.playerIds,
+        seed,
+        mapName: mapConfig ? room.selectedMapName : null,
+        mapConfig,
+        rules: room.rules
+    });
+    saveReplay(room);
+    checkpointMatch(room);
+    room.matchStarted = true;
     room.status = 'IN_GAME';
 
-    safeEmit(io, 'matchStarted', { playerAssignments });
+    safeEmit(io.to(room.id), 'matchStarted', { roomId: room.id, playerAssignments: room.playerAssignments });
 
     // Send individual assignments to each socket that was in a slot
-    playerIds.forEach(pid => {
-        const sid = activeSockets[pid];
+    room.playerIds.forEach(pid => {
+        const sid = room.activeSockets[pid];
         if (sid) {
             const socket = io.sockets.sockets.get(sid);
             if (socket) {
@@ -136,64 +423,125 @@ function startMatch() {
         }
     });
 
-    emitFilteredState();
-    startTimer();
+    broadcastRoomList();
+    emitFilteredState(room);
+    emitConnectionStatus(room);
+    emitOffers(room);
+    startTimer(room);
 }
 
 /**
- * Helper to emit the game state to all players.
+ * Starts the match once every seat of the room is filled and ready.
  */
-function emitFilteredState(state = null) {
-    if (!matchStarted) return;
+function maybeAutoStart(room) {
+    const filledSlots = room.slots.filter(s => s !== null);
+    if (!room.matchStarted && filledSlots.length === room.maxPlayers && filledSlots.every(s => s.ready)) {
+        startMatch(room);
+    }
+}
+
+/**
+ * Sends a full state and makes it the base for the socket's following deltas.
+ */
+function sendKeyframe(socket, room, state) {
+    socket.stateStream = { roomId: room.id, frame: 0, state };
+    safeEmit(socket, 'gameStateUpdate', state);
+}
+
+/**
+ * Helper to emit the game state to everyone in a room.
+ * With `asDelta`, sockets that already hold a keyframe of this room only get
+ * a StateDelta diff against the last state they were sent ('state:delta').
+ */
+function emitFilteredState(room, state = null, { asDelta = false } = {}) {
+    if (!room.matchStarted) return;
+    const game = room.game;
     const baseState = state || game.getState();
 
-    io.sockets.sockets.forEach((socket) => {
-        if (socket.assignedPlayerId) {
-            safeEmit(socket, 'gameStateUpdate', game.getVisibleState(socket.assignedPlayerId, baseState));
+    // One fog-filtered view per player, shared by all of that player's sockets
+    const views = new Map();
+    const viewFor = (pid) => {
+        if (!pid || pid === 'spectator') return baseState; // Spectators see everything
+        if (!views.has(pid)) views.set(pid, game.getVisibleState(pid, baseState));
+        return views.get(pid);
+    };
+
+    getRoomSockets(room).forEach((socket) => {
+        const view = viewFor(socket.assignedPlayerId);
+        const stream = socket.stateStream;
+        if (asDelta && stream?.roomId === room.id) {
+            stream.frame++;
+            safeEmit(socket, 'state:delta', { frame: stream.frame, delta: diffStates(stream.state, view) });
+            stream.state = view;
         } else {
-            // Spectators see everything
-            safeEmit(socket, 'gameStateUpdate', baseState);
+            sendKeyframe(socket, room, view);
         }
     });
 }
 
-async function resolveTurn() {
-    console.log(`[Server] resolveTurn called. Current Phase: ${game.phase}`);
+/**
+ * Resolves the room's turn on the resolution worker pool, then streams the snapshots.
+ * If the worker fails or times out the turn is marked failed ('resolution:failed'):
+ * the match state is left untouched and players plan the same turn again.
+ */
+async function resolveTurn(room) {
+    const game = room.game;
+    console.log(`[Server] [${room.id}] resolveTurn called. Current Phase: ${game.phase}`);
     if (game.phase === 'RESOLVING') {
         console.warn('[Server] Blocked parallel turn resolution.');
         return;
     }
     game.phase = 'RESOLVING';
+    const generation = room.matchGeneration;
 
     try {
-        if (timerTimeout) {
-            clearTimeout(timerTimeout);
-            timerTimeout = null;
+        if (room.timerTimeout) {
+            clearTimeout(room.timerTimeout);
+            room.timerTimeout = null;
         }
 
-        const actionsMap = {
-            player1: turnActions.player1 || [],
-            player2: turnActions.player2 || []
-        };
+        const actionsMap = {};
+        room.playerIds.forEach((pid) => {
+            actionsMap[pid] = room.turnActions[pid] || [];
+        });
 
-        console.log(`[Server] Resolving turn ${game.turn} with actions: P1=${actionsMap.player1.length}, P2=${actionsMap.player2.length}`);
+        const actionCounts = room.playerIds.map((pid) => `${pid}=${actionsMap[pid].length}`).join(', ');
+        console.log(`[Server] [${room.id}] Resolving turn ${game.turn} with actions: ${actionCounts}`);
 
-        let snapshots;
+        let result;
         try {
-            snapshots = game.resolveTurn(actionsMap);
+            result = await resolutionPool.resolve(game.serialize(), actionsMap);
         } catch (err) {
-            console.error('CRITICAL ERROR: GameState.resolveTurn failed:', err);
-            snapshots = [{ type: 'FINAL', state: game.getState() }];
+            console.error(`[Server] [${room.id}] Turn ${game.turn} resolution failed (${err.reason || 'error'}):`, err.message);
+            if (room.matchGeneration === generation) {
+                safeEmit(io.to(room.id), 'resolution:failed', { turn: game.turn, reason: err.reason || 'error' });
+            }
+            return;
         }
+        // The room may have been restarted while the worker was busy
+        if (room.matchGeneration !== generation) return;
 
-        safeEmit(io, 'syncStatus', { lockedIn });
-        safeEmit(io, 'resolutionStatus', { active: true, totalRounds: snapshots.length });
+        const snapshots = result.snapshots;
+        room.replay?.recordTurn(game.turn, actionsMap);
+        game.loadState(result.state);
+        game.phase = 'RESOLVING';
 
-        for (const snap of snapshots) {
-            emitFilteredState(snap.state);
+        if (game.winner) room.replay?.finish(game.winner);
+        saveReplay(room);
+
+        safeEmit(io.to(room.id), 'syncStatus', { lockedIn: room.getLockedInStatus() });
+        safeEmit(io.to(room.id), 'resolutionStatus', { active: true, totalRounds: snapshots.length });
+
+        for (const [index, snap] of snapshots.entries()) {
+            // The room may have been restarted mid-resolution
+            if (room.matchGeneration !== generation) break;
+            // The first snapshot is a keyframe, the rest stream as deltas
+            emitFilteredState(room, snap.events ? { ...snap.state, events: snap.events } : snap.state, {
+                asDelta: index > 0
+            });
 
             if (snap.type === 'ROUND_START' || snap.type === 'ROUND') {
-                safeEmit(io, 'resolutionRound', snap.round);
+                safeEmit(io.to(room.id), 'resolutionRound', snap.round);
             }
 
             const delay = snap.type === 'ROUND_SUB' ? RESOLUTION_SUB_TICK_DELAY : RESOLUTION_ROUND_DELAY;
@@ -202,90 +550,200 @@ async function resolveTurn() {
     } catch (err) {
         console.error('CRITICAL ERROR during snapshot processing:', err);
     } finally {
-        console.log('[Server] Finalizing turn resolution and unlocking UI...');
+        // A restarted room belongs to its next match; leave it alone
+        if (room.matchGeneration === generation) {
+            console.log(`[Server] [${room.id}] Finalizing turn resolution and unlocking UI...`);
+
+            room.playerIds.forEach((pid) => {
+                room.lockedIn[pid] = false;
+                room.turnActions[pid] = [];
+            });
+            game.phase = 'PLANNING';
+            room.pendingForfeits.splice(0).forEach((pid) => forfeitPlayer(room, pid));
+            // Draw offers only stand for the turn they were made in
+            if (room.drawOffers.length > 0) {
+                room.drawOffers = [];
+                emitOffers(room);
+            }
 
-        lockedIn.player1 = false;
-        lockedIn.player2 = false;
-        turnActions.player1 = [];
-        turnActions.player2 = [];
-        game.phase = 'PLANNING';
+            if (room.matchStarted) {
+                checkpointMatch(room);
+                emitFilteredState(room);
+                safeEmit(io.to(room.id), 'syncStatus', { lockedIn: room.getLockedInStatus() });
+                safeEmit(io.to(room.id), 'resolutionStatus', { active: false });
 
-        emitFilteredState();
-        safeEmit(io, 'syncStatus', { lockedIn });
-        safeEmit(io, 'resolutionStatus', { active: false });
+                startTimer(room);
+            }
+        }
+    }
+}
 
-        startTimer();
+/**
+ * Runs the shared validator for a player's planned actions and reports rejections back to
+ * the submitting socket (bots have none). Returns only the accepted (sanitized) actions.
+ */
+function validatePlayerActions(room, playerId, actions, socket = null) {
+    const { valid, rejected } = validateActions(room.game, playerId, actions, {
+        allowExperimental: room.allowExperimental
+    });
+    if (rejected.length > 0) {
+        rejected.forEach((r) => {
+            console.warn(`[Server] Action REJECTED for ${playerId}: ${r.reason} - ${r.message}`);
+        });
+        if (socket) {
+            safeEmit(socket, 'actionsRejected', {
+                turn: room.game.turn,
+                rejected: rejected.map(({ index, reason, message }) => ({ index, reason, message }))
+            });
+        }
     }
+    return valid;
 }
 
-// NOTE: We no longer call startTimer() at bottom-level. 
-// It is called in startMatch().
+/**
+ * Validates and locks in a player's turn, resolving once everyone still alive is locked in.
+ */
+function submitPlayerActions(room, playerId, actions, socket = null) {
+    room.turnActions[playerId] = validatePlayerActions(room, playerId, actions, socket);
+    room.lockedIn[playerId] = true;
+
+    safeEmit(io.to(room.id), 'syncStatus', { lockedIn: room.getLockedInStatus() });
+
+    if (room.isEveryoneLockedIn()) {
+        resolveTurn(room);
+    }
+}
+
+/**
+ * Brings a socket up to date with the room it is in: reclaims a match seat or lobby
+ * seat by session token, otherwise assigns spectator / unseated status.
+ */
+function syncSocketWithRoom(socket, room) {
+    const token = socket.currentToken;
+    const game = room.game;
+
+    if (room.matchStarted) {
+        // Re-claim slot logic
+        socket.assignedPlayerId = Object.keys(room.playerAssignments).find(
+            (pid) => token && room.playerAssignments[pid] === token
+        ) || 'spectator';
+
+        if (socket.assignedPlayerId !== 'spectator') {
+            room.activeSockets[socket.assignedPlayerId] = socket.id;
+            console.log(`Re-assigned ${socket.assignedPlayerId} to socket ${socket.id} in room ${room.id}`);
+            safeEmit(socket, 'playerAssignment', socket.assignedPlayerId);
+            sendKeyframe(socket, room, game.getVisibleState(socket.assignedPlayerId));
+            handlePlayerReconnect(room, socket.assignedPlayerId);
+        } else {
+            console.log(`${socket.id} joined match in room ${room.id} as spectator`);
+            safeEmit(socket, 'playerAssignment', 'spectator');
+            sendKeyframe(socket, room, game.getState());
+            safeEmit(socket, 'match:connections', room.getConnectionStatus());
+        }
+        safeEmit(socket, 'match:offers', room.getOffers());
+        safeEmit(socket, 'lobby:update', room.getUpdate()); // Send lobby state on reconnect
+
+        // Only send valid player lock status
+        safeEmit(io.to(room.id), 'syncStatus', { lockedIn: room.getLockedInStatus() });
+    } else {
+        // Lobby Phase
+        console.log(`Socket ${socket.id} in lobby of room ${room.id}`);
+
+        // Check if this token already has a seat reserved
+        const reservedSlotIndex = room.slots.findIndex(s => s && token && s.token === token);
+        if (reservedSlotIndex !== -1) {
+            socket.assignedPlayerId = `player${reservedSlotIndex + 1}`;
+            room.slots[reservedSlotIndex].socketId = socket.id; // Update socket ID
+            safeEmit(socket, 'playerAssignment', socket.assignedPlayerId);
+        } else if (room.slots.filter(s => s !== null).length >= room.maxPlayers) {
+            // If lobby is full and token is not found, they are a spectator
+            socket.assignedPlayerId = 'spectator';
+            safeEmit(socket, 'playerAssignment', 'spectator');
+        } else {
+            // Send null assignment if no seat claimed yet (legacy compat)
+            socket.assignedPlayerId = null;
+            safeEmit(socket, 'playerAssignment', null);
+        }
+
+        safeEmit(socket, 'lobby:update', room.getUpdate());
+    }
+}
 
 io.on('connection', (socket) => {
     console.log(`User Connected: ${socket.id}`);
+    moveSocketToRoom(socket, lobbyManager.getOrCreateRoom(DEFAULT_ROOM_ID));
 
     socket.on('authenticate', (token) => {
         if (!token) return;
+        if (BotPlayer.isBotToken(token)) {
+            console.warn(`[Server] Socket ${socket.id} tried to authenticate as a bot`);
+            return;
+        }
         socket.currentToken = token;
         console.log(`Authenticating socket ${socket.id} with token ${token}`);
+        // A socket that created its room before authenticating becomes its host now
+        getSocketRoom(socket).adoptCreator(socket.id, token);
+
+        // Follow the session token into whichever room holds its seat
+        const tokenRoom = lobbyManager.findRoomByToken(token);
+        if (tokenRoom && tokenRoom.id !== socket.roomId) {
+            moveSocketToRoom(socket, tokenRoom);
+            safeEmit(socket, 'room:joined', tokenRoom.getUpdate());
+        }
 
-        const room = lobbyManager.getOrCreateRoom('default');
-
-        if (matchStarted) {
-            // Re-claim slot logic
-            socket.assignedPlayerId = Object.keys(playerAssignments).find(
-                (pid) => playerAssignments[pid] === token
-            ) || 'spectator';
-
-            if (socket.assignedPlayerId !== 'spectator') {
-                activeSockets[socket.assignedPlayerId] = socket.id;
-                console.log(`Re-assigned ${socket.assignedPlayerId} to socket ${socket.id}`);
-                safeEmit(socket, 'playerAssignment', socket.assignedPlayerId);
-                safeEmit(socket, 'gameStateUpdate', game.getVisibleState(socket.assignedPlayerId));
-            } else {
-                console.log(`${socket.id} joined match as spectator`);
-                safeEmit(socket, 'playerAssignment', 'spectator');
-                safeEmit(socket, 'gameStateUpdate', game.getState());
-            }
-            safeEmit(socket, 'lobby:update', room.getUpdate()); // Send lobby state on reconnect
-
-            // Only send valid player lock status
-            const filteredLockedIn = {
-                player1: lockedIn.player1,
-                player2: lockedIn.player2
-            };
-            safeEmit(io, 'syncStatus', { lockedIn: filteredLockedIn });
-        } else {
-            // Lobby Phase
-            console.log(`Socket ${socket.id} in lobby`);
-
-            // Check if this token already has a seat reserved
-            const reservedSlotIndex = room.slots.findIndex(s => s && s.token === token);
-            if (reservedSlotIndex !== -1) {
-                socket.assignedPlayerId = `player${reservedSlotIndex + 1}`;
-                room.slots[reservedSlotIndex].socketId = socket.id; // Update socket ID
-                safeEmit(socket, 'playerAssignment', socket.assignedPlayerId);
-            } else if (room.slots.filter(s => s !== null).length >= room.maxPlayers) {
-                // If lobby is full and token is not found, they are a spectator
-                socket.assignedPlayerId = 'spectator';
-                safeEmit(socket, 'playerAssignment', 'spectator');
-            } else {
-                // Send null assignment if no seat claimed yet (legacy compat)
-                safeEmit(socket, 'playerAssignment', null);
-            }
+        syncSocketWithRoom(socket, getSocketRoom(socket));
+    });
+
+    socket.on('room:list', () => {
+        socket.emit('room:listUpdate', lobbyManager.listRooms());
+    });
+
+    socket.on('room:create', (options) => {
+        // Accepts a plain room name (legacy) or { name, maxPlayers }
+        const { name, maxPlayers } = typeof options === 'object' && options !== null
+            ? options
+            : { name: options, maxPlayers: 2 };
+        const room = lobbyManager.createRoom(name, maxPlayers);
+        console.log(`[Lobby] Room ${room.id} created by ${socket.id}`);
+        moveSocketToRoom(socket, room);
+        room.setCreator(socket.id, socket.currentToken);
+        safeEmit(socket, 'room:joined', room.getUpdate());
+        syncSocketWithRoom(socket, room);
+        broadcastRoomList();
+    });
 
-            safeEmit(socket, 'lobby:update', room.getUpdate());
+    socket.on('room:join', (roomId) => {
+        const room = lobbyManager.getRoom(roomId);
+        if (!room) {
+            socket.emit('room:error', { message: `Room ${roomId} does not exist` });
+            return;
         }
+        console.log(`[Lobby] Socket ${socket.id} joining room ${room.id}`);
+        moveSocketToRoom(socket, room);
+        safeEmit(socket, 'room:joined', room.getUpdate());
+        syncSocketWithRoom(socket, room);
+        io.to(room.id).emit('lobby:update', room.getUpdate());
+        broadcastRoomList();
+    });
+
+    socket.on('room:leave', () => {
+        if (socket.roomId === DEFAULT_ROOM_ID) return;
+        const room = lobbyManager.getOrCreateRoom(DEFAULT_ROOM_ID);
+        console.log(`[Lobby] Socket ${socket.id} left room ${socket.roomId}`);
+        moveSocketToRoom(socket, room);
+        safeEmit(socket, 'room:joined', room.getUpdate());
+        syncSocketWithRoom(socket, room);
+        broadcastRoomList();
     });
 
     socket.on('lobby:autoJoin', () => {
-        const room = lobbyManager.getOrCreateRoom('default');
-        console.log(`[Lobby] Auto-join requested by ${socket.id}`);
+        const room = getSocketRoom(socket);
+        console.log(`[Lobby] Auto-join requested by ${socket.id} in room ${room.id}`);
 
         // Find first available slot
         let slotIndex = room.slots.findIndex(s => s === null);
         if (slotIndex === -1) {
-            console.warn(`[Lobby] Auto-join failed: Room full`);
+            console.warn('[Lobby] Auto-join failed: Room full');
             return;
         }
 
@@ -295,153 +753,167 @@ io.on('connection', (socket) => {
             socket.assignedPlayerId = `player${slotIndex + 1}`;
             safeEmit(socket, 'playerAssignment', socket.assignedPlayerId);
             room.toggleReady(socket.id, true);
-            io.emit('lobby:update', room.getUpdate());
+            io.to(room.id).emit('lobby:update', room.getUpdate());
+            broadcastRoomList();
 
-            // Auto-start if 2 players are ready
-            const filledSlots = room.slots.filter(s => s !== null);
-            if (filledSlots.length === 2 && filledSlots.every(s => s.ready)) {
-                console.log(`[Lobby] Auto-starting match from autoJoin`);
-                startMatch();
-            }
+            // Auto-start if every seat is filled and ready
+            maybeAutoStart(room);
         }
     });
 
     socket.on('lobby:claimSeat', (slotIndex) => {
         console.log(`[Lobby] Socket ${socket.id} attempting to claim seat ${slotIndex} (Token: ${socket.currentToken})`);
-        const room = lobbyManager.getOrCreateRoom('default');
+        const room = getSocketRoom(socket);
+        if (room.matchStarted) return;
         const res = room.claimSeat(slotIndex, socket.currentToken, socket.id);
         if (res.success) {
-            console.log(`[Lobby] Slot ${slotIndex} CLAIMED by ${socket.id}`);
+            console.log(`[Lobby] Slot ${slotIndex} CLAIMED by ${socket.id} in room ${room.id}`);
             // Assign ID immediately for lobby phase (supports legacy tests)
             socket.assignedPlayerId = `player${slotIndex + 1}`;
             safeEmit(socket, 'playerAssignment', socket.assignedPlayerId);
-            io.emit('lobby:update', room.getUpdate());
+            io.to(room.id).emit('lobby:update', room.getUpdate());
+            broadcastRoomList();
         } else {
             console.warn(`[Lobby] Claim seat failed for ${socket.id}: ${res.message}`);
         }
     });
 
     socket.on('lobby:ready', (isReady) => {
-        const room = lobbyManager.getOrCreateRoom('default');
+        const room = getSocketRoom(socket);
+        if (room.matchStarted) return;
         if (room.toggleReady(socket.id, isReady)) {
-            io.emit('lobby:update', room.getUpdate());
+            io.to(room.id).emit('lobby:update', room.getUpdate());
 
-            // Auto-start if 2 players are ready
-            const filledSlots = room.slots.filter(s => s !== null);
-            if (filledSlots.length === 2 && filledSlots.every(s => s.ready)) {
-                startMatch();
-            }
+            // Auto-start if every seat is filled and ready
+            maybeAutoStart(room);
         }
     });
 
     socket.on('requestState', () => {
-        if (!matchStarted) return;
-        safeEmit(
+        const room = getSocketRoom(socket);
+        if (!room.matchStarted) return;
+        const game = room.game;
+        sendKeyframe(
             socket,
-            'gameStateUpdate',
+            room,
             socket.assignedPlayerId && socket.assignedPlayerId !== 'spectator'
                 ? game.getVisibleState(socket.assignedPlayerId)
                 : game.getState()
         );
         safeEmit(socket, 'playerAssignment', socket.assignedPlayerId || 'spectator');
-        const filteredLockedIn = {
-            player1: lockedIn.player1,
-            player2: lockedIn.player2
-        };
-        safeEmit(socket, 'syncStatus', { lockedIn: filteredLockedIn });
+        safeEmit(socket, 'syncStatus', { lockedIn: room.getLockedInStatus() });
     });
 
     socket.on('syncActions', (actions) => {
-        if (!matchStarted || game.phase !== 'PLANNING') return;
-        if (!socket.assignedPlayerId || socket.assignedPlayerId === 'spectator') return;
+        const room = getSocketRoom(socket);
+        if (!room.matchStarted || room.game.phase !== 'PLANNING') return;
+        if (!room.isPlayer(socket.assignedPlayerId)) return;
 
-        if (lockedIn[socket.assignedPlayerId]) return;
+        if (room.lockedIn[socket.assignedPlayerId]) return;
 
-        // Validation logic omitted for brevity in prototype, reuse from original if needed
-        turnActions[socket.assignedPlayerId] = actions;
+        room.turnActions[socket.assignedPlayerId] = validatePlayerActions(room, socket.assignedPlayerId, actions, socket);
     });
 
     socket.on('passTurn', () => {
-        if (!matchStarted || game.phase !== 'PLANNING') return;
-        if (socket.assignedPlayerId !== 'player1' && socket.assignedPlayerId !== 'player2') return;
+        const room = getSocketRoom(socket);
+        if (!room.matchStarted || room.game.phase !== 'PLANNING') return;
+        if (!room.isPlayer(socket.assignedPlayerId)) return;
 
-        console.log(`[Server] Player ${socket.assignedPlayerId} PASSED turn`);
-        lockedIn[socket.assignedPlayerId] = true;
-        turnActions[socket.assignedPlayerId] = [];
+        console.log(`[Server] [${room.id}] Player ${socket.assignedPlayerId} PASSED turn`);
+        room.lockedIn[socket.assignedPlayerId] = true;
+        room.turnActions[socket.assignedPlayerId] = [];
 
-        const filteredLockedIn = {
-            player1: lockedIn.player1,
-            player2: lockedIn.player2
-        };
-        safeEmit(io, 'syncStatus', { lockedIn: filteredLockedIn });
+        safeEmit(io.to(room.id), 'syncStatus', { lockedIn: room.getLockedInStatus() });
 
-        if (lockedIn.player1 && lockedIn.player2) {
-            resolveTurn();
+        if (room.isEveryoneLockedIn()) {
+            resolveTurn(room);
         }
     });
 
     socket.on('submitActions', (actions) => {
-        if (!matchStarted || game.phase !== 'PLANNING') {
-            console.warn(`[Server] submitActions ignored: matchStarted=${matchStarted}, phase=${game.phase}`);
+        const room = getSocketRoom(socket);
+        const game = room.game;
+        if (!room.matchStarted || game.phase !== 'PLANNING') {
+            console.warn(`[Server] submitActions ignored: matchStarted=${room.matchStarted}, phase=${game.phase}`);
             return;
         }
-        if (socket.assignedPlayerId !== 'player1' && socket.assignedPlayerId !== 'player2') {
+        if (!room.isPlayer(socket.assignedPlayerId)) {
             console.warn(`[Server] submitActions ignored: unauthorized assignedPlayerId=${socket.assignedPlayerId}`);
             return;
         }
 
-        const validatedActions = [];
-        let totalCost = 0;
-        const player = game.players[socket.assignedPlayerId];
+        submitPlayerActions(room, socket.assignedPlayerId, actions, socket);
+    });
 
-        for (const action of actions) {
-            const sourceEntity = game.entities.find((e) => e.id === action.sourceId);
-            if (!sourceEntity || sourceEntity.owner !== socket.assignedPlayerId) {
-                console.warn(`[Server] Action REJECTED for ${socket.assignedPlayerId}: unauthorized source ${action.sourceId}`);
-                continue;
-            }
+    socket.on('match:surrender', () => {
+        const room = getSocketRoom(socket);
+        const playerId = socket.assignedPlayerId;
+        if (!room.matchStarted || !room.isPlayer(playerId)) return;
+        if (room.game.winner || room.game.players[playerId]?.alive === false) return;
 
-            const cost = ENTITY_STATS[action.itemType]?.cost || 0;
-            if (player.energy < totalCost + cost) {
-                console.warn(`[Server] Action REJECTED for ${socket.assignedPlayerId}: insufficient energy (has ${player.energy}, needs ${totalCost + cost})`);
-                continue;
-            }
+        console.log(`[Server] [${room.id}] ${playerId} surrendered`);
+        requestForfeit(room, playerId);
+    });
 
-            totalCost += cost;
-            validatedActions.push({ ...action, playerId: socket.assignedPlayerId });
+    socket.on('match:offerDraw', () => {
+        const room = getSocketRoom(socket);
+        const playerId = socket.assignedPlayerId;
+        if (!room.matchStarted || !room.isPlayer(playerId)) return;
+        if (room.game.winner || room.game.players[playerId]?.alive === false) return;
+        if (room.game.phase !== 'PLANNING') {
+            safeEmit(socket, 'room:error', { message: 'Draws can only be agreed while planning' });
+            return;
         }
 
-        turnActions[socket.assignedPlayerId] = validatedActions;
-        lockedIn[socket.assignedPlayerId] = true;
+        console.log(`[Server] [${room.id}] ${playerId} offers a draw`);
+        if (room.offerDraw(playerId)) {
+            endInDraw(room);
+        } else {
+            emitOffers(room);
+        }
+    });
 
-        const filteredLockedIn = {
-            player1: lockedIn.player1,
-            player2: lockedIn.player2
-        };
-        safeEmit(io, 'syncStatus', { lockedIn: filteredLockedIn });
+    socket.on('match:declineDraw', () => {
+        const room = getSocketRoom(socket);
+        if (!room.matchStarted || !room.isPlayer(socket.assignedPlayerId) || room.drawOffers.length === 0) return;
 
-        if (lockedIn.player1 && lockedIn.player2) {
-            resolveTurn();
+        console.log(`[Server] [${room.id}] ${socket.assignedPlayerId} declined the draw`);
+        room.drawOffers = [];
+        emitOffers(room);
+    });
+
+    socket.on('match:rematch', () => {
+        const room = getSocketRoom(socket);
+        const playerId = socket.assignedPlayerId;
+        if (!room.matchStarted || !room.isPlayer(playerId) || !room.game.winner) return;
+
+        console.log(`[Server] [${room.id}] ${playerId} asks for a rematch`);
+        if (room.requestRematch(playerId)) {
+            startRematch(room);
+        } else {
+            emitOffers(room);
         }
     });
 
     socket.on('restartGame', () => {
-        matchStarted = false;
-        const room = lobbyManager.getOrCreateRoom('default');
+        const room = getSocketRoom(socket);
+        // Once the match is decided its players may go back to the lobby; before that only the host can end it
+        const matchOver = room.matchStarted && room.game.winner && room.isPlayer(socket.assignedPlayerId);
+        if (!matchOver && !authorize(socket, room, 'restart')) return;
+
+        console.log(`[Lobby] Match in room ${room.id} restarted by ${socket.id}`);
+        room.resetMatch();
+        checkpointMatch(room);
+        room.game.phase = 'PLANNING';
         room.status = 'LOBBY';
         room.slots = new Array(room.maxPlayers).fill(null); // Full reset of slots
 
-        // Reset all match tracking globals
-        playerAssignments = { player1: null, player2: null };
-        activeSockets = { player1: null, player2: null };
-        turnActions = { player1: null, player2: null };
-        lockedIn = { player1: false, player2: false };
-
-        // Reset all sockets
-        io.sockets.sockets.forEach(s => { s.assignedPlayerId = null; });
+        // Reset all sockets of this room
+        getRoomSockets(room).forEach(s => { s.assignedPlayerId = null; });
 
-        io.emit('lobby:update', room.getUpdate());
-        io.emit('matchRestarted');
+        io.to(room.id).emit('lobby:update', room.getUpdate());
+        io.to(room.id).emit('matchRestarted');
+        broadcastRoomList();
     });
 
     socket.on('map:save', ({ name, data }) => {
@@ -460,37 +932,140 @@ io.on('connection', (socket) => {
         socket.emit('map:listUpdate', maps);
     });
 
+    socket.on('replay:list', () => {
+        socket.emit('replay:listUpdate', replayService.listReplays());
+    });
+
+    socket.on('replay:load', (name) => {
+        try {
+            const replay = replayService.loadReplay(name);
+            if (!replay) {
+                socket.emit('replay:error', { message: `Replay ${name} not found` });
+                return;
+            }
+            socket.emit('replay:data', { name, replay });
+        } catch (err) {
+            console.error('[Replay] Failed to load replay:', err);
+            socket.emit('replay:error', { message: err.message });
+        }
+    });
+
     socket.on('room:listMaps', () => {
         const maps = mapService.listReadyMaps();
         socket.emit('room:mapsUpdate', maps);
     });
 
     socket.on('lobby:setMap', (mapName) => {
-        const room = lobbyManager.getOrCreateRoom('default');
-        // Authority check: Only player 1 (slot 0) can set the map
-        const slot1 = room.slots[0];
-        if (slot1 && slot1.socketId === socket.id) {
-            console.log(`[Lobby] Map set to ${mapName} by ${socket.id}`);
-            room.setMap(mapName);
-            io.emit('lobby:update', room.getUpdate());
+        const room = getSocketRoom(socket);
+        if (!authorize(socket, room, 'setMap')) return;
+        console.log(`[Lobby] Map set to ${mapName} by ${socket.id} in room ${room.id}`);
+        room.setMap(mapName);
+        io.to(room.id).emit('lobby:update', room.getUpdate());
+        broadcastRoomList();
+    });
+
+    socket.on('lobby:addBot', ({ slotIndex, difficulty } = {}) => {
+        const room = getSocketRoom(socket);
+        if (!authorize(socket, room, 'settings')) return;
+        const res = room.addBot(slotIndex, difficulty);
+        if (res.success) {
+            console.log(`[Lobby] ${difficulty} bot seated in slot ${slotIndex} of room ${room.id}`);
+            io.to(room.id).emit('lobby:update', room.getUpdate());
+            broadcastRoomList();
+            maybeAutoStart(room);
         } else {
-            console.warn(`[Lobby] Unauthorized map selection attempt by ${socket.id}`);
+            console.warn(`[Lobby] Add bot failed for room ${room.id}: ${res.message}`);
+        }
+    });
+
+    socket.on('lobby:removeBot', (slotIndex) => {
+        const room = getSocketRoom(socket);
+        if (!authorize(socket, room, 'settings')) return;
+        if (room.removeBot(slotIndex).success) {
+            io.to(room.id).emit('lobby:update', room.getUpdate());
+            broadcastRoomList();
+        }
+    });
+
+    socket.on('lobby:setMaxPlayers', (count) => {
+        const room = getSocketRoom(socket);
+        if (!authorize(socket, room, 'settings')) return;
+        const res = room.setMaxPlayers(count);
+        if (res.success) {
+            console.log(`[Lobby] Room ${room.id} resized to ${room.maxPlayers} players`);
+            io.to(room.id).emit('lobby:update', room.getUpdate());
+            broadcastRoomList();
+        } else {
+            console.warn(`[Lobby] Resize failed for room ${room.id}: ${res.message}`);
+        }
+    });
+
+    socket.on('lobby:setRules', (rules) => {
+        const room = getSocketRoom(socket);
+        if (!authorize(socket, room, 'settings')) return;
+        const res = room.setRules(rules);
+        if (!res.success) {
+            safeEmit(socket, 'room:error', { message: res.message });
+            return;
         }
+        console.log(`[Lobby] Rules of room ${room.id} changed by ${socket.id}:`, room.rules);
+        io.to(room.id).emit('lobby:update', room.getUpdate());
+    });
+
+    socket.on('lobby:kick', (slotIndex) => {
+        const room = getSocketRoom(socket);
+        if (!authorize(socket, room, 'kick')) return;
+        const res = room.kick(slotIndex, socket.currentToken);
+        if (!res.success) {
+            safeEmit(socket, 'room:error', { message: res.message });
+            return;
+        }
+
+        console.log(`[Lobby] Seat ${slotIndex} of room ${room.id} kicked by ${socket.id}`);
+        const kicked = res.socketId && io.sockets.sockets.get(res.socketId);
+        if (kicked) {
+            safeEmit(kicked, 'room:kicked', { roomId: room.id });
+            if (room.id !== DEFAULT_ROOM_ID) {
+                const lobby = lobbyManager.getOrCreateRoom(DEFAULT_ROOM_ID);
+                moveSocketToRoom(kicked, lobby);
+                safeEmit(kicked, 'room:joined', lobby.getUpdate());
+            }
+            syncSocketWithRoom(kicked, getSocketRoom(kicked));
+        }
+        io.to(room.id).emit('lobby:update', room.getUpdate());
+        broadcastRoomList();
+    });
+
+    socket.on('room:transferHost', (slotIndex) => {
+        const room = getSocketRoom(socket);
+        if (!authorize(socket, room, 'transferHost')) return;
+        const res = room.transferHost(slotIndex);
+        if (!res.success) {
+            safeEmit(socket, 'room:error', { message: res.message });
+            return;
+        }
+        console.log(`[Lobby] Host of room ${room.id} handed to seat ${slotIndex}`);
+        io.to(room.id).emit('lobby:update', room.getUpdate());
     });
 
     socket.on('disconnect', () => {
         console.log(`User Disconnected: ${socket.id}`);
-        if (!matchStarted) {
-            lobbyManager.handleSocketDisconnect(socket.id);
-            io.emit('lobby:update', lobbyManager.getOrCreateRoom('default').getUpdate());
+        const room = getSocketRoom(socket);
+        if (!room.matchStarted) {
+            room.releaseHost(socket.currentToken);
+            room.handleDisconnect(socket.id);
+            io.to(room.id).emit('lobby:update', room.getUpdate());
+            pruneRoom(room);
         } else if (socket.assignedPlayerId) {
-            if (activeSockets[socket.assignedPlayerId] === socket.id) {
-                activeSockets[socket.assignedPlayerId] = null;
+            if (room.activeSockets[socket.assignedPlayerId] === socket.id) {
+                handlePlayerDisconnect(room, socket.assignedPlayerId);
             }
         }
     });
 });
 
+restoreMatches();
+
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`SERVER RUNNING ON PORT ${PORT} (0.0.0.0)`);
 });
@@ -1,6 +1,8 @@
 // server/lobby.test.js
 import { describe, it, expect } from 'vitest';
 import { LobbyRoom } from './LobbyRoom.js';
+import { LobbyManager, DEFAULT_ROOM_ID } from './LobbyManager.js';
+import { GLOBAL_STATS } from '../shared/constants/EntityStats.js';
 
 describe('LobbyRoom', () => {
     it('should allow claiming a seat', () => {
@@ -23,4 +25,272 @@ describe('LobbyRoom', () => {
         room.handleDisconnect('socket-1');
         expect(room.slots[0]).toBeNull();
     });
+
+    it('should report held seats and stand-in bots in the connection status', () => {
+        const room = new LobbyRoom('test-room', 2, { reconnectGrace: 30, disconnectAction: 'bot' });
+        room.game.initializeGame(room.playerIds, null, 4);
+        room.playerAssignments = { player1: 'token-1', player2: 'token-2' };
+        room.activeSockets.player1 = 'socket-1';
+
+        room.markDisconnected('player2', () => { });
+        expect(room.getConnectionStatus().players).toEqual({
+            player1: { status: 'connected' },
+            player2: { status: 'disconnected', expiresIn: 30 }
+        });
+
+        expect(room.markReconnected('player2')).toBe(true);
+        room.addStandInBot('player2');
+        expect(room.hasStandInBot('player2')).toBe(true);
+        expect(room.getConnectionStatus().players.player2).toEqual({ status: 'bot', standIn: true });
+        expect(room.getConnectionStatus().disconnectAction).toBe('bot');
+    });
+
+    it('should need every remaining player for a draw and every human for a rematch', () => {
+        const room = new LobbyRoom('test-room', 3);
+        room.addBot(2, 'easy');
+        room.claimSeat(0, 'token-1', 'socket-1');
+        room.claimSeat(1, 'token-2', 'socket-2');
+        room.game.initializeGame(room.playerIds, null, 4);
+        room.playerAssignments = { player1: 'token-1', player2: 'token-2', player3: room.slots[2].token };
+        room.createBots(4);
+        room.game.players.player3.alive = false;
+
+        expect(room.offerDraw('player1')).toBe(false);
+        expect(room.offerDraw('player2')).toBe(true);
+
+        expect(room.requestRematch('player1')).toBe(false);
+        expect(room.requestRematch('player2')).toBe(true);
+
+        room.activeSockets = { player1: 'socket-9', player2: null, player3: null };
+        room.prepareRematch();
+        expect(room.slots.map((s) => s.token)).toEqual(['token-1', 'token-2', room.playerAssignments.player3]);
+        expect(room.slots[0]).toEqual({ token: 'token-1', socketId: 'socket-9', ready: true });
+        expect(room.slots[2]).toMatchObject({ isBot: true, difficulty: 'easy', ready: true });
+    });
+});
+
+describe('LobbyRoom - Match Rules', () => {
+    it('should start from the server defaults and merge rule changes until the match starts', () => {
+        const room = new LobbyRoom('test-room', 2, { rules: { turnDuration: 12 } });
+        expect(room.rules.turnDuration).toBe(12);
+
+        expect(room.setRules({ startingEnergy: 80, fogOfWar: false }).success).toBe(true);
+        expect(room.getUpdate().rules).toMatchObject({ turnDuration: 12, startingEnergy: 80, fogOfWar: false });
+
+        room.matchStarted = true;
+        expect(room.setRules({ startingEnergy: 10 }).success).toBe(false);
+        expect(room.rules.startingEnergy).toBe(80);
+    });
+});
+
+describe('LobbyRoom - Host Permissions', () => {
+    it('should fall back to the lowest seated human until a host is set', () => {
+        const room = new LobbyRoom('test-room', 3);
+        room.addBot(0);
+        room.claimSeat(2, 'token-3', 'socket-3');
+        expect(room.getHostToken()).toBe('token-3');
+
+        room.claimSeat(1, 'token-2', 'socket-2');
+        expect(room.getHostToken()).toBe('token-2');
+        expect(room.getUpdate().hostSlot).toBe(1);
+
+        room.setHost('creator');
+        expect(room.isHost('creator')).toBe(true);
+        expect(room.getUpdate().hostSlot).toBe(-1);
+        room.releaseHost('creator');
+        expect(room.getHostToken()).toBe('token-2');
+    });
+
+    it('should make a creator that had not authenticated yet host once its token is known', () => {
+        const room = new LobbyRoom('test-room', 2);
+        room.setCreator('socket-1', undefined);
+        expect(room.getHostToken()).toBeNull();
+
+        room.adoptCreator('socket-2', 'token-2');
+        expect(room.getHostToken()).toBeNull();
+        room.adoptCreator('socket-1', 'token-1');
+        expect(room.getHostToken()).toBe('token-1');
+
+        // Sitting down works too, and the role survives an emptied room
+        const other = new LobbyRoom('other-room', 2);
+        other.setCreator('socket-1', undefined);
+        other.claimSeat(1, 'token-1', 'socket-1');
+        other.handleDisconnect('socket-1');
+        expect(other.can('token-1', 'setMap')).toBe(true);
+    });
+
+    it('should only allow host actions to the host and admins', () => {
+        const room = new LobbyRoom('test-room', 2, { adminTokens: ['admin'] });
+        room.claimSeat(0, 'token-1', 'socket-1');
+        room.claimSeat(1, 'token-2', 'socket-2');
+
+        expect(room.can('token-1', 'restart')).toBe(true);
+        expect(room.can('token-2', 'restart')).toBe(false);
+        expect(room.can(undefined, 'setMap')).toBe(false);
+        expect(room.can('admin', 'kick')).toBe(true);
+        expect(room.can('token-2', 'submitActions')).toBe(true);
+
+        expect(room.transferHost(1).success).toBe(true);
+        expect(room.can('token-1', 'settings')).toBe(false);
+        expect(room.can('token-2', 'settings')).toBe(true);
+    });
+
+    it('should kick other players from their lobby seat', () => {
+        const room = new LobbyRoom('test-room', 2);
+        room.claimSeat(0, 'token-1', 'socket-1');
+        room.claimSeat(1, 'token-2', 'socket-2');
+
+        expect(room.kick(0, 'token-1').success).toBe(false);
+        expect(room.kick(1, 'token-1')).toEqual({ success: true, socketId: 'socket-2' });
+        expect(room.slots[1]).toBeNull();
+        expect(room.kick(1, 'token-1').success).toBe(false);
+    });
+
+    it('should keep the host across a server restart', () => {
+        const room = new LobbyRoom('test-room', 2);
+        room.setHost('creator');
+        room.game.initializeGame(room.playerIds, null, 1);
+        room.matchStarted = true;
+
+        const restored = new LobbyRoom('test-room', 2);
+        restored.restoreMatch(JSON.parse(JSON.stringify(room.serializeMatch())));
+        expect(restored.getHostToken()).toBe('creator');
+    });
+});
+
+describe('LobbyManager', () => {
+    it('should always provide the default room', () => {
+        const manager = new LobbyManager();
+        expect(manager.getRoom(DEFAULT_ROOM_ID)).not.toBeNull();
+        expect(manager.removeRoom(DEFAULT_ROOM_ID)).toBe(false);
+    });
+
+    it('should create rooms with independent match contexts', () => {
+        const manager = new LobbyManager();
+        const roomA = manager.createRoom('alpha');
+        const roomB = manager.createRoom();
+
+        expect(roomA.id).toBe('alpha');
+        expect(roomB.id).not.toBe(roomA.id);
+        expect(roomA.game).not.toBe(roomB.game);
+
+        roomA.lockedIn.player1 = true;
+        expect(roomB.lockedIn.player1).toBe(false);
+    });
+
+    it('should not reuse an existing room id on create', () => {
+        const manager = new LobbyManager();
+        const first = manager.createRoom('alpha');
+        const second = manager.createRoom('alpha');
+        expect(second.id).not.toBe(first.id);
+    });
+
+    it('should find the room holding a session token', () => {
+        const manager = new LobbyManager();
+        const room = manager.createRoom('alpha');
+        room.claimSeat(1, 'token-2', 'socket-2');
+
+        expect(manager.findRoomByToken('token-2')).toBe(room);
+        expect(manager.findRoomByToken('unknown')).toBeNull();
+    });
+
+    it('should list room summaries and remove rooms', () => {
+        const manager = new LobbyManager();
+        const room = manager.createRoom('alpha');
+        room.claimSeat(0, 'token-1', 'socket-1');
+
+        const summary = manager.listRooms().find((r) => r.id === 'alpha');
+        expect(summary.playerCount).toBe(1);
+        expect(summary.status).toBe('LOBBY');
+
+        expect(manager.removeRoom('alpha')).toBe(true);
+        expect(manager.getRoom('alpha')).toBeNull();
+    });
+});
+
+describe('LobbyRoom - Player Count', () => {
+    it('should clamp the player count to the supported range', () => {
+        expect(new LobbyRoom('a', 1).maxPlayers).toBe(GLOBAL_STATS.MIN_PLAYERS);
+        expect(new LobbyRoom('b', 20).maxPlayers).toBe(GLOBAL_STATS.MAX_PLAYERS);
+        expect(new LobbyRoom('c', 5).slots).toHaveLength(5);
+    });
+
+    it('should resize seats and lock-in tracking', () => {
+        const room = new LobbyRoom('ffa', 2);
+        room.claimSeat(1, 'token-2', 'socket-2');
+
+        expect(room.setMaxPlayers(4).success).toBe(true);
+        expect(room.slots).toHaveLength(4);
+        expect(room.slots[1].token).toBe('token-2');
+        expect(Object.keys(room.getLockedInStatus())).toEqual(['player1', 'player2', 'player3', 'player4']);
+    });
+
+    it('should refuse to drop a claimed seat when shrinking', () => {
+        const room = new LobbyRoom('ffa', 4);
+        room.claimSeat(3, 'token-4', 'socket-4');
+        expect(room.setMaxPlayers(2).success).toBe(false);
+        expect(room.slots).toHaveLength(4);
+    });
+
+    it('should not wait on eliminated players for lock-in', () => {
+        const room = new LobbyRoom('ffa', 3);
+        room.game.initializeGame(room.playerIds);
+        room.game.players.player3.alive = false;
+        room.lockedIn.player1 = true;
+        room.lockedIn.player2 = true;
+        expect(room.isEveryoneLockedIn()).toBe(true);
+    });
+});
+
+describe('LobbyRoom - Match Checkpoints', () => {
+    it('should restore a running match with its assignments and game state', () => {
+        const room = new LobbyRoom('saved', 3);
+        room.game.initializeGame(room.playerIds, null, 21);
+        room.playerAssignments.player1 = 'token-1';
+        room.playerAssignments.player2 = 'token-2';
+        room.playerAssignments.player3 = 'token-3';
+        room.matchStarted = true;
+        room.status = 'IN_GAME';
+        room.game.turn = 4;
+
+        const data = JSON.parse(JSON.stringify(room.serializeMatch()));
+        const restored = new LobbyRoom('saved');
+        restored.restoreMatch(data);
+
+        expect(restored.maxPlayers).toBe(3);
+        expect(restored.matchStarted).toBe(true);
+        expect(restored.status).toBe('IN_GAME');
+        expect(restored.hasToken('token-3')).toBe(true);
+        expect(restored.game.getState()).toEqual(room.game.getState());
+        expect(restored.activeSockets.player1).toBeNull();
+        expect(restored.lockedIn.player1).toBe(false);
+    });
+});
+
+describe('LobbyRoom - Bots', () => {
+    it('should seat a ready bot and remove it again', () => {
+        const room = new LobbyRoom('bots', 2);
+        expect(room.addBot(1, 'easy').success).toBe(true);
+        expect(room.slots[1]).toMatchObject({ isBot: true, ready: true, difficulty: 'easy' });
+        expect(room.addBot(1).success).toBe(false);
+        expect(room.addBot(0, 'impossible').success).toBe(false);
+
+        expect(room.removeBot(0).success).toBe(false);
+        expect(room.removeBot(1).success).toBe(true);
+        expect(room.slots[1]).toBeNull();
+    });
+
+    it('should carry bots through a match checkpoint', () => {
+        const room = new LobbyRoom('bots', 2);
+        room.claimSeat(0, 'token-1', 'socket-1');
+        room.addBot(1, 'easy');
+        room.createBots(5);
+        room.bots.player2.random();
+
+        const restored = new LobbyRoom('bots');
+        restored.restoreMatch(JSON.parse(JSON.stringify(room.serializeMatch())));
+        expect(Object.keys(restored.bots)).toEqual(['player2']);
+        expect(restored.bots.player2.difficulty).toBe('easy');
+        expect(restored.bots.player2.rng).toEqual(room.bots.player2.rng);
+    });
 });
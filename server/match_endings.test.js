@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Surrender, Draws and Rematches', () => {
+    let serverProcess;
+    const url = 'http://localhost:3128';
+    const clients = [];
+    let p1;
+    let p2;
+
+    const waitFor = (client, event, predicate = () => true) => new Promise((resolve) => {
+        client.on(event, function listener(data) {
+            if (predicate(data)) {
+                client.off(event, listener);
+                resolve(data);
+            }
+        });
+    });
+
+    beforeAll(async () => {
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: { ...process.env, PORT: '3128' },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+
+        p1 = Client(url);
+        p2 = Client(url);
+        clients.push(p1, p2);
+        p1.emit('authenticate', 'endings-p1');
+        p2.emit('authenticate', 'endings-p2');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const started = waitFor(p1, 'gameStateUpdate');
+        p1.emit('lobby:claimSeat', 0);
+        p2.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:ready', true);
+        p2.emit('lobby:ready', true);
+        await started;
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+    });
+
+    it('should end the match in a draw once both players agree', async () => {
+        const offered = waitFor(p2, 'match:offers', (o) => o.drawOffers.length === 1);
+        p1.emit('match:offerDraw');
+        expect((await offered).drawOffers).toEqual(['player1']);
+
+        const declined = waitFor(p1, 'match:offers', (o) => o.drawOffers.length === 0);
+        p2.emit('match:declineDraw');
+        await declined;
+
+        const drawn = waitFor(p1, 'gameStateUpdate', (state) => state.winner);
+        p1.emit('match:offerDraw');
+        p2.emit('match:offerDraw');
+        const final = await drawn;
+        expect(final.winner).toBe('DRAW');
+        expect(final.players.player1.alive).toBe(true);
+        expect(final.players.player2.alive).toBe(true);
+    }, 10000);
+
+    it('should start a rematch with the same seats once both players ask', async () => {
+        const waiting = waitFor(p2, 'match:offers', (o) => o.rematchRequests.length === 1);
+        p1.emit('match:rematch');
+        expect((await waiting).rematchRequests).toEqual(['player1']);
+
+        const restarted = waitFor(p1, 'matchStarted');
+        const assigned = waitFor(p2, 'playerAssignment');
+        const fresh = waitFor(p1, 'gameStateUpdate', (state) => !state.winner);
+        p2.emit('match:rematch');
+
+        await restarted;
+        expect(await assigned).toBe('player2');
+        const state = await fresh;
+        expect(state.turn).toBe(1);
+        expect(state.players.player2.alive).toBe(true);
+    }, 10000);
+
+    it('should let a player surrender', async () => {
+        const surrendered = waitFor(p1, 'gameStateUpdate', (state) => state.winner);
+        p2.emit('match:surrender');
+        const final = await surrendered;
+        expect(final.winner).toBe('player1');
+        expect(final.players.player2.alive).toBe(false);
+    }, 10000);
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Resume Matches After Restart', () => {
+    const port = '3122';
+    const url = `http://localhost:${port}`;
+    let saveDir;
+    let serverProcess;
+    const clients = [];
+
+    const startServer = async () => {
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: {
+                ...process.env,
+                PORT: port,
+                PERSIST_MATCHES: '1',
+                SAVE_DIR: saveDir,
+                REPLAY_DIR: saveDir,
+                RESOLUTION_ROUND_DELAY: '10',
+                RESOLUTION_SUB_TICK_DELAY: '1'
+            },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    };
+
+    const stopServer = async () => {
+        clients.splice(0).forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 300));
+    };
+
+    const connect = (token) => {
+        const client = Client(url);
+        clients.push(client);
+        client.emit('authenticate', token);
+        return client;
+    };
+
+    beforeAll(async () => {
+        saveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titan-saves-'));
+        await startServer();
+    }, 20000);
+
+    afterAll(async () => {
+        await stopServer();
+        fs.rmSync(saveDir, { recursive: true, force: true });
+    });
+
+    it('should checkpoint each turn and let players reclaim seats after a restart', async () => {
+        const p1 = connect('resume-token-p1');
+        const p2 = connect('resume-token-p2');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const started = new Promise((resolve) => p1.once('matchStarted', resolve));
+        p1.emit('lobby:claimSeat', 0);
+        p2.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:ready', true);
+        p2.emit('lobby:ready', true);
+        await started;
+        await new Promise((r) => setTimeout(r, 200));
+
+        // Complete one turn so the checkpoint is at turn 2
+        const turnDone = new Promise((resolve) => {
+            p1.on('resolutionStatus', (status) => {
+                if (!status.active) resolve();
+            });
+        });
+        p1.emit('passTurn');
+        p2.emit('passTurn');
+        await turnDone;
+        await new Promise((r) => setTimeout(r, 200));
+
+        const checkpoint = JSON.parse(fs.readFileSync(path.join(saveDir, 'default.json'), 'utf-8'));
+        expect(checkpoint.game.turn).toBe(2);
+        expect(checkpoint.playerAssignments.player1).toBe('resume-token-p1');
+
+        // Crash and restart the server
+        await stopServer();
+        await startServer();
+
+        const p1Again = Client(url);
+        clients.push(p1Again);
+        const assignment = new Promise((resolve) => {
+            p1Again.on('playerAssignment', function listener(id) {
+                if (id) {
+                    p1Again.off('playerAssignment', listener);
+                    resolve(id);
+                }
+            });
+        });
+        const state = new Promise((resolve) => p1Again.once('gameStateUpdate', resolve));
+        p1Again.emit('authenticate', 'resume-token-p1');
+
+        expect(await assignment).toBe('player1');
+        expect((await state).turn).toBe(2);
+
+        // Restarting the match drops the checkpoint
+        const restarted = new Promise((resolve) => p1Again.once('matchRestarted', resolve));
+        p1Again.emit('restartGame');
+        await restarted;
+        expect(fs.existsSync(path.join(saveDir, 'default.json'))).toBe(false);
+    }, 40000);
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Multi-Room Lobby', () => {
+    let serverProcess;
+    const url = 'http://localhost:3121';
+    const clients = [];
+
+    beforeAll(async () => {
+        const serverPath = path.resolve(__dirname, 'index.js');
+        serverProcess = spawn('node', [serverPath], {
+            env: { ...process.env, PORT: '3121' },
+            stdio: 'pipe'
+        });
+
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+    });
+
+    const connect = async (token) => {
+        const client = Client(url);
+        clients.push(client);
+        const assigned = new Promise((resolve) => client.once('playerAssignment', resolve));
+        client.emit('authenticate', token);
+        await assigned;
+        return client;
+    };
+
+    const seatAndReady = async (client, slotIndex) => {
+        client.emit('lobby:claimSeat', slotIndex);
+        await new Promise((r) => setTimeout(r, 100));
+        client.emit('lobby:ready', true);
+    };
+
+    it('should create, list and join rooms', async () => {
+        const host = await connect('room-host-token');
+
+        const joined = await new Promise((resolve) => {
+            host.once('room:joined', resolve);
+            host.emit('room:create', 'alpha');
+        });
+        expect(joined.id).toBe('alpha');
+
+        const guest = await connect('room-guest-token');
+        const list = await new Promise((resolve) => {
+            guest.once('room:listUpdate', resolve);
+            guest.emit('room:list');
+        });
+        expect(list.map((r) => r.id)).toEqual(expect.arrayContaining(['default', 'alpha']));
+
+        const guestJoined = await new Promise((resolve) => {
+            guest.once('room:joined', resolve);
+            guest.emit('room:join', 'alpha');
+        });
+        expect(guestJoined.id).toBe('alpha');
+
+        const error = await new Promise((resolve) => {
+            guest.once('room:error', resolve);
+            guest.emit('room:join', 'does-not-exist');
+        });
+        expect(error.message).toContain('does-not-exist');
+    });
+
+    it('should run matches in separate rooms without leaking broadcasts', async () => {
+        const a1 = await connect('iso-a1');
+        const a2 = await connect('iso-a2');
+        const b1 = await connect('iso-b1');
+        const b2 = await connect('iso-b2');
+
+        await new Promise((resolve) => {
+            a1.once('room:joined', resolve);
+            a1.emit('room:create', 'room-a');
+        });
+        await new Promise((resolve) => {
+            a2.once('room:joined', resolve);
+            a2.emit('room:join', 'room-a');
+        });
+        await new Promise((resolve) => {
+            b1.once('room:joined', resolve);
+            b1.emit('room:create', 'room-b');
+        });
+        await new Promise((resolve) => {
+            b2.once('room:joined', resolve);
+            b2.emit('room:join', 'room-b');
+        });
+
+        let roomBStarted = false;
+        b1.on('matchStarted', () => {
+            roomBStarted = true;
+        });
+
+        const roomAStarted = new Promise((resolve) => a1.once('matchStarted', resolve));
+        await seatAndReady(a1, 0);
+        await seatAndReady(a2, 1);
+        const matchData = await roomAStarted;
+
+        expect(matchData.roomId).toBe('room-a');
+        expect(matchData.playerAssignments.player1).toBe('iso-a1');
+
+        await new Promise((r) => setTimeout(r, 300));
+        expect(roomBStarted).toBe(false);
+
+        // Room B can start its own match concurrently
+        const roomBMatch = new Promise((resolve) => b1.once('matchStarted', resolve));
+        await seatAndReady(b1, 0);
+        await seatAndReady(b2, 1);
+        const roomBData = await roomBMatch;
+        expect(roomBData.roomId).toBe('room-b');
+        expect(roomBData.playerAssignments.player1).toBe('iso-b1');
+
+        // Locking in inside room A must not be reported to room B
+        let leakedSync = false;
+        b1.on('syncStatus', (status) => {
+            if (status.lockedIn.player1) leakedSync = true;
+        });
+        const roomASync = new Promise((resolve) => {
+            a2.on('syncStatus', function listener(status) {
+                if (status.lockedIn.player1) {
+                    a2.off('syncStatus', listener);
+                    resolve(status);
+                }
+            });
+        });
+        a1.emit('submitActions', []);
+        await roomASync;
+        await new Promise((r) => setTimeout(r, 300));
+        expect(leakedSync).toBe(false);
+    }, 20000);
+
+    it('should start a 3-player free-for-all once every seat is ready', async () => {
+        const p1 = await connect('ffa-p1');
+        const p2 = await connect('ffa-p2');
+        const p3 = await connect('ffa-p3');
+
+        const created = await new Promise((resolve) => {
+            p1.once('room:joined', resolve);
+            p1.emit('room:create', { name: 'ffa', maxPlayers: 3 });
+        });
+        expect(created.maxPlayers).toBe(3);
+        expect(created.slots).toHaveLength(3);
+
+        for (const client of [p2, p3]) {
+            await new Promise((resolve) => {
+                client.once('room:joined', resolve);
+                client.emit('room:join', 'ffa');
+            });
+        }
+
+        let startedEarly = false;
+        p1.on('matchStarted', () => {
+            startedEarly = true;
+        });
+        await seatAndReady(p1, 0);
+        await seatAndReady(p2, 1);
+        await new Promise((r) => setTimeout(r, 300));
+        expect(startedEarly).toBe(false);
+        p1.off('matchStarted');
+
+        const started = new Promise((resolve) => p1.once('matchStarted', resolve));
+        const firstState = new Promise((resolve) => p3.once('gameStateUpdate', resolve));
+        await seatAndReady(p3, 2);
+        const matchData = await started;
+        expect(Object.keys(matchData.playerAssignments)).toEqual(['player1', 'player2', 'player3']);
+
+        const state = await firstState;
+        expect(Object.keys(state.players)).toHaveLength(3);
+    }, 20000);
+});
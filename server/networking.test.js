@@ -10,7 +10,7 @@ describe('Server Networking - Reconnection and Resilience', () => {
     beforeAll(async () => {
         const serverPath = path.resolve(__dirname, 'index.js');
         serverProcess = spawn('node', [serverPath], {
-            env: { ...process.env, PORT: '3095' },
+            env: { ...process.env, PORT: '3095', ADMIN_TOKENS: 'networking-admin' },
             stdio: 'pipe'
         });
 
@@ -50,6 +50,8 @@ describe('Server Networking - Reconnection and Resilience', () => {
         const resetClient = Client(url);
         await new Promise((resolve) => resetClient.once('connect', resolve));
         const restarted = new Promise((resolve) => resetClient.once('matchRestarted', resolve));
+        // Only a host or admin may restart a running match
+        resetClient.emit('authenticate', 'networking-admin');
         resetClient.emit('restartGame');
         await restarted;
         resetClient.disconnect();
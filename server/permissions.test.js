@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Room Permissions', () => {
+    let serverProcess;
+    const url = 'http://localhost:3129';
+    const clients = [];
+
+    const connect = (token) => {
+        const client = Client(url);
+        clients.push(client);
+        client.emit('authenticate', token);
+        return client;
+    };
+
+    beforeAll(async () => {
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: { ...process.env, PORT: '3129' },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+    });
+
+    it('should deny a spectator restart and let the host restart', async () => {
+        const p1 = connect('perm-p1');
+        const p2 = connect('perm-p2');
+        const spectator = connect('perm-spectator');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const started = new Promise((resolve) => p1.once('matchStarted', resolve));
+        p1.emit('lobby:claimSeat', 0);
+        await new Promise((r) => setTimeout(r, 100));
+        p2.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:ready', true);
+        p2.emit('lobby:ready', true);
+        await started;
+
+        let restarted = false;
+        p1.on('matchRestarted', () => { restarted = true; });
+        const denied = new Promise((resolve) => spectator.once('permission:denied', resolve));
+        spectator.emit('restartGame');
+        expect(await denied).toEqual({ action: 'restart', message: 'Only the room host can restart the match' });
+
+        const guestDenied = new Promise((resolve) => p2.once('permission:denied', resolve));
+        p2.emit('restartGame');
+        expect((await guestDenied).action).toBe('restart');
+        expect(restarted).toBe(false);
+
+        const hostRestart = new Promise((resolve) => spectator.once('matchRestarted', resolve));
+        p1.emit('restartGame');
+        await hostRestart;
+    }, 15000);
+
+    it('should let a creator that authenticated late change the map and restart the match', async () => {
+        // Creates the room before sending its session token
+        const creator = Client(url);
+        clients.push(creator);
+        const guest = connect('perm-late-guest');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const joined = new Promise((resolve) => creator.once('room:joined', resolve));
+        creator.emit('room:create', 'late-room');
+        const room = await joined;
+        creator.emit('authenticate', 'perm-late-creator');
+        guest.emit('room:join', room.id);
+        await new Promise((r) => setTimeout(r, 200));
+
+        const mapChanged = (name) => new Promise((resolve) => {
+            guest.on('lobby:update', function listener(update) {
+                if (update.selectedMapName === name) {
+                    guest.off('lobby:update', listener);
+                    resolve();
+                }
+            });
+        });
+        let changed = mapChanged('playground');
+        creator.emit('lobby:setMap', 'playground');
+        await changed;
+
+        const started = new Promise((resolve) => creator.once('matchStarted', resolve));
+        guest.emit('lobby:claimSeat', 0);
+        await new Promise((r) => setTimeout(r, 100));
+        creator.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        guest.emit('lobby:ready', true);
+        creator.emit('lobby:ready', true);
+        await started;
+
+        const restarted = new Promise((resolve) => guest.once('matchRestarted', resolve));
+        creator.emit('restartGame');
+        await restarted;
+
+        // Every seat is empty after the restart, but the creator is still host
+        changed = mapChanged('base_movement_verified');
+        creator.emit('lobby:setMap', 'base_movement_verified');
+        await changed;
+    }, 15000);
+
+    it('should make the creator host and let them kick and hand over the role', async () => {
+        const creator = connect('perm-creator');
+        const guest = connect('perm-guest');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const joined = new Promise((resolve) => creator.once('room:joined', resolve));
+        creator.emit('room:create', 'perm-room');
+        const room = await joined;
+        guest.emit('room:join', room.id);
+        await new Promise((r) => setTimeout(r, 200));
+
+        // The guest claims the lowest seat but the creator stays host
+        guest.emit('lobby:claimSeat', 0);
+        await new Promise((r) => setTimeout(r, 200));
+        const mapDenied = new Promise((resolve) => guest.once('permission:denied', resolve));
+        guest.emit('lobby:setMap', 'anything');
+        expect((await mapDenied).action).toBe('setMap');
+
+        const kicked = new Promise((resolve) => guest.once('room:kicked', resolve));
+        const backInLobby = new Promise((resolve) => guest.once('room:joined', resolve));
+        creator.emit('lobby:kick', 0);
+        expect(await kicked).toEqual({ roomId: room.id });
+        expect((await backInLobby).id).toBe('default');
+
+        guest.emit('room:join', room.id);
+        await new Promise((r) => setTimeout(r, 100));
+        guest.emit('lobby:claimSeat', 1);
+        creator.emit('lobby:claimSeat', 0);
+        await new Promise((r) => setTimeout(r, 200));
+
+        const handedOver = new Promise((resolve) => {
+            guest.on('lobby:update', function listener(update) {
+                if (update.hostSlot === 1) {
+                    guest.off('lobby:update', listener);
+                    resolve(update);
+                }
+            });
+        });
+        creator.emit('room:transferHost', 1);
+        await handedOver;
+
+        const creatorDenied = new Promise((resolve) => creator.once('permission:denied', resolve));
+        creator.emit('lobby:setMaxPlayers', 3);
+        expect((await creatorDenied).action).toBe('settings');
+    }, 15000);
+});
@@ -0,0 +1,8 @@
+/**
+ * Whether the server writes matches to disk (MatchStore checkpoints and ReplayService replays).
+ * PERSIST_MATCHES=1 or 0 decides explicitly; otherwise everything but test runs persists,
+ * because test servers share the repo checkout.
+ */
+export function shouldPersistMatches(env = process.env) {
+    return env.PERSIST_MATCHES ? env.PERSIST_MATCHES === '1' : env.NODE_ENV !== 'test';
+}
@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { shouldPersistMatches } from './persistence.js';
+
+describe('Match persistence switch', () => {
+    it('should persist outside of tests unless turned off', () => {
+        expect(shouldPersistMatches({ NODE_ENV: 'production' })).toBe(true);
+        expect(shouldPersistMatches({})).toBe(true);
+        expect(shouldPersistMatches({ PERSIST_MATCHES: '0' })).toBe(false);
+    });
+
+    it('should only persist test runs when asked to', () => {
+        expect(shouldPersistMatches({ NODE_ENV: 'test' })).toBe(false);
+        expect(shouldPersistMatches({ NODE_ENV: 'test', PERSIST_MATCHES: '1' })).toBe(true);
+    });
+});
@@ -15,7 +15,8 @@ describe('Full Cycle Integration - Real Life Scenarios', () => {
                 PORT: '3010',
                 TURN_DURATION: '1',
                 RESOLUTION_ROUND_DELAY: '200',
-                RESOLUTION_SUB_TICK_DELAY: '10'
+                RESOLUTION_SUB_TICK_DELAY: '10',
+                ALLOW_EXPERIMENTAL_ITEMS: '1' // Turn 2 strikes with a SUPER_BOMB
             },
             stdio: 'pipe'
         });
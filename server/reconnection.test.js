@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Reconnection Grace Period', () => {
+    let serverProcess;
+    const url = 'http://localhost:3127';
+    const clients = [];
+
+    const connect = (token) => {
+        const client = Client(url);
+        clients.push(client);
+        client.emit('authenticate', token);
+        return client;
+    };
+
+    const waitFor = (client, event, predicate = () => true) => new Promise((resolve) => {
+        client.on(event, function listener(data) {
+            if (predicate(data)) {
+                client.off(event, listener);
+                resolve(data);
+            }
+        });
+    });
+
+    beforeAll(async () => {
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: { ...process.env, PORT: '3127', RECONNECT_GRACE: '1', PAUSE_ON_DISCONNECT: '1' },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+    });
+
+    it('should hold the seat and pause the timer until the player returns, then forfeit them', async () => {
+        const p1 = connect('grace-p1');
+        let p2 = connect('grace-p2');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const started = waitFor(p1, 'match:connections');
+        p1.emit('lobby:claimSeat', 0);
+        p2.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:ready', true);
+        p2.emit('lobby:ready', true);
+        expect((await started).players.player2.status).toBe('connected');
+
+        // Drop and come back within the grace period
+        const dropped = waitFor(p1, 'match:connections', (s) => s.players.player2.status === 'disconnected');
+        p2.disconnect();
+        const status = await dropped;
+        expect(status.timerPaused).toBe(true);
+        expect(status.players.player2.expiresIn).toBeLessThanOrEqual(1);
+
+        const returned = waitFor(p1, 'match:connections', (s) => s.players.player2.status === 'connected');
+        p2 = connect('grace-p2');
+        expect((await returned).timerPaused).toBe(false);
+
+        // Stay away past the grace period: the seat is forfeited
+        const forfeited = waitFor(p1, 'gameStateUpdate', (state) => state.winner);
+        p2.disconnect();
+        const final = await forfeited;
+        expect(final.winner).toBe('player1');
+        expect(final.players.player2.alive).toBe(false);
+        expect(final.turn).toBe(1);
+    }, 20000);
+});
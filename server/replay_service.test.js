@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReplayService, replayService } from './ReplayService.js';
+import { ReplayRecorder } from '../shared/Replay.js';
+
+describe('ReplayService', () => {
+    let replayDir;
+    const recorder = () => new ReplayRecorder({ roomId: 'replay-room', playerIds: ['player1', 'player2'], seed: 7 });
+
+    beforeEach(() => {
+        replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titan-replays-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(replayDir, { recursive: true, force: true });
+    });
+
+    it('should not write replays from test runs by default', () => {
+        expect(replayService.enabled).toBe(false);
+        expect(replayService.saveReplay(recorder())).toBeNull();
+    });
+
+    it('should save, list and load replays in its directory', () => {
+        const service = new ReplayService(replayDir, true);
+        const replay = recorder();
+
+        const name = service.saveReplay(replay);
+        expect(fs.readdirSync(replayDir)).toEqual([`${name}.json`]);
+        expect(service.listReplays()).toEqual([name]);
+        expect(service.loadReplay(name)).toEqual(JSON.parse(JSON.stringify(replay)));
+        expect(service.loadReplay('missing')).toBeNull();
+    });
+
+    it('should write nothing when persistence is off', () => {
+        const service = new ReplayService(replayDir, false);
+        expect(service.saveReplay(recorder())).toBeNull();
+        expect(fs.readdirSync(replayDir)).toEqual([]);
+    });
+});
@@ -0,0 +1,18 @@
+import { parentPort } from 'worker_threads';
+import { GameState } from '../shared/GameState.js';
+
+/**
+ * ResolutionPool worker: resolves one turn per message on a private copy of the match.
+ * Snapshots go back one message each so no single huge payload blocks the main thread.
+ */
+parentPort.on('message', ({ id, state, actions }) => {
+    try {
+        const game = GameState.deserialize(state);
+        const snapshots = game.resolveTurn(actions);
+        snapshots.forEach((snapshot) => parentPort.postMessage({ id, type: 'snapshot', snapshot }));
+        parentPort.postMessage({ id, type: 'done', state: game.serialize() });
+    } catch (err) {
+        console.error('[ResolutionWorker] Turn resolution failed:', err);
+        parentPort.postMessage({ id, type: 'error', message: err.message });
+    }
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Failed Turn Resolution', () => {
+    let serverProcess;
+    const url = 'http://localhost:3126';
+    const clients = [];
+
+    beforeAll(async () => {
+        // No worker can even start within 1ms, so every turn times out
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: { ...process.env, PORT: '3126', RESOLUTION_TIMEOUT: '1', RESOLUTION_ROUND_DELAY: '20' },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+    });
+
+    it('should report a timed-out turn and leave the match on the same turn', async () => {
+        const p1 = Client(url);
+        const p2 = Client(url);
+        clients.push(p1, p2);
+
+        p1.emit('authenticate', 'failure-p1');
+        p2.emit('authenticate', 'failure-p2');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const firstState = new Promise((resolve) => p1.once('gameStateUpdate', resolve));
+        p1.emit('lobby:claimSeat', 0);
+        p2.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:ready', true);
+        p2.emit('lobby:ready', true);
+        const initial = await firstState;
+        const hub = initial.entities.find((e) => e.owner === 'player1');
+
+        const failed = new Promise((resolve) => p1.once('resolution:failed', resolve));
+        const unlocked = new Promise((resolve) => {
+            p1.on('syncStatus', ({ lockedIn }) => {
+                if (!lockedIn.player1 && !lockedIn.player2) resolve();
+            });
+        });
+        const statuses = [];
+        p1.on('resolutionStatus', (status) => statuses.push(status.active));
+
+        p1.emit('submitActions', [
+            { playerId: 'player1', type: 'LAUNCH', itemType: 'WEAPON', sourceId: hub.id, angle: 0, distance: 200 }
+        ]);
+        p2.emit('submitActions', []);
+
+        expect(await failed).toEqual({ turn: 1, reason: 'timeout' });
+        await unlocked;
+
+        // Nothing was applied: still turn 1 and no energy was spent
+        const after = await new Promise((resolve) => {
+            p1.once('gameStateUpdate', resolve);
+            p1.emit('requestState');
+        });
+        expect(after.turn).toBe(1);
+        expect(after.players.player1.energy).toBe(initial.players.player1.energy);
+        expect(statuses).not.toContain(true);
+    }, 20000);
+});
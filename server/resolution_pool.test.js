@@ -0,0 +1,66 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { ResolutionPool } from './ResolutionPool.js';
+import { GameState } from '../shared/GameState.js';
+
+describe('ResolutionPool', () => {
+    let pool;
+
+    const newMatch = () => {
+        const game = new GameState();
+        game.initializeGame(['player1', 'player2'], null, 21);
+        const hub = game.entities.find((e) => e.owner === 'player1');
+        const actions = {
+            player1: [{ playerId: 'player1', sourceId: hub.id, itemType: 'WEAPON', angle: 0, distance: 200 }],
+            player2: []
+        };
+        return { game, actions };
+    };
+
+    afterEach(async () => {
+        await pool?.close();
+    });
+
+    it('should resolve a turn in a worker exactly like resolveTurn()', async () => {
+        pool = new ResolutionPool({ size: 1, timeoutMs: 15000 });
+        const { game, actions } = newMatch();
+        const before = game.serialize();
+
+        const result = await pool.resolve(game.serialize(), actions);
+        expect(game.serialize()).toEqual(before);
+
+        const local = GameState.deserialize(before);
+        const snapshots = local.resolveTurn(actions);
+        expect(result.snapshots).toEqual(JSON.parse(JSON.stringify(snapshots)));
+        expect(result.state).toEqual(local.serialize());
+        expect(result.state.turn).toBe(2);
+    }, 20000);
+
+    it('should reject a turn that throws and keep serving', async () => {
+        pool = new ResolutionPool({ size: 1, timeoutMs: 15000 });
+        await expect(pool.resolve(null, {})).rejects.toMatchObject({ name: 'ResolutionError', reason: 'error' });
+
+        const { game, actions } = newMatch();
+        await expect(pool.resolve(game.serialize(), actions)).resolves.toHaveProperty('state.turn', 2);
+        expect(pool.workers).toHaveLength(1);
+    }, 20000);
+
+    it('should stop a worker that runs past the timeout and replace it', async () => {
+        pool = new ResolutionPool({ size: 1, timeoutMs: 1 });
+        const { game, actions } = newMatch();
+
+        await expect(pool.resolve(game.serialize(), actions)).rejects.toMatchObject({ reason: 'timeout' });
+        expect(pool.workers).toHaveLength(0);
+
+        pool.timeoutMs = 15000;
+        await expect(pool.resolve(game.serialize(), actions)).resolves.toHaveProperty('state.turn', 2);
+    }, 20000);
+
+    it('should queue turns beyond the pool size', async () => {
+        pool = new ResolutionPool({ size: 1, timeoutMs: 15000 });
+        const { game, actions } = newMatch();
+
+        const results = await Promise.all([1, 2, 3].map(() => pool.resolve(game.serialize(), actions)));
+        results.forEach((r) => expect(r.state).toEqual(results[0].state));
+        expect(pool.workers).toHaveLength(1);
+    }, 30000);
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { io as Client } from 'socket.io-client';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { applyDelta } from '../shared/StateDelta.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Server - Delta State Streaming', () => {
+    let serverProcess;
+    const url = 'http://localhost:3125';
+    const clients = [];
+
+    beforeAll(async () => {
+        serverProcess = spawn('node', [path.resolve(__dirname, 'index.js')], {
+            env: { ...process.env, PORT: '3125', RESOLUTION_ROUND_DELAY: '20', RESOLUTION_SUB_TICK_DELAY: '5' },
+            stdio: 'pipe'
+        });
+        serverProcess.stderr.on('data', () => { });
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Server failed to start in 15s')), 15000);
+            serverProcess.stdout.on('data', function listener(data) {
+                if (data.toString().includes('SERVER RUNNING')) {
+                    serverProcess.stdout.off('data', listener);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+        });
+    }, 20000);
+
+    afterAll(async () => {
+        clients.forEach((c) => c.disconnect());
+        serverProcess?.kill('SIGKILL');
+        await new Promise((r) => setTimeout(r, 200));
+    });
+
+    it('should stream resolution as deltas after a keyframe', async () => {
+        const p1 = Client(url);
+        const p2 = Client(url);
+        clients.push(p1, p2);
+
+        p1.emit('authenticate', 'stream-p1');
+        p2.emit('authenticate', 'stream-p2');
+        await new Promise((r) => setTimeout(r, 200));
+
+        const firstState = new Promise((resolve) => p1.once('gameStateUpdate', resolve));
+        p1.emit('lobby:claimSeat', 0);
+        p2.emit('lobby:claimSeat', 1);
+        await new Promise((r) => setTimeout(r, 200));
+        p1.emit('lobby:ready', true);
+        p2.emit('lobby:ready', true);
+        const initial = await firstState;
+        const hub = initial.entities.find((e) => e.owner === 'player1');
+
+        // Rebuild states the way the client does
+        let current = null;
+        let frame = 0;
+        let deltas = 0;
+        let streamedFinal = null;
+        const launches = [];
+        p1.on('gameStateUpdate', (state) => {
+            if (deltas > 0) streamedFinal = current;
+            current = state;
+            frame = 0;
+        });
+        p1.on('state:delta', (message) => {
+            expect(message.frame).toBe(frame + 1);
+            current = applyDelta(current, message.delta);
+            frame = message.frame;
+            deltas++;
+            launches.push(...(current.events || []).filter((e) => e.type === 'LAUNCH'));
+        });
+        const resolved = new Promise((resolve) => {
+            p1.on('resolutionStatus', (status) => {
+                if (!status.active) resolve(current);
+            });
+        });
+
+        p1.emit('submitActions', [
+            { playerId: 'player1', type: 'LAUNCH', itemType: 'WEAPON', sourceId: hub.id, angle: 0, distance: 200 }
+        ]);
+        p2.emit('submitActions', []);
+        const final = await resolved;
+
+        expect(deltas).toBeGreaterThan(1);
+        expect(launches).toEqual([expect.objectContaining({ owner: 'player1', itemType: 'WEAPON' })]);
+        // The last streamed snapshot matches the keyframe sent once resolution ends
+        expect(streamedFinal.entities).toEqual(final.entities);
+        expect(streamedFinal.links).toEqual(final.links);
+        expect(final.turn).toBe(2);
+    }, 20000);
+});
@@ -0,0 +1,260 @@
+/**
+ * ActionValidator.js
+ *
+ * Shared rules for what a player may plan in a turn. The server uses it as the
+ * authority before accepting actions; the client uses the same checks to grey
+ * out plans the server would reject.
+ *
+ * Works against a GameState instance or any state object with the same shape
+ * (turn, players, entities, rules), e.g. the filtered state a client receives.
+ *
+ * Action types: LAUNCH (the default when `type` is missing), UPGRADE and REPAIR.
+ */
+
+import { ENTITY_STATS, GLOBAL_STATS } from './constants/EntityStats.js';
+import { EXPERIMENTAL_STATS } from './constants/ExperimentalStats.js';
+import { isItemBanned } from './MatchRules.js';
+import { getEffect } from './StatusEffects.js';
+import { isInStorm } from './Weather.js';
+import { getUpgradeCost, getMaxTier } from './Upgrades.js';
+import { REPAIR_STATS, getRepairTargets } from './Repair.js';
+
+export const REJECTION_REASONS = {
+    MALFORMED: 'MALFORMED',
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    UNKNOWN_ITEM: 'UNKNOWN_ITEM',
+    EXPERIMENTAL_ITEM: 'EXPERIMENTAL_ITEM',
+    BANNED_ITEM: 'BANNED_ITEM',
+    UNKNOWN_SOURCE: 'UNKNOWN_SOURCE',
+    NOT_OWNER: 'NOT_OWNER',
+    SOURCE_DISABLED: 'SOURCE_DISABLED',
+    STORM_GROUNDED: 'STORM_GROUNDED',
+    OUT_OF_FUEL: 'OUT_OF_FUEL',
+    INSUFFICIENT_ENERGY: 'INSUFFICIENT_ENERGY',
+    INVALID_ANGLE: 'INVALID_ANGLE',
+    INVALID_DISTANCE: 'INVALID_DISTANCE',
+    INVALID_SOURCE: 'INVALID_SOURCE',
+    NOT_UPGRADABLE: 'NOT_UPGRADABLE',
+    MAX_TIER: 'MAX_TIER',
+    ALREADY_UPGRADING: 'ALREADY_UPGRADING',
+    CANNOT_REPAIR: 'CANNOT_REPAIR',
+    ALREADY_REPAIRING: 'ALREADY_REPAIRING',
+    NOTHING_TO_REPAIR: 'NOTHING_TO_REPAIR'
+};
+
+/**
+ * Item types a player can launch (anything with a build-menu category).
+ */
+export function isLaunchableItem(itemType) {
+    return Object.prototype.hasOwnProperty.call(ENTITY_STATS, itemType) && !!ENTITY_STATS[itemType].category;
+}
+
+export function isExperimentalItem(itemType) {
+    return Object.prototype.hasOwnProperty.call(EXPERIMENTAL_STATS, itemType);
+}
+
+// The fields each action type carries into resolveTurn, checkpoints and replays; anything else the client sent is dropped
+const ACTION_FIELDS = {
+    LAUNCH: ['type', 'itemType', 'sourceId', 'angle', 'distance'],
+    UPGRADE: ['type', 'targetId'],
+    REPAIR: ['type', 'sourceId']
+};
+
+const reject = (reason, message) => ({ valid: false, reason, message });
+
+/**
+ * Copy of an accepted action with only its type's whitelisted fields, stamped with the player id.
+ */
+function sanitizeAction(action, playerId) {
+    const copy = {};
+    ACTION_FIELDS[action.type || 'LAUNCH'].forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(action, key)) copy[key] = action[key];
+    });
+    copy.playerId = playerId;
+    return copy;
+}
+
+/**
+ * Validates a single LAUNCH against the state plus what the player already planned this turn.
+ * @param {object} plan - Running totals: { energySpent, fuelUsed: { [sourceId]: count } }
+ */
+function validateLaunch(state, playerId, action, plan, options) {
+    const { itemType, sourceId, angle, distance } = action;
+
+    if (!isLaunchableItem(itemType)) {
+        return reject(REJECTION_REASONS.UNKNOWN_ITEM, `Unknown item type ${itemType}`);
+    }
+    if (isExperimentalItem(itemType) && !options.allowExperimental) {
+        return reject(REJECTION_REASONS.EXPERIMENTAL_ITEM, `${itemType} is experimental and disabled`);
+    }
+    if (isItemBanned(state.rules, itemType)) {
+        return reject(REJECTION_REASONS.BANNED_ITEM, `${itemType} is banned in this match`);
+    }
+    if (typeof angle !== 'number' || !Number.isFinite(angle)) {
+        return reject(REJECTION_REASONS.INVALID_ANGLE, 'Angle must be a finite number');
+    }
+    if (typeof distance !== 'number' || !Number.isFinite(distance) || distance < 0 || distance > GLOBAL_STATS.MAX_PULL) {
+        return reject(REJECTION_REASONS.INVALID_DISTANCE, `Distance must be between 0 and ${GLOBAL_STATS.MAX_PULL}`);
+    }
+
+    const source = (state.entities || []).find((e) => e.id === sourceId);
+    if (!source) {
+        return reject(REJECTION_REASONS.UNKNOWN_SOURCE, `Source ${sourceId} does not exist`);
+    }
+    if (source.owner !== playerId) {
+        return reject(REJECTION_REASONS.NOT_OWNER, `Source ${sourceId} is not yours`);
+    }
+    if (source.type !== 'HUB') {
+        return reject(REJECTION_REASONS.INVALID_SOURCE, `Source ${sourceId} is a ${source.type}; only hubs can launch`);
+    }
+    const disabled = getEffect(source, 'disabled', state.turn);
+    if (disabled) {
+        return reject(REJECTION_REASONS.SOURCE_DISABLED, `Source ${sourceId} is disabled until turn ${disabled.untilTurn}`);
+    }
+    if (state.map && isInStorm(state.weather, state.map, source.x, source.y)) {
+        return reject(REJECTION_REASONS.STORM_GROUNDED, `Source ${sourceId} is grounded by a storm this turn`);
+    }
+    const used = plan.fuelUsed[sourceId] || 0;
+    if (source.fuel !== undefined && used >= source.fuel) {
+        return reject(REJECTION_REASONS.OUT_OF_FUEL, `Source ${sourceId} has no fuel left for another launch`);
+    }
+
+    const energy = state.players?.[playerId]?.energy || 0;
+    const cost = ENTITY_STATS[itemType].cost || 0;
+    if (energy < plan.energySpent + cost) {
+        return reject(
+            REJECTION_REASONS.INSUFFICIENT_ENERGY,
+            `Insufficient energy (has ${energy}, needs ${plan.energySpent + cost})`
+        );
+    }
+
+    plan.energySpent += cost;
+    plan.fuelUsed[sourceId] = used + 1;
+    return { valid: true };
+}
+
+/**
+ * Validates a single UPGRADE of one of the player's structures.
+ * @param {object} plan - Running totals; `upgrading` holds the structures already upgraded this turn
+ */
+function validateUpgrade(state, playerId, action, plan) {
+    const { targetId } = action;
+
+    const target = (state.entities || []).find((e) => e.id === targetId);
+    if (!target) {
+        return reject(REJECTION_REASONS.UNKNOWN_SOURCE, `Structure ${targetId} does not exist`);
+    }
+    if (target.owner !== playerId) {
+        return reject(REJECTION_REASONS.NOT_OWNER, `Structure ${targetId} is not yours`);
+    }
+    if (getMaxTier(target.type) <= 1 || target.deployed === false) {
+        return reject(REJECTION_REASONS.NOT_UPGRADABLE, `${target.type} cannot be upgraded`);
+    }
+    if (plan.upgrading.has(targetId)) {
+        return reject(REJECTION_REASONS.ALREADY_UPGRADING, `Structure ${targetId} is already being upgraded this turn`);
+    }
+    const cost = getUpgradeCost(target);
+    if (cost === null) {
+        return reject(REJECTION_REASONS.MAX_TIER, `Structure ${targetId} is already at tier ${getMaxTier(target.type)}`);
+    }
+
+    const energy = state.players?.[playerId]?.energy || 0;
+    if (energy < plan.energySpent + cost) {
+        return reject(
+            REJECTION_REASONS.INSUFFICIENT_ENERGY,
+            `Insufficient energy (has ${energy}, needs ${plan.energySpent + cost})`
+        );
+    }
+
+    plan.energySpent += cost;
+    plan.upgrading.add(targetId);
+    return { valid: true };
+}
+
+/**
+ * Validates a single REPAIR from one of the player's hubs.
+ * @param {object} plan - Running totals; `repairing` holds the hubs already repairing this turn
+ */
+function validateRepair(state, playerId, action, plan) {
+    const { sourceId } = action;
+
+    const hub = (state.entities || []).find((e) => e.id === sourceId);
+    if (!hub) {
+        return reject(REJECTION_REASONS.UNKNOWN_SOURCE, `Source ${sourceId} does not exist`);
+    }
+    if (hub.owner !== playerId) {
+        return reject(REJECTION_REASONS.NOT_OWNER, `Source ${sourceId} is not yours`);
+    }
+    if (hub.type !== 'HUB' || hub.deployed === false) {
+        return reject(REJECTION_REASONS.CANNOT_REPAIR, 'Only hubs can repair');
+    }
+    const disabled = getEffect(hub, 'disabled', state.turn);
+    if (disabled) {
+        return reject(REJECTION_REASONS.SOURCE_DISABLED, `Source ${sourceId} is disabled until turn ${disabled.untilTurn}`);
+    }
+    if (plan.repairing.has(sourceId)) {
+        return reject(REJECTION_REASONS.ALREADY_REPAIRING, `Hub ${sourceId} is already repairing this turn`);
+    }
+    if (getRepairTargets(state, hub).length === 0) {
+        return reject(REJECTION_REASONS.NOTHING_TO_REPAIR, `Nothing within reach of hub ${sourceId} is damaged`);
+    }
+
+    const energy = state.players?.[playerId]?.energy || 0;
+    if (energy < plan.energySpent + REPAIR_STATS.cost) {
+        return reject(
+            REJECTION_REASONS.INSUFFICIENT_ENERGY,
+            `Insufficient energy (has ${energy}, needs ${plan.energySpent + REPAIR_STATS.cost})`
+        );
+    }
+
+    plan.energySpent += REPAIR_STATS.cost;
+    plan.repairing.add(sourceId);
+    return { valid: true };
+}
+
+/**
+ * Validates a turn's planned actions in order. Earlier actions consume energy and fuel,
+ * so the same action can be valid alone but rejected after others.
+ *
+ * @returns {{ valid: object[], rejected: { index, action, reason, message }[] }}
+ *          `valid` holds sanitized copies (see ACTION_FIELDS) stamped with the player id.
+ */
+export function validateActions(state, playerId, actions, options = {}) {
+    const result = { valid: [], rejected: [] };
+    if (!Array.isArray(actions)) {
+        result.rejected.push({ index: -1, action: actions, reason: REJECTION_REASONS.MALFORMED, message: 'Actions must be a list' });
+        return result;
+    }
+
+    const plan = { energySpent: 0, fuelUsed: {}, upgrading: new Set(), repairing: new Set() };
+    actions.forEach((action, index) => {
+        let check;
+        if (!action || typeof action !== 'object') {
+            check = reject(REJECTION_REASONS.MALFORMED, 'Action must be an object');
+        } else if (action.type === 'UPGRADE') {
+            check = validateUpgrade(state, playerId, action, plan);
+        } else if (action.type === 'REPAIR') {
+            check = validateRepair(state, playerId, action, plan);
+        } else if ((action.type || 'LAUNCH') !== 'LAUNCH') {
+            check = reject(REJECTION_REASONS.UNKNOWN_ACTION, `Unknown action type ${action.type}`);
+        } else {
+            check = validateLaunch(state, playerId, action, plan, options);
+        }
+
+        if (check.valid) {
+            result.valid.push(sanitizeAction(action, playerId));
+        } else {
+            result.rejected.push({ index, action, reason: check.reason, message: check.message });
+        }
+    });
+    return result;
+}
+
+/**
+ * Convenience check for a single prospective action appended to an existing plan.
+ */
+export function validateAction(state, playerId, action, plannedActions = [], options = {}) {
+    const { rejected } = validateActions(state, playerId, [...plannedActions, action], options);
+    const own = rejected.find((r) => r.index === plannedActions.length);
+    return own ? { valid: false, reason: own.reason, message: own.message } : { valid: true };
+}
@@ -0,0 +1,187 @@
+/**
+ * BalanceReport.js
+ *
+ * Aggregates GameState combat events across simulated matches into per-item
+ * cost efficiency figures, so EntityStats tuning can be checked against data:
+ *
+ *   - Items:    launches, energy spent, damage dealt to enemy structures,
+ *               damage per energy, share of launches intercepted, and the
+ *               survival rate of launched structures to the end of the match.
+ *   - Defenses: shots fired, enemy projectiles intercepted and intercepts per
+ *               shot. Flak counts one shot per activation, so it can exceed 1;
+ *               shields block passively and report absorbed damage instead.
+ */
+
+import { ENTITY_STATS } from './constants/EntityStats.js';
+
+export const TRACKED_DEFENSES = ['LASER_POINT_DEFENSE', 'LIGHT_SAM_DEFENSE', 'SMART_SAM_DEFENSE', 'FLAK_DEFENSE', 'SHIELD'];
+
+/**
+ * Things that deal damage on behalf of a launched item.
+ */
+const DAMAGE_SOURCES = {
+    NAPALM_FIRE: 'NAPALM',
+    EXPLOSION_HAZARD: 'NUKE',
+    SAM_MISSILE: 'LIGHT_SAM_DEFENSE',
+    SMART_SAM_MISSILE: 'SMART_SAM_DEFENSE'
+};
+
+const ratio = (num, den) => (den > 0 ? num / den : null);
+
+export class BalanceTracker {
+    constructor() {
+        this.games = 0;
+        this.turns = 0;
+        this.items = {};
+        this.defenses = {};
+        this.deployed = new Map(); // entityId -> itemType, for the match in progress
+    }
+
+    item(type) {
+        return (this.items[type] ??= {
+            launches: 0,
+            energySpent: 0,
+            damageDealt: 0,
+            intercepted: 0,
+            deployed: 0,
+            survived: 0
+        });
+    }
+
+    defense(type) {
+        return (this.defenses[type] ??= { shots: 0, intercepts: 0, absorbed: 0 });
+    }
+
+    beginMatch() {
+        this.deployed = new Map();
+    }
+
+    /**
+     * Folds one turn's GameState.combatEvents into the totals.
+     */
+    recordTurn(events) {
+        this.turns++;
+        events.forEach((event) => {
+            if (event.type === 'LAUNCH') {
+                const item = this.item(event.itemType);
+                item.launches++;
+                item.energySpent += event.cost || 0;
+            } else if (event.type === 'DAMAGE') {
+                if (!event.itemType || event.owner === event.targetOwner) return;
+                this.item(DAMAGE_SOURCES[event.itemType] || event.itemType).damageDealt += event.amount;
+            } else if (event.type === 'DEFENSE_FIRE') {
+                this.defense(event.defenseType).shots++;
+            } else if (event.type === 'INTERCEPT') {
+                if (event.owner === event.targetOwner) return;
+                const defense = this.defense(event.defenseType);
+                defense.intercepts++;
+                defense.absorbed += event.absorbed || 0;
+                this.item(event.projectileType).intercepted++;
+            } else if (event.type === 'DEPLOY') {
+                this.item(event.itemType).deployed++;
+                this.deployed.set(event.entityId, event.itemType);
+            }
+        });
+    }
+
+    /**
+     * Closes a match: launched structures still standing count as survivors.
+     */
+    endMatch(game) {
+        this.games++;
+        game.entities.forEach((e) => {
+            const type = this.deployed.get(e.id);
+            if (type) this.item(type).survived++;
+        });
+        this.deployed = new Map();
+    }
+
+    getReport() {
+        const items = Object.entries(this.items)
+            .filter(([type]) => ENTITY_STATS[type]?.category)
+            .map(([itemType, s]) => ({
+                itemType,
+                cost: ENTITY_STATS[itemType].cost,
+                ...s,
+                damagePerEnergy: ratio(s.damageDealt, s.energySpent),
+                interceptedRate: ratio(s.intercepted, s.launches),
+                survivalRate: ratio(s.survived, s.deployed)
+            }))
+            .sort((a, b) => b.launches - a.launches || a.itemType.localeCompare(b.itemType));
+
+        const defenses = TRACKED_DEFENSES.map((defenseType) => {
+            const s = this.defenses[defenseType] || { shots: 0, intercepts: 0, absorbed: 0 };
+            const built = this.items[defenseType]?.deployed || 0;
+            return {
+                defenseType,
+                built,
+                ...s,
+                interceptRate: ratio(s.intercepts, s.shots),
+                interceptsPerEnergy: ratio(s.intercepts, this.items[defenseType]?.energySpent || 0)
+            };
+        });
+
+        return { games: this.games, turns: this.turns, items, defenses };
+    }
+}
+
+const pct = (v) => (v === null ? '-' : `${(v * 100).toFixed(1)}%`);
+const num = (v, digits = 2) => (v === null ? '-' : v.toFixed(digits));
+
+/**
+ * Signed change against a baseline report value, e.g. "(+0.12)".
+ */
+function delta(value, base, format) {
+    if (value === null || base === null || base === undefined) return '';
+    const diff = value - base;
+    if (Math.abs(diff) < 1e-9) return '';
+    return ` (${diff > 0 ? '+' : '-'}${format(Math.abs(diff))})`;
+}
+
+function table(headers, rows) {
+    const widths = headers.map((h, i) => Math.max(h.length, ...rows.map((r) => String(r[i]).length)));
+    const line = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ');
+    return [line(headers), line(widths.map((w) => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Renders a report as plain-text comparison tables. With a baseline report
+ * (e.g. from before a stat change) each rate shows its change in brackets.
+ */
+export function formatReport(report, baseline = null) {
+    const baseItems = Object.fromEntries((baseline?.items || []).map((i) => [i.itemType, i]));
+    const baseDefenses = Object.fromEntries((baseline?.defenses || []).map((d) => [d.defenseType, d]));
+
+    const itemRows = report.items.map((i) => {
+        const b = baseItems[i.itemType] || {};
+        return [
+            i.itemType,
+            i.cost,
+            i.launches,
+            i.energySpent,
+            i.damageDealt,
+            num(i.damagePerEnergy) + delta(i.damagePerEnergy, b.damagePerEnergy, num),
+            pct(i.interceptedRate) + delta(i.interceptedRate, b.interceptedRate, pct),
+            i.deployed ? pct(i.survivalRate) + delta(i.survivalRate, b.survivalRate, pct) : '-'
+        ];
+    });
+    const defenseRows = report.defenses.map((d) => {
+        const b = baseDefenses[d.defenseType] || {};
+        return [
+            d.defenseType,
+            d.built,
+            d.shots,
+            d.intercepts,
+            d.defenseType === 'SHIELD' ? `${d.absorbed} absorbed` : num(d.interceptRate) + delta(d.interceptRate, b.interceptRate, num),
+            num(d.interceptsPerEnergy, 3) + delta(d.interceptsPerEnergy, b.interceptsPerEnergy, (v) => num(v, 3))
+        ];
+    });
+
+    return [
+        `Balance report: ${report.games} game(s), ${report.turns} turn(s)`,
+        '',
+        table(['Item', 'Cost', 'Launches', 'Energy', 'Damage', 'Dmg/Energy', 'Intercepted', 'Survival'], itemRows),
+        '',
+        table(['Defense', 'Built', 'Shots', 'Intercepts', 'Per Shot', 'Per Energy'], defenseRows)
+    ].join('\n');
+}
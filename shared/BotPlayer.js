@@ -0,0 +1,368 @@
+/**
+ * BotPlayer.js
+ *
+ * Computer opponent. A bot only ever reads the state returned by
+ * getVisibleState(botId), so it plays under the same fog of war as a human,
+ * and its plan goes through the same ActionValidator as any submission.
+ *
+ * Each turn it works down a simple priority list:
+ *   1. Defend structures that have enemy structures (or a nuke) close by.
+ *   2. Strike visible enemy structures in range, hubs first.
+ *   3. Expand: EXTRACTORs onto free resource nodes, HUBs toward distant ones.
+ *   4. Advance: with nothing else planned, hop a HUB toward the last enemy
+ *      structure seen, or into the fog farthest from its own network.
+ */
+
+import { GameState } from './GameState.js';
+import { ENTITY_STATS, GLOBAL_STATS } from './constants/EntityStats.js';
+import { validateAction } from './ActionValidator.js';
+import { isDisabled } from './StatusEffects.js';
+
+export const BOT_TOKEN_PREFIX = 'bot:';
+
+export const BOT_DIFFICULTIES = {
+    easy: {
+        maxActions: 1,
+        maxAttacks: 1,
+        attackChance: 0.5,
+        defendChance: 0.5,
+        threatRadius: 400,
+        angleJitter: 12, // ± degrees
+        distanceJitter: 0.15 // ± fraction of launch distance
+    },
+    normal: {
+        maxActions: 3,
+        maxAttacks: 2,
+        attackChance: 1,
+        defendChance: 1,
+        threatRadius: 600,
+        angleJitter: 1,
+        distanceJitter: 0.02
+    }
+};
+
+const DEFENSE_TYPES = ['LASER_POINT_DEFENSE', 'LIGHT_SAM_DEFENSE', 'SMART_SAM_DEFENSE', 'FLAK_DEFENSE', 'SHIELD'];
+
+/**
+ * Items the bot picks from when attacking or defending. Simulations swap in
+ * wider loadouts to exercise the whole arsenal.
+ */
+export const DEFAULT_LOADOUT = {
+    attack: ['WEAPON'],
+    defense: ['LASER_POINT_DEFENSE']
+};
+const LANDING_MARGIN = 10;
+const DEFENSE_OFFSET = 80; // Distance from the threatened hub to drop a defense
+const HUB_STEP = 300; // Preferred hop length when expanding with hubs
+const FOG_GRID = 8; // Cells per map side searched for the deepest fog
+
+export class BotPlayer {
+    constructor(playerId, difficulty = 'normal', seed = 1, loadout = DEFAULT_LOADOUT) {
+        this.playerId = playerId;
+        this.difficulty = BotPlayer.isValidDifficulty(difficulty) ? difficulty : 'normal';
+        this.config = BOT_DIFFICULTIES[this.difficulty];
+        this.loadout = { ...DEFAULT_LOADOUT, ...loadout };
+        this.rng = { seed: seed >>> 0, state: seed >>> 0 };
+        this.lastSeenEnemy = null; // { x, y } of the closest enemy structure last seen
+    }
+
+    static isValidDifficulty(difficulty) {
+        return Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, difficulty);
+    }
+
+    static isBotToken(token) {
+        return typeof token === 'string' && token.startsWith(BOT_TOKEN_PREFIX);
+    }
+
+    random() {
+        return GameState.advanceRng(this.rng);
+    }
+
+    pick(list) {
+        // Single-item lists don't draw, so the default loadout leaves the RNG stream untouched
+        return list.length === 1 ? list[0] : list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Plans this turn's actions from the bot's visible state.
+     * @param {object} state - getVisibleState(botId) output
+     * @param {object} options - ActionValidator options (e.g. allowExperimental)
+     */
+    planTurn(state, options = {}) {
+        const me = state?.players?.[this.playerId];
+        if (!me || me.alive === false || state.winner) return [];
+
+        const structures = state.entities.filter((e) => !e.isHazard && e.deployed !== false);
+        const ctx = {
+            state,
+            options,
+            planned: [],
+            landings: [],
+            own: structures.filter((e) => e.owner === this.playerId),
+            enemies: structures.filter((e) => e.owner && !GameState.areAllies(state.players, e.owner, this.playerId)),
+            attacks: 0
+        };
+        ctx.hubs = ctx.own.filter((e) => e.type === 'HUB' && !isDisabled(e, state.turn));
+        if (ctx.hubs.length === 0) return [];
+
+        this.rememberEnemies(ctx);
+        this.planDefense(ctx);
+        this.planAttacks(ctx);
+        this.planExpansion(ctx);
+        this.planAdvance(ctx);
+        return ctx.planned;
+    }
+
+    isFull(ctx) {
+        return ctx.planned.length >= this.config.maxActions;
+    }
+
+    vector(ctx, from, to) {
+        return GameState.getToroidalVector(from.x, from.y, to.x, to.y, ctx.state.map.width, ctx.state.map.height);
+    }
+
+    distance(ctx, from, to) {
+        const { dx, dy } = this.vector(ctx, from, to);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Hubs sorted by distance to a point, limited to those that can reach it.
+     */
+    hubsInReach(ctx, target) {
+        const reach = GameState.calculateLaunchDistance(GLOBAL_STATS.MAX_PULL);
+        return ctx.hubs
+            .map((hub) => ({ hub, dist: this.distance(ctx, hub, target) }))
+            .filter(({ dist }) => dist > 0 && dist <= reach)
+            .sort((a, b) => a.dist - b.dist)
+            .map(({ hub }) => hub);
+    }
+
+    /**
+     * Whether a structure of `itemType` can land at (x, y) and be linked back to `source`
+     * without drowning, crashing or overlapping anything the bot can see or has planned.
+     */
+    isSafeLanding(ctx, source, itemType, x, y) {
+        const { map } = ctx.state;
+        const size = ENTITY_STATS[itemType]?.size || 20;
+        const point = { x, y };
+
+        const blocked = [...(map.lakes || []), ...(map.mountains || []), ...(map.craters || [])]
+            .some((area) => this.distance(ctx, point, area) < area.radius + size + LANDING_MARGIN);
+        if (blocked) return false;
+
+        const crowded = [...ctx.state.entities, ...ctx.landings].some((e) => {
+            const otherSize = e.size || ENTITY_STATS[e.type]?.size || 20;
+            return this.distance(ctx, point, e) < size + otherSize + LANDING_MARGIN;
+        });
+        if (crowded) return false;
+
+        // Links break when they cross a lake
+        const segments = GameState.getLinkSegments(source, point, map.width, map.height);
+        return !(map.lakes || []).some((lake) =>
+            segments.some((seg) =>
+                GameState.getPointToSegmentDistance(lake.x, lake.y, seg.p1.x, seg.p1.y, seg.p2.x, seg.p2.y) <
+                lake.radius + LANDING_MARGIN
+            )
+        );
+    }
+
+    /**
+     * Aims a launch from `source` at a map point and adds it to the plan if it validates.
+     * Difficulty adds aiming error on top of the exact solution.
+     */
+    tryLaunch(ctx, source, itemType, target) {
+        if (this.isFull(ctx)) return false;
+
+        const { dx, dy } = this.vector(ctx, source, target);
+        const targetDistance = Math.sqrt(dx * dx + dy * dy);
+        const angleError = (this.random() - 0.5) * 2 * this.config.angleJitter;
+        const distanceError = 1 + (this.random() - 0.5) * 2 * this.config.distanceJitter;
+
+        // calculateLaunchAngle expects the pull vector, which points away from the target
+        const angle = GameState.calculateLaunchAngle(-dx, -dy) + angleError;
+        const distance = Math.min(
+            GameState.calculatePullDistance(targetDistance * distanceError),
+            GLOBAL_STATS.MAX_PULL
+        );
+
+        const action = {
+            type: 'LAUNCH',
+            playerId: this.playerId,
+            itemType,
+            sourceId: source.id,
+            sourceX: source.x,
+            sourceY: source.y,
+            angle,
+            distance
+        };
+        if (!validateAction(ctx.state, this.playerId, action, ctx.planned, ctx.options).valid) {
+            return false;
+        }
+
+        ctx.planned.push(action);
+        if (ENTITY_STATS[itemType]?.damageFull === undefined) {
+            ctx.landings.push({ x: target.x, y: target.y, size: ENTITY_STATS[itemType]?.size || 20 });
+        }
+        return true;
+    }
+
+    planDefense(ctx) {
+        const { threatRadius } = this.config;
+        const threatened = new Map(); // hubId -> closest threat
+
+        ctx.enemies.forEach((enemy) => {
+            ctx.hubs.forEach((hub) => {
+                const dist = this.distance(ctx, hub, enemy);
+                const isThreat = enemy.type === 'NUKE' ? dist <= ENTITY_STATS.NUKE.radiusHalf * 2 : dist <= threatRadius;
+                if (!isThreat) return;
+                const current = threatened.get(hub.id);
+                if (!current || dist < current.dist) threatened.set(hub.id, { hub, enemy, dist });
+            });
+        });
+
+        threatened.forEach(({ hub, enemy }) => {
+            if (this.random() >= this.config.defendChance) return;
+            const covered = ctx.own.some(
+                (e) => DEFENSE_TYPES.includes(e.type) && this.distance(ctx, hub, e) <= DEFENSE_OFFSET * 2
+            );
+            if (covered) return;
+
+            // Drop the defense between the hub and the threat
+            const { dx, dy } = this.vector(ctx, hub, enemy);
+            const len = Math.sqrt(dx * dx + dy * dy) || 1;
+            const spot = {
+                x: (hub.x + (dx / len) * DEFENSE_OFFSET + ctx.state.map.width) % ctx.state.map.width,
+                y: (hub.y + (dy / len) * DEFENSE_OFFSET + ctx.state.map.height) % ctx.state.map.height
+            };
+            const defense = this.pick(this.loadout.defense);
+            const preferred = enemy.type === 'NUKE' ? ['SHIELD', defense] : [defense];
+            preferred.some(
+                (type) => this.isSafeLanding(ctx, hub, type, spot.x, spot.y) && this.tryLaunch(ctx, hub, type, spot)
+            );
+        });
+    }
+
+    planAttacks(ctx) {
+        const targets = [...ctx.enemies].sort((a, b) => {
+            // Hubs first, then whatever is closest to our network
+            if ((a.type === 'HUB') !== (b.type === 'HUB')) return a.type === 'HUB' ? -1 : 1;
+            return this.closestHubDistance(ctx, a) - this.closestHubDistance(ctx, b);
+        });
+
+        for (const target of targets) {
+            if (this.isFull(ctx) || ctx.attacks >= this.config.maxAttacks) return;
+            if (this.random() >= this.config.attackChance) continue;
+            const itemType = this.pick(this.loadout.attack);
+            const launched = this.hubsInReach(ctx, target).some((hub) => this.tryLaunch(ctx, hub, itemType, target));
+            if (launched) ctx.attacks++;
+        }
+    }
+
+    closestHubDistance(ctx, target) {
+        return Math.min(...ctx.hubs.map((hub) => this.distance(ctx, hub, target)));
+    }
+
+    planExpansion(ctx) {
+        const captureRadius = GLOBAL_STATS.RESOURCE_CAPTURE_RADIUS;
+        const freeNodes = (ctx.state.map.resources || [])
+            .filter((node) => ![...ctx.state.entities, ...ctx.landings].some(
+                (e) => this.distance(ctx, node, e) <= captureRadius + (ENTITY_STATS[e.type]?.size || e.size || 20)
+            ))
+            .sort((a, b) => this.closestHubDistance(ctx, a) - this.closestHubDistance(ctx, b));
+
+        let extractorPlanned = false;
+        let hubPlanned = false;
+        for (const node of freeNodes) {
+            if (this.isFull(ctx) || (extractorPlanned && hubPlanned)) return;
+
+            const inReach = this.hubsInReach(ctx, node).filter((hub) =>
+                this.isSafeLanding(ctx, hub, 'EXTRACTOR', node.x, node.y)
+            );
+            if (!extractorPlanned && inReach.length > 0) {
+                extractorPlanned = inReach.some((hub) => this.tryLaunch(ctx, hub, 'EXTRACTOR', node));
+                if (extractorPlanned) continue;
+            }
+
+            // Too far: hop a new hub toward the node
+            if (!hubPlanned) {
+                hubPlanned = this.tryHubStep(ctx, node, captureRadius * 4);
+            }
+        }
+    }
+
+    /**
+     * Launches a HUB from the hub closest to `target`, one HUB_STEP toward it,
+     * stopping `standoff` short. Returns whether a launch was planned.
+     */
+    tryHubStep(ctx, target, standoff) {
+        const hub = [...ctx.hubs].sort((a, b) => this.distance(ctx, a, target) - this.distance(ctx, b, target))[0];
+        const { dx, dy } = this.vector(ctx, hub, target);
+        const len = Math.sqrt(dx * dx + dy * dy) || 1;
+        const step = Math.min(HUB_STEP, len - standoff);
+        if (step <= ENTITY_STATS.HUB.size * 2) return false;
+        const spot = {
+            x: (hub.x + (dx / len) * step + ctx.state.map.width) % ctx.state.map.width,
+            y: (hub.y + (dy / len) * step + ctx.state.map.height) % ctx.state.map.height
+        };
+        return this.isSafeLanding(ctx, hub, 'HUB', spot.x, spot.y) && this.tryLaunch(ctx, hub, 'HUB', spot);
+    }
+
+    /**
+     * Keeps the closest visible enemy structure in memory so the bot can head back
+     * toward it once it drops into the fog. Forgets it as soon as the spot is back in sight
+     * with nothing there (e.g. the structure was destroyed), so the bot goes back to exploring.
+     */
+    rememberEnemies(ctx) {
+        if (ctx.enemies.length > 0) {
+            const closest = [...ctx.enemies].sort(
+                (a, b) => this.closestHubDistance(ctx, a) - this.closestHubDistance(ctx, b)
+            )[0];
+            this.lastSeenEnemy = { x: closest.x, y: closest.y };
+        } else if (this.lastSeenEnemy && this.canSee(ctx, this.lastSeenEnemy)) {
+            this.lastSeenEnemy = null;
+        }
+    }
+
+    /**
+     * Whether a point lies inside the vision of one of the bot's own structures.
+     */
+    canSee(ctx, point) {
+        return ctx.own.some((e) => this.distance(ctx, e, point) <= GameState.getVisionRadius(e));
+    }
+
+    /**
+     * Fallback for turns where nothing else got planned, e.g. maps with no resource
+     * nodes in sight or enemies out of reach: move the network instead of idling.
+     */
+    planAdvance(ctx) {
+        if (ctx.planned.length > 0) return;
+
+        if (this.lastSeenEnemy) {
+            // Stop once the enemy is comfortably inside launch reach
+            const reach = GameState.calculateLaunchDistance(GLOBAL_STATS.MAX_PULL);
+            this.tryHubStep(ctx, this.lastSeenEnemy, reach * 0.75);
+            return;
+        }
+
+        // Nothing seen (or the sighting turned out empty): head for the deepest fog
+        this.tryHubStep(ctx, this.deepestFog(ctx), 0);
+    }
+
+    /**
+     * The point of a coarse map grid farthest from every structure the bot owns.
+     * The network can stretch across map edges, so no single centre would do.
+     */
+    deepestFog(ctx) {
+        const { width, height } = ctx.state.map;
+        let best = null;
+        for (let gx = 0; gx < FOG_GRID; gx++) {
+            for (let gy = 0; gy < FOG_GRID; gy++) {
+                const point = { x: ((gx + 0.5) * width) / FOG_GRID, y: ((gy + 0.5) * height) / FOG_GRID };
+                const gap = Math.min(...ctx.own.map((e) => this.distance(ctx, e, point)));
+                if (!best || gap > best.gap) best = { point, gap };
+            }
+        }
+        return best.point;
+    }
+}
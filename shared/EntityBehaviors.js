@@ -0,0 +1,96 @@
+/**
+ * EntityBehaviors.js
+ *
+ * Registry of per-type behaviour hooks. GameState handles everything every
+ * entity shares (flight, interception, landing, blasts, link checks) and
+ * asks the registry for what is specific to one ENTITY_STATS type, so a new
+ * weapon or structure is a stats entry plus a module in behaviors/.
+ *
+ * A behaviour is a plain object; every hook and flag is optional:
+ *   onCreate(game, entity)                  - when addEntity builds the entity, to set up per-type state
+ *   onExpire(game, hazard)                  - when a hazard past its expiresTurn is removed (Nuke crater)
+ *   onTurnStart(game, entity, ctx)          - once per turn, before income; blasts go into ctx
+ *                                             { snapshots, tempVisuals, impacts } (Nuke detonation)
+ *   onIncome(game, entity)                  - extra energy on top of the entity's energyGen (Extractor node)
+ *   onRoundStart(game, entity, ctx)         - before a round's launches (may add ctx.automaticProjectiles)
+ *   isBusy(entity)                          - true while the entity still has work for another round;
+ *                                             hazards that define it last only while busy (Napalm fire)
+ *   onLaunch(launch)                        - adjust { action, stats, launchDistance, flightDistance }
+ *                                             before the projectile is built (also used by predictLaunch)
+ *   onTick(game, projectile, ctx)           - every sub-tick of a projectile's flight, before it moves
+ *   onArrive(game, projectile, ctx)         - when a projectile reaches its target, before its blast
+ *   onBlastHit(game, target, blast)         - for each target inside this item's full blast radius
+ *   onShieldBlock(game, projectile, ctx)    - replaces barrier damage when a shield stops the projectile
+ *   hazardContains(game, hazard, x, y, size, from) - whether a body of radius `size` at (x, y) touches
+ *                                             this hazard; projectiles pass their previous position as `from`.
+ *                                             predictLaunch passes a plain state, so only game.map is safe to read
+ *   onHazardHit(game, hazard, entity)       - after this hazard damaged a structure in a round (Napalm burns)
+ *   onScan(game, entity, ctx)               - defensive scan; return true to skip the default nearest-target pick
+ *   onDefend(game, entity, target, shot, ctx) - fire at the projectile the default scan picked
+ *   onDeploy(game, entity, round)           - when a landed structure finishes deploying (Extractor capture)
+ *   onRoundEnd(game, entity)                - after a round's destruction and deployment
+ *   onDeath(game, entity, round)            - when the entity is destroyed
+ *   onEnemyLaunch(game, entity, launch)     - an enemy launched from { x, y, owner, round } (Echo Artillery)
+ *   onTurnEnd(game, entity)                 - after the turn, unless the entity was disabled during it
+ *   planSplit(dx, dy, arrivalTick)          - where the projectile splits and its parts land, shared by
+ *                                             onTick and predictLaunch (Cluster Bomb)
+ *   passesShields, ignoresRoundLimit, coneVision - flags, see the modules that set them
+ *
+ * Round hooks get the round's context: { round, t, subTicks, snapshots, tempProjectiles,
+ * tempVisuals, impacts, overloadedThisRound, automaticProjectiles, projectilesNear }.
+ */
+
+import { ENTITY_STATS } from './constants/EntityStats.js';
+import napalm from './behaviors/Napalm.js';
+import reclaimer from './behaviors/Reclaimer.js';
+import overload from './behaviors/Overload.js';
+import emp from './behaviors/Emp.js';
+import clusterBomb from './behaviors/ClusterBomb.js';
+import homingMissile from './behaviors/HomingMissile.js';
+import echoArtillery from './behaviors/EchoArtillery.js';
+import shield from './behaviors/Shield.js';
+import laserPointDefense from './behaviors/LaserPointDefense.js';
+import flakDefense from './behaviors/FlakDefense.js';
+import samDefense from './behaviors/SamDefense.js';
+import nuke from './behaviors/Nuke.js';
+import extractor from './behaviors/Extractor.js';
+
+const NO_BEHAVIOR = Object.freeze({});
+const registry = new Map();
+
+/**
+ * Sets the behaviour of an ENTITY_STATS type, replacing any previous one.
+ */
+export function registerBehavior(type, behavior) {
+    if (!ENTITY_STATS[type]) {
+        throw new Error(`Cannot register a behaviour for unknown entity type "${type}"`);
+    }
+    registry.set(type, behavior);
+}
+
+export function unregisterBehavior(type) {
+    registry.delete(type);
+}
+
+/**
+ * The behaviour of a type; an empty one for types without special rules.
+ */
+export function getBehavior(type) {
+    return registry.get(type) || NO_BEHAVIOR;
+}
+
+[
+    napalm,
+    reclaimer,
+    overload,
+    emp,
+    clusterBomb,
+    homingMissile,
+    echoArtillery,
+    shield,
+    laserPointDefense,
+    flakDefense,
+    samDefense,
+    nuke,
+    extractor
+].forEach((module) => Object.entries(module).forEach(([type, behavior]) => registerBehavior(type, behavior)));
@@ -7,11 +7,51 @@
  */
 
 import { ENTITY_STATS, GLOBAL_STATS, RESOURCE_NODE_STATS } from './constants/EntityStats.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { normalizeRules, isItemBanned } from './MatchRules.js';
+import { evaluateVictory } from './Victory.js';
+import { getBehavior } from './EntityBehaviors.js';
+import {
+    isDisabled,
+    hasEffect,
+    applyEffect,
+    isRevealed,
+    getEffectModifier,
+    absorbDamage,
+    runEffectHooks,
+    expireEffects
+} from './StatusEffects.js';
+import { CALM_WEATHER, generateWeather, getWindDrift, getVisionFactor, isInStorm } from './Weather.js';
+import { getEntityStats, getUpgradeCost, applyUpgrade } from './Upgrades.js';
+import { REPAIR_STATS, getRepairTargets, applyRepair } from './Repair.js';
+
+// Observers (vision, detection) prefer their in-flight position; targets prefer their resting one
+const observerPosition = (e) => ({ x: e.currX !== undefined ? e.currX : e.x, y: e.currY !== undefined ? e.currY : e.y });
+const targetPosition = (e) => ({ x: e.x !== undefined ? e.x : e.currX, y: e.y !== undefined ? e.y : e.currY });
+
+/**
+ * How each kind of spatial index places items: where they are, how far from that
+ * point a query should still find them, and which items take part at all.
+ */
+const SPATIAL_INDEX_KINDS = {
+    vision: { position: observerPosition, radius: (e) => GameState.getVisionRadius(e) },
+    cloak: {
+        position: observerPosition,
+        radius: () => ENTITY_STATS.CLOAKING_FIELD.cloakRange || 300,
+        include: (e) => e.type === 'CLOAKING_FIELD'
+    },
+    observers: { position: observerPosition },
+    // Large enough for both the collision size (default 20) and the blast size (default 0)
+    bodies: {
+        position: targetPosition,
+        radius: (e) => Math.max(20, ENTITY_STATS[e.type]?.size || 0, ENTITY_STATS[e.itemType]?.size || 0)
+    }
+};
 
 export class GameState {
     constructor() {
         this.turn = 1;
-        this.players = {}; // { playerId: { energy: 100, color: 'red', alive: true } }
+        this.players = {}; // { playerId: { energy: 100, color: 'red', alive: true, team: 'team1' } }
         this.entities = []; // [ { id, type: 'HUB', owner, x, y, hp } ]
         this.links = []; // [ { fromId, toId } ]
         this.map = {
@@ -20,10 +60,119 @@ export class GameState {
             resources: [], // Energy nodes on the map
             obstacles: [], // Rocks, walls, etc.
             lakes: [],
-            mountains: []
+            mountains: [],
+            hill: null // King-of-the-hill zone { x, y, radius }; Victory.js defaults it to the map centre
         };
         this.winner = null;
+        this.rules = normalizeRules(); // MatchRules for this match (economy, banned items, fog, turn limit)
+        this.weather = CALM_WEATHER; // This turn's weather (Weather.js), rolled at the end of the previous turn
         this.phase = 'PLANNING'; // 'PLANNING' or 'RESOLVING'
+        this.combatEvents = []; // Structured events from the last resolveTurn() (transient, not serialized)
+        this.snapshotEventIndex = 0;
+        this.spatialIndexEnabled = true; // Benchmarks turn this off to compare against plain scans
+        this.spatialCache = null; // Only set inside withSpatialIndex()
+        this.setSeed(GameState.createSeed());
+    }
+
+    /**
+     * Appends a structured event to the current turn's combat log.
+     * Types: LAUNCH, DEFENSE_FIRE, INTERCEPT, DAMAGE, DESTROY, DEPLOY, CAPTURE,
+     * LINK_DECAY, RECLAIM, EMP_DISABLE, STATUS, GROUNDED, CRATER, UPGRADE, REPAIR. Events carry the map position
+     * they happened at (x, y) so they can be filtered by fog of war.
+     */
+    recordEvent(type, data = {}) {
+        this.combatEvents.push({ type, turn: this.turn, seq: this.combatEvents.length, ...data });
+    }
+
+    /**
+     * Adds a resolution snapshot, attaching the events recorded since the previous one.
+     */
+    pushSnapshot(snapshots, snapshot) {
+        snapshot.events = this.combatEvents.slice(this.snapshotEventIndex);
+        this.snapshotEventIndex = this.combatEvents.length;
+        snapshots.push(snapshot);
+    }
+
+    /**
+     * Records a DESTROY event for every listed entity still on the board.
+     * Reclaimed structures already have their own RECLAIM event.
+     */
+    recordDestroyed(ids, round = undefined) {
+        this.entities.forEach((e) => {
+            if (!ids.has(e.id) || e.isHazard) return;
+            if (this.combatEvents.some((ev) => ev.type === 'RECLAIM' && ev.entityId === e.id)) return;
+            this.recordEvent('DESTROY', {
+                round,
+                targetId: e.id,
+                targetType: e.type,
+                targetOwner: e.owner,
+                x: e.x,
+                y: e.y
+            });
+            getBehavior(e.type).onDeath?.(this, e, round);
+        });
+    }
+
+    /**
+     * Records damage to a structure. `source` is the projectile, hazard or entity that caused it.
+     */
+    recordDamage(source, target, amount, round = undefined) {
+        this.recordEvent('DAMAGE', {
+            round,
+            owner: source?.owner ?? null,
+            itemType: source ? source.itemType || source.type : null,
+            targetId: target.id,
+            targetType: target.type,
+            targetOwner: target.owner,
+            amount,
+            lethal: target.hp <= 0,
+            x: target.x,
+            y: target.y
+        });
+    }
+
+    /**
+     * Fresh 32-bit seed for matches that don't request a specific one.
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Resets the match RNG. The same seed + the same actions always reproduce the same turns.
+     */
+    setSeed(seed) {
+        this.rng = { seed: seed >>> 0, state: seed >>> 0 };
+    }
+
+    /**
+     * mulberry32 step on any { seed, state } object. Shared so other headless
+     * systems (e.g. bots) can own independent, reproducible streams.
+     */
+    static advanceRng(rng) {
+        rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+        let t = rng.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Deterministic replacement for Math.random(). Advances this.rng.state.
+     */
+    random() {
+        return GameState.advanceRng(this.rng);
+    }
+
+    /**
+     * Short base-36 id drawn from the match RNG.
+     */
+    randomId(length = 8) {
+        let id = '';
+        while (id.length < length) {
+            id += Math.floor(this.random() * 0x100000000).toString(36);
+        }
+        return id.substring(0, length);
     }
 
     /**
@@ -37,6 +186,25 @@ export class GameState {
         return Math.pow(ratio, GLOBAL_STATS.POWER_EXPONENT) * GLOBAL_STATS.MAX_LAUNCH;
     }
 
+    /**
+     * Aimed distance and actual flight distance of a launch, after the item's onLaunch hook (Napalm stops short).
+     */
+    static planLaunch(action, stats) {
+        const launchDistance = GameState.calculateLaunchDistance(action.distance);
+        const launch = { action, stats, launchDistance, flightDistance: launchDistance };
+        getBehavior(action.itemType).onLaunch?.(launch);
+        return launch;
+    }
+
+    /**
+     * Inverse of calculateLaunchDistance: the pull needed to travel a launch distance.
+     * Distances beyond MAX_LAUNCH are clamped to MAX_PULL.
+     */
+    static calculatePullDistance(launchDistance) {
+        const ratio = Math.max(0, Math.min(launchDistance / GLOBAL_STATS.MAX_LAUNCH, 1));
+        return Math.pow(ratio, 1 / GLOBAL_STATS.POWER_EXPONENT) * GLOBAL_STATS.MAX_PULL;
+    }
+
     /**
      * Calculate launch angle in degrees given a dx, dy pull vector.
      * Note: The launch direction is OPPOSITE to the pull direction.
@@ -123,6 +291,78 @@ export class GameState {
         return Math.sqrt(dx * dx + dy * dy) || 0;
     }
 
+    /**
+     * Type whose stats and behaviour define an entity's vision. Snapshot projectiles carry their item in itemType.
+     */
+    static getVisionType(e) {
+        return e.type === 'PROJECTILE' && e.itemType ? e.itemType : e.type;
+    }
+
+    /**
+     * Stats that define an entity's vision. In-flight projectiles see with their item's stats,
+     * upgraded structures with their tier's.
+     */
+    static getVisionStats(e) {
+        return getEntityStats(e, GameState.getVisionType(e));
+    }
+
+    static getVisionRadius(e) {
+        return e.vision !== undefined ? e.vision : GameState.getVisionStats(e)?.vision || 0;
+    }
+
+    /**
+     * Runs fn with spatial indexing: every list handed to the proximity queries
+     * (vision, cloaking, seekers, blasts, collisions) is bucketed into a
+     * SpatialGrid once and reused until fn returns. Cached lists are keyed by
+     * identity and length, so they must not move while the scope is open —
+     * entities never do, and moving projectiles use createSpatialGrid() instead.
+     */
+    withSpatialIndex(fn) {
+        if (!this.spatialIndexEnabled || this.spatialCache) return fn();
+        this.spatialCache = new WeakMap();
+        try {
+            return fn();
+        } finally {
+            this.spatialCache = null;
+        }
+    }
+
+    /**
+     * Fresh, uncached grid over a list (see SPATIAL_INDEX_KINDS), or null when indexing is off.
+     */
+    createSpatialGrid(list, kind) {
+        if (!this.spatialIndexEnabled) return null;
+        const { position, radius, include } = SPATIAL_INDEX_KINDS[kind];
+        return SpatialGrid.fromItems(include ? list.filter(include) : list, this.map.width, this.map.height, {
+            position,
+            radius
+        });
+    }
+
+    /**
+     * Cached grid over a list while inside withSpatialIndex(), otherwise null
+     * (callers then scan the whole list, as they always did).
+     */
+    getSpatialIndex(list, kind) {
+        if (!this.spatialCache) return null;
+        let cached = this.spatialCache.get(list);
+        if (!cached || cached.length !== list.length) {
+            cached = { length: list.length, grids: {} };
+            this.spatialCache.set(list, cached);
+        }
+        if (!cached.grids[kind]) cached.grids[kind] = this.createSpatialGrid(list, kind);
+        return cached.grids[kind];
+    }
+
+    /**
+     * Members of `list` that may lie within `radius` of (x, y), in list order:
+     * indexed candidates inside withSpatialIndex(), otherwise the whole list.
+     */
+    nearby(list, kind, x, y, radius = 0) {
+        const index = this.getSpatialIndex(list, kind);
+        return index ? index.query(x, y, radius) : list;
+    }
+
     /**
      * Checks if a specific coordinate is visible to a player.
      * Accounts for toroidal wrapping.
@@ -131,54 +371,46 @@ export class GameState {
         if (!playerId || playerId === 'spectator') return true;
 
         const sourceEntities = entities || this.entities;
-        return sourceEntities.some((e) => {
-            if (e.owner !== playerId) return false;
-
-            // Correctly identify stat key for buildings vs projectiles
-            const statKey =
-                (e.type === 'PROJECTILE' ||
-                    e.type === 'WEAPON' ||
-                    e.type === 'HOMING_MISSILE' ||
-                    e.type === 'SAM_MISSILE') &&
-                    e.itemType
-                    ? e.itemType
-                    : e.type;
-            const stats = ENTITY_STATS[statKey];
-            const radius = e.vision !== undefined ? e.vision : stats?.vision || 0;
-            if (radius === 0) return false;
+        return this.nearby(sourceEntities, 'vision', x, y).some((e) => this.entitySees(e, playerId, x, y));
+    }
 
-            const ex = e.currX !== undefined ? e.currX : e.x;
-            const ey = e.currY !== undefined ? e.currY : e.y;
+    /**
+     * Whether one of playerId's entities can see (x, y).
+     */
+    entitySees(e, playerId, x, y) {
+        if (!this.areAllies(e.owner, playerId)) return false;
 
-            const dist = this.getToroidalDistance(ex, ey, x, y);
-            if (dist > radius) return false;
+        const stats = GameState.getVisionStats(e);
+        const radius = GameState.getVisionRadius(e) * getVisionFactor(this.weather);
+        if (radius === 0) return false;
 
-            // Projectile-Specific Vision Override: 60 degree cone
-            // NOTE: A projectile ALWAYS sees its own position (dist < 1)
-            if (
-                dist > 1 &&
-                (e.type === 'PROJECTILE' || e.type === 'HOMING_MISSILE') &&
-                (e.itemType === 'HOMING_MISSILE' || e.type === 'HOMING_MISSILE')
-            ) {
-                const vec = this.constructor.getToroidalVector(
-                    ex,
-                    ey,
-                    x,
-                    y,
-                    this.map.width,
-                    this.map.height
-                );
-                const angleToPoint = Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
+        const ex = e.currX !== undefined ? e.currX : e.x;
+        const ey = e.currY !== undefined ? e.currY : e.y;
 
-                let diff = angleToPoint - (e.currentAngle || 0);
-                while (diff > 180) diff -= 360;
-                while (diff < -180) diff += 360;
+        const dist = this.getToroidalDistance(ex, ey, x, y);
+        if (dist > radius) return false;
 
-                return Math.abs(diff) <= (stats.searchCone || 60) / 2;
-            }
+        // Cone vision (Homing Missiles): only inside the search cone
+        // NOTE: A projectile ALWAYS sees its own position (dist < 1)
+        if (dist > 1 && getBehavior(GameState.getVisionType(e)).coneVision) {
+            const vec = this.constructor.getToroidalVector(
+                ex,
+                ey,
+                x,
+                y,
+                this.map.width,
+                this.map.height
+            );
+            const angleToPoint = Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
 
-            return true;
-        });
+            let diff = angleToPoint - (e.currentAngle || 0);
+            while (diff > 180) diff -= 360;
+            while (diff < -180) diff += 360;
+
+            return Math.abs(diff) <= (stats.searchCone || 60) / 2;
+        }
+
+        return true;
     }
 
     /**
@@ -188,49 +420,51 @@ export class GameState {
      */
     isPositionCloaked(ownerId, x, y, entities = null) {
         const sourceEntities = entities || this.entities;
-        return sourceEntities.some((e) => {
-            if (
-                e.owner === ownerId &&
-                e.type === 'CLOAKING_FIELD' &&
-                e.deployed !== false &&
-                (e.disabledUntilTurn || 0) <= this.turn
-            ) {
-                const ex = e.currX !== undefined ? e.currX : e.x;
-                const ey = e.currY !== undefined ? e.currY : e.y;
-                const dist = this.getToroidalDistance(ex, ey, x, y);
-                return dist <= (ENTITY_STATS.CLOAKING_FIELD.cloakRange || 300);
-            }
-            return false;
-        });
+        return this.nearby(sourceEntities, 'cloak', x, y).some((e) => this.entityCloaks(e, ownerId, x, y));
     }
 
     /**
-     * Returns a list of vision circles { x, y, radius } for a given player.
+     * Whether e is an active Cloaking Field of ownerId covering (x, y).
+     */
+    entityCloaks(e, ownerId, x, y) {
+        if (
+            e.owner === ownerId &&
+            e.type === 'CLOAKING_FIELD' &&
+            e.deployed !== false &&
+            !isDisabled(e, this.turn)
+        ) {
+            const ex = e.currX !== undefined ? e.currX : e.x;
+            const ey = e.currY !== undefined ? e.currY : e.y;
+            const dist = this.getToroidalDistance(ex, ey, x, y);
+            return dist <= (ENTITY_STATS.CLOAKING_FIELD.cloakRange || 300);
+        }
+        return false;
+    }
+
+    /**
+     * Whether one of observerId's (or an ally's) entities is within Cloaking Field detection range of (x, y).
+     */
+    entityDetects(e, observerId, x, y) {
+        if (!this.areAllies(e.owner, observerId)) return false;
+        const observerX = e.currX !== undefined ? e.currX : e.x;
+        const observerY = e.currY !== undefined ? e.currY : e.y;
+        const dist = this.getToroidalDistance(observerX, observerY, x, y);
+        return dist <= (ENTITY_STATS.CLOAKING_FIELD.detectionRange || 75);
+    }
+
+    /**
+     * Returns a list of vision circles { x, y, radius } for a given player, allies' included.
      */
     getVisionCircles(playerId) {
         if (!playerId || playerId === 'spectator') return [];
 
         return this.entities
-            .filter((e) => e.owner === playerId)
-            .map((e) => {
-                // Consistent statKey logic with isPositionVisible
-                const statKey =
-                    (e.type === 'PROJECTILE' ||
-                        e.type === 'WEAPON' ||
-                        e.type === 'HOMING_MISSILE' ||
-                        e.type === 'SAM_MISSILE') &&
-                        e.itemType
-                        ? e.itemType
-                        : e.type;
-                const stats = ENTITY_STATS[statKey];
-                const radius = e.vision !== undefined ? e.vision : stats?.vision || 0;
-
-                return {
-                    x: e.x,
-                    y: e.y,
-                    radius
-                };
-            })
+            .filter((e) => this.areAllies(e.owner, playerId))
+            .map((e) => ({
+                x: e.x,
+                y: e.y,
+                radius: GameState.getVisionRadius(e) * getVisionFactor(this.weather)
+            }))
             .filter((c) => c.radius > 0);
     }
 
@@ -240,36 +474,41 @@ export class GameState {
      * @param {array} extraEntities - Temporary entities (like projectiles) to check vision from.
      */
     updateScouting(extraEntities = []) {
+        this.withSpatialIndex(() => this.scoutFrom(extraEntities));
+    }
+
+    /**
+     * updateScouting() body. Entities stay put for the whole resolution, so they are
+     * looked up through the spatial index; the few moving extras are always checked.
+     */
+    scoutFrom(extraEntities) {
         const observerIds = Object.keys(this.players);
-        const allEntities = [...this.entities, ...extraEntities];
+        const anyNearby = (kind, x, y, radius, test) =>
+            this.nearby(this.entities, kind, x, y, radius).some(test) || extraEntities.some(test);
 
         this.entities.forEach((ent) => {
             if (ent.scouted) return;
 
             for (const observerId of observerIds) {
-                if (ent.owner === observerId) continue;
+                if (this.areAllies(ent.owner, observerId)) continue;
 
                 const ex = ent.currX !== undefined ? ent.currX : ent.x;
                 const ey = ent.currY !== undefined ? ent.currY : ent.y;
 
                 // Cloaking Check: Follows logic from getVisibleState
-                const isCloaked = this.isPositionCloaked(ent.owner, ex, ey, allEntities);
+                const isCloaked = anyNearby('cloak', ex, ey, 0, (e) => this.entityCloaks(e, ent.owner, ex, ey));
                 if (isCloaked) {
                     const detectionRange = ENTITY_STATS.CLOAKING_FIELD.detectionRange || 75;
-                    const canSee = allEntities.some((e) => {
-                        if (e.owner !== observerId) return false;
-                        const observerX = e.currX !== undefined ? e.currX : e.x;
-                        const observerY = e.currY !== undefined ? e.currY : e.y;
-                        const dist = this.getToroidalDistance(observerX, observerY, ex, ey);
-                        return dist <= detectionRange;
-                    });
+                    const canSee = anyNearby('observers', ex, ey, detectionRange, (e) =>
+                        this.entityDetects(e, observerId, ex, ey)
+                    );
                     if (canSee) {
                         ent.scouted = true;
                         break;
                     }
                 } else {
                     // Standard Vision
-                    if (this.isPositionVisible(observerId, ex, ey, allEntities)) {
+                    if (anyNearby('vision', ex, ey, 0, (e) => this.entitySees(e, observerId, ex, ey))) {
                         ent.scouted = true;
                         break;
                     }
@@ -284,46 +523,72 @@ export class GameState {
      * @param {object} [baseState] - Optional state object to filter (defaults to current state).
      */
     getVisibleState(playerId, baseState = null) {
+        return this.withSpatialIndex(() => this.filterVisibleState(playerId, baseState));
+    }
+
+    /**
+     * getVisibleState() body, run inside a spatial index scope.
+     */
+    filterVisibleState(playerId, baseState) {
         const state = baseState ? JSON.parse(JSON.stringify(baseState)) : this.getState();
+        // A serialize() base state carries the RNG, which nobody watching may see
+        delete state.rng;
+
         if (!playerId || playerId === 'spectator') {
             state.entities = state.entities.map((e) => ({ ...e, scouted: true }));
             return state;
         }
 
+        // Without fog of war players see the whole map, like spectators
+        if (!this.rules.fogOfWar) {
+            state.entities = state.entities.map((e) => ({ ...e, scouted: true }));
+            return state;
+        }
+
         const isVisible = (x, y, targetOwnerId = null) => {
             if (
                 targetOwnerId &&
-                targetOwnerId !== playerId &&
+                !this.areAllies(targetOwnerId, playerId) &&
                 this.isPositionCloaked(targetOwnerId, x, y, state.entities)
             ) {
                 // Cloaked: only visible at detectionRange (75px)
                 const detectionRange = ENTITY_STATS.CLOAKING_FIELD.detectionRange || 75;
-                return state.entities.some((e) => {
-                    if (e.owner !== playerId) return false;
-                    const ex = e.currX !== undefined ? e.currX : e.x;
-                    const ey = e.currY !== undefined ? e.currY : e.y;
-                    const dist = this.getToroidalDistance(ex, ey, x, y);
-                    return dist <= detectionRange;
-                });
+                return this.nearby(state.entities, 'observers', x, y, detectionRange).some((e) =>
+                    this.entityDetects(e, playerId, x, y)
+                );
             }
             return this.isPositionVisible(playerId, x, y, state.entities);
         };
 
+        // Combat events: anything this player took part in, or that happened in sight
+        if (state.events) {
+            state.events = state.events.filter(
+                (ev) =>
+                    this.areAllies(ev.owner, playerId) ||
+                    this.areAllies(ev.targetOwner, playerId) ||
+                    (ev.x !== undefined && isVisible(ev.x, ev.y, ev.targetOwner || ev.owner))
+            );
+        }
+
         const entitiesRequiredByLinks = new Set();
 
         // Filter links: visible if either end is visible, or if any segment is visible
         const sourceEntities = baseState ? baseState.entities : this.entities;
+        const sourceById = new Map();
+        sourceEntities.forEach((e) => {
+            if (!sourceById.has(e.id)) sourceById.set(e.id, e);
+        });
 
         state.links = state.links.filter((l) => {
-            const fullFrom = sourceEntities.find((e) => e.id === l.from);
-            const fullTo = sourceEntities.find((e) => e.id === l.to);
+            const fullFrom = sourceById.get(l.from);
+            const fullTo = sourceById.get(l.to);
             if (!fullFrom || !fullTo) return false;
 
             // Check endpoints
             const fromVisible =
-                fullFrom.owner === playerId || isVisible(fullFrom.x, fullFrom.y, fullFrom.owner);
+                this.areAllies(fullFrom.owner, playerId) || isVisible(fullFrom.x, fullFrom.y, fullFrom.owner);
             const toVisible =
-                fullTo.owner === playerId || isVisible(fullTo.x, fullTo.y, fullTo.owner);
+                this.areAllies(fullTo.owner, playerId) || isVisible(fullTo.x, fullTo.y, fullTo.owner);
 
             if (fromVisible || toVisible) {
                 entitiesRequiredByLinks.add(l.from);
@@ -362,11 +627,12 @@ export class GameState {
             return false;
         });
 
-        // Filter entities: own entities always visible, others only if in vision OR required by a visible link OR ghost memory
+        // Filter entities: own and allied entities always visible, others only if in vision OR required by a visible link OR ghost memory
         state.entities = sourceEntities
             .map((e) => {
-                const isOwn = e.owner === playerId;
-                const inVision = isVisible(e.x, e.y, e.owner);
+                const isOwn = this.areAllies(e.owner, playerId);
+                // Revealed entities show through fog and cloaking
+                const inVision = isRevealed(e, state.turn) || isVisible(e.x, e.y, e.owner);
                 const isLinkEndpoint = entitiesRequiredByLinks.has(e.id);
                 // Standard vision: can we see this spot?
                 const canSeeSpot = this.isPositionVisible(playerId, e.x, e.y, sourceEntities);
@@ -391,9 +657,68 @@ export class GameState {
     }
 
     /**
-     * Initialize a new game for a set of players
+     * A player's team id: 'teamN' when MatchRules assigned one, otherwise the player's own id.
+     */
+    static getTeam(players, playerId) {
+        return players?.[playerId]?.team ?? playerId;
+    }
+
+    /**
+     * Whether two players are the same player or teammates. Unowned things have no allies.
      */
-    initializeGame(playerIds, mapConfig = null) {
+    static areAllies(players, a, b) {
+        if (!a || !b) return false;
+        return a === b || GameState.getTeam(players, a) === GameState.getTeam(players, b);
+    }
+
+    areAllies(a, b) {
+        return GameState.areAllies(this.players, a, b);
+    }
+
+    /**
+     * Players on a team (or the player itself for a solo player's id), e.g. to resolve a team winner.
+     */
+    static getTeamMembers(players, team) {
+        return Object.keys(players || {}).filter((pid) => GameState.getTeam(players, pid) === team);
+    }
+
+    /**
+     * Color for a player by seat index. Falls back to golden-angle hues past the palette.
+     */
+    static getPlayerColor(index) {
+        const palette = GLOBAL_STATS.PLAYER_COLORS;
+        if (index < palette.length) return palette[index];
+        return `hsl(${Math.round(index * 137.5) % 360}, 70%, 50%)`;
+    }
+
+    /**
+     * Default starter hub positions for N players.
+     * Two players keep the classic side-by-side layout; larger games are spread
+     * evenly on a ring around the map center.
+     */
+    static getDefaultStartPositions(count, width = GLOBAL_STATS.MAP_WIDTH, height = GLOBAL_STATS.MAP_HEIGHT) {
+        if (count <= 2) {
+            return Array.from({ length: count }, (_, index) => ({ x: 250 + index * 500, y: 500 }));
+        }
+        const ringRadius = Math.min(width, height) * 0.35;
+        return Array.from({ length: count }, (_, index) => {
+            const angle = (index / count) * 2 * Math.PI - Math.PI / 2;
+            return {
+                x: Math.round(width / 2 + Math.cos(angle) * ringRadius),
+                y: Math.round(height / 2 + Math.sin(angle) * ringRadius)
+            };
+        });
+    }
+
+    /**
+     * Initialize a new game for a set of players.
+     * Pass a seed to reproduce an exact match (ids, deviations, hazard timings).
+     * Pass rules (see MatchRules) to change them; otherwise the current rules are kept.
+     */
+    initializeGame(playerIds, mapConfig = null, seed = null, rules = null) {
+        // Without an explicit seed, restarting replays the current seed from the start
+        this.setSeed(seed ?? this.rng.seed);
+        if (rules) this.rules = normalizeRules(rules);
         this.turn = 1;
         this.entities = [];
         this.links = [];
@@ -407,52 +732,50 @@ export class GameState {
             this.map.resources = [...(mapConfig.resources || [])];
             this.map.lakes = [...(mapConfig.lakes || [])];
             this.map.mountains = [...(mapConfig.mountains || [])];
+            this.map.hill = mapConfig.hill ? { ...mapConfig.hill } : null;
+        } else {
+            this.map.width = GLOBAL_STATS.MAP_WIDTH;
+            this.map.height = GLOBAL_STATS.MAP_HEIGHT;
+            this.map.hill = null;
+        }
+
+        // Maps may define fewer bases than seated players; extra players fall back to the default ring
+        const fallbackPositions = GameState.getDefaultStartPositions(
+            playerIds.length,
+            this.map.width,
+            this.map.height
+        );
 
-            playerIds.forEach((id, index) => {
-                this.players[id] = {
-                    energy: GLOBAL_STATS.STARTING_ENERGY,
-                    color: `hsl(${index * 60}, 70%, 50%)`,
-                    alive: true
-                };
+        playerIds.forEach((id, index) => {
+            const team = this.rules.teams[id];
+            this.players[id] = {
+                energy: this.rules.startingEnergy,
+                color: GameState.getPlayerColor(index),
+                alive: true,
+                team: team ? `team${team}` : id
+            };
 
+            let base = fallbackPositions[index];
+            if (mapConfig) {
                 // Find base by owner or by index
                 const pKey = `player${index + 1}`;
-                const base = mapConfig.playerBases?.find(b => b.owner === pKey) ||
-                    mapConfig.playerBases?.[index];
-
-                if (base) {
-                    this.addEntity({
-                        type: 'HUB',
-                        owner: id,
-                        x: base.x,
-                        y: base.y,
-                        hp: ENTITY_STATS.HUB.hp,
-                        isStarter: true
-                    });
-                }
-            });
-        } else {
-            // Default Hardcoded Layout (backward compatibility for tests)
-            playerIds.forEach((id, index) => {
-                this.players[id] = {
-                    energy: GLOBAL_STATS.STARTING_ENERGY,
-                    color: `hsl(${index * 60}, 70%, 50%)`,
-                    alive: true
-                };
-
-                const startX = 250 + index * 500;
-                const startY = 500;
-
-                this.addEntity({
-                    type: 'HUB',
-                    owner: id,
-                    x: startX,
-                    y: startY,
-                    hp: ENTITY_STATS.HUB.hp,
-                    isStarter: true
-                });
+                base = mapConfig.playerBases?.find(b => b.owner === pKey) ||
+                    mapConfig.playerBases?.[index] ||
+                    base;
+            }
+
+            this.addEntity({
+                type: 'HUB',
+                owner: id,
+                x: base.x,
+                y: base.y,
+                hp: ENTITY_STATS.HUB.hp,
+                isStarter: true
             });
+        });
 
+        if (!mapConfig) {
+            // Default Hardcoded Layout (backward compatibility for tests)
             const { STANDARD, SUPER } = RESOURCE_NODE_STATS;
             this.map.resources = [
                 { id: 'res1', x: 500, y: 250, ...STANDARD },
@@ -467,6 +790,10 @@ export class GameState {
                 { id: 'mtn3', x: 1500, y: 1500, radius: 100 }
             ];
         }
+
+        // A new match starts from a calm sky
+        this.weather = CALM_WEATHER;
+        this.weather = generateWeather(this);
     }
 
     /**
@@ -514,7 +841,6 @@ export class GameState {
                     e.owner === pid &&
                     !connected.has(e.id) &&
                     !e.isHazard &&
-                    e.type !== 'EXPLOSION_HAZARD' &&
                     !ENTITY_STATS[e.type]?.isSeeker;
                 if (isOrphan) {
                     toDestroy.add(e.id);
@@ -526,6 +852,17 @@ export class GameState {
             console.log(
                 `[Link Decay] Destroying orphaned entities: ${Array.from(toDestroy).join(', ')}`
             );
+            this.entities.forEach((e) => {
+                if (!toDestroy.has(e.id)) return;
+                this.recordEvent('LINK_DECAY', {
+                    round,
+                    targetId: e.id,
+                    targetType: e.type,
+                    targetOwner: e.owner,
+                    x: e.x,
+                    y: e.y
+                });
+            });
             this.entities = this.entities.filter((e) => !toDestroy.has(e.id));
             this.links = this.links.filter((l) => !toDestroy.has(l.from) && !toDestroy.has(l.to));
         }
@@ -653,7 +990,7 @@ export class GameState {
             const nr = ENTITY_STATS[newEnt.type]?.size || 20;
 
             // 1. Rule B: Crash on existing structure (already deployed)
-            existingEntities.forEach((oldEnt) => {
+            this.nearby(existingEntities, 'bodies', newEnt.x, newEnt.y, nr).forEach((oldEnt) => {
                 const or = ENTITY_STATS[oldEnt.type]?.size || 20;
                 const dist = this.getToroidalDistance(newEnt.x, newEnt.y, oldEnt.x, oldEnt.y);
                 if (dist < nr + or) {
@@ -711,7 +1048,7 @@ export class GameState {
     }
 
     addEntity(data) {
-        const id = Math.random().toString(36).substring(2, 10); // Node-friendly unique ID
+        const id = this.randomId(8); // Deterministic per match seed
 
         // Centralized Stat Lookups
         const stats = ENTITY_STATS[data.type] || {};
@@ -722,31 +1059,16 @@ export class GameState {
 
         const entity = {
             id,
-            disabledUntilTurn: 0,
             scouted: data.scouted || false,
             ...data,
             fuel: finalFuel,
             maxFuel: finalMaxFuel,
             hp: data.hp || stats.hp || GLOBAL_STATS.DEFAULT_HP
         };
+        if (stats.isHazard) entity.isHazard = true;
 
-        if (data.type === 'NUKE' && data.detonationTurn === undefined) {
-            entity.detonationTurn = this.turn + 2;
-        }
-
-        if (data.type === 'ECHO_ARTILLERY') {
-            entity.pendingEchos = []; // [{ x, y }] targets to fire at in the next round
-            entity.firedThisTurn = false;
-        }
-
-        if (data.type === 'SHIELD') {
-            entity.barrierHp = stats.barrierHpMax || 5;
-        }
-
-        // Initialize capture status for Extractors
-        if (data.type === 'EXTRACTOR') {
-            this.updateExtractorStatus(entity);
-        }
+        // Per-type setup (Nuke countdown, Shield barrier, Extractor capture, ...)
+        getBehavior(entity.type).onCreate?.(this, entity);
 
         this.entities.push(entity);
         return entity;
@@ -785,10 +1107,12 @@ export class GameState {
 
             // Interceptors search through tempProjectiles (incoming weapons)
             // Homing weapons search through this.entities (enemy structures)
-            const targets = stats.isInterceptor ? tempProjectiles : this.entities;
+            const targets = stats.isInterceptor
+                ? tempProjectiles
+                : this.nearby(this.entities, 'bodies', proj.currX, proj.currY, stats.homingRange);
 
             targets.forEach((ent) => {
-                if (ent.owner === proj.owner) return;
+                if (this.areAllies(ent.owner, proj.owner)) return;
 
                 // Filtering Logic
                 if (stats.isInterceptor) {
@@ -992,6 +1316,78 @@ export class GameState {
         }
     }
 
+    /**
+     * Declares the winner once at most one team is left ('DRAW' if nobody is).
+     * The winner is the surviving team's id, which for a solo player is their player id.
+     */
+    updateWinner() {
+        const aliveTeams = new Set(
+            Object.keys(this.players)
+                .filter((pid) => this.players[pid].alive)
+                .map((pid) => GameState.getTeam(this.players, pid))
+        );
+        if (aliveTeams.size === 1) {
+            this.winner = [...aliveTeams][0];
+        } else if (aliveTeams.size === 0) {
+            this.winner = 'DRAW';
+        }
+    }
+
+    /**
+     * Takes a player out of the match outside of combat (forfeit).
+     * Their structures stay on the map. Returns false if the match is already decided.
+     */
+    eliminatePlayer(playerId) {
+        if (!this.players[playerId] || this.winner) return false;
+        this.players[playerId].alive = false;
+        this.updateWinner();
+        return true;
+    }
+
+    /**
+     * Ends the match in a draw the players agreed to. Returns false if the match is already decided.
+     */
+    declareDraw() {
+        if (this.winner) return false;
+        this.winner = 'DRAW';
+        return true;
+    }
+
+    /**
+     * Pays for and applies one UPGRADE action. The server validated it against the planning
+     * state; it is skipped if the structure is gone, maxed out or no longer affordable.
+     */
+    resolveUpgrade(pid, action) {
+        const player = this.players[pid];
+        const target = this.entities.find((e) => e.id === action.targetId);
+        if (!player?.alive || !target || target.owner !== pid || target.deployed === false) return false;
+
+        const cost = getUpgradeCost(target);
+        if (cost === null || player.energy < cost) return false;
+
+        player.energy -= cost;
+        applyUpgrade(this, target);
+        console.log(`[Economy] ${pid} upgraded ${target.type} ${target.id} to tier ${target.tier} for ${cost}.`);
+        return true;
+    }
+
+    /**
+     * Pays for and applies one REPAIR action from a HUB. Skipped (free) if the hub is gone or
+     * disabled, nothing in reach is damaged any more, or the player can no longer afford it.
+     */
+    resolveRepair(pid, action) {
+        const player = this.players[pid];
+        const hub = this.entities.find((e) => e.id === action.sourceId);
+        if (!player?.alive || !hub || hub.owner !== pid || hub.type !== 'HUB') return false;
+        if (isDisabled(hub, this.turn) || player.energy < REPAIR_STATS.cost) return false;
+        if (getRepairTargets(this, hub).length === 0) return false;
+
+        player.energy -= REPAIR_STATS.cost;
+        const restored = applyRepair(this, hub);
+        console.log(`[Economy] ${pid} repaired ${restored} HP around hub ${hub.id} for ${REPAIR_STATS.cost}.`);
+        return true;
+    }
+
     /**
      * This is where the magic happens.
      * It processes all inputs and updates the state for the next turn.
@@ -1001,127 +1397,81 @@ export class GameState {
      * Returns an array of snapshots so the client can "watch" the resolution unfold.
      */
     resolveTurn(playerActionsMap) {
+        return this.withSpatialIndex(() => this.simulateTurn(playerActionsMap));
+    }
+
+    /**
+     * resolveTurn() body, run inside a spatial index scope.
+     */
+    simulateTurn(playerActionsMap) {
         this.phase = 'RESOLVING';
+        this.combatEvents = [];
+        this.snapshotEventIndex = 0;
         const snapshots = [];
         if (this.winner) {
-            snapshots.push({ type: 'FINAL', state: this.getState() });
+            this.pushSnapshot(snapshots, { type: 'FINAL', state: this.getState() });
             return snapshots;
         }
 
-        // 0. Cleanup Expired Hazards & Map Scarring (Craters)
+        // 0. Cleanup Expired Hazards (per-type aftermath, e.g. the Nuke's crater)
         this.entities = this.entities.filter((e) => {
-            const isHazard = e.type === 'EXPLOSION_HAZARD' || e.type === 'NAPALM_FIRE';
-            if (isHazard && e.expiresTurn < this.turn) {
-                if (!this.map.craters) this.map.craters = [];
-                // Leave a permanent mark on the map
-                if (e.type === 'EXPLOSION_HAZARD') {
-                    this.map.craters.push({
-                        id: `crater-${Math.random().toString(36).substring(2, 7)}`,
-                        x: e.x,
-                        y: e.y,
-                        radius: 40
-                    });
-                    console.log(
-                        `[Scarring] Hazard at (${e.x}, ${e.y}) subsided, leaving a crater.`
-                    );
-                } else {
-                    console.log(`[Lifecycle] ${e.type} at (${e.x}, ${e.y}) subsided.`);
-                }
+            if (e.isHazard && e.expiresTurn < this.turn) {
+                console.log(`[Lifecycle] ${e.type} at (${e.x}, ${e.y}) subsided.`);
+                getBehavior(e.type).onExpire?.(this, e);
                 return false;
             }
             return true;
         });
 
-        // 0.5 Reset Echo Artillery for new turn
-        this.entities.forEach((ent) => {
-            if (ent.type === 'ECHO_ARTILLERY') {
-                ent.firedThisTurn = false;
-                ent.pendingEchos = []; // Clear any leftover echos from previous turn
-            }
+        // 0.5 Status effects (disabled countdowns wait), then per-type turn start (Echo Artillery
+        // and Flak reset, Nuke detonation)
+        runEffectHooks(this, 'onTurnStart');
+        const turnStart = { snapshots, tempVisuals: [], impacts: new Set() };
+        [...this.entities].forEach((ent) => getBehavior(ent.type).onTurnStart?.(this, ent, turnStart));
 
-            // --- Status Lockout ---
-            if (ent.disabledUntilTurn > this.turn) {
-                if (ent.type === 'NUKE' && ent.detonationTurn !== undefined) {
-                    ent.detonationTurn += 1;
-                }
-                return;
-            }
-        });
+        if (turnStart.impacts.size > 0) {
+            this.recordDestroyed(turnStart.impacts);
+            this.entities = this.entities.filter((e) => !turnStart.impacts.has(e.id));
+            this.links = this.links.filter(
+                (l) => !turnStart.impacts.has(l.from) && !turnStart.impacts.has(l.to)
+            );
+            this.pushSnapshot(snapshots, {
+                type: 'DETONATION',
+                state: this.getState(),
+                visuals: turnStart.tempVisuals
+            });
+        }
 
         // 1. Generate Energy for all active players
         Object.keys(this.players).forEach((pid) => {
             if (!this.players[pid].alive) return;
 
-            let turnIncome = GLOBAL_STATS.ENERGY_INCOME_PER_TURN; // Base UBI
+            let turnIncome = this.rules.incomePerTurn; // Base UBI
 
             // Add income from entities (Hubs and Extractors)
             this.entities.forEach((entity) => {
                 if (entity.owner === pid) {
                     // Skip energy generation for disabled entities
-                    if (entity.disabledUntilTurn > this.turn) return;
-
-                    const stats = ENTITY_STATS[entity.type];
-                    if (stats && stats.energyGen) {
-                        let entityIncome = stats.energyGen;
-
-                        // Extractor-specific node bonus
-                        if (entity.type === 'EXTRACTOR') {
-                            this.updateExtractorStatus(entity);
-                            if (entity.isCapturing && entity.capturedNodeId) {
-                                const node = this.map.resources.find(r => r.id === entity.capturedNodeId);
-                                if (node) {
-                                    entityIncome += node.value || 0;
-                                    console.log(
-                                        `[Economy] Extractor ${entity.id} on node ${node.id} generated ${entityIncome} total.`
-                                    );
-                                }
-                            }
-                        }
+                    if (isDisabled(entity, this.turn)) return;
 
-                        turnIncome += entityIncome;
-                    }
+                    // Base generation plus any per-type bonus (Extractor node value)
+                    turnIncome += (getEntityStats(entity)?.energyGen || 0) + (getBehavior(entity.type).onIncome?.(this, entity) || 0);
                 }
             });
 
             this.players[pid].energy += turnIncome;
             console.log(`[Economy] ${pid} total turn income: ${turnIncome}`);
         });
-        snapshots.push({ type: 'ENERGY', state: this.getState() });
-
-        const nukeImpacts = new Set();
-        const nukeVisuals = [];
-        const possibleNukes = [...this.entities];
-        possibleNukes.forEach((e) => {
-            if (e.type === 'NUKE' && e.detonationTurn <= this.turn) {
-                console.log(`[Lifecycle] Nuke ${e.id} detonating on Turn ${this.turn}!`);
-                const stats = ENTITY_STATS.NUKE;
-                this.triggerExplosion(e.x, e.y, stats, nukeVisuals, nukeImpacts, this.entities);
-
-                // Spawn Lingering Hazard (lasts remainder of this Turn)
-                this.addEntity({
-                    type: 'EXPLOSION_HAZARD',
-                    x: e.x,
-                    y: e.y,
-                    owner: e.owner,
-                    expiresTurn: this.turn,
-                    hp: 999,
-                    deployed: true,
-                    isHazard: true
-                });
-            }
-        });
 
-        if (nukeImpacts.size > 0) {
-            this.entities = this.entities.filter((e) => !nukeImpacts.has(e.id));
-            this.links = this.links.filter(
-                (l) => !nukeImpacts.has(l.from) && !nukeImpacts.has(l.to)
-            );
-            snapshots.push({
-                type: 'DETONATION',
-                state: this.getState(),
-                visuals: nukeVisuals
-            });
-        }
+        // 1b. Structure upgrades, then repairs, before any launch so they cover this turn's rounds
+        const launchActionsMap = {};
+        Object.keys(playerActionsMap).forEach((pid) => {
+            const actions = playerActionsMap[pid] || [];
+            actions.filter((a) => a.type === 'UPGRADE').forEach((action) => this.resolveUpgrade(pid, action));
+            actions.filter((a) => a.type === 'REPAIR').forEach((action) => this.resolveRepair(pid, action));
+            launchActionsMap[pid] = actions.filter((a) => (a.type || 'LAUNCH') === 'LAUNCH');
+        });
+        this.pushSnapshot(snapshots, { type: 'ENERGY', state: this.getState() });
 
         // 2. Process Actions with Entity-Autonomous "One-per-Hub-per-Round" Logic
         const playerIds = Object.keys(this.players);
@@ -1134,112 +1484,23 @@ export class GameState {
         // Reset per-round tracking state on all entities
         this.entities.forEach((e) => {
             e.lastRoundFired = -1;
-            if (e.type === 'FLAK_DEFENSE') {
-                e.flakActive = false;
-                e.flakTriggerTick = 0;
-            }
         });
+        const hasBusyEntities = () => this.entities.some((e) => getBehavior(e.type).isBusy?.(e));
 
-        while (
-            activeInProgress ||
-            this.entities.some(
-                (e) => e.type === 'NAPALM_FIRE' && (e.roundsLeft === undefined || e.roundsLeft > 0)
-            ) ||
-            this.entities.some(
-                (e) => e.type === 'ECHO_ARTILLERY' && e.pendingEchos && e.pendingEchos.length > 0
-            )
-        ) {
+        while (activeInProgress || hasBusyEntities()) {
             round++;
             const roundActions = [];
             const automaticProjectiles = [];
             const overloadedThisRound = new Set();
+            // Context handed to behaviour hooks; filled in as the round progresses
+            const ctx = { round, snapshots, automaticProjectiles, overloadedThisRound };
 
-            // Task 3: Collect Echo Artillery retaliation
-            this.entities.forEach((echo) => {
-                if (
-                    echo.type === 'ECHO_ARTILLERY' &&
-                    echo.disabledUntilTurn > this.turn // Skip if disabled by EMP
-                ) {
-                    echo.pendingEchos = []; // Clear pending echos if disabled
-                    return;
-                }
-
-                if (
-                    echo.type === 'ECHO_ARTILLERY' &&
-                    echo.pendingEchos &&
-                    echo.pendingEchos.length > 0
-                ) {
-                    // Filter echos ready for this round (1-round delay)
-                    const readyEchos = echo.pendingEchos.filter((pea) => pea.triggerRound < round);
-                    echo.pendingEchos = echo.pendingEchos.filter(
-                        (pea) => pea.triggerRound >= round
-                    );
-
-                    readyEchos.forEach((target) => {
-                        const stats = ENTITY_STATS.WEAPON; // Standard Dumb Bomb
-                        const velocity = stats.speed || GLOBAL_STATS.SPEED_TIERS.NORMAL;
-
-                        // Calculate angle and distance to source structure
-                        const { dx, dy } = GameState.getToroidalVector(
-                            echo.x,
-                            echo.y,
-                            target.x,
-                            target.y,
-                            this.map.width,
-                            this.map.height
-                        );
-                        let angle = Math.atan2(dy, dx) * (180 / Math.PI);
-                        let distance = Math.sqrt(dx * dx + dy * dy);
-
-                        // Add Inaccuracy (Deviation)
-                        const aStats = ENTITY_STATS.ECHO_ARTILLERY;
-                        angle += (Math.random() - 0.5) * (aStats.accuracyDeviationAngle || 0);
-                        distance *=
-                            1 -
-                            (aStats.accuracyDeviationDistance || 0) / 2 +
-                            Math.random() * (aStats.accuracyDeviationDistance || 0);
-
-                        const rad = (angle * Math.PI) / 180;
-                        const arrivalTick = Math.max(1, Math.floor(distance / velocity));
-
-                        automaticProjectiles.push({
-                            id: Math.random().toString(36).substring(2, 6),
-                            type: 'WEAPON', // Echo Shell = Dumb Bomb
-                            itemType: 'WEAPON',
-                            owner: echo.owner,
-                            startX: echo.x,
-                            startY: echo.y,
-                            currX: echo.x,
-                            currY: echo.y,
-                            currentAngle: angle,
-                            sourceId: echo.id,
-                            intendedDx: Math.cos(rad) * distance,
-                            intendedDy: Math.sin(rad) * distance,
-                            originalTargetX: this.wrapX(echo.x + Math.cos(rad) * distance),
-                            originalTargetY: this.wrapY(echo.y + Math.sin(rad) * distance),
-                            totalDist: distance,
-                            intendedDistance: distance,
-                            arrivalTick: arrivalTick,
-                            velocity: velocity,
-                            totalDistanceMoved: 0,
-                            active: true,
-                            hp: stats.hp || 1,
-                            hitByFlakDefense: new Set(),
-                            scheduledEffects: [] // List of { type: 'incinerate'|'damage', amount, tick, sourceId }
-                        });
-                        console.log(
-                            `[Echo-Firing] Artillery ${echo.id} firing retaliation at (${Math.round(target.x)}, ${Math.round(target.y)})`
-                        );
-
-                        // TASK 5: Automated launches also trigger other Echo Artilleries
-                        this.triggerEchoArtillery(echo.x, echo.y, echo.owner, round);
-                    });
-                }
-            });
+            // Automatic fire (Echo Artillery retaliation)
+            this.entities.forEach((ent) => getBehavior(ent.type).onRoundStart?.(this, ent, ctx));
 
             // a. Collection: Find the next valid action for each UNIQUE hub of this player
             playerIds.forEach((pid) => {
-                const actions = playerActionsMap[pid] || [];
+                const actions = launchActionsMap[pid] || [];
                 const hubsFiredThisRound = new Set();
 
                 for (let i = 0; i < actions.length; i++) {
@@ -1248,11 +1509,25 @@ export class GameState {
                     const action = actions[i];
                     const source = this.entities.find((e) => e.id === action.sourceId);
 
+                    // Storms ground launches from inside them
+                    if (source && isInStorm(this.weather, this.map, source.x, source.y)) {
+                        this.recordEvent('GROUNDED', {
+                            round,
+                            owner: pid,
+                            sourceId: source.id,
+                            itemType: action.itemType,
+                            x: source.x,
+                            y: source.y
+                        });
+                        processedActions[pid].add(i);
+                        continue;
+                    }
+
                     // Discard invalid actions (source destroyed, out of fuel, or disabled by EMP)
                     if (
                         !source ||
                         (source.fuel !== undefined && source.fuel <= 0) ||
-                        source.disabledUntilTurn > this.turn
+                        isDisabled(source, this.turn)
                     ) {
                         processedActions[pid].add(i);
                         continue;
@@ -1267,11 +1542,9 @@ export class GameState {
                 }
             });
 
+            // Every hazard acts in the first round; round-limited ones (Napalm fire) for as long as they are busy
             const hasActiveHazards = this.entities.some(
-                (e) =>
-                    (e.type === 'NAPALM_FIRE' &&
-                        (e.roundsLeft === undefined || e.roundsLeft > 0)) ||
-                    (e.type === 'EXPLOSION_HAZARD' && round === 1)
+                (e) => e.isHazard && (round === 1 || getBehavior(e.type).isBusy?.(e))
             );
             if (roundActions.length > 0 || hasActiveHazards || automaticProjectiles.length > 0) {
                 const subTicks = GLOBAL_STATS.ACTION_SUB_TICKS;
@@ -1286,40 +1559,34 @@ export class GameState {
                     const player = this.players[action.playerId];
                     const source = this.entities.find((e) => e.id === action.sourceId);
                     const cost = ENTITY_STATS[action.itemType]?.cost || 0;
+                    if (isItemBanned(this.rules, action.itemType)) return;
 
                     if (player.energy >= cost && source) {
                         player.energy -= cost;
                         if (source.fuel !== undefined) source.fuel--;
 
-                        let launchDistance = GameState.calculateLaunchDistance(action.distance);
                         const stats = ENTITY_STATS[action.itemType];
-                        const velocity = stats.speed || GLOBAL_STATS.SPEED_TIERS.SLOW;
-                        let actualLaunchDistance = launchDistance;
-
-                        // Napalm Refinement: Projectile stops 150px short of the target
-                        if (action.itemType === 'NAPALM') {
-                            // Bug 1: Enforce minRange (clamped to 200px from launcher)
-                            const effectiveLaunchDist = Math.max(
-                                stats.minRange || 0,
-                                launchDistance
-                            );
-                            actualLaunchDistance = Math.max(10, effectiveLaunchDist - 150);
-
-                            // If distance was clamped, we need to update launchDistance for originalTargetX/Y calc later
-                            launchDistance = effectiveLaunchDist;
-                        }
+                        const velocity =
+                            (stats.speed || GLOBAL_STATS.SPEED_TIERS.SLOW) *
+                            getEffectModifier(source, 'launchSpeed', this.turn);
+                        const { launchDistance, flightDistance: actualLaunchDistance } = GameState.planLaunch(
+                            action,
+                            stats
+                        );
 
                         const arrivalTick = Math.max(
                             1,
                             Math.floor(actualLaunchDistance / velocity)
                         );
                         const rad = (action.angle * Math.PI) / 180;
+                        // The wind pushes the shot along for its whole flight
+                        const drift = getWindDrift(this.weather, arrivalTick);
 
                         console.log(
                             `[Launch-Trace] Added ${action.itemType} to tempProjectiles. Count: ${tempProjectiles.length}`
                         );
                         tempProjectiles.push({
-                            id: Math.random().toString(36).substring(2, 6),
+                            id: this.randomId(4),
                             type: action.itemType,
                             itemType: action.itemType,
                             owner: action.playerId,
@@ -1329,11 +1596,11 @@ export class GameState {
                             currY: source.y,
                             currentAngle: action.angle,
                             sourceId: action.sourceId,
-                            intendedDx: Math.cos(rad) * actualLaunchDistance,
-                            intendedDy: Math.sin(rad) * actualLaunchDistance,
+                            intendedDx: Math.cos(rad) * actualLaunchDistance + drift.dx,
+                            intendedDy: Math.sin(rad) * actualLaunchDistance + drift.dy,
                             // Store original target for fire extension logic
-                            originalTargetX: this.wrapX(source.x + Math.cos(rad) * launchDistance),
-                            originalTargetY: this.wrapY(source.y + Math.sin(rad) * launchDistance),
+                            originalTargetX: this.wrapX(source.x + Math.cos(rad) * launchDistance + drift.dx),
+                            originalTargetY: this.wrapY(source.y + Math.sin(rad) * launchDistance + drift.dy),
                             totalDist: actualLaunchDistance,
                             intendedDistance: actualLaunchDistance,
                             pullDistance: action.distance,
@@ -1355,13 +1622,25 @@ export class GameState {
                         console.log(
                             `[Launch] ${action.playerId} fired ${action.itemType} from ${source.id}`
                         );
+                        this.recordEvent('LAUNCH', {
+                            round,
+                            owner: action.playerId,
+                            itemType: action.itemType,
+                            sourceId: source.id,
+                            projectileId: tempProjectiles[tempProjectiles.length - 1].id,
+                            cost,
+                            x: source.x,
+                            y: source.y
+                        });
 
                         // Task 5: Use extracted detection logic for manual launches
-                        this.triggerEchoArtillery(source.x, source.y, action.playerId, round);
+                        this.announceLaunch(source.x, source.y, action.playerId, round);
                     }
                 });
 
-                snapshots.push({
+                Object.assign(ctx, { subTicks, tempProjectiles, impacts, tempVisuals });
+
+                this.pushSnapshot(snapshots, {
                     type: 'ROUND_START',
                     round: round,
                     state: this.getState()
@@ -1379,6 +1658,7 @@ export class GameState {
 
                 if (hasActiveSimulation) {
                     for (let t = 1; t <= subTicks; t++) {
+                        ctx.t = t;
                         // --- Interception Logic ---
                         // Reset per-round flak tracking for active projectiles
                         tempProjectiles.forEach((proj) => {
@@ -1398,6 +1678,17 @@ export class GameState {
                                             console.log(`[Scheduled] Projectile ${proj.id} took ${effect.amount} damage from ${effect.sourceId} at tick ${t}. HP: ${proj.hp}`);
                                             if (proj.hp <= 0) {
                                                 proj.active = false;
+                                                this.recordEvent('INTERCEPT', {
+                                                    round,
+                                                    owner: effect.sourceOwner,
+                                                    defenseId: effect.sourceId,
+                                                    defenseType: effect.sourceType,
+                                                    projectileId: proj.id,
+                                                    projectileType: proj.itemType || proj.type,
+                                                    targetOwner: proj.owner,
+                                                    x: proj.currX,
+                                                    y: proj.currY
+                                                });
                                                 const pStats = ENTITY_STATS[proj.type] || ENTITY_STATS[proj.itemType];
                                                 if (pStats?.deathEffect === 'DETONATE') {
                                                     proj.hitThisTick = true;
@@ -1410,66 +1701,38 @@ export class GameState {
                             }
                         });
 
+                        // Projectiles hold still while defenses pick targets. SAMs launched
+                        // below land past the indexed ones and are always considered.
+                        const projectileGrid = this.createSpatialGrid(tempProjectiles, 'observers');
+                        const indexedProjectiles = tempProjectiles.length;
+                        const projectilesNear = (def, range) =>
+                            projectileGrid
+                                ? [...projectileGrid.query(def.x, def.y, range), ...tempProjectiles.slice(indexedProjectiles)]
+                                : tempProjectiles;
+
+                        ctx.projectilesNear = projectilesNear;
+
                         this.entities.forEach((def) => {
                             // SKIP if not a functional defense or if disabled/out of fuel
-                            const stats = ENTITY_STATS[def.type];
+                            const stats = getEntityStats(def);
                             if (!stats || !stats.range) return;
                             if (def.deployed === false) return;
-                            if (typeof def.fuel === 'number' && def.fuel <= 0 && !(def.type === 'FLAK_DEFENSE' && def.flakActive)) return;
+                            if (isDisabled(def, this.turn)) return;
+
+                            // Defenses with their own scan (engaged Flak) skip the nearest-target pick
+                            const behavior = getBehavior(def.type);
+                            if (behavior.onScan?.(this, def, ctx)) return;
 
-                            if (def.disabledUntilTurn > this.turn) return;
+                            if (typeof def.fuel === 'number' && def.fuel <= 0) return;
 
                             // Rule: One defensive action per turn round per structure (EXCEPT persistent ones)
-                            if (def.lastRoundFired === round && def.type !== 'FLAK_DEFENSE' && def.type !== 'SHIELD') return;
-
-                            // Flak logic: If already active, it doesn't need to re-trigger or search
-                            if (def.type === 'FLAK_DEFENSE' && def.flakActive) {
-                                const stats = ENTITY_STATS.FLAK_DEFENSE;
-                                tempProjectiles.forEach((proj) => {
-                                    if (!proj.active || proj.hitByFlakDefense.has(def.id)) return;
-
-                                    const pStats = ENTITY_STATS[proj.type] || ENTITY_STATS[proj.itemType];
-                                    if (pStats?.isInterceptable === false) return;
-
-                                    const dist = this.getToroidalDistance(def.x, def.y, proj.currX, proj.currY);
-                                    if (dist <= stats.range) {
-                                        const vec = this.constructor.getToroidalVector(
-                                            def.x, def.y, proj.currX, proj.currY,
-                                            this.map.width, this.map.height
-                                        );
-                                        const angleToProj = Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
-
-                                        let diff = angleToProj - (def.flakAngle || 0);
-                                        while (diff > 180) diff -= 360;
-                                        while (diff < -180) diff += 360;
-
-                                        if (Math.abs(diff) <= stats.arc / 2) {
-                                            // Check if already scheduled a hit from this source
-                                            if (!proj.scheduledEffects.some(e => e.sourceId === def.id)) {
-                                                const delay = 5 + Math.floor(Math.random() * 5);
-                                                proj.scheduledEffects.push({
-                                                    type: 'damage',
-                                                    amount: stats.damage,
-                                                    tick: t + delay,
-                                                    sourceId: def.id
-                                                });
-                                                tempVisuals.push({
-                                                    type: 'SPARK',
-                                                    x: proj.currX,
-                                                    y: proj.currY,
-                                                    duration: 15
-                                                });
-                                            }
-                                        }
-                                    }
-                                });
-                                return;
-                            }
+                            if (def.lastRoundFired === round && !behavior.ignoresRoundLimit) return;
+
                             let closestProj = null;
                             let minDist = stats.range;
 
-                            tempProjectiles.forEach((proj) => {
-                                if (!proj.active || proj.owner === def.owner) return;
+                            projectilesNear(def, stats.range).forEach((proj) => {
+                                if (!proj.active || this.areAllies(proj.owner, def.owner)) return;
 
 
                                 const pStats =
@@ -1493,85 +1756,23 @@ export class GameState {
                             if (closestProj) {
                                 // Mark as fired this round
                                 def.lastRoundFired = round;
-
-                                if (def.type === 'LASER_POINT_DEFENSE') {
-                                    // Laser Intercept!
-                                    closestProj.active = false;
-                                    def.fuel--;
-
-                                    // Calculate toroidal-aware visual coordinates
-                                    const vec = this.constructor.getToroidalVector(
-                                        def.x,
-                                        def.y,
-                                        closestProj.currX,
-                                        closestProj.currY,
-                                        this.map.width,
-                                        this.map.height
-                                    );
-
-                                    // Create visual beam
-                                    tempVisuals.push({
-                                        type: 'LASER_BEAM',
-                                        x: def.x,
-                                        y: def.y,
-                                        targetX: def.x + vec.dx,
-                                        targetY: def.y + vec.dy,
-                                        duration: Math.max(5, Math.floor(subTicks / 8))
-                                    });
-                                } else if (def.type === 'FLAK_DEFENSE') {
-                                    // Flak Activation!
-                                    def.flakActive = true;
-                                    def.flakTriggerTick = t;
-                                    def.fuel--;
-
-                                    const vec = this.constructor.getToroidalVector(
-                                        def.x,
-                                        def.y,
-                                        closestProj.currX,
-                                        closestProj.currY,
-                                        this.map.width,
-                                        this.map.height
-                                    );
-                                    def.flakAngle =
-                                        Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
-                                } else if (def.type === 'LIGHT_SAM_DEFENSE' || def.type === 'SMART_SAM_DEFENSE') {
-                                    // SAM Intercept!
-                                    def.fuel--;
-
-                                    const projectileType = def.type === 'SMART_SAM_DEFENSE' ? 'SMART_SAM_MISSILE' : 'SAM_MISSILE';
-                                    const samStats = ENTITY_STATS[projectileType];
-                                    const vec = this.constructor.getToroidalVector(
-                                        def.x,
-                                        def.y,
-                                        closestProj.currX,
-                                        closestProj.currY,
-                                        this.map.width,
-                                        this.map.height
-                                    );
-                                    const initialAngle =
-                                        Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
-
-                                    const samMissile = {
-                                        id: 'sam_' + Math.random().toString(36).substr(2, 9),
-                                        type: projectileType,
-                                        itemType: projectileType,
-                                        owner: def.owner,
-                                        active: true,
-                                        currX: def.x,
-                                        currY: def.y,
-                                        targetX: closestProj.currX,
-                                        targetY: closestProj.currY,
-                                        velocity: samStats.speed,
-                                        currentAngle: initialAngle,
-                                        targetId: closestProj.id,
-                                        searchMode: false, // Start locked
-                                        totalDistanceMoved: 0,
-                                        intendedDistance: 1000, // Fuel limit
-                                        hitByFlakDefense: new Set(),
-                                        scheduledEffects: []
-                                    };
-
-                                    tempProjectiles.push(samMissile);
+                                const shot = {
+                                    round,
+                                    owner: def.owner,
+                                    defenseId: def.id,
+                                    defenseType: def.type,
+                                    projectileId: closestProj.id,
+                                    projectileType: closestProj.itemType || closestProj.type,
+                                    targetOwner: closestProj.owner,
+                                    x: closestProj.currX,
+                                    y: closestProj.currY
+                                };
+
+                                behavior.onDefend?.(this, def, closestProj, shot, ctx);
+
+                                // Firing gives the defense away until the end of the next planning phase
+                                if (!hasEffect(def, 'revealed', this.turn + 1)) {
+                                    applyEffect(this, def, 'revealed', { turns: 2 });
                                 }
                             }
 
@@ -1583,73 +1784,14 @@ export class GameState {
                             const prevX = proj.currX;
                             const prevY = proj.currY;
 
-                            if (
-                                proj.type === 'HOMING_MISSILE' ||
-                                proj.type === 'SAM_MISSILE' ||
-                                proj.type === 'SMART_SAM_MISSILE'
-                            ) {
+                            const behavior = getBehavior(proj.type);
+                            behavior.onTick?.(this, proj, ctx);
+
+                            if (ENTITY_STATS[proj.type]?.isSeeker) {
                                 const stats = ENTITY_STATS[proj.type];
                                 this.updateSeekerProjectile(proj, stats, tempProjectiles);
                             } else {
                                 // Standard Projectile Logic (Buildings etc.)
-
-                                // --- Cluster Bomb Special Logic ---
-                                const clusterStats = ENTITY_STATS.CLUSTER_BOMB;
-                                if (
-                                    proj.type === 'CLUSTER_BOMB' &&
-                                    !proj.hasSplit &&
-                                    t >= proj.arrivalTick * clusterStats.splitTickRatio
-                                ) {
-                                    proj.active = false;
-                                    proj.hasSplit = true;
-
-                                    const originalTargetX = proj.startX + proj.intendedDx;
-                                    const originalTargetY = proj.startY + proj.intendedDy;
-
-                                    // Calculate perpendicular unit vector
-                                    const dist = Math.sqrt(
-                                        proj.intendedDx * proj.intendedDx +
-                                        proj.intendedDy * proj.intendedDy
-                                    );
-                                    const px = -proj.intendedDy / dist;
-                                    const py = proj.intendedDx / dist;
-
-                                    const count = clusterStats.subBombCount;
-                                    const totalSpread = clusterStats.spreadDistance;
-                                    const step = totalSpread / (count - 1 || 1);
-
-                                    for (let i = 0; i < count; i++) {
-                                        const offset = i * step - totalSpread / 2;
-                                        const subTargetX = originalTargetX + offset * px;
-                                        const subTargetY = originalTargetY + offset * py;
-
-                                        const splitX =
-                                            proj.startX + proj.intendedDx * (t / proj.arrivalTick);
-                                        const splitY =
-                                            proj.startY + proj.intendedDy * (t / proj.arrivalTick);
-
-                                        // Math to ensure sub-bomb arrives at subTargetX/Y at proj.arrivalTick
-                                        // using the standard progress = t / arrivalTick formula.
-                                        const factor = proj.arrivalTick / (t - proj.arrivalTick);
-                                        const subIntendedDx = (splitX - subTargetX) * factor;
-                                        const subIntendedDy = (splitY - subTargetY) * factor;
-                                        const subStartX = subTargetX - subIntendedDx;
-                                        const subStartY = subTargetY - subIntendedDy;
-
-                                        tempProjectiles.push({
-                                            ...proj,
-                                            id: `${proj.id}-sub-${i}`,
-                                            startX: subStartX,
-                                            startY: subStartY,
-                                            intendedDx: subIntendedDx,
-                                            intendedDy: subIntendedDy,
-                                            active: true,
-                                            hasSplit: true, // Prevent re-splitting
-                                            hitByFlakDefense: new Set() // Fresh flak state for sub-bombs
-                                        });
-                                    }
-                                }
-
                                 const progress = t / proj.arrivalTick;
 
                                 if (t < proj.arrivalTick) {
@@ -1667,23 +1809,9 @@ export class GameState {
                                     proj.active = false;
                                     proj.hitThisTick = true;
 
-                                    if (proj.type === 'RECLAIMER') {
-                                        this.handleReclaim(
-                                            proj.currX,
-                                            proj.currY,
-                                            proj.owner,
-                                            tempVisuals,
-                                            impacts
-                                        );
-                                    }
                                     const stats = ENTITY_STATS[proj.type];
                                     // Bug 2: landAsStructure: false avoids duplicate entities for weapons like Napalm
-                                    if (
-                                        ((stats?.damageFull === undefined &&
-                                            proj.type !== 'RECLAIMER') ||
-                                            stats?.landAsStructure) &&
-                                        stats?.landAsStructure !== false
-                                    ) {
+                                    if (GameState.landsAsStructure(proj.type)) {
                                         const data = {
                                             type: proj.type,
                                             owner: proj.owner,
@@ -1711,46 +1839,8 @@ export class GameState {
                                         }
                                     }
 
-                                    // --- Napalm Special Logic (Always deploy fire on arrival) ---
-                                    if (proj.type === 'NAPALM') {
-                                        const nStats = ENTITY_STATS.NAPALM_FIRE;
-                                        this.addEntity({
-                                            type: 'NAPALM_FIRE',
-                                            owner: proj.owner,
-                                            x: proj.currX, // Impact point (base of stadium)
-                                            y: proj.currY,
-                                            startX: proj.currX, // Base
-                                            startY: proj.currY,
-                                            endX: proj.originalTargetX, // Tip (Original target)
-                                            endY: proj.originalTargetY,
-                                            roundsLeft: 2, // New internal round tracking
-                                            deployed: true,
-                                            isHazard: true,
-                                            hp: nStats.hp
-                                        });
-
-                                        // Push specialized landing snapshot for visual feedback
-                                        snapshots.push({
-                                            type: 'LANDING',
-                                            tick: t,
-                                            round: round,
-                                            playerId: proj.owner,
-                                            itemType: proj.type,
-                                            state: this.getState()
-                                        });
-                                    }
-
-                                    if (proj.type === 'OVERLOAD' && proj.hitThisTick) {
-                                        this.triggerOverload(
-                                            proj.currX,
-                                            proj.currY,
-                                            stats,
-                                            tempVisuals,
-                                            impacts,
-                                            overloadedThisRound
-                                        );
-                                        proj.hitThisTick = false;
-                                    }
+                                    // Per-type arrival (Napalm fire, Reclaim, Overload chain)
+                                    behavior.onArrive?.(this, proj, ctx);
 
                                     if (
                                         stats?.damageFull !== undefined &&
@@ -1768,7 +1858,8 @@ export class GameState {
                                             stats,
                                             tempVisuals,
                                             impacts,
-                                            potentialTargets
+                                            potentialTargets,
+                                            proj
                                         );
                                         proj.hitThisTick = false;
                                     }
@@ -1781,10 +1872,11 @@ export class GameState {
                                 if (shield.type !== 'SHIELD' || shield.barrierHp <= 0) return;
 
                                 // Check if shield is disabled by EMP
-                                if (shield.disabledUntilTurn > this.turn) return;
+                                if (isDisabled(shield, this.turn)) return;
 
-                                // 1. Reclaimer Exception: Friendly management tools bypass shields
-                                if (proj.type === 'RECLAIMER' || proj.itemType === 'RECLAIMER') return;
+                                // 1. Some items (Reclaimer) pass through shields
+                                const projBehavior = getBehavior(proj.itemType || proj.type);
+                                if (projBehavior.passesShields) return;
 
                                 const sStats = ENTITY_STATS.SHIELD;
                                 const prevDist = this.getToroidalDistance(
@@ -1807,24 +1899,25 @@ export class GameState {
 
                                     const pStats =
                                         ENTITY_STATS[proj.type] || ENTITY_STATS[proj.itemType];
-                                    const isStructure =
-                                        proj.type === 'HUB' ||
-                                        proj.type === 'NUKE' ||
-                                        proj.type === 'EXTRACTOR';
+                                    // Structures in flight are stopped without wearing the barrier down (shieldDamage: 0)
+                                    const damage = pStats?.shieldDamage ?? (pStats?.damageFull || 1);
 
-                                    if (proj.itemType === 'EMP') {
-                                        // EMP detonates immediately on barrier impact
-                                        this.triggerExplosion(
-                                            proj.currX,
-                                            proj.currY,
-                                            pStats,
-                                            tempVisuals,
-                                            impacts,
-                                            this.entities
-                                        );
-                                    } else if (!isStructure) {
-                                        const damage = pStats?.damageFull || 1;
+                                    if (projBehavior.onShieldBlock) {
+                                        projBehavior.onShieldBlock(this, proj, ctx);
+                                    } else if (damage > 0) {
                                         shield.barrierHp -= damage;
+                                        this.recordEvent('INTERCEPT', {
+                                            round,
+                                            owner: shield.owner,
+                                            defenseId: shield.id,
+                                            defenseType: shield.type,
+                                            projectileId: proj.id,
+                                            projectileType: proj.itemType || proj.type,
+                                            targetOwner: proj.owner,
+                                            absorbed: damage,
+                                            x: proj.currX,
+                                            y: proj.currY
+                                        });
                                         if (shield.barrierHp < 0) shield.barrierHp = 0;
 
                                         console.log(
@@ -1848,51 +1941,21 @@ export class GameState {
 
                             // --- Post-Movement Hazard Collision ---
                             if (proj.active) {
-                                const hazards = this.entities.filter(
-                                    (e) => e.type === 'EXPLOSION_HAZARD' || e.type === 'NAPALM_FIRE'
-                                );
+                                const hazards = this.entities.filter((e) => e.isHazard);
                                 hazards.forEach((h) => {
-                                    const hStats = ENTITY_STATS[h.type];
-                                    let isHit = false;
-
-                                    if (h.type === 'NAPALM_FIRE') {
-                                        const dist = GameState.getPointToSegmentDistance(
-                                            proj.currX,
-                                            proj.currY,
-                                            h.startX,
-                                            h.startY,
-                                            h.endX,
-                                            h.endY,
-                                            this.map.width,
-                                            this.map.height
-                                        );
-                                        // Projectile incineration uses its radius (size or default)
-                                        if (
-                                            dist <=
-                                            hStats.width / 2 + (ENTITY_STATS[proj.type]?.size || 8)
-                                        )
-                                            isHit = true;
-                                    } else {
-                                        if (
-                                            GameState.lineCircleIntersection(
-                                                prevX,
-                                                prevY,
-                                                proj.currX,
-                                                proj.currY,
-                                                h.x,
-                                                h.y,
-                                                hStats.radius || 200,
-                                                this.map.width,
-                                                this.map.height
-                                            )
-                                        ) {
-                                            isHit = true;
-                                        }
-                                    }
+                                    // Projectile incineration uses its radius (size or default)
+                                    const isHit = getBehavior(h.type).hazardContains?.(
+                                        this,
+                                        h,
+                                        proj.currX,
+                                        proj.currY,
+                                        ENTITY_STATS[proj.type]?.size || 8,
+                                        { x: prevX, y: prevY }
+                                    );
 
                                     if (isHit) {
                                         if (!proj.scheduledEffects.some(e => e.sourceId === h.id)) {
-                                            const delay = 5 + Math.floor(Math.random() * 5);
+                                            const delay = 5 + Math.floor(this.random() * 5);
                                             proj.scheduledEffects.push({
                                                 type: 'incinerate',
                                                 tick: t + delay,
@@ -1929,7 +1992,8 @@ export class GameState {
                                     stats,
                                     tempVisuals,
                                     impacts,
-                                    potentialTargets
+                                    potentialTargets,
+                                    proj
                                 );
                                 proj.hitThisTick = false;
                             }
@@ -1969,7 +2033,7 @@ export class GameState {
                                             targetId: p.targetId
                                         })),
                                     ...tempVisuals.map((v) => ({
-                                        id: `viz-${Math.random()}`,
+                                        id: `viz-${this.randomId(8)}`,
                                         type: v.type,
                                         x: v.x,
                                         y: v.y,
@@ -1978,7 +2042,7 @@ export class GameState {
                                         targetY: v.targetY
                                     }))
                                 ];
-                                snapshots.push({
+                                this.pushSnapshot(snapshots, {
                                     type: 'ROUND_SUB',
                                     round: round,
                                     subTick: t,
@@ -1991,55 +2055,56 @@ export class GameState {
 
                 // --- Hazard Damage (Structures) ---
                 this.entities
-                    .filter((e) => e.type === 'EXPLOSION_HAZARD' || e.type === 'NAPALM_FIRE')
+                    .filter((e) => e.isHazard)
                     .forEach((h) => {
                         const hStats = ENTITY_STATS[h.type];
+                        const behavior = getBehavior(h.type);
                         this.entities.forEach((ent) => {
-                            if (
-                                ent.isHazard ||
-                                ent.type === 'EXPLOSION_HAZARD' ||
-                                ent.type === 'NAPALM_FIRE'
-                            )
-                                return;
-
-                            let inRange = false;
-                            if (h.type === 'NAPALM_FIRE') {
-                                const dist = GameState.getPointToSegmentDistance(
-                                    ent.x,
-                                    ent.y,
-                                    h.startX,
-                                    h.startY,
-                                    h.endX,
-                                    h.endY,
-                                    this.map.width,
-                                    this.map.height
-                                );
-                                // Napalm Refinement: Collision if 'touching' (dist <= fireRadius + entSize)
-                                if (dist <= hStats.width / 2 + (ent.size || 20)) inRange = true;
-                            } else {
-                                const dist = this.getToroidalDistance(h.x, h.y, ent.x, ent.y);
-                                if (dist <= (hStats.radius || 200)) inRange = true;
-                            }
+                            if (ent.isHazard) return;
 
-                            if (inRange) {
-                                ent.hp -= hStats.damageTick;
+                            if (behavior.hazardContains?.(this, h, ent.x, ent.y, ent.size || 20)) {
+                                const damage = absorbDamage(this, ent, hStats.damageTick);
+                                ent.hp -= damage;
+                                this.recordDamage(h, ent, damage, round);
+                                behavior.onHazardHit?.(this, h, ent);
                                 console.log(
                                     `[Hazard] ${ent.id} (${ent.type}) damaged by ${h.type} in round ${round}. HP: ${ent.hp}`
                                 );
                                 if (ent.hp <= 0) impacts.add(ent.id);
                             }
                         });
-
-                        // Napalm Refinement: Decrement roundsLeft at the end of every internal round
-                        if (h.type === 'NAPALM_FIRE') {
-                            if (h.roundsLeft !== undefined) h.roundsLeft--;
-                        }
                     });
 
                 // --- Link Collision Detection (Post-Simulation) ---
                 const newEntitiesThisRound = this.entities.filter((e) => e.deployed === false);
                 const destroyedThisCheck = new Set();
 
+                // Links don't move during the check: trace (and index) their segments once
+                const existingLinks = [];
+                if (newEntitiesThisRound.length > 0) {
+                    this.links.forEach((link) => {
+                        const s1 = this.entities.find((e) => e.id === link.from);
+                        const s2 = this.entities.find((e) => e.id === link.to);
+                        if (!s1 || !s2) return;
+                        existingLinks.push({
+                            link,
+                            segments: GameState.getLinkSegments(
+                                { x: s1.x, y: s1.y },
+                                { x: s2.x, y: s2.y },
+                                this.map.width,
+                                this.map.height
+                            )
+                        });
+                    });
+                }
+                let linkGrid = null;
+                if (this.spatialIndexEnabled && existingLinks.length > 0) {
+                    linkGrid = new SpatialGrid(this.map.width, this.map.height);
+                    existingLinks.forEach((entry) =>
+                        entry.segments.forEach(({ p1, p2 }) => linkGrid.insertSegment(entry, p1.x, p1.y, p2.x, p2.y, 1))
+                    );
+                }
+
                 newEntitiesThisRound.forEach((newEnt) => {
                     const source = this.entities.find((e) => e.id === newEnt.sourceId);
                     if (!source) return;
@@ -2051,22 +2116,19 @@ export class GameState {
                         this.map.height
                     );
 
+                    let nearbyLinks = existingLinks;
+                    if (linkGrid) {
+                        const nearby = new Set(
+                            newSegments.flatMap(({ p1, p2 }) => linkGrid.querySegment(p1.x, p1.y, p2.x, p2.y))
+                        );
+                        nearbyLinks = existingLinks.filter((entry) => nearby.has(entry));
+                    }
+
                     // 1. Check against ALL existing/already deployed links
-                    this.links.forEach((existingLink) => {
+                    nearbyLinks.forEach(({ link: existingLink, segments: existingSegments }) => {
                         // Skip if this link belongs to the new segment we are currently checking
                         if (existingLink.to === newEnt.id) return;
 
-                        const s1 = this.entities.find((e) => e.id === existingLink.from);
-                        const s2 = this.entities.find((e) => e.id === existingLink.to);
-                        if (!s1 || !s2) return;
-
-                        const existingSegments = GameState.getLinkSegments(
-                            { x: s1.x, y: s1.y },
-                            { x: s2.x, y: s2.y },
-                            this.map.width,
-                            this.map.height
-                        );
-
                         newSegments.forEach((nSeg) => {
                             existingSegments.forEach((eSeg) => {
                                 const intersect = GameState.doSegmentsIntersect(nSeg, eSeg);
@@ -2159,6 +2221,7 @@ export class GameState {
                 });
 
                 if (impacts.size > 0) {
+                    this.recordDestroyed(impacts, round);
                     this.entities = this.entities.filter((e) => !impacts.has(e.id));
                     this.links = this.links.filter(
                         (l) => !impacts.has(l.from) && !impacts.has(l.to)
@@ -2171,18 +2234,14 @@ export class GameState {
                         // Only deploy if not destroyed by collision
                         e.deployed = true;
                         e.hp = ENTITY_STATS[e.type]?.hp || GLOBAL_STATS.DEFAULT_HP; // Restore full HP
+                        this.recordEvent('DEPLOY', { round, owner: e.owner, itemType: e.type, entityId: e.id, x: e.x, y: e.y });
+                        getBehavior(e.type).onDeploy?.(this, e, round);
                         console.log(`[Round ${round}]${e.type} ${e.id} fully deployed.`);
                     }
                 });
 
-                // Clean up flak state for this round
-                this.entities.forEach((e) => {
-                    if (e.type === 'FLAK_DEFENSE') {
-                        e.flakActive = false;
-                        e.flakAngle = null;
-                        e.flakTriggerTick = null;
-                    }
-                });
+                // Per-type round cleanup (Flak, Napalm fire burning down)
+                this.entities.forEach((e) => getBehavior(e.type).onRoundEnd?.(this, e));
 
                 // Persistence: Remaining Seekers become real entities for the next turn
                 tempProjectiles.forEach((p) => {
@@ -2197,23 +2256,19 @@ export class GameState {
 
                 // Update activeInProgress for next round
                 const hasActionsLeft = Object.keys(this.players).some((pid) => {
-                    const actions = playerActionsMap[pid] || [];
+                    const actions = launchActionsMap[pid] || [];
                     for (let i = 0; i < actions.length; i++) {
                         if (!processedActions[pid].has(i)) return true;
                     }
                     return false;
                 });
-                const hasPendingEchos = this.entities.some(
-                    (e) =>
-                        e.type === 'ECHO_ARTILLERY' && e.pendingEchos && e.pendingEchos.length > 0
-                );
                 const hasProjectiles = tempProjectiles && tempProjectiles.some((p) => p.active);
-                activeInProgress = hasActionsLeft || hasProjectiles || hasPendingEchos;
+                activeInProgress = hasActionsLeft || hasProjectiles || hasBusyEntities();
 
                 // Link Decay check after every round
                 this.checkLinkIntegrity(round);
 
-                snapshots.push({
+                this.pushSnapshot(snapshots, {
                     type: 'ROUND',
                     round: round,
                     state: this.getState()
@@ -2222,16 +2277,18 @@ export class GameState {
                 activeInProgress = false;
             }
 
-            // Napalm Refinement: Remove any hazards that have run out of roundsLeft
-            this.entities = this.entities.filter(
-                (e) => e.type !== 'NAPALM_FIRE' || e.roundsLeft > 0
-            );
+            // Round-limited hazards (Napalm fire) go once they are no longer busy
+            this.entities = this.entities.filter((e) => !e.isHazard || getBehavior(e.type).isBusy?.(e) !== false);
 
             // Safety break for infinite loops
             if (round > 20) break;
         }
 
+        // Status effects at turn end (Burning)
+        runEffectHooks(this, 'onTurnEnd');
+
         // 3. Final HP Cleanup & Status Update
+        this.recordDestroyed(new Set(this.entities.filter((e) => e.hp <= 0).map((e) => e.id)));
         this.entities = this.entities.filter((e) => e.hp > 0);
         this.links = this.links.filter((l) => {
             const fromEnt = this.entities.find((e) => e.id === l.from);
@@ -2246,40 +2303,39 @@ export class GameState {
             }
         });
 
-        const alivePlayers = Object.keys(this.players).filter((pid) => this.players[pid].alive);
-        if (alivePlayers.length === 1) {
-            this.winner = alivePlayers[0];
-        } else if (alivePlayers.length === 0) {
-            this.winner = 'DRAW';
-        }
+        this.updateWinner();
 
-        // Napalm Refinement: Purge ALL internal-round-based hazards at end of resolveTurn
-        // they should never persist across Planning phases.
-        this.entities = this.entities.filter((e) => e.type !== 'NAPALM_FIRE');
+        // Round-limited hazards never persist across Planning phases
+        this.entities = this.entities.filter((e) => !e.isHazard || !getBehavior(e.type).isBusy);
 
         this.turn += 1;
 
+        // Victory modes and the turn limit (elimination was settled above)
+        const victor = evaluateVictory(this);
+        if (!this.winner && victor) {
+            this.winner = victor;
+        }
+
         // Replenish Fuel and Recharge Shields for the next turn's planning phase
         this.entities.forEach((e) => {
             // 1. Passive Replenishment (Always happens)
             if (e.fuel !== undefined) {
-                const regen = ENTITY_STATS[e.type]?.fuelRegen || 0;
+                const regen = getEntityStats(e)?.fuelRegen || 0;
                 e.fuel = Math.min(e.maxFuel, e.fuel + regen);
             }
 
-            // 2. Active System Recharge (Blocked by EMP/Disabled status)
-            if (e.disabledUntilTurn >= this.turn) return;
-
-            if (e.type === 'SHIELD') {
-                const stats = ENTITY_STATS.SHIELD;
-                e.barrierHp = Math.min(
-                    stats.barrierHpMax,
-                    (e.barrierHp || 0) + (stats.rechargeRate || 1)
-                );
-            }
+            // 2. Active System Recharge (Blocked if disabled during the turn just resolved)
+            if (isDisabled(e, this.turn - 1)) return;
+            getBehavior(e.type).onTurnEnd?.(this, e);
         });
 
-        snapshots.push({ type: 'FINAL', state: this.getState() });
+        // Status effects that ran out with the turn just resolved
+        expireEffects(this);
+
+        // Next turn's weather, announced for planning
+        this.weather = generateWeather(this);
+
+        this.pushSnapshot(snapshots, { type: 'FINAL', state: this.getState() });
 
         return snapshots;
     }
@@ -2290,7 +2346,8 @@ export class GameState {
         stats,
         tempVisuals = [],
         impacts = new Set(),
-        overloadedThisRound = new Set()
+        overloadedThisRound = new Set(),
+        source = null
     ) {
         const affectedStructureIds = new Set();
         const detectionRadius = stats.detectionRadius || 30;
@@ -2338,8 +2395,11 @@ export class GameState {
             if (overloadedThisRound.has(id)) return; // Already hit this round
 
             const target = this.entities.find((e) => e.id === id);
+            if (!this.rules.friendlyFire && this.areAllies(source?.owner, target?.owner)) return;
             if (target && target.hp > 0) {
-                target.hp -= 1;
+                const damage = absorbDamage(this, target, 1);
+                target.hp -= damage;
+                this.recordDamage(source, target, damage);
                 overloadedThisRound.add(id);
                 if (target.hp <= 0) impacts.add(id);
                 console.log(`[Overload] ${id} took 1 chain damage. HP: ${target.hp}`);
@@ -2357,6 +2417,10 @@ export class GameState {
         });
     }
 
+    /**
+     * Public match state, the base for what players, spectators and snapshots see.
+     * Leaves out the RNG, which would let anyone predict deviations and hazard timings.
+     */
     getState() {
         return {
             turn: this.turn,
@@ -2365,9 +2429,223 @@ export class GameState {
             entities: this.entities.map((e) => ({ ...e })),
             links: this.links.map((l) => ({ ...l })),
             map: this.map,
-            winner: this.winner
+            winner: this.winner,
+            rules: normalizeRules(this.rules),
+            weather: this.weather
+        };
+    }
+
+    /**
+     * Complete, deep-copied match snapshot for checkpoints. Unlike getState()/getVisibleState()
+     * this is never sent to players and includes the RNG; it round-trips through loadState() without loss.
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify({ ...this.getState(), rng: this.rng }));
+    }
+
+    /**
+     * Restores a snapshot produced by serialize(), including the RNG position.
+     */
+    loadState(data) {
+        const copy = JSON.parse(JSON.stringify(data));
+        this.turn = copy.turn;
+        this.phase = copy.phase || 'PLANNING';
+        this.players = copy.players || {};
+        this.entities = copy.entities || [];
+        this.links = copy.links || [];
+        this.map = {
+            width: GLOBAL_STATS.MAP_WIDTH,
+            height: GLOBAL_STATS.MAP_HEIGHT,
+            resources: [],
+            obstacles: [],
+            lakes: [],
+            mountains: [],
+            ...copy.map
         };
+        this.winner = copy.winner ?? null;
+        this.rules = normalizeRules(copy.rules);
+        this.weather = copy.weather || CALM_WEATHER;
+        if (copy.rng) {
+            this.rng = { seed: copy.rng.seed >>> 0, state: copy.rng.state >>> 0 };
+        }
     }
+
+    static deserialize(data) {
+        const game = new GameState();
+        game.loadState(data);
+        return game;
+    }
+
+    /**
+     * Whether a landing projectile of this type deploys as a structure.
+     */
+    static landsAsStructure(itemType) {
+        const stats = ENTITY_STATS[itemType];
+        return (
+            (stats?.damageFull === undefined || stats?.landAsStructure) &&
+            stats?.landAsStructure !== false
+        );
+    }
+
+    /**
+     * Predicts where a planned launch ends up, without touching any game state.
+     * Mirrors the flight rules of resolveTurn: toroidal wrap, the onLaunch hooks (Napalm minimum
+     * range and short stop), wind drift and storm grounding, split points (Cluster Bomb's planSplit), hazards that burn
+     * projectiles in flight, and for structures the landing terrain and the
+     * link collisions checked after deployment. Seekers are predicted along
+     * their launch line only, as they retarget in flight.
+     * @param {object} state - A (usually fog-filtered) state from getState()/getVisibleState().
+     * @param {object} action - Planned launch: { sourceId, itemType, angle, distance }.
+     * @returns {object|null} Prediction, or null when the source is not in the state.
+     */
+    static predictLaunch(state, action) {
+        const source = state.entities.find((e) => e.id === action.sourceId);
+        const stats = ENTITY_STATS[action.itemType];
+        if (!source || !stats) return null;
+
+        const width = state.map.width;
+        const height = state.map.height;
+        const wrap = (v, size) => ((v % size) + size) % size;
+
+        const { launchDistance, flightDistance: travelDistance } = GameState.planLaunch(action, stats);
+
+        const velocity =
+            (stats.speed || GLOBAL_STATS.SPEED_TIERS.SLOW) * getEffectModifier(source, 'launchSpeed', state.turn);
+        const arrivalTick = Math.max(1, Math.floor(travelDistance / velocity));
+        const drift = getWindDrift(state.weather, arrivalTick);
+        const rad = (action.angle * Math.PI) / 180;
+        const dx = Math.cos(rad) * travelDistance + drift.dx;
+        const dy = Math.sin(rad) * travelDistance + drift.dy;
+        const landing = { x: wrap(source.x + dx, width), y: wrap(source.y + dy, height) };
+
+        // Flight legs covered between two sub-ticks: one shot, or a Cluster Bomb's body and sub-bombs
+        const legs = [];
+        let split = null;
+        const subLandings = [];
+        const splitPlan = getBehavior(action.itemType).planSplit?.(dx, dy, arrivalTick);
+        if (splitPlan) {
+            const { splitTick, subTargets } = splitPlan;
+            const splitDx = dx * (splitTick / arrivalTick);
+            const splitDy = dy * (splitTick / arrivalTick);
+            split = { x: wrap(source.x + splitDx, width), y: wrap(source.y + splitDy, height), tick: splitTick };
+            legs.push({ startX: source.x, startY: source.y, dx: splitDx, dy: splitDy, fromTick: 0, toTick: splitTick });
+
+            subTargets.forEach(({ dx: subDx, dy: subDy }) => {
+                subLandings.push({ x: wrap(source.x + subDx, width), y: wrap(source.y + subDy, height) });
+                legs.push({
+                    startX: source.x + splitDx,
+                    startY: source.y + splitDy,
+                    dx: subDx - splitDx,
+                    dy: subDy - splitDy,
+                    fromTick: splitTick,
+                    toTick: arrivalTick
+                });
+            });
+        } else {
+            legs.push({ startX: source.x, startY: source.y, dx, dy, fromTick: 0, toTick: arrivalTick });
+        }
+
+        // Map features and hazards along the way (first contact per feature)
+        const crossings = [];
+        const features = [
+            ...(state.map.mountains || []).map((f) => ({ ...f, kind: 'MOUNTAIN' })),
+            ...(state.map.lakes || []).map((f) => ({ ...f, kind: 'LAKE' })),
+            ...(state.map.craters || []).map((f) => ({ ...f, kind: 'CRATER' }))
+        ];
+        const hazards = state.entities.filter((e) => e.isHazard && getBehavior(e.type).isBusy?.(e) !== false);
+        const projectileSize = stats.size || 8;
+        const addCrossing = (kind, id, x, y, tick, destroysProjectile) => {
+            if (crossings.some((c) => c.id === id)) return;
+            crossings.push({ kind, id, x, y, tick, destroysProjectile });
+        };
+
+        legs.forEach((leg) => {
+            let prevX = wrap(leg.startX, width);
+            let prevY = wrap(leg.startY, height);
+            for (let tick = leg.fromTick + 1; tick <= leg.toTick; tick++) {
+                const progress = (tick - leg.fromTick) / (leg.toTick - leg.fromTick);
+                const x = wrap(leg.startX + leg.dx * progress, width);
+                const y = wrap(leg.startY + leg.dy * progress, height);
+
+                features.forEach((f) => {
+                    if (GameState.lineCircleIntersection(prevX, prevY, x, y, f.x, f.y, f.radius, width, height)) {
+                        addCrossing(f.kind, f.id, x, y, tick, false);
+                    }
+                });
+                hazards.forEach((h) => {
+                    const isHit = getBehavior(h.type).hazardContains?.(state, h, x, y, projectileSize, { x: prevX, y: prevY });
+                    if (isHit) addCrossing(h.type, h.id, x, y, tick, true);
+                });
+
+                prevX = x;
+                prevY = y;
+            }
+        });
+
+        // Structures: terrain at the landing spot and the new link's collisions
+        const deploysStructure = GameState.landsAsStructure(action.itemType);
+        let landingHazard = null;
+        const linkCollisions = [];
+        if (deploysStructure) {
+            const distance = (x1, y1, x2, y2) => {
+                const v = GameState.getToroidalVector(x1, y1, x2, y2, width, height);
+                return Math.sqrt(v.dx * v.dx + v.dy * v.dy);
+            };
+            const terrain = features.find((f) => distance(landing.x, landing.y, f.x, f.y) < f.radius);
+            if (terrain) landingHazard = { kind: terrain.kind, id: terrain.id };
+
+            const newSegments = GameState.getLinkSegments(source, landing, width, height);
+            state.links.forEach((link) => {
+                const s1 = state.entities.find((e) => e.id === link.from);
+                const s2 = state.entities.find((e) => e.id === link.to);
+                if (!s1 || !s2) return;
+                const existingSegments = GameState.getLinkSegments(s1, s2, width, height);
+
+                newSegments.forEach((nSeg) => {
+                    existingSegments.forEach((eSeg) => {
+                        const intersect = GameState.doSegmentsIntersect(nSeg, eSeg);
+                        if (intersect && distance(source.x, source.y, intersect.x, intersect.y) > ENTITY_STATS.HUB.size + 5) {
+                            linkCollisions.push({ kind: 'LINK', from: link.from, to: link.to, x: intersect.x, y: intersect.y });
+                        }
+                    });
+                });
+            });
+
+            (state.map.lakes || []).forEach((lake) => {
+                const blocked = newSegments.some(
+                    (seg) => GameState.getPointToSegmentDistance(lake.x, lake.y, seg.p1.x, seg.p1.y, seg.p2.x, seg.p2.y) < lake.radius
+                );
+                if (blocked) linkCollisions.push({ kind: 'LAKE', id: lake.id, x: lake.x, y: lake.y });
+            });
+        }
+
+        return {
+            sourceId: source.id,
+            itemType: action.itemType,
+            origin: { x: source.x, y: source.y },
+            dx,
+            dy,
+            launchDistance,
+            travelDistance,
+            arrivalTick,
+            drift,
+            grounded: isInStorm(state.weather, state.map, source.x, source.y),
+            landing,
+            // Where the effect is aimed: the fire's tip for Napalm, otherwise the landing point
+            target: {
+                x: wrap(source.x + Math.cos(rad) * launchDistance, width),
+                y: wrap(source.y + Math.sin(rad) * launchDistance, height)
+            },
+            split,
+            subLandings,
+            isSeeker: !!stats.isSeeker,
+            crossings,
+            deploysStructure,
+            landingHazard,
+            linkCollisions
+        };
+    }
+
     /**
      * Decomposes a toroidal link into 1, 2, or 4 Euclidean segments.
      */
@@ -2494,8 +2772,7 @@ export class GameState {
         });
 
         this.entities.forEach((entity) => {
-            if (entity.owner !== owner || entity.isHazard || entity.type === 'EXPLOSION_HAZARD')
-                return;
+            if (entity.owner !== owner || entity.isHazard) return;
 
             const tStats = ENTITY_STATS[entity.type] || ENTITY_STATS[entity.itemType];
             const dist = this.getToroidalDistance(entity.x, entity.y, x, y);
@@ -2505,6 +2782,14 @@ export class GameState {
                 const refund = Math.ceil((tStats?.cost || 0) * 0.5);
                 this.players[owner].energy += refund;
                 impacts.add(entity.id);
+                this.recordEvent('RECLAIM', {
+                    owner,
+                    entityId: entity.id,
+                    itemType: entity.type,
+                    refund,
+                    x: entity.x,
+                    y: entity.y
+                });
 
                 tempVisuals.push({
                     type: 'SPARK',
@@ -2520,7 +2805,7 @@ export class GameState {
         });
     }
 
-    triggerExplosion(x, y, stats, tempVisuals = [], impacts = new Set(), potentialTargets = []) {
+    triggerExplosion(x, y, stats, tempVisuals = [], impacts = new Set(), potentialTargets = [], source = null) {
         console.log(
             `[Explosion-Trace] Triggered at (${Math.round(x)}, ${Math.round(y)}) with radius ${stats.radiusFull} by a seeker`
         );
@@ -2538,9 +2823,15 @@ export class GameState {
         const FULL_RADIUS = stats.radiusFull;
         const HALF_RADIUS = stats.radiusHalf;
 
-        potentialTargets.forEach((target) => {
+        // Blast distance is measured to the target's edge, which the index's body radius covers
+        const reach = Math.max(FULL_RADIUS || 0, HALF_RADIUS || 0);
+        const blastBehavior = getBehavior(stats.itemType || source?.itemType || source?.type);
+
+        this.nearby(potentialTargets, 'bodies', x, y, reach).forEach((target) => {
             // Hazards and the map features themselves are immune to damage
-            if (target.isHazard || target.type === 'EXPLOSION_HAZARD') return;
+            if (target.isHazard) return;
+            // Without friendly fire a blast spares its side's structures (a Nuke still consumes itself)
+            if (!this.rules.friendlyFire && target !== source && this.areAllies(source?.owner, target.owner)) return;
             const tStats = ENTITY_STATS[target.type] || ENTITY_STATS[target.itemType];
             const tx = target.x !== undefined ? target.x : target.currX;
             const ty = target.y !== undefined ? target.y : target.currY;
@@ -2548,10 +2839,9 @@ export class GameState {
             const rawDist = this.getToroidalDistance(tx, ty, x, y);
             const effDist = Math.max(0, rawDist - (tStats?.size || 0));
 
-            // EMP status application
-            if (stats.itemType === 'EMP' && effDist <= FULL_RADIUS) {
-                target.disabledUntilTurn = this.turn + 2;
-                console.log(`[EMP] ${target.id || target.type} DISABLED until Turn ${target.disabledUntilTurn}`);
+            // Per-item blast effects (EMP status application)
+            if (effDist <= FULL_RADIUS) {
+                blastBehavior.onBlastHit?.(this, target, { source, x: tx, y: ty });
             }
 
             let damage = 0;
@@ -2561,8 +2851,27 @@ export class GameState {
                 damage = stats.damageHalf;
             }
 
+            // Status effects (Fortified, Shielded) soften the hit
+            if (damage > 0) damage = absorbDamage(this, target, damage);
+
             if (damage > 0) {
                 target.hp -= damage;
+                const isEntity = !!target.id && this.entities.some((e) => e.id === target.id);
+                if (isEntity) {
+                    this.recordDamage(source, target, damage);
+                } else if (target.hp <= 0 && source) {
+                    // A projectile shot down by a blast: credit whatever launched the blast
+                    this.recordEvent('INTERCEPT', {
+                        owner: source.owner,
+                        defenseId: source.launcherId || source.id,
+                        defenseType: source.launcherType || source.itemType || source.type,
+                        projectileId: target.id,
+                        projectileType: target.itemType || target.type,
+                        targetOwner: target.owner,
+                        x: tx,
+                        y: ty
+                    });
+                }
                 const status = target.deployed === false ? 'UNDEPLOYED' : 'DEPLOYED';
                 const targetName = target.id
                     ? `${target.id} (${target.type})`
@@ -2617,23 +2926,13 @@ export class GameState {
         return null;
     }
 
-    triggerEchoArtillery(sourceX, sourceY, launcherId, round) {
+    /**
+     * Tells every enemy entity that `owner` launched from (x, y) this round (Echo Artillery listens).
+     */
+    announceLaunch(x, y, owner, round) {
         this.entities.forEach((ent) => {
-            if (
-                ent.type === 'ECHO_ARTILLERY' &&
-                ent.owner !== launcherId &&
-                ent.disabledUntilTurn <= this.turn &&
-                !ent.firedThisTurn
-            ) {
-                const dist = this.getToroidalDistance(sourceX, sourceY, ent.x, ent.y);
-                if (dist <= (ENTITY_STATS.ECHO_ARTILLERY.detectionRange || 800)) {
-                    ent.pendingEchos.push({ x: sourceX, y: sourceY, triggerRound: round });
-                    ent.firedThisTurn = true;
-                    console.log(
-                        `[Echo-Detection] Artillery ${ent.id} detected launch by ${launcherId} from (${Math.round(sourceX)}, ${Math.round(sourceY)})`
-                    );
-                }
-            }
+            if (this.areAllies(ent.owner, owner)) return;
+            getBehavior(ent.type).onEnemyLaunch?.(this, ent, { x, y, owner, round });
         });
     }
 
@@ -0,0 +1,109 @@
+/**
+ * MatchRules.js
+ *
+ * Per-match rule set chosen by the room host: turn timer, economy, banned
+ * items, fog of war, weather, a turn limit, the victory condition and teams. GameState carries the rules so
+ * resolution, fog filtering, replays and the shared ActionValidator all
+ * agree on them; the server reads the turn timer from the same object.
+ */
+
+import { ENTITY_STATS, GLOBAL_STATS } from './constants/EntityStats.js';
+
+export const DEFAULT_RULES = {
+    turnDuration: 30, // Seconds of planning per turn
+    startingEnergy: GLOBAL_STATS.STARTING_ENERGY,
+    incomePerTurn: GLOBAL_STATS.ENERGY_INCOME_PER_TURN, // Base income before HUBs and extractors
+    bannedItems: [], // Item types nobody may launch
+    fogOfWar: true,
+    weather: false, // Titan weather: wind, haze and storms (Weather.js)
+    maxTurns: 0, // Match is called a draw after this many turns (0 = no limit)
+    victory: {
+        mode: 'elimination', // One of VICTORY_MODES, evaluated by Victory.js
+        energyTarget: 500, // 'economic': bank this much energy
+        nodeTarget: 2, // 'nodes': hold this many SUPER nodes at once
+        holdTurns: 5 // 'king': consecutive turns of sole control of the hill
+    },
+    teams: {}, // { playerId: teamNumber }; players without a team play alone
+    friendlyFire: true // Blasts and overloads also hit the source's own and allied structures
+};
+
+// elimination: last HUB standing; score: best score at the turn limit; king: hold the hill zone;
+// economic: bank energyTarget; nodes: capture nodeTarget SUPER nodes. Elimination always applies too.
+export const VICTORY_MODES = ['elimination', 'score', 'king', 'economic', 'nodes'];
+
+// A score match needs a turn limit; this one is used when none is set
+export const SCORE_MODE_TURNS = 30;
+
+// Inclusive bounds for the numeric rules
+export const RULE_LIMITS = {
+    turnDuration: { min: 1, max: 600 },
+    startingEnergy: { min: 0, max: 10000 },
+    incomePerTurn: { min: 0, max: 1000 },
+    maxTurns: { min: 0, max: 1000 }
+};
+
+export const VICTORY_LIMITS = {
+    energyTarget: { min: 1, max: 100000 },
+    nodeTarget: { min: 1, max: 20 },
+    holdTurns: { min: 1, max: 100 }
+};
+
+const clampRule = (key, value, fallback, limits = RULE_LIMITS) => {
+    const parsed = parseInt(value);
+    if (isNaN(parsed)) return fallback;
+    return Math.max(limits[key].min, Math.min(limits[key].max, parsed));
+};
+
+const normalizeTeams = (teams, base) => {
+    if (!teams || typeof teams !== 'object') return { ...base };
+    const normalized = {};
+    Object.entries(teams).forEach(([playerId, team]) => {
+        const parsed = parseInt(team);
+        if (parsed >= 1 && parsed <= GLOBAL_STATS.MAX_PLAYERS) normalized[playerId] = parsed;
+    });
+    return normalized;
+};
+
+const normalizeVictory = (victory, base) => {
+    const source = victory && typeof victory === 'object' ? victory : {};
+    const normalized = {
+        mode: VICTORY_MODES.includes(source.mode) ? source.mode : base.mode
+    };
+    Object.keys(VICTORY_LIMITS).forEach((key) => {
+        normalized[key] = clampRule(key, source[key], base[key], VICTORY_LIMITS);
+    });
+    return normalized;
+};
+
+/**
+ * Builds a complete, valid rule set from a partial one. Unknown keys and item types are dropped,
+ * numbers are clamped to RULE_LIMITS and anything missing comes from `base` (DEFAULT_RULES by default).
+ */
+export function normalizeRules(rules = {}, base = DEFAULT_RULES) {
+    const source = rules && typeof rules === 'object' ? rules : {};
+    const normalized = {};
+    Object.keys(RULE_LIMITS).forEach((key) => {
+        normalized[key] = clampRule(key, source[key], base[key]);
+    });
+    normalized.fogOfWar = typeof source.fogOfWar === 'boolean' ? source.fogOfWar : base.fogOfWar;
+    normalized.weather = typeof source.weather === 'boolean' ? source.weather : base.weather ?? false;
+    normalized.friendlyFire = typeof source.friendlyFire === 'boolean' ? source.friendlyFire : base.friendlyFire ?? true;
+    normalized.bannedItems = Array.isArray(source.bannedItems)
+        ? [...new Set(source.bannedItems)].filter((type) => ENTITY_STATS[type]?.category)
+        : [...base.bannedItems];
+    normalized.victory = normalizeVictory(source.victory, base.victory || DEFAULT_RULES.victory);
+    normalized.teams = normalizeTeams(source.teams, base.teams || {});
+    return normalized;
+}
+
+/**
+ * Last turn of the match (0 = no limit). Score matches always end, at SCORE_MODE_TURNS if no limit is set.
+ */
+export function getTurnLimit(rules) {
+    if (rules?.maxTurns > 0) return rules.maxTurns;
+    return rules?.victory?.mode === 'score' ? SCORE_MODE_TURNS : 0;
+}
+
+export function isItemBanned(rules, itemType) {
+    return !!rules?.bannedItems?.includes(itemType);
+}
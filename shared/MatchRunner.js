@@ -0,0 +1,180 @@
+/**
+ * MatchRunner.js
+ *
+ * Runs complete matches straight through GameState.resolveTurn(), with no
+ * server or sockets involved. Each seat is driven by a controller: any object
+ * with planTurn(visibleState, options) returning a list of actions (BotPlayer
+ * fits this, as do scripted controllers). Plans go through the same
+ * ActionValidator the server uses, so a simulated game follows the live rules.
+ */
+
+import { GameState } from './GameState.js';
+import { BotPlayer, BOT_DIFFICULTIES } from './BotPlayer.js';
+import { validateActions, isExperimentalItem } from './ActionValidator.js';
+import { ReplayRecorder } from './Replay.js';
+import { ENTITY_STATS } from './constants/EntityStats.js';
+
+export const DEFAULT_MAX_TURNS = 200;
+
+const itemsInCategory = (category) =>
+    Object.keys(ENTITY_STATS).filter((type) => ENTITY_STATS[type].category === category && !isExperimentalItem(type));
+
+/**
+ * Normal-difficulty bot that attacks and defends with every non-experimental item,
+ * so balance batches see the whole arsenal rather than just WEAPON and lasers.
+ */
+export const ARSENAL_LOADOUT = {
+    attack: itemsInCategory('OFFENSE'),
+    defense: itemsInCategory('DEFENSE')
+};
+
+/**
+ * Built-in scripted controllers, alongside the BotPlayer difficulties.
+ */
+export const SCRIPTED_CONTROLLERS = {
+    // Never acts; useful as a punching bag for measuring time-to-kill
+    idle: () => ({ planTurn: () => [] }),
+    arsenal: (playerId, seed) => new BotPlayer(playerId, 'normal', seed, ARSENAL_LOADOUT)
+};
+
+export function listControllerNames() {
+    return [...Object.keys(BOT_DIFFICULTIES), ...Object.keys(SCRIPTED_CONTROLLERS)];
+}
+
+/**
+ * Builds a controller by name. Seeds follow LobbyRoom.createBots so a seat
+ * plays the same way here as it would in a live room with the same match seed.
+ */
+export function createController(name, playerId, seed) {
+    if (BotPlayer.isValidDifficulty(name)) {
+        return new BotPlayer(playerId, name, seed);
+    }
+    if (Object.prototype.hasOwnProperty.call(SCRIPTED_CONTROLLERS, name)) {
+        return SCRIPTED_CONTROLLERS[name](playerId, seed);
+    }
+    throw new Error(`Unknown controller "${name}" (expected one of ${listControllerNames().join(', ')})`);
+}
+
+/**
+ * Per-player snapshot used in turn summaries and the final result.
+ */
+function summarizePlayers(game) {
+    const summary = {};
+    Object.entries(game.players).forEach(([pid, player]) => {
+        const owned = game.entities.filter((e) => e.owner === pid && !e.isHazard);
+        summary[pid] = {
+            alive: player.alive !== false,
+            team: player.team ?? pid,
+            energy: player.energy,
+            hubs: owned.filter((e) => e.type === 'HUB').length,
+            structures: owned.length
+        };
+    });
+    return summary;
+}
+
+/**
+ * Plays one match to a winner or the turn limit.
+ *
+ * @param {object} config
+ * @param {object} config.controllers - { [playerId]: controller }, in seat order
+ * @param {object} [config.mapConfig] - Ready-map JSON, or null for the default map
+ * @param {number} [config.seed] - Match seed; a fresh one is drawn when omitted
+ * @param {number} [config.maxTurns] - Turn limit before the match is called a draw
+ * @param {object} [config.rules] - MatchRules for the match (defaults when omitted)
+ * @param {object} [config.options] - ActionValidator options (e.g. allowExperimental)
+ * @param {boolean} [config.recordReplay] - Attach a replay to the result
+ * @param {function} [config.onTurn] - Called with each turn summary after resolution
+ * @param {function} [config.onEnd] - Called with the final GameState once the match is over
+ * @returns {object} Final result: winner, end reason, turn count and per-player stats
+ */
+export function runMatch({
+    controllers,
+    mapConfig = null,
+    mapName = null,
+    seed = GameState.createSeed(),
+    maxTurns = DEFAULT_MAX_TURNS,
+    rules = null,
+    options = {},
+    recordReplay = false,
+    onTurn = null,
+    onEnd = null
+}) {
+    const playerIds = Object.keys(controllers);
+    const game = new GameState();
+    game.initializeGame(playerIds, mapConfig, seed, rules);
+
+    const replay = recordReplay
+        ? new ReplayRecorder({ roomId: 'simulation', playerIds, seed, mapName, mapConfig, rules })
+        : null;
+    const stats = Object.fromEntries(playerIds.map((pid) => [pid, { actionsPlanned: 0, actionsRejected: 0 }]));
+
+    while (!game.winner && game.turn <= maxTurns) {
+        const turn = game.turn;
+        const actionsMap = {};
+        playerIds.forEach((pid) => {
+            if (game.players[pid]?.alive === false) {
+                actionsMap[pid] = [];
+                return;
+            }
+            const planned = controllers[pid].planTurn(game.getVisibleState(pid), options) || [];
+            const { valid, rejected } = validateActions(game, pid, planned, options);
+            stats[pid].actionsPlanned += valid.length;
+            stats[pid].actionsRejected += rejected.length;
+            actionsMap[pid] = valid;
+        });
+
+        replay?.recordTurn(turn, actionsMap);
+        game.resolveTurn(actionsMap);
+
+        onTurn?.({
+            turn,
+            actions: Object.fromEntries(playerIds.map((pid) => [pid, actionsMap[pid].length])),
+            players: summarizePlayers(game),
+            events: game.combatEvents,
+            winner: game.winner
+        });
+    }
+
+    const reason = game.winner === 'DRAW' ? 'DRAW' : game.winner ? 'ELIMINATION' : 'TURN_LIMIT';
+    replay?.finish(game.winner);
+    onEnd?.(game);
+
+    const players = summarizePlayers(game);
+    playerIds.forEach((pid) => Object.assign(players[pid], stats[pid]));
+
+    return {
+        seed,
+        mapName,
+        winner: game.winner && game.winner !== 'DRAW' ? game.winner : null,
+        reason,
+        turns: game.turn - 1,
+        players,
+        ...(replay ? { replay: replay.toJSON() } : {})
+    };
+}
+
+/**
+ * Aggregates a batch of runMatch() results into win rates and match length.
+ */
+export function summarizeResults(results) {
+    const wins = {};
+    results.forEach((r) => {
+        Object.keys(r.players).forEach((pid) => (wins[pid] ??= 0));
+        // A team win counts for every member
+        Object.entries(r.players).forEach(([pid, player]) => {
+            if (r.winner && (player.team ?? pid) === r.winner) wins[pid]++;
+        });
+    });
+    const turns = results.map((r) => r.turns);
+
+    return {
+        games: results.length,
+        wins,
+        draws: results.filter((r) => r.reason === 'DRAW').length,
+        turnLimits: results.filter((r) => r.reason === 'TURN_LIMIT').length,
+        averageTurns: results.length ? turns.reduce((sum, t) => sum + t, 0) / results.length : 0,
+        minTurns: results.length ? Math.min(...turns) : 0,
+        maxTurns: results.length ? Math.max(...turns) : 0
+    };
+}
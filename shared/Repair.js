@@ -0,0 +1,73 @@
+/**
+ * Repair.js
+ *
+ * The REPAIR action: a HUB spends energy to patch up its part of the network.
+ * Every friendly structure within REPAIR_STATS.hops links of the hub (the hub
+ * itself included) regains up to REPAIR_STATS.heal HP, capped at the maximum
+ * HP of its tier. GameState resolves repairs right after upgrades, before any
+ * launch, so repaired structures go into the rounds with their new HP.
+ *
+ * The lookups take any state-shaped object (entities, links), so the
+ * ActionValidator can run them against the filtered state a client receives.
+ */
+
+import { GLOBAL_STATS } from './constants/EntityStats.js';
+import { getEntityStats } from './Upgrades.js';
+
+export const REPAIR_STATS = {
+    cost: 15,
+    heal: 2, // HP restored per structure
+    hops: 2 // Links away from the repairing hub
+};
+
+export function getMaxHp(entity) {
+    return getEntityStats(entity)?.hp || GLOBAL_STATS.DEFAULT_HP;
+}
+
+/**
+ * Damaged structures of the hub's owner within REPAIR_STATS.hops links of the hub, nearest first.
+ */
+export function getRepairTargets(state, hub) {
+    const byId = new Map((state.entities || []).map((e) => [e.id, e]));
+    const reached = new Set([hub.id]);
+    let frontier = [hub.id];
+
+    for (let hop = 0; hop < REPAIR_STATS.hops; hop++) {
+        const next = [];
+        (state.links || []).forEach((link) => {
+            [[link.from, link.to], [link.to, link.from]].forEach(([from, to]) => {
+                const neighbor = byId.get(to);
+                if (!frontier.includes(from) || reached.has(to) || neighbor?.owner !== hub.owner) return;
+                reached.add(to);
+                next.push(to);
+            });
+        });
+        frontier = next;
+    }
+
+    return [...reached]
+        .map((id) => byId.get(id))
+        .filter((e) => e.deployed !== false && e.hp < getMaxHp(e));
+}
+
+/**
+ * Heals the hub's repair targets and records a REPAIR event for each. Returns the HP restored.
+ */
+export function applyRepair(game, hub) {
+    let restored = 0;
+    getRepairTargets(game, hub).forEach((target) => {
+        const amount = Math.min(REPAIR_STATS.heal, getMaxHp(target) - target.hp);
+        target.hp += amount;
+        restored += amount;
+        game.recordEvent('REPAIR', {
+            owner: hub.owner,
+            sourceId: hub.id,
+            entityId: target.id,
+            itemType: target.type,
+            amount,
+            x: target.x,
+            y: target.y
+        });
+    });
+    return restored;
+}
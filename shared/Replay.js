@@ -0,0 +1,157 @@
+/**
+ * Replay.js
+ *
+ * A replay is everything needed to re-run a match through GameState:
+ * the initial map config, the RNG seed and every turn's validated actions.
+ * Because GameState resolution is deterministic for a given seed, playback
+ * simply re-initializes the game and calls resolveTurn() turn by turn.
+ */
+
+import { GameState } from './GameState.js';
+import { normalizeRules } from './MatchRules.js';
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * Server-side recorder. One instance per match.
+ */
+export class ReplayRecorder {
+    constructor({ roomId, playerIds, seed, mapName = null, mapConfig = null, rules = null }) {
+        this.data = {
+            version: REPLAY_VERSION,
+            roomId,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            mapName,
+            // Deep copy so later edits to the map file can't change the replay
+            mapConfig: mapConfig ? JSON.parse(JSON.stringify(mapConfig)) : null,
+            seed,
+            rules: rules ? normalizeRules(rules) : null, // MatchRules (null = defaults)
+            playerIds: [...playerIds],
+            turns: [],
+            forfeits: [], // [{ turn, playerId }] players who left during that turn's planning
+            drawTurn: null, // Turn during whose planning the players agreed to a draw
+            winner: null
+        };
+    }
+
+    /**
+     * Resumes recording from previously saved replay data (e.g. after a server restart).
+     */
+    static fromJSON(data) {
+        const recorder = new ReplayRecorder(data);
+        recorder.data = JSON.parse(JSON.stringify(data));
+        return recorder;
+    }
+
+    /**
+     * Records the actions that are about to be resolved for a turn.
+     */
+    recordTurn(turn, actionsMap) {
+        this.data.turns.push({
+            turn,
+            actions: JSON.parse(JSON.stringify(actionsMap))
+        });
+    }
+
+    /**
+     * Records a player forfeiting before `turn` was resolved.
+     */
+    recordForfeit(turn, playerId) {
+        this.data.forfeits ??= [];
+        this.data.forfeits.push({ turn, playerId });
+    }
+
+    /**
+     * Records the players agreeing to a draw before `turn` was resolved.
+     */
+    recordDraw(turn) {
+        this.data.drawTurn = turn;
+    }
+
+    finish(winner) {
+        this.data.winner = winner;
+        this.data.endedAt = new Date().toISOString();
+    }
+
+    toJSON() {
+        return this.data;
+    }
+}
+
+/**
+ * Re-runs a recorded match. Used by the client replay viewer and by tests.
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay?.version}`);
+        }
+        this.replay = replay;
+        this.reset();
+    }
+
+    get totalTurns() {
+        return this.replay.turns.length;
+    }
+
+    get isFinished() {
+        return this.turnIndex >= this.totalTurns;
+    }
+
+    /**
+     * Rewinds to the initial state of the match.
+     */
+    reset() {
+        this.game = new GameState();
+        this.game.initializeGame(this.replay.playerIds, this.replay.mapConfig, this.replay.seed, this.replay.rules);
+        this.turnIndex = 0;
+        this.lastSnapshots = [];
+        this.applyOutcomes();
+    }
+
+    /**
+     * Applies forfeits and an agreed draw made during the planning of the current turn (or earlier).
+     */
+    applyOutcomes() {
+        (this.replay.forfeits || []).forEach(({ turn, playerId }) => {
+            if (turn <= this.game.turn && this.game.players[playerId]?.alive) {
+                this.game.eliminatePlayer(playerId);
+            }
+        });
+        if (this.replay.drawTurn && this.replay.drawTurn <= this.game.turn) {
+            this.game.declareDraw();
+        }
+    }
+
+    /**
+     * Resolves the next recorded turn. Returns its snapshots (empty once finished).
+     */
+    step() {
+        if (this.isFinished) return [];
+        const { actions } = this.replay.turns[this.turnIndex];
+        this.lastSnapshots = this.game.resolveTurn(JSON.parse(JSON.stringify(actions)));
+        this.turnIndex++;
+        this.applyOutcomes();
+        return this.lastSnapshots;
+    }
+
+    /**
+     * Jumps to the state after `index` turns. Rewinding replays from the start.
+     */
+    seek(index) {
+        const target = Math.max(0, Math.min(index, this.totalTurns));
+        if (target < this.turnIndex) this.reset();
+        while (this.turnIndex < target) this.step();
+    }
+
+    /**
+     * State as seen by one player (fog of war) or by everyone (null / 'spectator').
+     */
+    getView(playerId = null, baseState = null) {
+        if (!playerId || playerId === 'spectator') {
+            return baseState ? JSON.parse(JSON.stringify(baseState)) : this.game.getState();
+        }
+        return this.game.getVisibleState(playerId, baseState);
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * SpatialGrid.js
+ *
+ * Uniform toroidal grid for narrowing down proximity queries. Items are
+ * registered in every cell their point, circle or segment bounding box
+ * touches; queries return the items of the cells they touch.
+ *
+ * Results are candidates, not answers: callers still run their exact
+ * distance check. Candidates always come back in insertion order, so code
+ * that depends on iteration order (tie-breaks, RNG draws, event order)
+ * behaves exactly as if it had scanned the whole list.
+ */
+
+export const DEFAULT_CELL_SIZE = 200;
+
+export class SpatialGrid {
+    constructor(width, height, cellSize = DEFAULT_CELL_SIZE) {
+        this.width = width;
+        this.height = height;
+        // Cells must tile the map exactly for wrapped coordinates to land in the same cell
+        this.cols = Math.max(1, Math.round(width / cellSize));
+        this.rows = Math.max(1, Math.round(height / cellSize));
+        this.cellW = width / this.cols;
+        this.cellH = height / this.rows;
+        this.cells = new Map(); // cell index -> items
+        this.order = new Map(); // item -> insertion order
+        this.unplaced = []; // Items without a usable position match every query
+    }
+
+    /**
+     * Builds a grid from a list. `position(item)` returns { x, y }; `radius(item)`
+     * is how far from that point the item should be found (defaults to 0).
+     */
+    static fromItems(items, width, height, { position, radius = () => 0, cellSize = DEFAULT_CELL_SIZE }) {
+        const grid = new SpatialGrid(width, height, cellSize);
+        items.forEach((item) => {
+            const { x, y } = position(item);
+            grid.insert(item, x, y, radius(item));
+        });
+        return grid;
+    }
+
+    has(item) {
+        return this.order.has(item);
+    }
+
+    /**
+     * Wrapped cell indices covering [min, max] on one axis.
+     */
+    span(min, max, size, count) {
+        const first = Math.floor(min / size);
+        const last = Math.floor(max / size);
+        if (last - first + 1 >= count) return Array.from({ length: count }, (_, i) => i);
+        const indices = [];
+        for (let i = first; i <= last; i++) indices.push(((i % count) + count) % count);
+        return indices;
+    }
+
+    cellsFor(minX, minY, maxX, maxY) {
+        const keys = [];
+        const cols = this.span(minX, maxX, this.cellW, this.cols);
+        this.span(minY, maxY, this.cellH, this.rows).forEach((row) => {
+            cols.forEach((col) => keys.push(row * this.cols + col));
+        });
+        return keys;
+    }
+
+    add(item, keys) {
+        // Re-inserting an item (e.g. both halves of a wrapped link) keeps its first position
+        const repeat = this.order.has(item);
+        if (!repeat) this.order.set(item, this.order.size);
+        keys.forEach((key) => {
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            const cell = this.cells.get(key);
+            if (!repeat) {
+                cell.push(item);
+            } else if (!cell.includes(item)) {
+                // Keep every cell in insertion order
+                const rank = this.order.get(item);
+                const at = cell.findIndex((other) => this.order.get(other) > rank);
+                cell.splice(at === -1 ? cell.length : at, 0, item);
+            }
+        });
+    }
+
+    addUnplaced(item) {
+        if (!this.order.has(item)) this.order.set(item, this.order.size);
+        if (!this.unplaced.includes(item)) this.unplaced.push(item);
+    }
+
+    /**
+     * Registers an item at a point, or in every cell within `radius` of it.
+     */
+    insert(item, x, y, radius = 0) {
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(radius)) {
+            this.addUnplaced(item);
+            return;
+        }
+        this.add(item, this.cellsFor(x - radius, y - radius, x + radius, y + radius));
+    }
+
+    /**
+     * Registers an item along a straight (unwrapped) segment, e.g. one piece of
+     * GameState.getLinkSegments(). `padding` widens its bounding box.
+     */
+    insertSegment(item, x1, y1, x2, y2, padding = 0) {
+        if (![x1, y1, x2, y2, padding].every(Number.isFinite)) {
+            this.addUnplaced(item);
+            return;
+        }
+        this.add(
+            item,
+            this.cellsFor(
+                Math.min(x1, x2) - padding,
+                Math.min(y1, y2) - padding,
+                Math.max(x1, x2) + padding,
+                Math.max(y1, y2) + padding
+            )
+        );
+    }
+
+    collect(keys) {
+        if (keys.length === 1 && this.unplaced.length === 0) return this.cells.get(keys[0]) || [];
+
+        const found = new Set(this.unplaced);
+        keys.forEach((key) => (this.cells.get(key) || []).forEach((item) => found.add(item)));
+        return Array.from(found).sort((a, b) => this.order.get(a) - this.order.get(b));
+    }
+
+    /**
+     * Items that may lie within `radius` of (x, y), in insertion order.
+     * The returned array must not be modified.
+     */
+    query(x, y, radius = 0) {
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(radius)) return Array.from(this.order.keys());
+        return this.collect(this.cellsFor(x - radius, y - radius, x + radius, y + radius));
+    }
+
+    /**
+     * Items whose cells overlap a straight (unwrapped) segment's bounding box.
+     */
+    querySegment(x1, y1, x2, y2) {
+        if (![x1, y1, x2, y2].every(Number.isFinite)) return Array.from(this.order.keys());
+        return this.collect(this.cellsFor(Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)));
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * StateDelta.js
+ *
+ * Snapshot diffs for streaming resolution states. After a full keyframe the
+ * server only sends what changed between consecutive states:
+ *
+ *   - set / unset:  changed and removed top-level fields (turn, players, events...)
+ *   - entities / links, each with
+ *       added:   [{ index, item }]        new items and their position in the list
+ *       removed: [key]
+ *       changed: [{ key, set, unset }]   changed fields of an existing item
+ *       moved:   [[key, x, y]]           items where only the position changed
+ *                                        (projectile flight is almost all of these)
+ *       order:   [key]                   only sent if surviving items were reordered
+ *
+ * applyDelta(prev, diffStates(prev, next)) reproduces next exactly (as it
+ * would arrive over JSON), without modifying prev.
+ */
+
+const LIST_KEYS = {
+    entities: (e) => e.id,
+    links: (l) => `${l.from}>${l.to}`
+};
+
+const sameValue = (a, b) => a === b || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+/**
+ * Field-level difference between two plain objects, or null if equal.
+ * Fields that are undefined count as absent, as they would after JSON transport.
+ */
+function diffObject(prev, next, skip = null) {
+    const set = {};
+    const unset = [];
+    Object.keys(next).forEach((key) => {
+        if (skip?.[key] || next[key] === undefined) return;
+        if (!sameValue(prev[key], next[key])) set[key] = next[key];
+    });
+    Object.keys(prev).forEach((key) => {
+        if (skip?.[key] || prev[key] === undefined) return;
+        if (next[key] === undefined) unset.push(key);
+    });
+
+    if (Object.keys(set).length === 0 && unset.length === 0) return null;
+    const change = { set };
+    if (unset.length > 0) change.unset = unset;
+    return change;
+}
+
+function applyObject(prev, change, skip = null) {
+    const next = {};
+    Object.keys(prev).forEach((key) => {
+        if (!skip?.[key] && prev[key] !== undefined) next[key] = prev[key];
+    });
+    Object.assign(next, change?.set);
+    (change?.unset || []).forEach((key) => delete next[key]);
+    return next;
+}
+
+const isMove = (change) => !change.unset && Object.keys(change.set).every((key) => key === 'x' || key === 'y');
+
+function diffList(prevList = [], nextList = [], keyOf) {
+    const prevByKey = new Map(prevList.map((item) => [keyOf(item), item]));
+    const nextKeys = new Set(nextList.map(keyOf));
+    const diff = { added: [], removed: [], changed: [], moved: [] };
+
+    prevList.forEach((item) => {
+        if (!nextKeys.has(keyOf(item))) diff.removed.push(keyOf(item));
+    });
+
+    const retainedPrev = prevList.map(keyOf).filter((key) => nextKeys.has(key));
+    const retainedNext = [];
+    nextList.forEach((item, index) => {
+        const key = keyOf(item);
+        const before = prevByKey.get(key);
+        if (!before) {
+            diff.added.push({ index, item });
+            return;
+        }
+        retainedNext.push(key);
+        const change = diffObject(before, item);
+        if (!change) return;
+        if (isMove(change)) {
+            diff.moved.push([key, item.x, item.y]);
+        } else {
+            diff.changed.push({ key, ...change });
+        }
+    });
+
+    if (retainedPrev.some((key, i) => key !== retainedNext[i])) diff.order = nextList.map(keyOf);
+
+    // Leave out empty sections to keep the payload small
+    Object.keys(diff).forEach((section) => {
+        if (diff[section].length === 0) delete diff[section];
+    });
+    return Object.keys(diff).length > 0 ? diff : null;
+}
+
+function applyList(prevList = [], diff, keyOf) {
+    if (!diff) return prevList.map((item) => ({ ...item }));
+
+    const removed = new Set(diff.removed || []);
+    const changed = new Map((diff.changed || []).map((c) => [c.key, c]));
+    const moved = new Map((diff.moved || []).map(([key, x, y]) => [key, { set: { x, y } }]));
+
+    const byKey = new Map();
+    const list = [];
+    prevList.forEach((item) => {
+        const key = keyOf(item);
+        if (removed.has(key)) return;
+        const next = applyObject(item, changed.get(key) || moved.get(key));
+        byKey.set(key, next);
+        list.push(next);
+    });
+
+    if (diff.order) {
+        (diff.added || []).forEach(({ item }) => byKey.set(keyOf(item), { ...item }));
+        return diff.order.map((key) => byKey.get(key));
+    }
+    // Added items are listed by ascending index, so each insert lands in its final slot
+    (diff.added || []).forEach(({ index, item }) => list.splice(index, 0, { ...item }));
+    return list;
+}
+
+/**
+ * Describes how to turn state `prev` into state `next`.
+ */
+export function diffStates(prev, next) {
+    const delta = diffObject(prev, next, LIST_KEYS) || { set: {} };
+    Object.entries(LIST_KEYS).forEach(([name, keyOf]) => {
+        const diff = diffList(prev[name], next[name], keyOf);
+        if (diff) delta[name] = diff;
+    });
+    return delta;
+}
+
+/**
+ * Rebuilds the next state from the previous one and a diffStates() delta.
+ */
+export function applyDelta(prev, delta) {
+    const next = applyObject(prev, delta, LIST_KEYS);
+    Object.entries(LIST_KEYS).forEach(([name, keyOf]) => {
+        if (prev[name] !== undefined || delta[name]) next[name] = applyList(prev[name], delta[name], keyOf);
+    });
+    return next;
+}
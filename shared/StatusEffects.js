@@ -0,0 +1,183 @@
+/**
+ * StatusEffects.js
+ *
+ * Timed status effects on entities (EMP disable, Napalm burns, ...). An entity's
+ * effects live in `entity.effects`, keyed by effect type:
+ *   { disabled: { untilTurn: 3, stacks: 1, sourceOwner: 'player2' } }
+ * An effect is active while game.turn < untilTurn. The map is replaced rather
+ * than mutated, so the shallow entity copies in getState() snapshots stay intact.
+ *
+ * GameState runs the onTurnStart hooks before income, the onTurnEnd hooks
+ * before the end-of-turn HP cleanup, and drops expired effects once the turn
+ * counter has moved on. Effects travel with the entity, so getVisibleState()
+ * shows them on everything the player can see.
+ */
+
+// stacking: 'refresh' keeps one stack and the later expiry; 'stack' adds stacks (up to maxStacks) and refreshes
+export const STATUS_EFFECTS = {
+    // EMP blast: no income, launches, defence, cloaking or shield recharge; countdowns (Nuke) wait
+    disabled: {
+        stacking: 'refresh',
+        legacyField: 'disabledUntilTurn', // Older saves, replays and clients read this
+        onTurnStart(game, entity) {
+            if (entity.detonationTurn !== undefined) entity.detonationTurn += 1;
+        }
+    },
+    // Napalm fire: loses 1 HP per stack at the end of every turn
+    burning: {
+        stacking: 'stack',
+        maxStacks: 3,
+        onTurnEnd(game, entity, effect) {
+            entity.hp -= effect.stacks;
+            game.recordDamage({ owner: effect.sourceOwner, type: 'BURNING' }, entity, effect.stacks);
+        }
+    },
+    // EMP aftermath, the turn after the disable: launches from it fly at half speed
+    slowed: {
+        stacking: 'refresh',
+        launchSpeed: 0.5
+    },
+    // Defense that fired: visible to every player through fog of war and cloaking
+    revealed: {
+        stacking: 'refresh',
+        reveals: true
+    },
+    // Inside a friendly SHIELD's radius: absorbs one point of damage per stack (one per covering shield), using the stacks up
+    shielded: {
+        stacking: 'stack',
+        maxStacks: 5,
+        absorbsDamage: true
+    },
+    // Freshly upgraded structure: takes half damage, rounded up
+    fortified: {
+        stacking: 'refresh',
+        damageTaken: 0.5
+    }
+};
+
+/**
+ * The entity's active effect of a type, or null. Falls back to the effect's legacy field.
+ */
+export function getEffect(entity, type, turn) {
+    const effect = entity.effects?.[type];
+    if (effect && effect.untilTurn > turn) return effect;
+    const legacyField = STATUS_EFFECTS[type]?.legacyField;
+    if (legacyField && entity[legacyField] > turn) return { untilTurn: entity[legacyField], stacks: 1, sourceOwner: null };
+    return null;
+}
+
+export function hasEffect(entity, type, turn) {
+    return getEffect(entity, type, turn) !== null;
+}
+
+export function isDisabled(entity, turn) {
+    return hasEffect(entity, 'disabled', turn);
+}
+
+/**
+ * Types of the effects active on an entity this turn.
+ */
+export function getActiveEffects(entity, turn) {
+    return Object.keys(STATUS_EFFECTS).filter((type) => hasEffect(entity, type, turn));
+}
+
+/**
+ * Whether any active effect shows the entity to every player.
+ */
+export function isRevealed(entity, turn) {
+    return getActiveEffects(entity, turn).some((type) => STATUS_EFFECTS[type].reveals);
+}
+
+/**
+ * Product of a numeric modifier (e.g. launchSpeed) over the entity's active effects; 1 without any.
+ */
+export function getEffectModifier(entity, key, turn) {
+    return getActiveEffects(entity, turn).reduce((value, type) => value * (STATUS_EFFECTS[type][key] ?? 1), 1);
+}
+
+/**
+ * Applies an effect for `turns` turns, following its stacking rule, and records it as a combat event.
+ * `event` lets an item keep its own event type (EMP_DISABLE).
+ */
+export function applyEffect(game, entity, type, { turns = 1, stacks = 1, source = null, event = 'STATUS' } = {}) {
+    const definition = STATUS_EFFECTS[type];
+    if (!definition) throw new Error(`Unknown status effect "${type}"`);
+
+    const current = getEffect(entity, type, game.turn);
+    const effect = {
+        untilTurn: Math.max(current?.untilTurn || 0, game.turn + turns),
+        stacks:
+            definition.stacking === 'stack'
+                ? Math.min(definition.maxStacks || Infinity, (current?.stacks || 0) + stacks)
+                : 1,
+        sourceOwner: source?.owner ?? null
+    };
+    entity.effects = { ...entity.effects, [type]: effect };
+    if (definition.legacyField) entity[definition.legacyField] = effect.untilTurn;
+
+    game.recordEvent(event, {
+        owner: effect.sourceOwner,
+        effect: type,
+        targetId: entity.id,
+        targetType: entity.type,
+        targetOwner: entity.owner,
+        untilTurn: effect.untilTurn,
+        stacks: effect.stacks,
+        x: entity.currX ?? entity.x,
+        y: entity.currY ?? entity.y
+    });
+    return effect;
+}
+
+export function removeEffect(entity, type) {
+    if (entity.effects?.[type]) {
+        const rest = { ...entity.effects };
+        delete rest[type];
+        entity.effects = rest;
+    }
+    const legacyField = STATUS_EFFECTS[type]?.legacyField;
+    if (legacyField && entity[legacyField]) entity[legacyField] = 0;
+}
+
+/**
+ * Damage that gets through an entity's effects: fortified scales it, then shield stacks absorb it.
+ */
+export function absorbDamage(game, entity, amount) {
+    let damage = Math.ceil(amount * getEffectModifier(entity, 'damageTaken', game.turn));
+    getActiveEffects(entity, game.turn).forEach((type) => {
+        if (!STATUS_EFFECTS[type].absorbsDamage || damage <= 0) return;
+        const effect = getEffect(entity, type, game.turn);
+        const absorbed = Math.min(effect.stacks, damage);
+        damage -= absorbed;
+        if (absorbed === effect.stacks) removeEffect(entity, type);
+        else entity.effects = { ...entity.effects, [type]: { ...effect, stacks: effect.stacks - absorbed } };
+    });
+    return damage;
+}
+
+/**
+ * Runs an effect hook ('onTurnStart' or 'onTurnEnd') for every active effect on the board.
+ */
+export function runEffectHooks(game, hook) {
+    game.entities.forEach((entity) => {
+        getActiveEffects(entity, game.turn).forEach((type) => {
+            STATUS_EFFECTS[type][hook]?.(game, entity, getEffect(entity, type, game.turn));
+        });
+    });
+}
+
+/**
+ * Drops the effects that ran out now that game.turn points at the next turn.
+ */
+export function expireEffects(game) {
+    game.entities.forEach((entity) => {
+        if (!entity.effects) return;
+        const active = Object.keys(entity.effects).filter((type) => entity.effects[type].untilTurn > game.turn);
+        if (active.length === Object.keys(entity.effects).length) return;
+        if (active.length === 0) {
+            delete entity.effects;
+            return;
+        }
+        entity.effects = Object.fromEntries(active.map((type) => [type, entity.effects[type]]));
+    });
+}
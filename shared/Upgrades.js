@@ -0,0 +1,74 @@
+/**
+ * Upgrades.js
+ *
+ * Structure upgrade tiers. A structure starts at tier 1 with its ENTITY_STATS
+ * values; `tiers` in its stats lists what tier 2, 3, ... change, plus the
+ * energy the UPGRADE action costs to reach that tier:
+ *   EXTRACTOR: { ..., tiers: [{ upgradeCost: 20, hp: 3, energyGen: 8 }, ...] }
+ * The entity keeps its tier in `entity.tier` (absent means tier 1).
+ *
+ * GameState resolves UPGRADE actions right after income, before any launch,
+ * so an upgraded defense already covers the rounds of the same turn. The fresh
+ * plating leaves the structure fortified for that turn and the next.
+ */
+
+import { ENTITY_STATS } from './constants/EntityStats.js';
+import { applyEffect } from './StatusEffects.js';
+
+export function getTier(entity) {
+    return entity?.tier || 1;
+}
+
+export function getMaxTier(type) {
+    return 1 + (ENTITY_STATS[type]?.tiers?.length || 0);
+}
+
+/**
+ * Stats of an entity at its current tier: the type's base stats with its tier's values on top.
+ * Untiered entities (and in-flight projectiles, via `type`) get the plain ENTITY_STATS entry.
+ */
+export function getEntityStats(entity, type = entity?.type) {
+    const base = ENTITY_STATS[type];
+    const tier = getTier(entity);
+    if (!base?.tiers || tier <= 1) return base;
+    const stats = { ...base, ...base.tiers[Math.min(tier, getMaxTier(type)) - 2] };
+    delete stats.upgradeCost;
+    return stats;
+}
+
+/**
+ * Energy to raise the entity one tier, or null when it cannot be upgraded any further.
+ */
+export function getUpgradeCost(entity) {
+    const tier = getTier(entity);
+    if (tier >= getMaxTier(entity.type)) return null;
+    return ENTITY_STATS[entity.type].tiers[tier - 1].upgradeCost;
+}
+
+/**
+ * Raises the entity one tier. Current HP and fuel grow by what the tier adds, so damage
+ * and spent fuel carry over; vision, range, fuel regen and energy gen follow the new stats.
+ * The structure is fortified until the end of the next turn.
+ */
+export function applyUpgrade(game, entity) {
+    const before = getEntityStats(entity);
+    entity.tier = getTier(entity) + 1;
+    const after = getEntityStats(entity);
+
+    entity.hp += (after.hp || 0) - (before.hp || 0);
+    if (entity.maxFuel !== undefined && after.fuel !== undefined) {
+        const addedFuel = after.fuel - (before.fuel || 0);
+        entity.maxFuel += addedFuel;
+        entity.fuel += addedFuel;
+    }
+
+    game.recordEvent('UPGRADE', {
+        owner: entity.owner,
+        entityId: entity.id,
+        itemType: entity.type,
+        tier: entity.tier,
+        x: entity.x,
+        y: entity.y
+    });
+    applyEffect(game, entity, 'fortified', { turns: 2, source: entity });
+}
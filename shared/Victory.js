@@ -0,0 +1,124 @@
+/**
+ * Victory.js
+ *
+ * Victory conditions beyond elimination, selected by rules.victory (see
+ * MatchRules). GameState calls evaluateVictory() once at the end of every
+ * resolved turn; it refreshes each player's `progress` (shown on the HUD)
+ * and returns the winner, 'DRAW' or null while the match goes on.
+ *
+ * Elimination is always in force: these modes only add ways to win.
+ * Like elimination, they are decided per team: the winner is a team id.
+ */
+
+import { getTurnLimit } from './MatchRules.js';
+
+export const SCORE_WEIGHTS = {
+    structure: 10, // Per standing structure
+    energy: 1, // Per banked energy
+    node: 25 // Per captured resource node
+};
+
+export const DEFAULT_HILL_RADIUS = 150;
+
+const isStructure = (e) => !e.isHazard && e.type !== 'EXPLOSION_HAZARD';
+
+const teamOf = (game, playerId) => game.constructor.getTeam(game.players, playerId);
+
+/**
+ * The king-of-the-hill zone: the map's `hill` ({ x, y, radius }) or a circle at the map centre.
+ */
+export function getHillZone(map) {
+    return {
+        x: map.hill?.x ?? map.width / 2,
+        y: map.hill?.y ?? map.height / 2,
+        radius: map.hill?.radius ?? DEFAULT_HILL_RADIUS
+    };
+}
+
+/**
+ * Ids of the resource nodes currently held by a player's extractors.
+ */
+function getCapturedNodes(game, playerId) {
+    const ids = new Set();
+    game.entities.forEach((e) => {
+        if (e.owner === playerId && e.type === 'EXTRACTOR' && e.isCapturing && e.capturedNodeId) {
+            ids.add(e.capturedNodeId);
+        }
+    });
+    return game.map.resources.filter((node) => ids.has(node.id));
+}
+
+export function computeScore(game, playerId) {
+    const structures = game.entities.filter((e) => e.owner === playerId && isStructure(e)).length;
+    return (
+        structures * SCORE_WEIGHTS.structure +
+        Math.floor(game.players[playerId].energy) * SCORE_WEIGHTS.energy +
+        getCapturedNodes(game, playerId).length * SCORE_WEIGHTS.node
+    );
+}
+
+/**
+ * The only team with structures inside the hill zone, or null if it is empty or contested.
+ */
+export function getHillHolder(game, alivePlayers) {
+    const hill = getHillZone(game.map);
+    const holders = new Set();
+    game.entities.forEach((e) => {
+        if (!alivePlayers.includes(e.owner) || !isStructure(e)) return;
+        if (game.getToroidalDistance(e.x, e.y, hill.x, hill.y) <= hill.radius) holders.add(teamOf(game, e.owner));
+    });
+    return holders.size === 1 ? [...holders][0] : null;
+}
+
+/**
+ * Team of the player with the highest value; a tie between teams is a draw.
+ */
+function pickLeader(game, candidates, valueOf) {
+    if (candidates.length === 0) return null;
+    const best = Math.max(...candidates.map(valueOf));
+    const leadingTeams = new Set(candidates.filter((pid) => valueOf(pid) === best).map((pid) => teamOf(game, pid)));
+    return leadingTeams.size === 1 ? [...leadingTeams][0] : 'DRAW';
+}
+
+/**
+ * Updates every player's progress and decides the match if a victory condition is met.
+ * Expects game.turn to already point at the next turn.
+ */
+export function evaluateVictory(game) {
+    const { victory } = game.rules;
+    const alivePlayers = Object.keys(game.players).filter((pid) => game.players[pid].alive);
+    const hillHolder = victory.mode === 'king' ? getHillHolder(game, alivePlayers) : null;
+
+    Object.keys(game.players).forEach((pid) => {
+        const player = game.players[pid];
+        const previous = player.progress || {};
+        // The hill has to be held without a break: losing or sharing it starts the count over
+        const holdsHill = !!hillHolder && teamOf(game, pid) === hillHolder;
+        player.progress = {
+            score: computeScore(game, pid),
+            superNodes: getCapturedNodes(game, pid).filter((node) => node.isSuper).length,
+            hillTurns: holdsHill ? (previous.hillTurns || 0) + 1 : 0
+        };
+    });
+
+    const progressOf = (key) => (pid) => game.players[pid].progress[key];
+    const energyOf = (pid) => game.players[pid].energy;
+    const firstTo = (valueOf, target) => pickLeader(game, alivePlayers.filter((pid) => valueOf(pid) >= target), valueOf);
+
+    let winner = null;
+    if (victory.mode === 'king') {
+        winner = firstTo(progressOf('hillTurns'), victory.holdTurns);
+    } else if (victory.mode === 'economic') {
+        winner = firstTo(energyOf, victory.energyTarget);
+    } else if (victory.mode === 'nodes') {
+        winner = firstTo(progressOf('superNodes'), victory.nodeTarget);
+    }
+    if (winner) return winner;
+
+    const turnLimit = getTurnLimit(game.rules);
+    if (turnLimit > 0 && game.turn > turnLimit) {
+        // Score matches go to the best score; every other mode is called a draw
+        return victory.mode === 'score' ? pickLeader(game, alivePlayers, progressOf('score')) || 'DRAW' : 'DRAW';
+    }
+    return null;
+}
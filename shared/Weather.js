@@ -0,0 +1,90 @@
+/**
+ * Weather.js
+ *
+ * Titan's weather, rolled once per turn when rules.weather is on (see
+ * MatchRules). GameState rolls the next turn's weather at the end of
+ * resolveTurn, so it is part of the state players plan against:
+ *
+ *   wind:   { dx, dy } drift in px per sub-tick. It pushes every unguided
+ *           shot along for its whole flight (seekers steer against it).
+ *   haze:   share of every vision radius lost to the methane haze (0-1).
+ *   storms: [{ x, y, radius }] cells that ground launches from inside them.
+ *
+ * Rolls use the match RNG, so the same seed gives the same weather. With
+ * weather off the sky stays calm and no random numbers are drawn.
+ */
+
+export const WEATHER_STATS = {
+    maxWind: 0.6, // px per sub-tick; a full-range shot (~200 ticks) drifts up to ~120px
+    windVeer: 60, // Degrees the wind may turn between two turns
+    maxHaze: 0.4,
+    stormChance: 0.35, // Chance of any storm in a turn
+    maxStorms: 2,
+    stormRadius: { min: 120, max: 250 }
+};
+
+export const CALM_WEATHER = Object.freeze({ wind: Object.freeze({ dx: 0, dy: 0 }), haze: 0, storms: Object.freeze([]) });
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const toroidalDistance = (map, x1, y1, x2, y2) => {
+    let dx = Math.abs(x1 - x2);
+    let dy = Math.abs(y1 - y2);
+    if (dx > map.width / 2) dx = map.width - dx;
+    if (dy > map.height / 2) dy = map.height - dy;
+    return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * Rolls the weather for game.turn. The wind veers from the previous turn's rather than jumping around.
+ */
+export function generateWeather(game) {
+    if (!game.rules.weather) return CALM_WEATHER;
+
+    const previous = game.weather?.wind || CALM_WEATHER.wind;
+    const wasCalm = previous.dx === 0 && previous.dy === 0;
+    const veer = (game.random() - 0.5) * WEATHER_STATS.windVeer * (Math.PI / 180);
+    const angle = wasCalm ? game.random() * Math.PI * 2 : Math.atan2(previous.dy, previous.dx) + veer;
+    const speed = game.random() * WEATHER_STATS.maxWind;
+
+    const storms = [];
+    if (game.random() < WEATHER_STATS.stormChance) {
+        const count = 1 + Math.floor(game.random() * WEATHER_STATS.maxStorms);
+        const { min, max } = WEATHER_STATS.stormRadius;
+        for (let i = 0; i < count; i++) {
+            storms.push({
+                x: Math.round(game.random() * game.map.width),
+                y: Math.round(game.random() * game.map.height),
+                radius: Math.round(min + game.random() * (max - min))
+            });
+        }
+    }
+
+    return {
+        wind: { dx: round2(Math.cos(angle) * speed), dy: round2(Math.sin(angle) * speed) },
+        haze: round2(game.random() * WEATHER_STATS.maxHaze),
+        storms
+    };
+}
+
+/**
+ * How far the wind pushes a shot that flies for `ticks` sub-ticks.
+ */
+export function getWindDrift(weather, ticks) {
+    const wind = weather?.wind || CALM_WEATHER.wind;
+    return { dx: wind.dx * ticks, dy: wind.dy * ticks };
+}
+
+/**
+ * Multiplier for vision radii under the current haze.
+ */
+export function getVisionFactor(weather) {
+    return 1 - (weather?.haze || 0);
+}
+
+/**
+ * Whether (x, y) lies inside a storm, where launches are grounded.
+ */
+export function isInStorm(weather, map, x, y) {
+    return (weather?.storms || []).some((storm) => toroidalDistance(map, storm.x, storm.y, x, y) <= storm.radius);
+}
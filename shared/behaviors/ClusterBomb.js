@@ -0,0 +1,75 @@
+/**
+ * Cluster Bomb: splits into a row of sub-bombs, spread across the flight
+ * line, part-way to the target. Sub-bombs land where the bomb would have.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+/**
+ * Where a bomb flying (dx, dy) over arrivalTick sub-ticks splits, and the offsets from its
+ * launch point at which the sub-bombs land: spread evenly across the flight line.
+ */
+function planSplit(dx, dy, arrivalTick) {
+    const clusterStats = ENTITY_STATS.CLUSTER_BOMB;
+    const splitTick = Math.min(arrivalTick, Math.ceil(arrivalTick * clusterStats.splitTickRatio));
+
+    // Calculate perpendicular unit vector
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const px = -dy / dist;
+    const py = dx / dist;
+
+    const count = clusterStats.subBombCount;
+    const totalSpread = clusterStats.spreadDistance;
+    const step = totalSpread / (count - 1 || 1);
+
+    const subTargets = [];
+    for (let i = 0; i < count; i++) {
+        const offset = i * step - totalSpread / 2;
+        subTargets.push({ dx: dx + offset * px, dy: dy + offset * py });
+    }
+    return { splitTick, subTargets };
+}
+
+export default {
+    CLUSTER_BOMB: {
+        planSplit,
+
+        onTick(game, proj, ctx) {
+            const { t } = ctx;
+            if (proj.hasSplit) return;
+            const { splitTick, subTargets } = planSplit(proj.intendedDx, proj.intendedDy, proj.arrivalTick);
+            if (t < splitTick) return;
+
+            proj.active = false;
+            proj.hasSplit = true;
+
+            subTargets.forEach((sub, i) => {
+                const subTargetX = proj.startX + sub.dx;
+                const subTargetY = proj.startY + sub.dy;
+
+                const splitX = proj.startX + proj.intendedDx * (t / proj.arrivalTick);
+                const splitY = proj.startY + proj.intendedDy * (t / proj.arrivalTick);
+
+                // Math to ensure sub-bomb arrives at subTargetX/Y at proj.arrivalTick
+                // using the standard progress = t / arrivalTick formula.
+                const factor = proj.arrivalTick / (t - proj.arrivalTick);
+                const subIntendedDx = (splitX - subTargetX) * factor;
+                const subIntendedDy = (splitY - subTargetY) * factor;
+                const subStartX = subTargetX - subIntendedDx;
+                const subStartY = subTargetY - subIntendedDy;
+
+                ctx.tempProjectiles.push({
+                    ...proj,
+                    id: `${proj.id}-sub-${i}`,
+                    startX: subStartX,
+                    startY: subStartY,
+                    intendedDx: subIntendedDx,
+                    intendedDy: subIntendedDy,
+                    active: true,
+                    hasSplit: true, // Prevent re-splitting
+                    hitByFlakDefense: new Set() // Fresh flak state for sub-bombs
+                });
+            });
+        }
+    }
+};
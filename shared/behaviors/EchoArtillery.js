@@ -0,0 +1,114 @@
+/**
+ * Echo Artillery: answers enemy launches it detects (announced by GameState.announceLaunch)
+ * with an inaccurate dumb bomb at the launch site, one round later.
+ */
+
+import { ENTITY_STATS, GLOBAL_STATS } from '../constants/EntityStats.js';
+import { isDisabled } from '../StatusEffects.js';
+import { getWindDrift } from '../Weather.js';
+
+export default {
+    ECHO_ARTILLERY: {
+        onCreate(game, echo) {
+            echo.pendingEchos = []; // [{ x, y }] targets to fire at in the next round
+            echo.firedThisTurn = false;
+        },
+
+        onTurnStart(game, echo) {
+            echo.firedThisTurn = false;
+            echo.pendingEchos = []; // Clear any leftover echos from previous turn
+        },
+
+        // Locks on to the first enemy launch of the turn within detection range
+        onEnemyLaunch(game, echo, launch) {
+            if (isDisabled(echo, game.turn) || echo.firedThisTurn) return;
+
+            const dist = game.getToroidalDistance(launch.x, launch.y, echo.x, echo.y);
+            if (dist > (ENTITY_STATS.ECHO_ARTILLERY.detectionRange || 800)) return;
+
+            echo.pendingEchos.push({ x: launch.x, y: launch.y, triggerRound: launch.round });
+            echo.firedThisTurn = true;
+            console.log(
+                `[Echo-Detection] Artillery ${echo.id} detected launch by ${launch.owner} from (${Math.round(launch.x)}, ${Math.round(launch.y)})`
+            );
+        },
+
+        isBusy(echo) {
+            return !!echo.pendingEchos && echo.pendingEchos.length > 0;
+        },
+
+        onRoundStart(game, echo, ctx) {
+            const { round } = ctx;
+            if (isDisabled(echo, game.turn)) {
+                echo.pendingEchos = []; // Clear pending echos if disabled
+                return;
+            }
+            if (!echo.pendingEchos || echo.pendingEchos.length === 0) return;
+
+            // Filter echos ready for this round (1-round delay)
+            const readyEchos = echo.pendingEchos.filter((pea) => pea.triggerRound < round);
+            echo.pendingEchos = echo.pendingEchos.filter((pea) => pea.triggerRound >= round);
+
+            readyEchos.forEach((target) => {
+                const stats = ENTITY_STATS.WEAPON; // Standard Dumb Bomb
+                const velocity = stats.speed || GLOBAL_STATS.SPEED_TIERS.NORMAL;
+
+                // Calculate angle and distance to source structure
+                const { dx, dy } = game.constructor.getToroidalVector(
+                    echo.x,
+                    echo.y,
+                    target.x,
+                    target.y,
+                    game.map.width,
+                    game.map.height
+                );
+                let angle = Math.atan2(dy, dx) * (180 / Math.PI);
+                let distance = Math.sqrt(dx * dx + dy * dy);
+
+                // Add Inaccuracy (Deviation)
+                const aStats = ENTITY_STATS.ECHO_ARTILLERY;
+                angle += (game.random() - 0.5) * (aStats.accuracyDeviationAngle || 0);
+                distance *=
+                    1 -
+                    (aStats.accuracyDeviationDistance || 0) / 2 +
+                    game.random() * (aStats.accuracyDeviationDistance || 0);
+
+                const rad = (angle * Math.PI) / 180;
+                const arrivalTick = Math.max(1, Math.floor(distance / velocity));
+                const drift = getWindDrift(game.weather, arrivalTick);
+
+                ctx.automaticProjectiles.push({
+                    id: game.randomId(4),
+                    type: 'WEAPON', // Echo Shell = Dumb Bomb
+                    itemType: 'WEAPON',
+                    owner: echo.owner,
+                    startX: echo.x,
+                    startY: echo.y,
+                    currX: echo.x,
+                    currY: echo.y,
+                    currentAngle: angle,
+                    sourceId: echo.id,
+                    intendedDx: Math.cos(rad) * distance + drift.dx,
+                    intendedDy: Math.sin(rad) * distance + drift.dy,
+                    originalTargetX: game.wrapX(echo.x + Math.cos(rad) * distance + drift.dx),
+                    originalTargetY: game.wrapY(echo.y + Math.sin(rad) * distance + drift.dy),
+                    totalDist: distance,
+                    intendedDistance: distance,
+                    arrivalTick: arrivalTick,
+                    velocity: velocity,
+                    totalDistanceMoved: 0,
+                    active: true,
+                    hp: stats.hp || 1,
+                    hitByFlakDefense: new Set(),
+                    scheduledEffects: [] // List of { type: 'incinerate'|'damage', amount, tick, sourceId }
+                });
+                console.log(
+                    `[Echo-Firing] Artillery ${echo.id} firing retaliation at (${Math.round(target.x)}, ${Math.round(target.y)})`
+                );
+
+                // TASK 5: Automated launches also trigger other Echo Artilleries
+                game.announceLaunch(echo.x, echo.y, echo.owner, round);
+            });
+        }
+    }
+};
@@ -0,0 +1,22 @@
+/**
+ * EMP: a harmless blast that disables everything in its full radius for two turns,
+ * then leaves it slowed for one more while its systems come back up.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import { applyEffect } from '../StatusEffects.js';
+
+export default {
+    EMP: {
+        onBlastHit(game, target, blast) {
+            const effect = applyEffect(game, target, 'disabled', { turns: 2, source: blast.source, event: 'EMP_DISABLE' });
+            console.log(`[EMP] ${target.id || target.type} DISABLED until Turn ${effect.untilTurn}`);
+            applyEffect(game, target, 'slowed', { turns: 3, source: blast.source });
+        },
+
+        // EMP detonates immediately on barrier impact
+        onShieldBlock(game, proj, ctx) {
+            game.triggerExplosion(proj.currX, proj.currY, ENTITY_STATS.EMP, ctx.tempVisuals, ctx.impacts, game.entities, proj);
+        }
+    }
+};
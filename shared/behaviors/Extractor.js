@@ -0,0 +1,33 @@
+/**
+ * Extractor: captures the resource node it lands on and earns the node's
+ * value on top of its own generation every turn.
+ */
+
+export default {
+    EXTRACTOR: {
+        onCreate(game, extractor) {
+            game.updateExtractorStatus(extractor);
+        },
+
+        onDeploy(game, extractor, round) {
+            if (!extractor.isCapturing) return;
+            game.recordEvent('CAPTURE', {
+                round,
+                owner: extractor.owner,
+                entityId: extractor.id,
+                nodeId: extractor.capturedNodeId,
+                x: extractor.x,
+                y: extractor.y
+            });
+        },
+
+        onIncome(game, extractor) {
+            game.updateExtractorStatus(extractor);
+            if (!extractor.isCapturing || !extractor.capturedNodeId) return 0;
+            const node = game.map.resources.find((r) => r.id === extractor.capturedNodeId);
+            if (!node) return 0;
+            console.log(`[Economy] Extractor ${extractor.id} on node ${node.id} earned ${node.value || 0} node bonus.`);
+            return node.value || 0;
+        }
+    }
+};
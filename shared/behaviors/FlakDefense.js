@@ -0,0 +1,89 @@
+/**
+ * Flak Defense: once triggered by an incoming projectile, keeps bursting
+ * across an arc for the rest of the round, damaging whatever flies through
+ * it (a few ticks later) whoever owns it.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import { getEntityStats } from '../Upgrades.js';
+
+export default {
+    FLAK_DEFENSE: {
+        ignoresRoundLimit: true,
+
+        onTurnStart(game, def) {
+            def.flakActive = false;
+            def.flakTriggerTick = 0;
+        },
+
+        // Flak logic: If already active, it doesn't need to re-trigger or search
+        onScan(game, def, ctx) {
+            if (!def.flakActive) return false;
+
+            const stats = getEntityStats(def);
+            ctx.projectilesNear(def, stats.range).forEach((proj) => {
+                if (!proj.active || proj.hitByFlakDefense.has(def.id)) return;
+
+                const pStats = ENTITY_STATS[proj.type] || ENTITY_STATS[proj.itemType];
+                if (pStats?.isInterceptable === false) return;
+
+                const dist = game.getToroidalDistance(def.x, def.y, proj.currX, proj.currY);
+                if (dist > stats.range) return;
+
+                const vec = game.constructor.getToroidalVector(
+                    def.x, def.y, proj.currX, proj.currY,
+                    game.map.width, game.map.height
+                );
+                const angleToProj = Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
+
+                let diff = angleToProj - (def.flakAngle || 0);
+                while (diff > 180) diff -= 360;
+                while (diff < -180) diff += 360;
+
+                // Check if already scheduled a hit from this source
+                if (Math.abs(diff) <= stats.arc / 2 && !proj.scheduledEffects.some((e) => e.sourceId === def.id)) {
+                    const delay = 5 + Math.floor(game.random() * 5);
+                    proj.scheduledEffects.push({
+                        type: 'damage',
+                        amount: stats.damage,
+                        tick: ctx.t + delay,
+                        sourceId: def.id,
+                        sourceType: def.type,
+                        sourceOwner: def.owner
+                    });
+                    ctx.tempVisuals.push({
+                        type: 'SPARK',
+                        x: proj.currX,
+                        y: proj.currY,
+                        duration: 15
+                    });
+                }
+            });
+            return true;
+        },
+
+        // Flak Activation!
+        onDefend(game, def, target, shot, ctx) {
+            def.flakActive = true;
+            def.flakTriggerTick = ctx.t;
+            def.fuel--;
+            game.recordEvent('DEFENSE_FIRE', shot);
+
+            const vec = game.constructor.getToroidalVector(
+                def.x,
+                def.y,
+                target.currX,
+                target.currY,
+                game.map.width,
+                game.map.height
+            );
+            def.flakAngle = Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
+        },
+
+        onRoundEnd(game, def) {
+            def.flakActive = false;
+            def.flakAngle = null;
+            def.flakTriggerTick = null;
+        }
+    }
+};
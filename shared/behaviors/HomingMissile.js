@@ -0,0 +1,9 @@
+/**
+ * Homing Missile: sees only inside its search cone while in flight.
+ */
+
+export default {
+    HOMING_MISSILE: {
+        coneVision: true
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Laser Point Defense: instantly burns the nearest incoming projectile.
+ */
+
+export default {
+    LASER_POINT_DEFENSE: {
+        onDefend(game, def, target, shot, ctx) {
+            target.active = false;
+            def.fuel--;
+            game.recordEvent('DEFENSE_FIRE', shot);
+            game.recordEvent('INTERCEPT', shot);
+
+            // Calculate toroidal-aware visual coordinates
+            const vec = game.constructor.getToroidalVector(
+                def.x,
+                def.y,
+                target.currX,
+                target.currY,
+                game.map.width,
+                game.map.height
+            );
+
+            // Create visual beam
+            ctx.tempVisuals.push({
+                type: 'LASER_BEAM',
+                x: def.x,
+                y: def.y,
+                targetX: def.x + vec.dx,
+                targetY: def.y + vec.dy,
+                duration: Math.max(5, Math.floor(ctx.subTicks / 8))
+            });
+        }
+    }
+};
@@ -0,0 +1,71 @@
+/**
+ * Napalm: stops short of the aimed point and lays a fire hazard from the
+ * impact point up to the original target. The fire burns for two rounds of
+ * the turn it lands in; structures it touches keep burning after it dies down.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import { GameState } from '../GameState.js';
+import { applyEffect, hasEffect } from '../StatusEffects.js';
+
+export default {
+    NAPALM: {
+        onLaunch(launch) {
+            // Bug 1: Enforce minRange (clamped to 200px from launcher)
+            launch.launchDistance = Math.max(launch.stats.minRange || 0, launch.launchDistance);
+            // The shell stops a fire length short of the target; the fire covers the rest
+            launch.flightDistance = Math.max(10, launch.launchDistance - ENTITY_STATS.NAPALM_FIRE.length);
+        },
+
+        onArrive(game, proj, ctx) {
+            const nStats = ENTITY_STATS.NAPALM_FIRE;
+            game.addEntity({
+                type: 'NAPALM_FIRE',
+                owner: proj.owner,
+                x: proj.currX, // Impact point (base of stadium)
+                y: proj.currY,
+                startX: proj.currX, // Base
+                startY: proj.currY,
+                endX: proj.originalTargetX, // Tip (Original target)
+                endY: proj.originalTargetY,
+                roundsLeft: 2, // New internal round tracking
+                deployed: true,
+                isHazard: true,
+                hp: nStats.hp
+            });
+
+            // Push specialized landing snapshot for visual feedback
+            game.pushSnapshot(ctx.snapshots, {
+                type: 'LANDING',
+                tick: ctx.t,
+                round: ctx.round,
+                playerId: proj.owner,
+                itemType: proj.type,
+                state: game.getState()
+            });
+        }
+    },
+
+    NAPALM_FIRE: {
+        // Keeps the turn's rounds going until the fire burns down
+        isBusy(fire) {
+            return fire.roundsLeft === undefined || fire.roundsLeft > 0;
+        },
+
+        onRoundEnd(game, fire) {
+            if (fire.roundsLeft !== undefined) fire.roundsLeft--;
+        },
+
+        // A stadium along the fire line: touching it is within half its width of the segment
+        hazardContains(game, fire, x, y, size) {
+            const { width, height } = game.map;
+            const dist = GameState.getPointToSegmentDistance(x, y, fire.startX, fire.startY, fire.endX, fire.endY, width, height);
+            return dist <= ENTITY_STATS.NAPALM_FIRE.width / 2 + size;
+        },
+
+        // Sets a structure alight once; it burns for a point of HP at the end of the turn
+        onHazardHit(game, fire, target) {
+            if (target.hp > 0 && !hasEffect(target, 'burning', game.turn)) applyEffect(game, target, 'burning', { turns: 1, source: fire });
+        }
+    }
+};
@@ -0,0 +1,55 @@
+/**
+ * Nuke: lands as a structure and detonates at the start of its detonation
+ * turn, two turns after landing (EMP disables push the countdown back),
+ * leaving a hazard that burns projectiles for the rest of that turn and
+ * a crater once it subsides.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import { GameState } from '../GameState.js';
+
+export default {
+    NUKE: {
+        onCreate(game, nuke) {
+            if (nuke.detonationTurn === undefined) nuke.detonationTurn = game.turn + 2;
+        },
+
+        onTurnStart(game, nuke, ctx) {
+            if (nuke.detonationTurn > game.turn) return;
+
+            console.log(`[Lifecycle] Nuke ${nuke.id} detonating on Turn ${game.turn}!`);
+            game.triggerExplosion(nuke.x, nuke.y, ENTITY_STATS.NUKE, ctx.tempVisuals, ctx.impacts, game.entities, nuke);
+
+            // Spawn Lingering Hazard (lasts remainder of this Turn)
+            game.addEntity({
+                type: 'EXPLOSION_HAZARD',
+                x: nuke.x,
+                y: nuke.y,
+                owner: nuke.owner,
+                expiresTurn: game.turn,
+                hp: 999,
+                deployed: true,
+                isHazard: true
+            });
+        }
+    },
+
+    EXPLOSION_HAZARD: {
+        // Projectiles are caught anywhere along their last step, structures by their centre
+        hazardContains(game, hazard, x, y, size, from) {
+            const { width, height } = game.map;
+            const radius = ENTITY_STATS.EXPLOSION_HAZARD.radius || 200;
+            if (from) return GameState.lineCircleIntersection(from.x, from.y, x, y, hazard.x, hazard.y, radius, width, height);
+            const v = GameState.getToroidalVector(hazard.x, hazard.y, x, y, width, height);
+            return Math.sqrt(v.dx * v.dx + v.dy * v.dy) <= radius;
+        },
+
+        // Leaves a permanent mark on the map
+        onExpire(game, hazard) {
+            if (!game.map.craters) game.map.craters = [];
+            const crater = { id: `crater-${game.randomId(5)}`, x: hazard.x, y: hazard.y, radius: 40 };
+            game.map.craters.push(crater);
+            game.recordEvent('CRATER', { owner: hazard.owner, craterId: crater.id, radius: crater.radius, x: hazard.x, y: hazard.y });
+        }
+    }
+};
@@ -0,0 +1,23 @@
+/**
+ * Overload: chains 1 damage down the link network from where it lands.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+export default {
+    OVERLOAD: {
+        onArrive(game, proj, ctx) {
+            if (!proj.hitThisTick) return;
+            game.triggerOverload(
+                proj.currX,
+                proj.currY,
+                ENTITY_STATS.OVERLOAD,
+                ctx.tempVisuals,
+                ctx.impacts,
+                ctx.overloadedThisRound,
+                proj
+            );
+            proj.hitThisTick = false;
+        }
+    }
+};
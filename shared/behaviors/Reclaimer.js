@@ -0,0 +1,13 @@
+/**
+ * Reclaimer: refunds the owner's structures where it lands.
+ */
+
+export default {
+    RECLAIMER: {
+        passesShields: true, // Friendly management tools bypass shields
+
+        onArrive(game, proj, ctx) {
+            game.handleReclaim(proj.currX, proj.currY, proj.owner, ctx.tempVisuals, ctx.impacts);
+        }
+    }
+};
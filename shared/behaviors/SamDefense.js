@@ -0,0 +1,50 @@
+/**
+ * Light and Smart SAM sites: launch a seeker locked onto the nearest incoming projectile.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+const samSite = (projectileType) => ({
+    onDefend(game, def, target, shot, ctx) {
+        def.fuel--;
+        game.recordEvent('DEFENSE_FIRE', shot);
+
+        const samStats = ENTITY_STATS[projectileType];
+        const vec = game.constructor.getToroidalVector(
+            def.x,
+            def.y,
+            target.currX,
+            target.currY,
+            game.map.width,
+            game.map.height
+        );
+        const initialAngle = Math.atan2(vec.dy, vec.dx) * (180 / Math.PI);
+
+        ctx.tempProjectiles.push({
+            id: 'sam_' + game.randomId(9),
+            type: projectileType,
+            itemType: projectileType,
+            owner: def.owner,
+            launcherId: def.id,
+            launcherType: def.type,
+            active: true,
+            currX: def.x,
+            currY: def.y,
+            targetX: target.currX,
+            targetY: target.currY,
+            velocity: samStats.speed,
+            currentAngle: initialAngle,
+            targetId: target.id,
+            searchMode: false, // Start locked
+            totalDistanceMoved: 0,
+            intendedDistance: 1000, // Fuel limit
+            hitByFlakDefense: new Set(),
+            scheduledEffects: []
+        });
+    }
+});
+
+export default {
+    LIGHT_SAM_DEFENSE: samSite('SAM_MISSILE'),
+    SMART_SAM_DEFENSE: samSite('SMART_SAM_MISSILE')
+};
@@ -0,0 +1,30 @@
+/**
+ * Shield: the barrier blocks every crossing, so it is not limited to one shot a round.
+ * The crossing rule itself lives in GameState's flight loop. Friendly structures inside
+ * the barrier radius are shielded for the next turn, one stack per covering shield.
+ */
+
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import { applyEffect } from '../StatusEffects.js';
+
+export default {
+    SHIELD: {
+        ignoresRoundLimit: true,
+
+        onCreate(game, shield) {
+            shield.barrierHp = ENTITY_STATS.SHIELD.barrierHpMax || 5;
+        },
+
+        // Recharges and covers for the next turn unless it was disabled during the one just resolved
+        onTurnEnd(game, shield) {
+            const stats = ENTITY_STATS.SHIELD;
+            shield.barrierHp = Math.min(stats.barrierHpMax, (shield.barrierHp || 0) + (stats.rechargeRate || 1));
+
+            game.entities.forEach((e) => {
+                if (e.isHazard || e.deployed === false || !game.areAllies(shield.owner, e.owner)) return;
+                if (game.getToroidalDistance(shield.x, shield.y, e.x, e.y) > stats.range) return;
+                applyEffect(game, e, 'shielded', { turns: 1, source: shield });
+            });
+        }
+    }
+};
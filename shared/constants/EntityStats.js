@@ -18,11 +18,17 @@ export const ENTITY_STATS = {
         vision: 400,
         energyGen: 0,
         cost: 20,
+        shieldDamage: 0, // Shields stop it without losing barrier HP
         size: 40, // Base radius for rendering and selection
         labelOffset: 35,
         speed: SPEED_TIERS.SLOW,
         deathEffect: 'DISINTEGRATE',
-        category: 'UTILITY'
+        category: 'UTILITY',
+        // UPGRADE tiers 2 and 3: upgrade cost plus the stats they change (see shared/Upgrades.js)
+        tiers: [
+            { upgradeCost: 20, hp: 7, fuel: 4, fuelRegen: 4, vision: 475 },
+            { upgradeCost: 35, hp: 9, fuel: 5, fuelRegen: 5, vision: 550, energyGen: 5 }
+        ]
     },
     /** @see [defenses.md#laser-point-defense](../../.agents/defenses.md#laser-point-defense) */
     LASER_POINT_DEFENSE: {
@@ -36,7 +42,11 @@ export const ENTITY_STATS = {
         labelOffset: 35,
         speed: SPEED_TIERS.SLOW,
         deathEffect: 'DISINTEGRATE',
-        category: 'DEFENSE'
+        category: 'DEFENSE',
+        tiers: [
+            { upgradeCost: 15, hp: 3, fuel: 2, range: 130 },
+            { upgradeCost: 25, hp: 4, fuel: 2, fuelRegen: 2, vision: 300, range: 160 }
+        ]
     },
     /** @see [structures.md#extractors](../../.agents/structures.md#extractors) */
     EXTRACTOR: {
@@ -44,11 +54,16 @@ export const ENTITY_STATS = {
         vision: 200,
         energyGen: 5,
         cost: 25,
+        shieldDamage: 0,
         size: 20,
         labelOffset: 35,
         speed: SPEED_TIERS.SLOW,
         deathEffect: 'DISINTEGRATE',
-        category: 'UTILITY'
+        category: 'UTILITY',
+        tiers: [
+            { upgradeCost: 20, hp: 3, vision: 250, energyGen: 8 },
+            { upgradeCost: 30, hp: 4, vision: 300, energyGen: 12 }
+        ]
     },
     /** @see [weapons.md#dumb-bomb](../../.agents/weapons.md#dumb-bomb) */
     WEAPON: {
@@ -115,7 +130,11 @@ export const ENTITY_STATS = {
         labelOffset: 35,
         speed: SPEED_TIERS.SLOW,
         deathEffect: 'DISINTEGRATE',
-        category: 'DEFENSE'
+        category: 'DEFENSE',
+        tiers: [
+            { upgradeCost: 15, hp: 3, fuel: 2, range: 250 },
+            { upgradeCost: 25, hp: 4, fuel: 2, fuelRegen: 2, vision: 300, range: 300 }
+        ]
     },
     /** @see [defenses.md#sam-missile](../../.agents/defenses.md#sam-missile) */
     SAM_MISSILE: {
@@ -150,7 +169,11 @@ export const ENTITY_STATS = {
         speed: SPEED_TIERS.SLOW,
         isDefense: true,
         deathEffect: 'DISINTEGRATE',
-        category: 'DEFENSE'
+        category: 'DEFENSE',
+        tiers: [
+            { upgradeCost: 20, hp: 4, fuel: 3, range: 450 },
+            { upgradeCost: 30, hp: 5, fuel: 3, fuelRegen: 2, vision: 300, range: 500 }
+        ]
     },
     SMART_SAM_MISSILE: {
         hp: 2,
@@ -188,7 +211,11 @@ export const ENTITY_STATS = {
         labelOffset: 35,
         speed: SPEED_TIERS.SLOW,
         deathEffect: 'DISINTEGRATE',
-        category: 'DEFENSE'
+        category: 'DEFENSE',
+        tiers: [
+            { upgradeCost: 15, hp: 3, fuel: 2, range: 180 },
+            { upgradeCost: 25, hp: 4, fuel: 2, fuelRegen: 2, vision: 300, range: 210 }
+        ]
     },
     /** @see [weapons.md#nuke](../../.agents/weapons.md#nuke) */
     NUKE: {
@@ -202,6 +229,7 @@ export const ENTITY_STATS = {
         size: 25,
         speed: SPEED_TIERS.SLOW,
         landAsStructure: true,
+        shieldDamage: 0,
         deathEffect: 'DISINTEGRATE', // Silent death if destroyed early
         category: 'OFFENSE'
     },
@@ -321,6 +349,21 @@ export const RESOURCE_NODE_STATS = {
 };
 
 export const GLOBAL_STATS = {
+    // Match Setup
+    MIN_PLAYERS: 2,
+    MAX_PLAYERS: 8, // Free-for-all cap (lobby slots, map bases, colors)
+    // Distinct player colors by seat index. Must stay HSL (ghost rendering desaturates them).
+    PLAYER_COLORS: [
+        'hsl(0, 70%, 50%)',
+        'hsl(60, 70%, 50%)',
+        'hsl(120, 70%, 50%)',
+        'hsl(200, 70%, 50%)',
+        'hsl(280, 70%, 55%)',
+        'hsl(30, 90%, 55%)',
+        'hsl(330, 70%, 60%)',
+        'hsl(170, 70%, 40%)'
+    ],
+
     // Economy
     STARTING_ENERGY: 50,
     ENERGY_INCOME_PER_TURN: 10, // Switched to entity-based generation
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { ENTITY_STATS, GLOBAL_STATS } from '../constants/EntityStats.js';
+import {
+    validateActions,
+    validateAction,
+    isLaunchableItem,
+    REJECTION_REASONS
+} from '../ActionValidator.js';
+
+describe('ActionValidator', () => {
+    let game;
+    let p1Hub;
+    let p2Hub;
+
+    const launch = (overrides = {}) => ({
+        type: 'LAUNCH',
+        playerId: 'p1',
+        sourceId: p1Hub.id,
+        itemType: 'WEAPON',
+        angle: 45,
+        distance: 100,
+        ...overrides
+    });
+
+    const reasons = (result) => result.rejected.map((r) => r.reason);
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 1);
+        p1Hub = game.entities.find((e) => e.owner === 'p1');
+        p2Hub = game.entities.find((e) => e.owner === 'p2');
+        game.players.p1.energy = 1000;
+    });
+
+    it('should accept a well-formed launch and stamp the player id', () => {
+        const result = validateActions(game, 'p1', [launch({ playerId: 'p2' })]);
+        expect(result.rejected).toEqual([]);
+        expect(result.valid).toHaveLength(1);
+        expect(result.valid[0].playerId).toBe('p1');
+    });
+
+    it('should keep only the whitelisted fields of each action type', () => {
+        p1Hub.hp -= 1;
+        const result = validateActions(game, 'p1', [
+            launch({ cost: 0, hp: 99 }),
+            { type: 'UPGRADE', targetId: p1Hub.id, tier: 3 },
+            { type: 'REPAIR', sourceId: p1Hub.id, amount: 50 }
+        ]);
+
+        expect(result.rejected).toEqual([]);
+        expect(result.valid).toEqual([
+            { type: 'LAUNCH', sourceId: p1Hub.id, itemType: 'WEAPON', angle: 45, distance: 100, playerId: 'p1' },
+            { type: 'UPGRADE', targetId: p1Hub.id, playerId: 'p1' },
+            { type: 'REPAIR', sourceId: p1Hub.id, playerId: 'p1' }
+        ]);
+    });
+
+    it('should only treat build-menu items as launchable', () => {
+        expect(isLaunchableItem('WEAPON')).toBe(true);
+        expect(isLaunchableItem('SAM_MISSILE')).toBe(false);
+        expect(isLaunchableItem('toString')).toBe(false);
+    });
+
+    it('should reject malformed payloads', () => {
+        expect(reasons(validateActions(game, 'p1', 'nope'))).toEqual([REJECTION_REASONS.MALFORMED]);
+        expect(reasons(validateActions(game, 'p1', [null, 5]))).toEqual([
+            REJECTION_REASONS.MALFORMED,
+            REJECTION_REASONS.MALFORMED
+        ]);
+        expect(reasons(validateActions(game, 'p1', [launch({ type: 'TELEPORT' })]))).toEqual([
+            REJECTION_REASONS.UNKNOWN_ACTION
+        ]);
+    });
+
+    it('should reject unknown and experimental items', () => {
+        const result = validateActions(game, 'p1', [
+            launch({ itemType: 'DEATH_RAY' }),
+            launch({ itemType: 'NAPALM_FIRE' }),
+            launch({ itemType: 'SUPER_BOMB' })
+        ]);
+        expect(reasons(result)).toEqual([
+            REJECTION_REASONS.UNKNOWN_ITEM,
+            REJECTION_REASONS.UNKNOWN_ITEM,
+            REJECTION_REASONS.EXPERIMENTAL_ITEM
+        ]);
+
+        const allowed = validateActions(game, 'p1', [launch({ itemType: 'SUPER_BOMB' })], {
+            allowExperimental: true
+        });
+        expect(allowed.valid).toHaveLength(1);
+    });
+
+    it('should reject invalid angles and distances', () => {
+        const result = validateActions(game, 'p1', [
+            launch({ angle: NaN }),
+            launch({ angle: '90' }),
+            launch({ distance: GLOBAL_STATS.MAX_PULL + 1 }),
+            launch({ distance: -5 }),
+            launch({ distance: Infinity })
+        ]);
+        expect(reasons(result)).toEqual([
+            REJECTION_REASONS.INVALID_ANGLE,
+            REJECTION_REASONS.INVALID_ANGLE,
+            REJECTION_REASONS.INVALID_DISTANCE,
+            REJECTION_REASONS.INVALID_DISTANCE,
+            REJECTION_REASONS.INVALID_DISTANCE
+        ]);
+        expect(validateActions(game, 'p1', [launch({ distance: GLOBAL_STATS.MAX_PULL })]).valid).toHaveLength(1);
+    });
+
+    it('should reject missing, foreign and disabled sources', () => {
+        const disabled = game.addEntity({ type: 'HUB', owner: 'p1', x: 300, y: 300 });
+        disabled.disabledUntilTurn = game.turn + 1;
+
+        const result = validateActions(game, 'p1', [
+            launch({ sourceId: 'ghost' }),
+            launch({ sourceId: p2Hub.id }),
+            launch({ sourceId: disabled.id })
+        ]);
+        expect(reasons(result)).toEqual([
+            REJECTION_REASONS.UNKNOWN_SOURCE,
+            REJECTION_REASONS.NOT_OWNER,
+            REJECTION_REASONS.SOURCE_DISABLED
+        ]);
+    });
+
+    it('should only accept hubs as launch sources', () => {
+        const extractor = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: p1Hub.x + 60, y: p1Hub.y, deployed: true });
+        const laser = game.addEntity({ type: 'LASER_POINT_DEFENSE', owner: 'p1', x: p1Hub.x - 60, y: p1Hub.y, deployed: true });
+
+        const result = validateActions(game, 'p1', [launch({ sourceId: extractor.id }), launch({ sourceId: laser.id })]);
+        expect(reasons(result)).toEqual([REJECTION_REASONS.INVALID_SOURCE, REJECTION_REASONS.INVALID_SOURCE]);
+        expect(result.rejected[0].message).toMatch(/only hubs can launch/);
+    });
+
+    it('should reject launches beyond the source fuel', () => {
+        const fuel = ENTITY_STATS.HUB.fuel;
+        const actions = Array.from({ length: fuel + 1 }, () => launch());
+        const result = validateActions(game, 'p1', actions);
+
+        expect(result.valid).toHaveLength(fuel);
+        expect(result.rejected).toHaveLength(1);
+        expect(result.rejected[0]).toMatchObject({ index: fuel, reason: REJECTION_REASONS.OUT_OF_FUEL });
+    });
+
+    it('should reject actions once the cumulative cost exceeds energy', () => {
+        game.players.p1.energy = ENTITY_STATS.WEAPON.cost;
+        const result = validateActions(game, 'p1', [launch(), launch()]);
+
+        expect(result.valid).toHaveLength(1);
+        expect(result.rejected[0].reason).toBe(REJECTION_REASONS.INSUFFICIENT_ENERGY);
+    });
+
+    it('should check a prospective action against an existing plan', () => {
+        game.players.p1.energy = ENTITY_STATS.WEAPON.cost;
+        expect(validateAction(game, 'p1', launch()).valid).toBe(true);
+
+        const check = validateAction(game, 'p1', launch(), [launch()]);
+        expect(check.valid).toBe(false);
+        expect(check.reason).toBe(REJECTION_REASONS.INSUFFICIENT_ENERGY);
+    });
+
+    it('should work on the filtered state a client receives', () => {
+        const visible = game.getVisibleState('p1');
+        expect(validateActions(visible, 'p1', [launch()]).valid).toHaveLength(1);
+    });
+});
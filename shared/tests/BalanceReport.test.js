@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BalanceTracker, formatReport, TRACKED_DEFENSES } from '../BalanceReport.js';
+import { runMatch, createController } from '../MatchRunner.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.resolve(__dirname, '../../scripts/balance-report.js');
+
+describe('BalanceTracker', () => {
+    const turnEvents = [
+        { type: 'LAUNCH', owner: 'p1', itemType: 'WEAPON', cost: 15 },
+        { type: 'LAUNCH', owner: 'p1', itemType: 'WEAPON', cost: 15 },
+        { type: 'LAUNCH', owner: 'p2', itemType: 'LIGHT_SAM_DEFENSE', cost: 25 },
+        { type: 'DAMAGE', owner: 'p1', itemType: 'WEAPON', targetOwner: 'p2', amount: 3 },
+        { type: 'DAMAGE', owner: 'p1', itemType: 'WEAPON', targetOwner: 'p1', amount: 3 }, // friendly fire
+        { type: 'DAMAGE', owner: 'p2', itemType: 'NAPALM_FIRE', targetOwner: 'p1', amount: 1 },
+        { type: 'DEFENSE_FIRE', owner: 'p2', defenseType: 'LIGHT_SAM_DEFENSE', targetOwner: 'p1' },
+        { type: 'DEFENSE_FIRE', owner: 'p2', defenseType: 'LIGHT_SAM_DEFENSE', targetOwner: 'p1' },
+        { type: 'INTERCEPT', owner: 'p2', defenseType: 'LIGHT_SAM_DEFENSE', projectileType: 'WEAPON', targetOwner: 'p1' },
+        { type: 'INTERCEPT', owner: 'p2', defenseType: 'SHIELD', projectileType: 'WEAPON', targetOwner: 'p1', absorbed: 3 },
+        { type: 'DEPLOY', owner: 'p2', itemType: 'LIGHT_SAM_DEFENSE', entityId: 'sam-1' },
+        { type: 'DEPLOY', owner: 'p2', itemType: 'LIGHT_SAM_DEFENSE', entityId: 'sam-2' }
+    ];
+
+    const track = () => {
+        const tracker = new BalanceTracker();
+        tracker.beginMatch();
+        tracker.recordTurn(turnEvents);
+        tracker.endMatch({ entities: [{ id: 'sam-1' }] });
+        return tracker.getReport();
+    };
+
+    it('should compute cost efficiency per item', () => {
+        const report = track();
+        const weapon = report.items.find((i) => i.itemType === 'WEAPON');
+
+        expect(report).toMatchObject({ games: 1, turns: 1 });
+        expect(weapon).toMatchObject({
+            cost: ENTITY_STATS.WEAPON.cost,
+            launches: 2,
+            energySpent: 30,
+            damageDealt: 3,
+            damagePerEnergy: 0.1,
+            intercepted: 2,
+            interceptedRate: 1,
+            survivalRate: null
+        });
+        expect(report.items.find((i) => i.itemType === 'NAPALM').damageDealt).toBe(1);
+        expect(report.items.find((i) => i.itemType === 'LIGHT_SAM_DEFENSE').survivalRate).toBe(0.5);
+    });
+
+    it('should compute interception rates per defense', () => {
+        const { defenses } = track();
+        expect(defenses.map((d) => d.defenseType)).toEqual(TRACKED_DEFENSES);
+
+        const sam = defenses.find((d) => d.defenseType === 'LIGHT_SAM_DEFENSE');
+        expect(sam).toMatchObject({ built: 2, shots: 2, intercepts: 1, interceptRate: 0.5, interceptsPerEnergy: 1 / 25 });
+        expect(defenses.find((d) => d.defenseType === 'SHIELD')).toMatchObject({ intercepts: 1, absorbed: 3, interceptRate: null });
+        expect(defenses.find((d) => d.defenseType === 'FLAK_DEFENSE')).toMatchObject({ shots: 0, interceptRate: null });
+    });
+
+    it('should format comparison tables with changes against a baseline', () => {
+        const report = track();
+        const baseline = JSON.parse(JSON.stringify(report));
+        baseline.items.find((i) => i.itemType === 'WEAPON').damagePerEnergy = 0.05;
+
+        const text = formatReport(report, baseline);
+        expect(text).toContain('Balance report: 1 game(s), 1 turn(s)');
+        expect(text).toMatch(/WEAPON\s+15\s+2\s+30\s+3\s+0\.10 \(\+0\.05\)\s+100\.0%/);
+        expect(text).toMatch(/LIGHT_SAM_DEFENSE\s+2\s+2\s+1\s+0\.50/);
+    });
+
+    it('should collect data from simulated matches', () => {
+        const tracker = new BalanceTracker();
+        tracker.beginMatch();
+        runMatch({
+            controllers: {
+                player1: createController('arsenal', 'player1', 1),
+                player2: createController('arsenal', 'player2', 2)
+            },
+            seed: 1,
+            onTurn: (summary) => tracker.recordTurn(summary.events),
+            onEnd: (game) => tracker.endMatch(game)
+        });
+
+        const report = tracker.getReport();
+        expect(report.games).toBe(1);
+        expect(report.items.reduce((sum, i) => sum + i.launches, 0)).toBeGreaterThan(0);
+        expect(report.items.some((i) => i.damageDealt > 0)).toBe(true);
+    });
+});
+
+describe('balance-report CLI', () => {
+    it('should print the report as JSON for a seeded batch', () => {
+        const run = spawnSync('node', [CLI, '--games', '2', '--seed', '3', '--max-turns', '40', '--json'], {
+            encoding: 'utf8',
+            timeout: 60000
+        });
+
+        expect(run.status).toBe(0);
+        const output = JSON.parse(run.stdout);
+        expect(output.config).toMatchObject({ controllers: { player1: 'arsenal', player2: 'arsenal' }, games: 2, seed: 3 });
+        expect(output.summary.games).toBe(2);
+        expect(output.report.games).toBe(2);
+        expect(output.report.defenses.map((d) => d.defenseType)).toEqual(TRACKED_DEFENSES);
+    });
+});
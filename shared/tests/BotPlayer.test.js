@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { BotPlayer } from '../BotPlayer.js';
+import { validateActions } from '../ActionValidator.js';
+import { GLOBAL_STATS } from '../constants/EntityStats.js';
+
+describe('BotPlayer', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 9);
+    });
+
+    it('should invert the launch curve exactly', () => {
+        [0, 50, 123.4, GLOBAL_STATS.MAX_PULL].forEach((pull) => {
+            const launch = GameState.calculateLaunchDistance(pull);
+            expect(GameState.calculatePullDistance(launch)).toBeCloseTo(pull, 6);
+        });
+        expect(GameState.calculatePullDistance(GLOBAL_STATS.MAX_LAUNCH * 2)).toBe(GLOBAL_STATS.MAX_PULL);
+    });
+
+    it('should plan only valid actions from its own visible state', () => {
+        const bot = new BotPlayer('p1', 'normal', 1);
+        const visible = game.getVisibleState('p1');
+        const actions = bot.planTurn(visible);
+
+        expect(actions.length).toBeGreaterThan(0);
+        expect(validateActions(game, 'p1', actions).rejected).toEqual([]);
+        actions.forEach((a) => expect(visible.entities.some((e) => e.id === a.sourceId)).toBe(true));
+    });
+
+    it('should expand onto a reachable resource node with an extractor', () => {
+        const bot = new BotPlayer('p1', 'normal', 1);
+        const hub = game.entities.find((e) => e.owner === 'p1');
+        const node = game.map.resources.find((r) => r.id === 'res1'); // (500, 250), in reach of (250, 500)
+
+        const actions = bot.planTurn(game.getVisibleState('p1'));
+        const extractor = actions.find((a) => a.itemType === 'EXTRACTOR');
+        expect(extractor).toBeDefined();
+
+        // Normal difficulty aims within a couple of percent of the node
+        const rad = (extractor.angle * Math.PI) / 180;
+        const dist = GameState.calculateLaunchDistance(extractor.distance);
+        const landX = hub.x + Math.cos(rad) * dist;
+        const landY = hub.y + Math.sin(rad) * dist;
+        expect(Math.hypot(landX - node.x, landY - node.y)).toBeLessThan(GLOBAL_STATS.RESOURCE_CAPTURE_RADIUS);
+    });
+
+    it('should not see or target enemies hidden by fog of war', () => {
+        const bot = new BotPlayer('p1', 'normal', 1);
+        const enemy = game.addEntity({ type: 'EXTRACTOR', owner: 'p2', x: 1700, y: 1700 });
+        game.players.p1.energy = 500;
+
+        const visible = game.getVisibleState('p1');
+        expect(visible.entities.some((e) => e.id === enemy.id)).toBe(false);
+
+        const actions = bot.planTurn(visible);
+        expect(actions.some((a) => a.itemType === 'WEAPON')).toBe(false);
+    });
+
+    it('should strike a visible enemy hub in range and hit it', () => {
+        const p1Hub = game.entities.find((e) => e.owner === 'p1');
+        const p2Hub = game.entities.find((e) => e.owner === 'p2');
+        p2Hub.x = p1Hub.x + 350;
+        p2Hub.y = p1Hub.y;
+        game.map.lakes = [];
+        game.players.p1.energy = 500;
+
+        const bot = new BotPlayer('p1', 'normal', 3);
+        const actions = bot.planTurn(game.getVisibleState('p1'));
+        const strike = actions.find((a) => a.itemType === 'WEAPON');
+        expect(strike).toBeDefined();
+
+        const hpBefore = p2Hub.hp;
+        game.resolveTurn({ p1: [strike], p2: [] });
+        const after = game.entities.find((e) => e.id === p2Hub.id);
+        expect(!after || after.hp < hpBefore).toBe(true);
+    });
+
+    it('should build a defense when an enemy structure is close', () => {
+        const p1Hub = game.entities.find((e) => e.owner === 'p1');
+        game.addEntity({ type: 'EXTRACTOR', owner: 'p2', x: p1Hub.x + 200, y: p1Hub.y - 150 });
+        game.players.p1.energy = 500;
+
+        const bot = new BotPlayer('p1', 'normal', 4);
+        const actions = bot.planTurn(game.getVisibleState('p1'));
+        expect(actions[0].itemType).toBe('LASER_POINT_DEFENSE');
+    });
+
+    it('should advance a hub into the fog on a map without resources', () => {
+        game.map.resources = [];
+        game.map.lakes = [];
+        game.map.mountains = [];
+        const hub = game.entities.find((e) => e.owner === 'p1');
+        const bot = new BotPlayer('p1', 'normal', 6);
+
+        const actions = bot.planTurn(game.getVisibleState('p1'));
+        expect(actions.map((a) => a.itemType)).toEqual(['HUB']);
+        expect(validateActions(game, 'p1', actions).rejected).toEqual([]);
+
+        game.resolveTurn({ p1: actions, p2: [] });
+        const hubs = game.entities.filter((e) => e.owner === 'p1' && e.type === 'HUB');
+        expect(hubs.length).toBe(2);
+        expect(game.getToroidalDistance(hub.x, hub.y, hubs[1].x, hubs[1].y)).toBeGreaterThan(200);
+    });
+
+    it('should head back toward the last enemy it saw once it drops into the fog', () => {
+        game.map.resources = [];
+        game.map.lakes = [];
+        game.map.mountains = [];
+        const hub = game.entities.find((e) => e.owner === 'p1');
+        const scout = game.addEntity({ type: 'HUB', owner: 'p1', x: hub.x, y: hub.y + 700 });
+        const enemy = game.addEntity({ type: 'EXTRACTOR', owner: 'p2', x: hub.x, y: hub.y + 1000 });
+        const bot = new BotPlayer('p1', 'normal', 7);
+
+        game.players.p1.energy = 0; // Sees the enemy through the forward hub but can't act on it
+        expect(bot.planTurn(game.getVisibleState('p1'))).toEqual([]);
+        expect(bot.lastSeenEnemy).toEqual({ x: enemy.x, y: enemy.y });
+
+        // Losing the forward hub drops the enemy back into the fog
+        game.entities = game.entities.filter((e) => e.id !== scout.id);
+        game.players.p1.energy = 100;
+        const visible = game.getVisibleState('p1');
+        expect(visible.entities.some((e) => e.id === enemy.id)).toBe(false);
+
+        const actions = bot.planTurn(visible);
+        expect(actions.map((a) => a.itemType)).toEqual(['HUB']);
+        expect(Math.abs(actions[0].angle - 90)).toBeLessThan(5); // Straight down, toward the enemy
+    });
+
+    it('should forget a sighting that turns out empty and go back to exploring', () => {
+        game.map.resources = [];
+        game.map.lakes = [];
+        game.map.mountains = [];
+        const hub = game.entities.find((e) => e.owner === 'p1');
+        game.addEntity({ type: 'HUB', owner: 'p1', x: hub.x, y: hub.y + 300 });
+        const enemy = game.addEntity({ type: 'EXTRACTOR', owner: 'p2', x: hub.x, y: hub.y + 550 });
+        const bot = new BotPlayer('p1', 'normal', 8);
+
+        game.players.p1.energy = 0;
+        bot.planTurn(game.getVisibleState('p1'));
+        expect(bot.lastSeenEnemy).toEqual({ x: enemy.x, y: enemy.y });
+
+        // Destroyed while the bot could not act: the spot is in sight and empty
+        game.entities = game.entities.filter((e) => e.id !== enemy.id);
+        game.players.p1.energy = 100;
+        const actions = bot.planTurn(game.getVisibleState('p1'));
+
+        expect(bot.lastSeenEnemy).toBeNull();
+        expect(actions.map((a) => a.itemType)).toEqual(['HUB']);
+    });
+
+    it('should plan fewer actions on easy', () => {
+        game.players.p1.energy = 500;
+        const easy = new BotPlayer('p1', 'easy', 5).planTurn(game.getVisibleState('p1'));
+        const normal = new BotPlayer('p1', 'normal', 5).planTurn(game.getVisibleState('p1'));
+        expect(easy.length).toBeLessThanOrEqual(1);
+        expect(normal.length).toBeGreaterThan(easy.length);
+    });
+
+    it('should be deterministic for a seed and fall back to normal difficulty', () => {
+        const visible = game.getVisibleState('p1');
+        const a = new BotPlayer('p1', 'easy', 77).planTurn(visible);
+        const b = new BotPlayer('p1', 'easy', 77).planTurn(visible);
+        expect(a).toEqual(b);
+        expect(new BotPlayer('p1', 'impossible').difficulty).toBe('normal');
+    });
+
+    it('should finish a bot-vs-bot match', () => {
+        const bots = { p1: new BotPlayer('p1', 'normal', 1), p2: new BotPlayer('p2', 'easy', 2) };
+        for (let i = 0; i < 60 && !game.winner; i++) {
+            const actionsMap = {};
+            Object.entries(bots).forEach(([pid, bot]) => {
+                actionsMap[pid] = bot.planTurn(game.getVisibleState(pid));
+            });
+            game.resolveTurn(actionsMap);
+        }
+        expect(game.winner).not.toBeNull();
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * CombatEvents.test.js
+ *
+ * Covers the structured events resolveTurn() records in GameState.combatEvents.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+describe('GameState - Combat Events', () => {
+    let game;
+    let p1Hub;
+    let p2Hub;
+
+    const aimAt = (from, to, itemType = 'WEAPON') => {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        return {
+            playerId: from.owner,
+            sourceId: from.id,
+            itemType,
+            angle: (Math.atan2(dy, dx) * 180) / Math.PI,
+            distance: GameState.calculatePullDistance(Math.sqrt(dx * dx + dy * dy))
+        };
+    };
+    const ofType = (type) => game.combatEvents.filter((e) => e.type === type);
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['player1', 'player2'], null, 1);
+        game.map.lakes = [];
+        game.map.mountains = [];
+        p1Hub = game.entities.find((e) => e.owner === 'player1');
+        p2Hub = game.entities.find((e) => e.owner === 'player2');
+    });
+
+    it('should record launches with their cost and damage with its attacker', () => {
+        game.resolveTurn({ player1: [aimAt(p1Hub, p2Hub)], player2: [] });
+
+        expect(ofType('LAUNCH')).toEqual([
+            expect.objectContaining({ turn: 1, owner: 'player1', itemType: 'WEAPON', sourceId: p1Hub.id, cost: ENTITY_STATS.WEAPON.cost })
+        ]);
+        expect(ofType('DAMAGE')).toContainEqual(
+            expect.objectContaining({
+                owner: 'player1',
+                itemType: 'WEAPON',
+                targetId: p2Hub.id,
+                targetOwner: 'player2',
+                amount: ENTITY_STATS.WEAPON.damageFull
+            })
+        );
+    });
+
+    it('should record a laser shot and its interception', () => {
+        const laser = game.addEntity({ type: 'LASER_POINT_DEFENSE', owner: 'player2', x: p2Hub.x - 50, y: p2Hub.y, deployed: true });
+        game.addLink(p2Hub.id, laser.id, 'player2');
+
+        game.resolveTurn({ player1: [aimAt(p1Hub, laser)], player2: [] });
+
+        const [shot] = ofType('DEFENSE_FIRE');
+        expect(shot).toMatchObject({ owner: 'player2', defenseType: 'LASER_POINT_DEFENSE', projectileType: 'WEAPON', targetOwner: 'player1' });
+        expect(ofType('INTERCEPT')).toEqual([{ ...shot, type: 'INTERCEPT', seq: shot.seq + 1 }]);
+        expect(ofType('DAMAGE')).toEqual([]);
+    });
+
+    it('should credit a SAM kill to the launching defense', () => {
+        const sam = game.addEntity({ type: 'LIGHT_SAM_DEFENSE', owner: 'player1', x: p1Hub.x + 100, y: p1Hub.y, deployed: true, fuel: 1 });
+        game.addLink(p1Hub.id, sam.id, 'player1');
+
+        game.resolveTurn({
+            player1: [],
+            player2: [{ playerId: 'player2', sourceId: p2Hub.id, itemType: 'HOMING_MISSILE', angle: 180, distance: 500 }]
+        });
+
+        expect(ofType('DEFENSE_FIRE')[0]).toMatchObject({ defenseId: sam.id, defenseType: 'LIGHT_SAM_DEFENSE' });
+        expect(ofType('INTERCEPT')).toContainEqual(
+            expect.objectContaining({ owner: 'player1', defenseId: sam.id, defenseType: 'LIGHT_SAM_DEFENSE', projectileType: 'HOMING_MISSILE' })
+        );
+    });
+
+    it('should record deployments and reset the log every turn', () => {
+        const spot = { x: p1Hub.x, y: p1Hub.y - 200 };
+        game.resolveTurn({ player1: [aimAt(p1Hub, spot, 'EXTRACTOR')], player2: [] });
+        const [deploy] = ofType('DEPLOY');
+        expect(deploy).toMatchObject({ owner: 'player1', itemType: 'EXTRACTOR' });
+        expect(game.entities.some((e) => e.id === deploy.entityId)).toBe(true);
+
+        game.resolveTurn({ player1: [], player2: [] });
+        expect(game.combatEvents).toEqual([]);
+    });
+
+    it('should keep events out of state snapshots and checkpoints', () => {
+        game.resolveTurn({ player1: [aimAt(p1Hub, p2Hub)], player2: [] });
+        expect(game.getState().combatEvents).toBeUndefined();
+        expect(game.serialize().combatEvents).toBeUndefined();
+    });
+
+    it('should attach each event to the snapshot it happened in', () => {
+        const snapshots = game.resolveTurn({ player1: [aimAt(p1Hub, p2Hub)], player2: [] });
+
+        expect(snapshots.every((s) => Array.isArray(s.events))).toBe(true);
+        expect(snapshots.flatMap((s) => s.events)).toEqual(game.combatEvents);
+        expect(game.combatEvents.map((e) => e.seq)).toEqual(game.combatEvents.map((_, i) => i));
+        expect(snapshots.find((s) => s.events.some((e) => e.type === 'LAUNCH')).type).toBe('ROUND_START');
+    });
+
+    it('should record destroyed structures', () => {
+        const target = game.addEntity({ type: 'EXTRACTOR', owner: 'player2', x: p2Hub.x - 80, y: p2Hub.y, deployed: true, hp: 1 });
+        game.addLink(p2Hub.id, target.id, 'player2');
+
+        game.resolveTurn({ player1: [aimAt(p1Hub, target)], player2: [] });
+
+        expect(ofType('DESTROY')).toContainEqual(
+            expect.objectContaining({ targetId: target.id, targetType: 'EXTRACTOR', targetOwner: 'player2', x: target.x, y: target.y })
+        );
+    });
+
+    it('should record reclaim refunds instead of destruction', () => {
+        const ext = game.addEntity({ type: 'EXTRACTOR', owner: 'player1', x: p1Hub.x + 200, y: p1Hub.y, deployed: true });
+        game.addLink(p1Hub.id, ext.id, 'player1');
+
+        game.resolveTurn({ player1: [aimAt(p1Hub, ext, 'RECLAIMER')], player2: [] });
+
+        expect(ofType('RECLAIM')).toEqual([
+            expect.objectContaining({
+                owner: 'player1',
+                entityId: ext.id,
+                itemType: 'EXTRACTOR',
+                refund: Math.ceil(ENTITY_STATS.EXTRACTOR.cost * 0.5)
+            })
+        ]);
+        expect(ofType('DESTROY').some((e) => e.targetId === ext.id)).toBe(false);
+    });
+
+    it('should record link decay and EMP disables', () => {
+        const orphan = game.addEntity({ type: 'EXTRACTOR', owner: 'player1', x: p1Hub.x + 100, y: p1Hub.y, deployed: true });
+        game.checkLinkIntegrity(3);
+        expect(ofType('LINK_DECAY')).toEqual([
+            expect.objectContaining({ round: 3, targetId: orphan.id, targetOwner: 'player1' })
+        ]);
+
+        game.triggerExplosion(p2Hub.x, p2Hub.y, ENTITY_STATS.EMP, [], new Set(), game.entities, { owner: 'player1' });
+        expect(ofType('EMP_DISABLE')).toContainEqual(
+            expect.objectContaining({ owner: 'player1', targetId: p2Hub.id, untilTurn: game.turn + 2 })
+        );
+    });
+
+    it('should only show a player the events they took part in or could see', () => {
+        const hidden = { type: 'DAMAGE', owner: 'player2', targetOwner: 'player2', x: p2Hub.x, y: p2Hub.y };
+        const own = { type: 'LAUNCH', owner: 'player1', x: p1Hub.x, y: p1Hub.y };
+        const hit = { type: 'DAMAGE', owner: 'player2', targetOwner: 'player1', x: p1Hub.x, y: p1Hub.y };
+        const seen = { type: 'DEPLOY', owner: 'player2', x: p1Hub.x + 20, y: p1Hub.y };
+        const state = { ...game.getState(), events: [hidden, own, hit, seen] };
+
+        expect(game.getVisibleState('player1', state).events).toEqual([own, hit, seen]);
+        expect(game.getVisibleState('spectator', state).events).toHaveLength(4);
+    });
+});
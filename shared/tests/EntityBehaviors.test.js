@@ -0,0 +1,188 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { getBehavior, registerBehavior, unregisterBehavior } from '../EntityBehaviors.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+describe('Entity behaviour registry', () => {
+    let game;
+    const restore = [];
+
+    const setupGame = () => {
+        game = new GameState();
+        game.initializeGame(['p1', 'p2']);
+        game.map.lakes = [];
+        game.map.mountains = [];
+        return game;
+    };
+
+    // Swaps in a behaviour for one test; afterEach puts the original back
+    const useBehavior = (type, behavior) => {
+        const previous = getBehavior(type);
+        restore.push(() => {
+            if (Object.keys(previous).length > 0) registerBehavior(type, previous);
+            else unregisterBehavior(type);
+        });
+        registerBehavior(type, behavior);
+    };
+
+    afterEach(() => {
+        while (restore.length) restore.pop()();
+    });
+
+    it('returns the built-in behaviours and an empty one for plain types', () => {
+        expect(typeof getBehavior('NAPALM').onArrive).toBe('function');
+        expect(getBehavior('SHIELD').ignoresRoundLimit).toBe(true);
+        expect(getBehavior('HOMING_MISSILE').coneVision).toBe(true);
+        expect(getBehavior('HUB')).toEqual({});
+    });
+
+    it('rejects behaviours for types missing from ENTITY_STATS', () => {
+        expect(() => registerBehavior('NOT_A_TYPE', {})).toThrow(/unknown entity type/);
+    });
+
+    it('runs onTurnStart for every entity of the type', () => {
+        setupGame();
+        const seen = [];
+        useBehavior('HUB', { onTurnStart: (g, ent) => seen.push(ent.owner) });
+
+        game.resolveTurn({ p1: [], p2: [] });
+
+        expect(seen.sort()).toEqual(['p1', 'p2']);
+    });
+
+    it('runs onCreate for new entities and onTurnEnd after the turn', () => {
+        setupGame();
+        const p1Hub = game.entities.find((e) => e.owner === 'p1' && e.type === 'HUB');
+        useBehavior('EXTRACTOR', {
+            onCreate: (g, ent) => (ent.created = g.turn),
+            onTurnEnd: (g, ent) => (ent.ended = true)
+        });
+
+        const extractor = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: p1Hub.x + 60, y: p1Hub.y, deployed: true });
+        game.addLink(p1Hub.id, extractor.id, 'p1');
+        expect(extractor.created).toBe(1);
+
+        game.resolveTurn({ p1: [], p2: [] });
+        expect(extractor.ended).toBe(true);
+    });
+
+    it('asks hazardContains which structures and flights a new hazard type touches', () => {
+        setupGame();
+        const p1Hub = game.entities.find((e) => e.owner === 'p1' && e.type === 'HUB');
+        const extractor = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: p1Hub.x + 60, y: p1Hub.y, deployed: true, hp: 3 });
+        game.addLink(p1Hub.id, extractor.id, 'p1');
+        const calls = [];
+        // A hazard is just a stats entry with isHazard plus its behaviour; this one only touches the extractor
+        ENTITY_STATS.TEST_HAZARD = { hp: 9999, damageTick: 2, isHazard: true, vision: 0 };
+        restore.push(() => delete ENTITY_STATS.TEST_HAZARD);
+        useBehavior('TEST_HAZARD', {
+            hazardContains: (g, h, x, y, size, from) => {
+                calls.push(from ? 'flight' : 'structure');
+                return !from && x === extractor.x && y === extractor.y;
+            }
+        });
+        const hazard = game.addEntity({ type: 'TEST_HAZARD', owner: 'p2', x: 10, y: 10, deployed: true });
+        expect(hazard.isHazard).toBe(true);
+
+        game.resolveTurn({ p1: [], p2: [] });
+        expect(extractor.hp).toBe(1);
+        expect(p1Hub.hp).toBe(ENTITY_STATS.HUB.hp);
+        expect(calls).toContain('structure');
+
+        calls.length = 0;
+        const prediction = GameState.predictLaunch(game.getState(), {
+            sourceId: p1Hub.id,
+            itemType: 'WEAPON',
+            angle: 0,
+            distance: 100
+        });
+        expect(calls).toContain('flight');
+        expect(prediction.crossings).toEqual([]);
+    });
+
+    it('lets isBusy and onRoundEnd decide how many rounds a hazard lasts', () => {
+        setupGame();
+        const p2Hub = game.entities.find((e) => e.owner === 'p2' && e.type === 'HUB');
+        let roundEnds = 0;
+        useBehavior('NAPALM_FIRE', {
+            ...getBehavior('NAPALM_FIRE'),
+            onRoundEnd: (g, fire) => {
+                roundEnds++;
+                fire.roundsLeft = 0; // Burns out after a single round
+            }
+        });
+        game.addEntity({
+            type: 'NAPALM_FIRE', owner: 'p1', x: p2Hub.x, y: p2Hub.y,
+            startX: p2Hub.x, startY: p2Hub.y, endX: p2Hub.x + 100, endY: p2Hub.y,
+            roundsLeft: 5, deployed: true
+        });
+
+        const snapshots = game.resolveTurn({ p1: [], p2: [] });
+
+        expect(roundEnds).toBe(1);
+        expect(snapshots.filter((s) => s.type === 'ROUND')).toHaveLength(1);
+        expect(game.entities.some((e) => e.type === 'NAPALM_FIRE')).toBe(false);
+    });
+
+    it('runs onIncome, onDeploy and onExpire', () => {
+        setupGame();
+        const p1Hub = game.entities.find((e) => e.owner === 'p1' && e.type === 'HUB');
+        const deployed = [];
+        const expired = [];
+        useBehavior('HUB', { onIncome: (g, hub) => (hub.owner === 'p1' ? 7 : 0) });
+        useBehavior('EXTRACTOR', { onDeploy: (g, ent, round) => deployed.push({ type: ent.type, round }) });
+        useBehavior('EXPLOSION_HAZARD', { onExpire: (g, hazard) => expired.push(hazard.id) });
+        const hazard = game.addEntity({ type: 'EXPLOSION_HAZARD', x: 10, y: 10, expiresTurn: game.turn - 1 });
+        const energy = { p1: game.players.p1.energy, p2: game.players.p2.energy };
+
+        game.resolveTurn({
+            p1: [{ playerId: 'p1', itemType: 'EXTRACTOR', sourceId: p1Hub.id, angle: 0, distance: 60 }],
+            p2: []
+        });
+
+        const income = game.rules.incomePerTurn;
+        expect(game.players.p1.energy - energy.p1).toBe(income + 7 - ENTITY_STATS.EXTRACTOR.cost);
+        expect(game.players.p2.energy - energy.p2).toBe(income);
+        expect(deployed).toEqual([{ type: 'EXTRACTOR', round: 1 }]);
+        expect(expired).toEqual([hazard.id]);
+    });
+
+    it('runs onLaunch, onTick and onArrive for a custom weapon', () => {
+        setupGame();
+        const hub = game.entities.find((e) => e.owner === 'p1' && e.type === 'HUB');
+        const calls = { launch: 0, tick: 0, arrive: null };
+        useBehavior('WEAPON', {
+            onLaunch: (launch) => {
+                calls.launch++;
+                launch.flightDistance = 100;
+            },
+            onTick: () => calls.tick++,
+            onArrive: (g, proj) => {
+                calls.arrive = g.getToroidalDistance(hub.x, hub.y, proj.currX, proj.currY);
+            }
+        });
+
+        game.resolveTurn({
+            p1: [{ playerId: 'p1', itemType: 'WEAPON', sourceId: hub.id, angle: 0, distance: 200 }],
+            p2: []
+        });
+
+        expect(calls.launch).toBe(1);
+        expect(calls.tick).toBeGreaterThan(0);
+        expect(calls.arrive).toBeCloseTo(100, 0);
+    });
+
+    it('lets onDeath react to a destroyed structure', () => {
+        setupGame();
+        const p2Hub = game.entities.find((e) => e.owner === 'p2' && e.type === 'HUB');
+        const target = game.addEntity({ type: 'EXTRACTOR', owner: 'p2', x: p2Hub.x + 60, y: p2Hub.y, deployed: true, hp: 1 });
+        const deaths = [];
+        useBehavior('EXTRACTOR', { onDeath: (g, ent, round) => deaths.push({ id: ent.id, round }) });
+
+        const impacts = new Set();
+        game.triggerExplosion(target.x, target.y, { damageFull: 5, radiusFull: 20, radiusHalf: 20 }, [], impacts, game.entities);
+        game.recordDestroyed(impacts, 1);
+
+        expect(deaths).toEqual([{ id: target.id, round: 1 }]);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { GameState } from '../GameState.js';
+import { GLOBAL_STATS } from '../constants/EntityStats.js';
+
+describe('GameState - Free-for-all (3-8 players)', () => {
+    const makePlayers = (count) => Array.from({ length: count }, (_, i) => `player${i + 1}`);
+
+    it('should give every player of an 8-player match a distinct color', () => {
+        const game = new GameState();
+        game.initializeGame(makePlayers(GLOBAL_STATS.MAX_PLAYERS));
+
+        const colors = Object.values(game.players).map((p) => p.color);
+        expect(new Set(colors).size).toBe(GLOBAL_STATS.MAX_PLAYERS);
+        colors.forEach((c) => expect(c.startsWith('hsl')).toBe(true));
+    });
+
+    it('should keep the classic layout for 2 players', () => {
+        const positions = GameState.getDefaultStartPositions(2);
+        expect(positions).toEqual([
+            { x: 250, y: 500 },
+            { x: 750, y: 500 }
+        ]);
+    });
+
+    it('should place starter hubs for N players inside the map and well apart', () => {
+        const game = new GameState();
+        game.initializeGame(makePlayers(6));
+
+        const hubs = game.entities.filter((e) => e.type === 'HUB' && e.isStarter);
+        expect(hubs).toHaveLength(6);
+
+        hubs.forEach((hub) => {
+            expect(hub.x).toBeGreaterThanOrEqual(0);
+            expect(hub.x).toBeLessThan(game.map.width);
+            expect(hub.y).toBeGreaterThanOrEqual(0);
+            expect(hub.y).toBeLessThan(game.map.height);
+        });
+
+        for (let i = 0; i < hubs.length; i++) {
+            for (let j = i + 1; j < hubs.length; j++) {
+                const dist = game.getToroidalDistance(hubs[i].x, hubs[i].y, hubs[j].x, hubs[j].y);
+                expect(dist).toBeGreaterThan(300);
+            }
+        }
+    });
+
+    it('should fall back to default positions when a map defines fewer bases than players', () => {
+        const game = new GameState();
+        game.initializeGame(makePlayers(3), {
+            width: 2000,
+            height: 2000,
+            playerBases: [
+                { id: 'p1', x: 100, y: 100, owner: 'player1' },
+                { id: 'p2', x: 900, y: 900, owner: 'player2' }
+            ]
+        });
+
+        const hubOf = (pid) => game.entities.find((e) => e.owner === pid && e.type === 'HUB');
+        expect(hubOf('player1').x).toBe(100);
+        expect(hubOf('player2').x).toBe(900);
+        expect(hubOf('player3')).toBeDefined();
+    });
+
+    it('should only declare a winner once a single player is left standing', () => {
+        const game = new GameState();
+        game.initializeGame(makePlayers(3));
+        game.map.lakes = [];
+        game.map.mountains = [];
+
+        // Eliminate player3 only
+        game.entities = game.entities.filter((e) => e.owner !== 'player3');
+        game.resolveTurn({ player1: [], player2: [], player3: [] });
+
+        expect(game.players.player3.alive).toBe(false);
+        expect(game.players.player1.alive).toBe(true);
+        expect(game.winner).toBeNull();
+
+        game.entities = game.entities.filter((e) => e.owner !== 'player2');
+        game.resolveTurn({ player1: [], player2: [], player3: [] });
+        expect(game.winner).toBe('player1');
+    });
+
+    it('should generate income for every player', () => {
+        const game = new GameState();
+        game.initializeGame(makePlayers(4));
+        game.map.lakes = [];
+        game.map.mountains = [];
+
+        game.resolveTurn({});
+        Object.values(game.players).forEach((p) => {
+            expect(p.energy).toBe(GLOBAL_STATS.STARTING_ENERGY + GLOBAL_STATS.ENERGY_INCOME_PER_TURN);
+        });
+    });
+});
@@ -8,6 +8,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { GameState } from '../GameState.js';
 import { ENTITY_STATS, GLOBAL_STATS } from '../constants/EntityStats.js';
+import { isDisabled } from '../StatusEffects.js';
 
 describe('GameState - Slingshot Math', () => {
     it('should clamp pull distance to MAX_PULL', () => {
@@ -163,10 +164,12 @@ describe('GameState - Game Initialization', () => {
         expect(superNode.color).toBe('#bf00ff');
     });
 
-    it('should initialize disabledUntilTurn to 0 for new entities', () => {
+    it('should create entities without any status effect', () => {
         game.initializeGame(['player1']);
         const hub = game.entities.find((e) => e.type === 'HUB');
-        expect(hub.disabledUntilTurn).toBe(0);
+        expect(hub.effects).toBeUndefined();
+        expect(hub.disabledUntilTurn).toBeUndefined();
+        expect(isDisabled(hub, game.turn)).toBe(false);
     });
 });
 
@@ -0,0 +1,93 @@
+/**
+ * MatchRules.test.js
+ *
+ * Per-match rules: normalization, and GameState / ActionValidator / replays
+ * honouring them.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GameState } from '../GameState.js';
+import { DEFAULT_RULES, normalizeRules } from '../MatchRules.js';
+import { validateActions, REJECTION_REASONS } from '../ActionValidator.js';
+import { ReplayRecorder, ReplayPlayer } from '../Replay.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+const newGame = (rules) => {
+    const game = new GameState();
+    game.initializeGame(['player1', 'player2'], null, 12, rules);
+    return game;
+};
+
+describe('MatchRules', () => {
+    it('should fill in defaults, clamp numbers and drop unknown items', () => {
+        expect(normalizeRules()).toEqual(DEFAULT_RULES);
+
+        const rules = normalizeRules({ turnDuration: 99999, startingEnergy: '75', bannedItems: ['NUKE', 'NUKE', 'BOGUS'] });
+        expect(rules.turnDuration).toBe(600);
+        expect(rules.startingEnergy).toBe(75);
+        expect(rules.bannedItems).toEqual(['NUKE']);
+        expect(rules.fogOfWar).toBe(true);
+        expect(rules.weather).toBe(false);
+        expect(normalizeRules({ weather: 'yes' }, { ...rules, weather: true }).weather).toBe(true);
+
+        // Partial updates keep the rest of the base rules
+        expect(normalizeRules({ maxTurns: 5 }, rules)).toEqual({ ...rules, maxTurns: 5 });
+    });
+
+    it('should start players with the configured energy and pay the configured income', () => {
+        const game = newGame({ startingEnergy: 200, incomePerTurn: 0 });
+        expect(game.players.player1.energy).toBe(200);
+
+        game.resolveTurn({ player1: [], player2: [] });
+        expect(game.players.player1.energy).toBe(200 + ENTITY_STATS.HUB.energyGen);
+
+        // Restarting without rules keeps them
+        game.initializeGame(['player1', 'player2']);
+        expect(game.players.player2.energy).toBe(200);
+    });
+
+    it('should reject and skip banned items', () => {
+        const game = newGame({ bannedItems: ['WEAPON'] });
+        const hub = game.entities.find((e) => e.owner === 'player1');
+        const action = { playerId: 'player1', sourceId: hub.id, itemType: 'WEAPON', angle: 0, distance: 200 };
+
+        const { rejected } = validateActions(game, 'player1', [action]);
+        expect(rejected[0].reason).toBe(REJECTION_REASONS.BANNED_ITEM);
+
+        const energy = game.players.player1.energy;
+        game.resolveTurn({ player1: [action], player2: [] });
+        expect(game.players.player1.energy).toBeGreaterThanOrEqual(energy);
+        expect(game.combatEvents.some((e) => e.type === 'LAUNCH')).toBe(false);
+    });
+
+    it('should show the whole map to players when fog of war is off', () => {
+        const fogged = newGame();
+        const open = newGame({ fogOfWar: false });
+        const enemies = (game) => game.getVisibleState('player1').entities.filter((e) => e.owner === 'player2');
+
+        expect(enemies(fogged)).toHaveLength(0);
+        expect(enemies(open)).toHaveLength(1);
+        expect(open.getVisibleState('player1').rng).toBeUndefined();
+    });
+
+    it('should call the match a draw at the turn limit', () => {
+        const game = newGame({ maxTurns: 2 });
+        game.resolveTurn({ player1: [], player2: [] });
+        expect(game.winner).toBeNull();
+        game.resolveTurn({ player1: [], player2: [] });
+        expect(game.winner).toBe('DRAW');
+    });
+
+    it('should keep the rules through serialization and replays', () => {
+        const rules = { startingEnergy: 120, bannedItems: ['EMP'], maxTurns: 1 };
+        const game = newGame(rules);
+        expect(GameState.deserialize(game.serialize()).rules).toEqual(game.rules);
+
+        const recorder = new ReplayRecorder({ roomId: 'test', playerIds: ['player1', 'player2'], seed: 12, rules });
+        recorder.recordTurn(1, { player1: [], player2: [] });
+        const player = new ReplayPlayer(recorder.toJSON());
+        expect(player.game.players.player1.energy).toBe(120);
+        player.step();
+        expect(player.game.winner).toBe('DRAW');
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runMatch, summarizeResults, createController } from '../MatchRunner.js';
+import { ReplayPlayer } from '../Replay.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.resolve(__dirname, '../../scripts/run-match.js');
+
+const controllers = (p1, p2, seed) => ({
+    player1: createController(p1, 'player1', seed + 1),
+    player2: createController(p2, 'player2', seed + 2)
+});
+
+describe('MatchRunner', () => {
+    it('should play a match to a result with per-turn summaries', () => {
+        const turns = [];
+        const result = runMatch({ controllers: controllers('normal', 'idle', 3), seed: 3, onTurn: (t) => turns.push(t) });
+
+        expect(result.winner).toBe('player1');
+        expect(result.reason).toBe('ELIMINATION');
+        expect(turns).toHaveLength(result.turns);
+        expect(turns[0]).toMatchObject({ turn: 1, actions: { player2: 0 } });
+        expect(turns.at(-1).winner).toBe('player1');
+        expect(result.players.player1.actionsPlanned).toBeGreaterThan(0);
+        expect(result.players.player2.alive).toBe(false);
+    });
+
+    it('should be reproducible for a seed', () => {
+        const a = runMatch({ controllers: controllers('normal', 'easy', 11), seed: 11 });
+        const b = runMatch({ controllers: controllers('normal', 'easy', 11), seed: 11 });
+        expect(a).toEqual(b);
+    });
+
+    it('should stop at the turn limit', () => {
+        const result = runMatch({ controllers: controllers('idle', 'idle', 1), seed: 1, maxTurns: 4 });
+        expect(result).toMatchObject({ winner: null, reason: 'TURN_LIMIT', turns: 4 });
+    });
+
+    it('should record a replay that plays back to the same winner', () => {
+        const result = runMatch({ controllers: controllers('normal', 'easy', 5), seed: 5, recordReplay: true });
+        const player = new ReplayPlayer(result.replay);
+        player.seek(player.totalTurns);
+        expect(player.game.winner).toBe(result.winner);
+    });
+
+    it('should drop plans the validator rejects', () => {
+        const cheater = { planTurn: () => [{ type: 'LAUNCH', sourceId: 'nope', itemType: 'WEAPON', angle: 0, distance: 10 }] };
+        const result = runMatch({
+            controllers: { player1: cheater, player2: createController('idle', 'player2', 1) },
+            seed: 1,
+            maxTurns: 2
+        });
+        expect(result.players.player1).toMatchObject({ actionsPlanned: 0, actionsRejected: 2 });
+    });
+
+    it('should reject unknown controllers', () => {
+        expect(() => createController('godlike', 'player1', 1)).toThrow(/Unknown controller/);
+    });
+
+    it('should aggregate batch results', () => {
+        const summary = summarizeResults([
+            { winner: 'player1', reason: 'ELIMINATION', turns: 10, players: { player1: {}, player2: {} } },
+            { winner: null, reason: 'TURN_LIMIT', turns: 20, players: { player1: {}, player2: {} } }
+        ]);
+        expect(summary).toEqual({
+            games: 2,
+            wins: { player1: 1, player2: 0 },
+            draws: 0,
+            turnLimits: 1,
+            averageTurns: 15,
+            minTurns: 10,
+            maxTurns: 20
+        });
+    });
+});
+
+describe('run-match CLI', () => {
+    it('should run a batch on a ready map and write the result JSON', () => {
+        const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'titan-sim-')), 'results.json');
+        const run = spawnSync(
+            'node',
+            [CLI, '--map', 'playground', '--p1', 'normal', '--p2', 'idle', '--games', '2', '--seed', '4', '--max-turns', '30', '--quiet', '--out', out],
+            { encoding: 'utf8', timeout: 30000 }
+        );
+
+        expect(run.status).toBe(0);
+        const output = JSON.parse(run.stdout);
+        expect(output.config).toMatchObject({ map: 'playground', games: 2, seed: 4 });
+        expect(output.matches.map((m) => m.seed)).toEqual([4, 5]);
+        expect(output.summary.games).toBe(2);
+        expect(JSON.parse(fs.readFileSync(out, 'utf8'))).toEqual(output);
+        fs.rmSync(path.dirname(out), { recursive: true, force: true });
+    });
+
+    it('should fail with a message for an unknown map', () => {
+        const run = spawnSync('node', [CLI, '--map', 'atlantis'], { encoding: 'utf8', timeout: 30000 });
+        expect(run.status).toBe(1);
+        expect(run.stderr).toMatch(/Ready map "atlantis" not found/);
+    });
+});
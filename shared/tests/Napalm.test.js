@@ -108,7 +108,7 @@ describe('Napalm Weapon Mechanics (Refined)', () => {
         const t2 = gs.entities.find((e) => e.id === 'target2');
 
         expect(t1).toBeDefined();
-        expect(t1.hp).toBe(3); // Damaged twice (Round 1 + Round 2)
+        expect(t1.hp).toBe(2); // Damaged twice (Round 1 + Round 2), then burns for 1 at turn end
         expect(t2).toBeDefined();
         expect(t2.hp).toBe(5); // Safe (too far)
     });
@@ -163,7 +163,7 @@ describe('Napalm Weapon Mechanics (Refined)', () => {
         });
 
         const t1 = gs.entities.find((e) => e.id === 'target1');
-        expect(t1.hp).toBe(3); // 5 - 2 damage (one per round)
+        expect(t1.hp).toBe(2); // 5 - 2 damage (one per round) - 1 burning at turn end
     });
 
     it('should expire at end of turn even if rounds remain', () => {
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { GameState } from '../GameState.js';
+
+describe('GameState - Serialization', () => {
+    const playTurn = (game) => {
+        const hub1 = game.entities.find((e) => e.owner === 'p1' && e.isStarter);
+        const hub2 = game.entities.find((e) => e.owner === 'p2' && e.isStarter);
+        return game.resolveTurn({
+            p1: [{ playerId: 'p1', sourceId: hub1.id, itemType: 'HUB', angle: 90, distance: 100 }],
+            p2: [{ playerId: 'p2', sourceId: hub2.id, itemType: 'WEAPON', angle: 180, distance: 150 }]
+        });
+    };
+
+    it('should round-trip the full match state', () => {
+        const game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 314);
+        playTurn(game);
+        game.map.craters = [{ id: 'crater-test', x: 10, y: 20, radius: 30 }];
+        game.winner = null;
+
+        const saved = JSON.parse(JSON.stringify(game.serialize()));
+        const restored = GameState.deserialize(saved);
+
+        expect(restored.getState()).toEqual(game.getState());
+        expect(restored.map.craters).toHaveLength(1);
+        expect(restored.rng).toEqual(game.rng);
+    });
+
+    it('should continue identically after a restore', () => {
+        const original = new GameState();
+        original.initializeGame(['p1', 'p2'], null, 2718);
+        playTurn(original);
+
+        const restored = GameState.deserialize(original.serialize());
+        playTurn(original);
+        playTurn(restored);
+
+        expect(restored.getState()).toEqual(original.getState());
+    });
+
+    it('should not share references with the serialized snapshot', () => {
+        const game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 1);
+        const saved = game.serialize();
+
+        saved.entities[0].hp = -99;
+        saved.players.p1.energy = -99;
+
+        expect(game.entities[0].hp).not.toBe(-99);
+        expect(game.players.p1.energy).not.toBe(-99);
+    });
+
+    it('should drop stale map features when loading into an existing game', () => {
+        const game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 1);
+        const saved = game.serialize();
+
+        game.map.craters = [{ id: 'old', x: 0, y: 0, radius: 10 }];
+        game.loadState(saved);
+
+        expect(game.map.craters).toBeUndefined();
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Repair.test.js
+ *
+ * The REPAIR action: hubs spend energy to heal damaged structures a few links away.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import { REPAIR_STATS, getRepairTargets, getMaxHp } from '../Repair.js';
+import { applyEffect } from '../StatusEffects.js';
+import { validateActions, REJECTION_REASONS } from '../ActionValidator.js';
+
+describe('Structure repair', () => {
+    let game;
+    let hub;
+    let chain; // Extractors 1, 2 and 3 links away from the hub
+
+    const repair = (sourceId) => ({ type: 'REPAIR', playerId: 'p1', sourceId });
+    const reasons = (result) => result.rejected.map((r) => r.reason);
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 1);
+        game.map.lakes = [];
+        game.map.mountains = [];
+        hub = game.entities.find((e) => e.owner === 'p1' && e.type === 'HUB');
+        game.players.p1.energy = 100;
+
+        chain = [1, 2, 3].map((i) =>
+            game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: hub.x + i * 60, y: hub.y, deployed: true, hp: 1 })
+        );
+        game.addLink(hub.id, chain[0].id, 'p1');
+        game.addLink(chain[0].id, chain[1].id, 'p1');
+        game.addLink(chain[1].id, chain[2].id, 'p1');
+    });
+
+    it('should only reach damaged structures within range of the hub', () => {
+        expect(getRepairTargets(game, hub).map((e) => e.id)).toEqual([chain[0].id, chain[1].id]);
+
+        hub.hp = 2;
+        expect(getRepairTargets(game, hub)[0]).toBe(hub);
+    });
+
+    it('should heal the network, capped at max HP, and charge the cost', () => {
+        const income = game.rules.incomePerTurn + chain.length * ENTITY_STATS.EXTRACTOR.energyGen;
+        hub.hp = ENTITY_STATS.HUB.hp - 1;
+
+        game.resolveTurn({ p1: [repair(hub.id)], p2: [] });
+
+        expect(hub.hp).toBe(ENTITY_STATS.HUB.hp);
+        expect(chain[0].hp).toBe(Math.min(1 + REPAIR_STATS.heal, getMaxHp(chain[0])));
+        expect(chain[1].hp).toBe(chain[0].hp);
+        expect(chain[2].hp).toBe(1);
+        expect(game.players.p1.energy).toBe(100 + income - REPAIR_STATS.cost);
+        expect(game.combatEvents.filter((e) => e.type === 'REPAIR')).toHaveLength(3);
+    });
+
+    it('should heal up to the upgraded tier maximum', () => {
+        chain[0].tier = 2;
+        expect(getMaxHp(chain[0])).toBe(ENTITY_STATS.EXTRACTOR.tiers[0].hp);
+    });
+
+    it('should not repair from a disabled hub', () => {
+        applyEffect(game, hub, 'disabled', { turns: 2 });
+
+        game.resolveTurn({ p1: [repair(hub.id)], p2: [] });
+
+        expect(chain[0].hp).toBe(1);
+        expect(reasons(validateActions(game, 'p1', [repair(hub.id)]))).toEqual([REJECTION_REASONS.SOURCE_DISABLED]);
+    });
+
+    it('should reject repairs that are foreign, not from a hub, repeated or pointless', () => {
+        const p2Hub = game.entities.find((e) => e.owner === 'p2');
+        const result = validateActions(game, 'p1', [
+            repair(p2Hub.id),
+            repair(chain[0].id),
+            repair(hub.id),
+            repair(hub.id)
+        ]);
+
+        expect(result.valid).toHaveLength(1);
+        expect(reasons(result)).toEqual([
+            REJECTION_REASONS.NOT_OWNER,
+            REJECTION_REASONS.CANNOT_REPAIR,
+            REJECTION_REASONS.ALREADY_REPAIRING
+        ]);
+
+        chain.forEach((e) => (e.hp = getMaxHp(e)));
+        expect(reasons(validateActions(game, 'p1', [repair(hub.id)]))).toEqual([REJECTION_REASONS.NOTHING_TO_REPAIR]);
+    });
+});
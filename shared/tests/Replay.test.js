@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { GameState } from '../GameState.js';
+import { ReplayRecorder, ReplayPlayer, REPLAY_VERSION } from '../Replay.js';
+
+/**
+ * Plays a short live match the way the server does, recording each turn.
+ */
+const recordMatch = (seed, turns = 3) => {
+    const playerIds = ['player1', 'player2'];
+    const game = new GameState();
+    game.initializeGame(playerIds, null, seed);
+    const recorder = new ReplayRecorder({ roomId: 'test', playerIds, seed });
+    const states = [];
+
+    for (let i = 0; i < turns; i++) {
+        const hub1 = game.entities.find((e) => e.owner === 'player1' && e.isStarter);
+        const hub2 = game.entities.find((e) => e.owner === 'player2' && e.isStarter);
+        const actionsMap = {
+            player1: [{ playerId: 'player1', sourceId: hub1.id, itemType: 'HUB', angle: 90, distance: 80 + i * 10 }],
+            player2: [{ playerId: 'player2', sourceId: hub2.id, itemType: 'WEAPON', angle: 180, distance: 150 }]
+        };
+        recorder.recordTurn(game.turn, actionsMap);
+        game.resolveTurn(actionsMap);
+        states.push(game.getState());
+    }
+    recorder.finish(game.winner);
+    return { recorder, states };
+};
+
+describe('Match Replays', () => {
+    it('should record the seed, map and every turn', () => {
+        const { recorder } = recordMatch(5);
+        const data = JSON.parse(JSON.stringify(recorder));
+
+        expect(data.version).toBe(REPLAY_VERSION);
+        expect(data.seed).toBe(5);
+        expect(data.mapConfig).toBeNull();
+        expect(data.turns.map((t) => t.turn)).toEqual([1, 2, 3]);
+        expect(data.turns[0].actions.player1).toHaveLength(1);
+        expect(data.endedAt).not.toBeNull();
+    });
+
+    it('should reproduce the recorded match turn by turn', () => {
+        const { recorder, states } = recordMatch(77);
+        const player = new ReplayPlayer(JSON.parse(JSON.stringify(recorder)));
+
+        expect(player.totalTurns).toBe(3);
+        states.forEach((expected) => {
+            const snapshots = player.step();
+            expect(snapshots.length).toBeGreaterThan(0);
+            expect(player.game.getState()).toEqual(expected);
+        });
+        expect(player.isFinished).toBe(true);
+        expect(player.step()).toEqual([]);
+    });
+
+    it('should seek forwards and backwards', () => {
+        const { recorder, states } = recordMatch(3);
+        const player = new ReplayPlayer(recorder.toJSON());
+
+        player.seek(3);
+        expect(player.game.getState()).toEqual(states[2]);
+
+        player.seek(1);
+        expect(player.turnIndex).toBe(1);
+        expect(player.game.getState()).toEqual(states[0]);
+    });
+
+    it('should apply fog of war per player', () => {
+        const { recorder } = recordMatch(11, 1);
+        const player = new ReplayPlayer(recorder.toJSON());
+        player.step();
+
+        const full = player.getView('spectator');
+        const fogged = player.getView('player1');
+
+        expect(full.entities.some((e) => e.owner === 'player2')).toBe(true);
+        expect(fogged.entities.length).toBeLessThanOrEqual(full.entities.length);
+        expect(fogged.rng).toBeUndefined();
+    });
+
+    it('should replay a forfeit at the turn it happened', () => {
+        const { recorder } = recordMatch(9, 2);
+        recorder.recordForfeit(3, 'player2');
+        recorder.finish('player1');
+        const player = new ReplayPlayer(recorder.toJSON());
+
+        player.step();
+        expect(player.game.players.player2.alive).toBe(true);
+        player.step();
+        expect(player.game.players.player2.alive).toBe(false);
+        expect(player.game.winner).toBe('player1');
+
+        player.seek(0);
+        expect(player.game.players.player2.alive).toBe(true);
+        expect(player.game.winner).toBeNull();
+    });
+
+    it('should replay an agreed draw', () => {
+        const { recorder } = recordMatch(9, 1);
+        recorder.recordDraw(2);
+        recorder.finish('DRAW');
+        const player = new ReplayPlayer(recorder.toJSON());
+
+        expect(player.game.winner).toBeNull();
+        player.step();
+        expect(player.game.winner).toBe('DRAW');
+    });
+
+    it('should reject unknown replay versions', () => {
+        expect(() => new ReplayPlayer({ version: 999 })).toThrow(/Unsupported replay version/);
+    });
+});
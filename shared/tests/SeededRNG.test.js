@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { GameState } from '../GameState.js';
+
+/**
+ * Plays the same Echo Artillery exchange (ids + accuracy deviation) on a fresh game.
+ */
+const playEchoTurn = (seed) => {
+    const game = new GameState();
+    game.initializeGame(['p1', 'p2'], null, seed);
+    game.map.lakes = [];
+    game.map.mountains = [];
+
+    const p1Hub = game.entities.find((e) => e.owner === 'p1');
+    const p2Hub = game.entities.find((e) => e.owner === 'p2');
+    const echo = game.addEntity({
+        type: 'ECHO_ARTILLERY',
+        owner: 'p2',
+        x: p1Hub.x + 100,
+        y: p1Hub.y
+    });
+    game.addLink(p2Hub.id, echo.id, 'p2');
+
+    const snapshots = game.resolveTurn({
+        p1: [{ playerId: 'p1', sourceId: p1Hub.id, itemType: 'WEAPON', angle: 0, distance: 100 }]
+    });
+    return { game, snapshots };
+};
+
+describe('GameState - Seeded RNG', () => {
+    it('should produce the same sequence for the same seed', () => {
+        const a = new GameState();
+        const b = new GameState();
+        a.setSeed(1234);
+        b.setSeed(1234);
+
+        const seqA = Array.from({ length: 5 }, () => a.random());
+        const seqB = Array.from({ length: 5 }, () => b.random());
+
+        expect(seqA).toEqual(seqB);
+        seqA.forEach((v) => {
+            expect(v).toBeGreaterThanOrEqual(0);
+            expect(v).toBeLessThan(1);
+        });
+        expect(a.rng.seed).toBe(1234);
+        expect(a.rng.state).not.toBe(1234);
+    });
+
+    it('should reproduce an identical turn from the same seed', () => {
+        const first = playEchoTurn(42);
+        const second = playEchoTurn(42);
+
+        expect(second.game.getState()).toEqual(first.game.getState());
+        expect(JSON.stringify(second.snapshots)).toBe(JSON.stringify(first.snapshots));
+    });
+
+    it('should diverge for different seeds', () => {
+        const first = playEchoTurn(1);
+        const second = playEchoTurn(2);
+
+        const ids = (g) => g.entities.map((e) => e.id);
+        expect(ids(second.game)).not.toEqual(ids(first.game));
+    });
+
+    it('should replay the current seed when re-initialized without one', () => {
+        const game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 99);
+        const hubIds = game.entities.map((e) => e.id);
+
+        game.random();
+        game.initializeGame(['p1', 'p2']);
+
+        expect(game.rng.seed).toBe(99);
+        expect(game.entities.map((e) => e.id)).toEqual(hubIds);
+    });
+
+    it('should keep the RNG out of every visible state and only serialize it', () => {
+        const game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 7);
+
+        expect(game.getState().rng).toBeUndefined();
+        expect(game.getVisibleState('spectator').rng).toBeUndefined();
+        expect(game.getVisibleState('p1').rng).toBeUndefined();
+        expect(game.getVisibleState('p1', game.serialize()).rng).toBeUndefined();
+        expect(game.serialize().rng).toEqual({ seed: 7, state: game.rng.state });
+    });
+});
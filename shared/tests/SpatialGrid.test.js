@@ -0,0 +1,124 @@
+/**
+ * SpatialGrid.test.js
+ *
+ * Grid candidate queries, and GameState resolving identically with and
+ * without its spatial index.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SpatialGrid } from '../SpatialGrid.js';
+import { GameState } from '../GameState.js';
+
+describe('SpatialGrid', () => {
+    it('should return candidates near a point in insertion order', () => {
+        const grid = new SpatialGrid(2000, 2000, 200);
+        const items = ['c', 'a', 'b'].map((id, i) => ({ id, x: 500 + i * 10, y: 500 }));
+        items.forEach((item) => grid.insert(item, item.x, item.y));
+        grid.insert({ id: 'far' }, 1500, 1500);
+
+        expect(grid.query(510, 500, 50).map((i) => i.id)).toEqual(['c', 'a', 'b']);
+        expect(grid.query(1500, 1500).map((i) => i.id)).toEqual(['far']);
+        expect(grid.query(1000, 100)).toEqual([]);
+    });
+
+    it('should find items across the map edges', () => {
+        const grid = new SpatialGrid(2000, 2000, 200);
+        grid.insert('corner', 1990, 1990);
+        grid.insert('vision', 50, 1000, 150);
+
+        expect(grid.query(10, 10, 30)).toEqual(['corner']);
+        expect(grid.query(1950, 1000)).toEqual(['vision']);
+        expect(grid.query(1700, 1000)).toEqual([]);
+    });
+
+    it('should tile maps that are not a multiple of the cell size', () => {
+        const grid = new SpatialGrid(1500, 1500, 200);
+        grid.insert('edge', 1499, 700);
+
+        expect(grid.query(1, 700, 5)).toEqual(['edge']);
+        expect(grid.query(-1, 700)).toEqual(['edge']);
+    });
+
+    it('should index segments once per item and match unplaced items everywhere', () => {
+        const grid = new SpatialGrid(2000, 2000, 200);
+        const link = { id: 'link' };
+        grid.insert('before', 100, 100);
+        grid.insertSegment(link, 1900, 1000, 2000, 1000);
+        grid.insertSegment(link, 0, 1000, 300, 1000);
+        grid.insert('lost', NaN, 0);
+
+        expect(grid.querySegment(100, 900, 100, 1100)).toEqual([link, 'lost']);
+        expect(grid.querySegment(1950, 900, 1950, 1100)).toEqual([link, 'lost']);
+        expect(grid.query(100, 100)).toEqual(['before', 'lost']);
+        expect(grid.query(NaN, 0)).toEqual(['before', link, 'lost']);
+        expect(grid.has(link)).toBe(true);
+    });
+});
+
+describe('GameState - Spatial Index', () => {
+    const crowdedGame = () => {
+        const game = new GameState();
+        game.initializeGame(['player1', 'player2'], null, 5);
+        const types = ['EXTRACTOR', 'LASER_POINT_DEFENSE', 'FLAK_DEFENSE', 'LIGHT_SAM_DEFENSE', 'CLOAKING_FIELD', 'HUB'];
+        ['player1', 'player2'].forEach((owner, seat) => {
+            const hub = game.entities.find((e) => e.owner === owner);
+            for (let i = 0; i < 60; i++) {
+                const entity = game.addEntity({
+                    type: types[i % types.length],
+                    owner,
+                    x: game.wrapX(seat * 1000 + game.random() * 1000),
+                    y: game.random() * 2000,
+                    deployed: true
+                });
+                game.addLink(hub.id, entity.id, owner);
+            }
+            game.players[owner].energy = 100000;
+        });
+        return game;
+    };
+
+    const playTurns = (game) => {
+        const snapshots = [];
+        for (let turn = 0; turn < 2; turn++) {
+            const actions = {};
+            ['player1', 'player2'].forEach((pid) => {
+                const hubs = game.entities.filter((e) => e.owner === pid && e.type === 'HUB').slice(0, 5);
+                actions[pid] = hubs.map((hub, i) => ({
+                    playerId: pid,
+                    sourceId: hub.id,
+                    itemType: ['WEAPON', 'HOMING_MISSILE', 'CLUSTER_BOMB', 'EXTRACTOR', 'EMP'][i],
+                    angle: pid === 'player1' ? i * 20 : 180 + i * 20,
+                    distance: GameState.calculatePullDistance(450)
+                }));
+            });
+            snapshots.push(...game.resolveTurn(actions));
+        }
+        return snapshots;
+    };
+
+    it('should resolve turns exactly as the plain scans do', () => {
+        const indexed = crowdedGame();
+        const scanned = crowdedGame();
+        scanned.spatialIndexEnabled = false;
+
+        const withIndex = playTurns(indexed);
+        const withoutIndex = playTurns(scanned);
+
+        expect(withIndex.length).toBeGreaterThan(0);
+        expect(JSON.stringify(withIndex)).toBe(JSON.stringify(withoutIndex));
+        expect(indexed.serialize()).toEqual(scanned.serialize());
+        expect(indexed.spatialCache).toBeNull();
+    });
+
+    it('should build the same fog-of-war views', () => {
+        const indexed = crowdedGame();
+        const scanned = crowdedGame();
+        scanned.spatialIndexEnabled = false;
+        const snapshot = playTurns(indexed).at(-2);
+        playTurns(scanned);
+
+        ['player1', 'player2'].forEach((pid) => {
+            expect(indexed.getVisibleState(pid, snapshot.state)).toEqual(scanned.getVisibleState(pid, snapshot.state));
+        });
+    });
+});
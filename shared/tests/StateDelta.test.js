@@ -0,0 +1,90 @@
+/**
+ * StateDelta.test.js
+ *
+ * Round-trips real resolution snapshots through diffStates()/applyDelta().
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { diffStates, applyDelta } from '../StateDelta.js';
+
+// What a client actually receives: undefined fields dropped by JSON transport
+const overWire = (value) => JSON.parse(JSON.stringify(value));
+
+describe('StateDelta', () => {
+    let game;
+    let p1Hub;
+    let p2Hub;
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['player1', 'player2'], null, 11);
+        p1Hub = game.entities.find((e) => e.owner === 'player1');
+        p2Hub = game.entities.find((e) => e.owner === 'player2');
+    });
+
+    const resolveBusyTurn = () =>
+        game.resolveTurn({
+            player1: [
+                { playerId: 'player1', sourceId: p1Hub.id, itemType: 'WEAPON', angle: 0, distance: 250 },
+                { playerId: 'player1', sourceId: p1Hub.id, itemType: 'EXTRACTOR', angle: 90, distance: 150 }
+            ],
+            player2: [{ playerId: 'player2', sourceId: p2Hub.id, itemType: 'CLUSTER_BOMB', angle: 180, distance: 250 }]
+        });
+
+    it('should rebuild every resolution snapshot from a keyframe and deltas', () => {
+        const states = [game.getState(), ...resolveBusyTurn().map((s) => ({ ...s.state, events: s.events }))].map(overWire);
+
+        let current = states[0];
+        for (let i = 1; i < states.length; i++) {
+            const delta = overWire(diffStates(states[i - 1], states[i]));
+            current = applyDelta(current, delta);
+            expect(current).toEqual(states[i]);
+        }
+    });
+
+    it('should rebuild fog-filtered views for each player', () => {
+        const snapshots = resolveBusyTurn();
+        let previous = overWire(game.getVisibleState('player1', snapshots[0].state));
+        let current = previous;
+
+        snapshots.slice(1).forEach((snap) => {
+            const view = overWire(game.getVisibleState('player1', snap.state));
+            current = applyDelta(current, overWire(diffStates(previous, view)));
+            expect(current).toEqual(view);
+            previous = view;
+        });
+    });
+
+    it('should stream projectile flight as positions only', () => {
+        const subs = resolveBusyTurn().filter((s) => s.type === 'ROUND_SUB').map((s) => overWire(s.state));
+        const delta = diffStates(subs[0], subs[1]);
+
+        expect(delta.entities.moved.length).toBeGreaterThan(0);
+        delta.entities.moved.forEach(([key]) => expect(key).toMatch(/^proj-/));
+        expect(delta.set.map).toBeUndefined();
+        expect(JSON.stringify(delta).length).toBeLessThan(JSON.stringify(subs[1]).length / 4);
+    });
+
+    it('should handle removals, reordering and dropped fields without touching the previous state', () => {
+        const prev = {
+            turn: 1,
+            winner: 'player1',
+            entities: [{ id: 'a', x: 1, y: 1, hp: 3 }, { id: 'b', x: 2, y: 2, scouted: true }, { id: 'c', x: 3, y: 3 }],
+            links: [{ from: 'a', to: 'b' }]
+        };
+        const next = {
+            turn: 2,
+            entities: [{ id: 'c', x: 3, y: 3 }, { id: 'd', x: 4, y: 4 }, { id: 'b', x: 2, y: 2 }],
+            links: []
+        };
+        const before = overWire(prev);
+
+        const delta = diffStates(prev, next);
+        expect(delta.unset).toEqual(['winner']);
+        expect(delta.entities.order).toEqual(['c', 'd', 'b']);
+        expect(delta.entities.changed).toEqual([{ key: 'b', set: {}, unset: ['scouted'] }]);
+        expect(applyDelta(prev, overWire(delta))).toEqual(next);
+        expect(prev).toEqual(before);
+    });
+});
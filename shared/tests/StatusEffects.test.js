@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import {
+    applyEffect,
+    removeEffect,
+    getEffect,
+    isDisabled,
+    absorbDamage,
+    getEffectModifier
+} from '../StatusEffects.js';
+
+describe('Status Effects', () => {
+    let game;
+    let p1Hub;
+    let p2Hub;
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['p1', 'p2']);
+        game.map.lakes = [];
+        game.map.mountains = [];
+        p1Hub = game.entities.find((e) => e.owner === 'p1' && e.type === 'HUB');
+        p2Hub = game.entities.find((e) => e.owner === 'p2' && e.type === 'HUB');
+    });
+
+    it('should keep one stack and the later expiry for refreshing effects', () => {
+        applyEffect(game, p1Hub, 'disabled', { turns: 3 });
+        applyEffect(game, p1Hub, 'disabled', { turns: 1 });
+
+        expect(p1Hub.effects.disabled).toEqual(expect.objectContaining({ untilTurn: game.turn + 3, stacks: 1 }));
+        expect(p1Hub.disabledUntilTurn).toBe(game.turn + 3);
+        expect(isDisabled(p1Hub, game.turn + 2)).toBe(true);
+        expect(isDisabled(p1Hub, game.turn + 3)).toBe(false);
+    });
+
+    it('should add stacks up to the cap for stacking effects', () => {
+        applyEffect(game, p1Hub, 'burning', { turns: 2, stacks: 2 });
+        applyEffect(game, p1Hub, 'burning', { turns: 2, stacks: 2 });
+
+        expect(getEffect(p1Hub, 'burning', game.turn).stacks).toBe(3);
+    });
+
+    it('should not change effect maps already captured in snapshots', () => {
+        applyEffect(game, p1Hub, 'burning', { turns: 2 });
+        const snapshot = game.getState();
+        applyEffect(game, p1Hub, 'burning', { turns: 2 });
+
+        expect(snapshot.entities.find((e) => e.id === p1Hub.id).effects.burning.stacks).toBe(1);
+    });
+
+    it('should reject unknown effects', () => {
+        expect(() => applyEffect(game, p1Hub, 'frozen', { turns: 1 })).toThrow(/Unknown status effect/);
+    });
+
+    it('should drop an effect and its legacy field when removed', () => {
+        applyEffect(game, p1Hub, 'disabled', { turns: 2 });
+        removeEffect(p1Hub, 'disabled');
+
+        expect(isDisabled(p1Hub, game.turn)).toBe(false);
+        expect(p1Hub.disabledUntilTurn).toBe(0);
+    });
+
+    it('should set structures touched by napalm fire burning, once', () => {
+        const extractor = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: p1Hub.x + 60, y: p1Hub.y, deployed: true, hp: 10 });
+        game.addLink(p1Hub.id, extractor.id, 'p1');
+        game.addEntity({
+            type: 'NAPALM_FIRE', owner: 'p2', x: extractor.x - 20, y: extractor.y,
+            startX: extractor.x - 20, startY: extractor.y, endX: extractor.x + 20, endY: extractor.y,
+            roundsLeft: 2, expiresTurn: game.turn, deployed: true, isHazard: true
+        });
+
+        game.resolveTurn({ p1: [], p2: [] });
+
+        const burns = game.combatEvents.filter((e) => e.type === 'STATUS' && e.effect === 'burning');
+        expect(burns).toEqual([expect.objectContaining({ owner: 'p2', targetId: extractor.id, stacks: 1 })]);
+        expect(game.combatEvents).toContainEqual(
+            expect.objectContaining({ type: 'DAMAGE', itemType: 'BURNING', targetId: extractor.id, amount: 1 })
+        );
+    });
+
+    it('should leave EMP targets slowed for a turn after the disable', () => {
+        game.triggerExplosion(p2Hub.x, p2Hub.y, ENTITY_STATS.EMP, [], new Set(), game.entities, { owner: 'p1' });
+
+        expect(isDisabled(p2Hub, game.turn + 1)).toBe(true);
+        expect(isDisabled(p2Hub, game.turn + 2)).toBe(false);
+        expect(getEffectModifier(p2Hub, 'launchSpeed', game.turn + 2)).toBe(0.5);
+    });
+
+    it('should reveal a defense that fires', () => {
+        const laser = game.addEntity({ type: 'LASER_POINT_DEFENSE', owner: 'p2', x: p1Hub.x + 200, y: p1Hub.y, deployed: true });
+        game.addLink(p2Hub.id, laser.id, 'p2');
+        const action = {
+            playerId: 'p1', sourceId: p1Hub.id, itemType: 'WEAPON', angle: 0,
+            distance: GameState.calculatePullDistance(200)
+        };
+        game.players.p1.energy = 100;
+
+        game.resolveTurn({ p1: [action], p2: [] });
+
+        expect(game.combatEvents).toContainEqual(expect.objectContaining({ type: 'DEFENSE_FIRE', defenseId: laser.id }));
+        expect(getEffect(laser, 'revealed', game.turn)).toEqual(expect.objectContaining({ untilTurn: game.turn + 1 }));
+    });
+
+    it('should let fortified halve and shielded absorb damage', () => {
+        applyEffect(game, p1Hub, 'fortified', { turns: 1 });
+        expect(absorbDamage(game, p1Hub, 3)).toBe(2);
+
+        removeEffect(p1Hub, 'fortified');
+        applyEffect(game, p1Hub, 'shielded', { turns: 1, stacks: 2 });
+        expect(absorbDamage(game, p1Hub, 1)).toBe(0);
+        expect(getEffect(p1Hub, 'shielded', game.turn).stacks).toBe(1);
+        expect(absorbDamage(game, p1Hub, 3)).toBe(2);
+        expect(getEffect(p1Hub, 'shielded', game.turn)).toBeNull();
+    });
+
+    it('should shield friendly structures inside a working SHIELD for the next turn', () => {
+        const shield = game.addEntity({ type: 'SHIELD', owner: 'p1', x: p1Hub.x + 60, y: p1Hub.y, deployed: true });
+        game.addLink(p1Hub.id, shield.id, 'p1');
+        const outside = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: shield.x + 200, y: shield.y, deployed: true });
+        const enemy = game.addEntity({ type: 'EXTRACTOR', owner: 'p2', x: shield.x, y: shield.y + 60, deployed: true });
+
+        game.resolveTurn({ p1: [], p2: [] });
+
+        expect(getEffect(p1Hub, 'shielded', game.turn)).toEqual({ untilTurn: game.turn + 1, stacks: 1, sourceOwner: 'p1' });
+        expect(getEffect(shield, 'shielded', game.turn)).not.toBeNull();
+        expect(getEffect(outside, 'shielded', game.turn)).toBeNull();
+        expect(getEffect(enemy, 'shielded', game.turn)).toBeNull();
+
+        // Coverage is renewed each turn, not piled up, and stops while the shield is disabled
+        game.resolveTurn({ p1: [], p2: [] });
+        expect(getEffect(p1Hub, 'shielded', game.turn).stacks).toBe(1);
+
+        applyEffect(game, shield, 'disabled', { turns: 1 });
+        game.resolveTurn({ p1: [], p2: [] });
+        expect(getEffect(p1Hub, 'shielded', game.turn)).toBeNull();
+    });
+
+    it('should fortify a structure for the turn it is upgraded and the next', () => {
+        game.players.p1.energy = 500;
+
+        expect(game.resolveUpgrade('p1', { type: 'UPGRADE', targetId: p1Hub.id })).toBe(true);
+
+        expect(getEffect(p1Hub, 'fortified', game.turn)).toEqual({ untilTurn: game.turn + 2, stacks: 1, sourceOwner: 'p1' });
+        expect(game.combatEvents).toContainEqual(
+            expect.objectContaining({ type: 'STATUS', effect: 'fortified', targetId: p1Hub.id })
+        );
+
+        const hp = p1Hub.hp;
+        game.triggerExplosion(p1Hub.x, p1Hub.y, ENTITY_STATS.WEAPON, [], new Set(), game.entities, { owner: 'p2' });
+        expect(hp - p1Hub.hp).toBe(Math.ceil(ENTITY_STATS.WEAPON.damageFull / 2));
+    });
+
+    it('should burn at turn end and expire once the duration runs out', () => {
+        const extractor = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: p1Hub.x + 60, y: p1Hub.y, deployed: true, hp: 3 });
+        applyEffect(game, extractor, 'burning', { turns: 1, stacks: 2, source: p2Hub });
+
+        game.resolveTurn({ p1: [], p2: [] });
+
+        expect(extractor.hp).toBe(1);
+        expect(extractor.effects).toBeUndefined();
+        expect(game.combatEvents).toContainEqual(
+            expect.objectContaining({ type: 'DAMAGE', owner: 'p2', itemType: 'BURNING', targetId: extractor.id, amount: 2 })
+        );
+    });
+
+    it('should pause countdowns while disabled', () => {
+        const nuke = game.addEntity({ type: 'NUKE', owner: 'p1', x: 1000, y: 1000, deployed: true });
+        const detonationTurn = nuke.detonationTurn;
+        applyEffect(game, nuke, 'disabled', { turns: 1 });
+
+        game.resolveTurn({ p1: [], p2: [] });
+
+        expect(nuke.detonationTurn).toBe(detonationTurn + 1);
+    });
+
+    it('should slow launches from a slowed source', () => {
+        const action = { playerId: 'p1', sourceId: p1Hub.id, itemType: 'WEAPON', angle: 0, distance: 300 };
+        const normal = GameState.predictLaunch(game.getState(), action);
+
+        applyEffect(game, p1Hub, 'slowed', { turns: 1 });
+        const slowed = GameState.predictLaunch(game.getState(), action);
+
+        expect(getEffectModifier(p1Hub, 'launchSpeed', game.turn)).toBe(0.5);
+        expect(slowed.arrivalTick).toBeGreaterThan(normal.arrivalTick);
+    });
+
+    it('should show revealed entities through fog of war', () => {
+        const farAway = game.addEntity({ type: 'EXTRACTOR', owner: 'p2', x: p2Hub.x + 60, y: p2Hub.y, deployed: true });
+        const visibleTo = () => game.getVisibleState('p1').entities.find((e) => e.id === farAway.id);
+        expect(visibleTo()).toBeUndefined();
+
+        applyEffect(game, farAway, 'revealed', { turns: 1 });
+        expect(visibleTo()).toEqual(expect.objectContaining({ effects: { revealed: expect.any(Object) } }));
+    });
+
+    it('should record EMP disables as a status effect', () => {
+        game.triggerExplosion(p2Hub.x, p2Hub.y, ENTITY_STATS.EMP, [], new Set(), game.entities, { owner: 'p1' });
+
+        expect(p2Hub.effects.disabled).toEqual({ untilTurn: game.turn + 2, stacks: 1, sourceOwner: 'p1' });
+        expect(game.combatEvents).toContainEqual(
+            expect.objectContaining({ type: 'EMP_DISABLE', effect: 'disabled', targetId: p2Hub.id })
+        );
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Teams.test.js
+ *
+ * Team matches: shared vision, allied targeting, configurable friendly fire
+ * and per-team win checks.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GameState } from '../GameState.js';
+import { normalizeRules } from '../MatchRules.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+const TEAMS = { player1: 1, player2: 1, player3: 2, player4: 2 };
+const BLAST = { radiusFull: 40, radiusHalf: 80, damageFull: 2, damageHalf: 1 };
+
+const newGame = (rules = {}) => {
+    const game = new GameState();
+    game.initializeGame(['player1', 'player2', 'player3', 'player4'], null, 3, { teams: TEAMS, ...rules });
+    game.map.lakes = [];
+    game.map.mountains = [];
+    return game;
+};
+
+const hubOf = (game, pid) => game.entities.find((e) => e.owner === pid && e.type === 'HUB');
+
+describe('Team matches', () => {
+    it('should normalize team assignments and default to friendly fire', () => {
+        const rules = normalizeRules({ teams: { player1: '2', player2: 0, player3: 99, player4: 'x' } });
+        expect(rules.teams).toEqual({ player1: 2 });
+        expect(rules.friendlyFire).toBe(true);
+        expect(normalizeRules({ friendlyFire: false }, rules)).toMatchObject({ teams: { player1: 2 }, friendlyFire: false });
+    });
+
+    it('should put players on their team, or on their own', () => {
+        const game = new GameState();
+        game.initializeGame(['player1', 'player2', 'player3'], null, 3, { teams: { player1: 1, player2: 1 } });
+        expect(game.players.player1.team).toBe('team1');
+        expect(game.players.player3.team).toBe('player3');
+        expect(game.areAllies('player1', 'player2')).toBe(true);
+        expect(game.areAllies('player1', 'player3')).toBe(false);
+        expect(game.areAllies('player1', null)).toBe(false);
+        expect(GameState.getTeamMembers(game.players, 'team1')).toEqual(['player1', 'player2']);
+    });
+
+    it('should share vision between allies', () => {
+        const game = newGame();
+        const allyHub = hubOf(game, 'player2');
+        const enemy = game.addEntity({
+            type: 'SHIELD',
+            owner: 'player3',
+            x: allyHub.x + ENTITY_STATS.HUB.vision / 2,
+            y: allyHub.y,
+            hp: ENTITY_STATS.SHIELD.hp
+        });
+
+        const seenByTeam = game.getVisibleState('player1').entities.map((e) => e.id);
+        expect(seenByTeam).toContain(allyHub.id);
+        expect(seenByTeam).toContain(enemy.id);
+
+        // The other team only sees its own side of the map
+        expect(game.getVisibleState('player4').entities.map((e) => e.id)).not.toContain(allyHub.id);
+    });
+
+    it('should not let Echo Artillery retaliate against allies', () => {
+        const game = newGame();
+        const hub = hubOf(game, 'player1');
+        const allied = game.addEntity({ type: 'ECHO_ARTILLERY', owner: 'player2', x: hub.x + 100, y: hub.y });
+        const hostile = game.addEntity({ type: 'ECHO_ARTILLERY', owner: 'player3', x: hub.x - 100, y: hub.y });
+
+        game.announceLaunch(hub.x, hub.y, 'player1', 1);
+        expect(allied.pendingEchos).toHaveLength(0);
+        expect(hostile.pendingEchos).toHaveLength(1);
+    });
+
+    it('should spare friendly structures from blasts only when friendly fire is off', () => {
+        [true, false].forEach((friendlyFire) => {
+            const game = newGame({ friendlyFire });
+            const hub = hubOf(game, 'player1');
+            const ally = game.addEntity({ type: 'SHIELD', owner: 'player2', x: hub.x + 200, y: hub.y, hp: 5 });
+            const enemy = game.addEntity({ type: 'SHIELD', owner: 'player3', x: hub.x + 200, y: hub.y + 20, hp: 5 });
+            const source = { owner: 'player1', id: 'proj' };
+
+            game.triggerExplosion(ally.x, ally.y, BLAST, [], new Set(), game.entities, source);
+            expect(ally.hp).toBe(friendlyFire ? 3 : 5);
+            expect(enemy.hp).toBe(3);
+        });
+    });
+
+    it('should spare friendly structures from overloads when friendly fire is off', () => {
+        const game = newGame({ friendlyFire: false });
+        const hub = hubOf(game, 'player1');
+        const ally = game.addEntity({ type: 'SHIELD', owner: 'player2', x: hub.x + 200, y: hub.y, hp: 5 });
+
+        game.triggerOverload(ally.x, ally.y, {}, [], new Set(), new Set(), { owner: 'player1' });
+        expect(ally.hp).toBe(5);
+
+        game.triggerOverload(ally.x, ally.y, {}, [], new Set(), new Set(), { owner: 'player3' });
+        expect(ally.hp).toBe(4);
+    });
+
+    it('should declare the winning team once the other team is out', () => {
+        const game = newGame();
+        game.eliminatePlayer('player3');
+        expect(game.winner).toBeNull();
+
+        game.eliminatePlayer('player1');
+        expect(game.winner).toBeNull();
+
+        game.eliminatePlayer('player4');
+        expect(game.winner).toBe('team1');
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * TrajectoryPreview.test.js
+ *
+ * Checks GameState.predictLaunch() against what resolveTurn() actually does.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+describe('GameState - Launch Prediction', () => {
+    let game;
+    let hub;
+
+    const launch = (itemType, angle, launchDistance) => ({
+        playerId: 'player1',
+        sourceId: hub.id,
+        itemType,
+        angle,
+        distance: GameState.calculatePullDistance(launchDistance)
+    });
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['player1', 'player2'], null, 7);
+        game.map.lakes = [];
+        game.map.mountains = [];
+        hub = game.entities.find((e) => e.owner === 'player1');
+        hub.x = 500;
+        hub.y = 1000;
+    });
+
+    it('should predict where a structure lands', () => {
+        const action = launch('EXTRACTOR', 30, 300);
+        const prediction = GameState.predictLaunch(game.getState(), action);
+
+        expect(prediction).toMatchObject({ sourceId: hub.id, deploysStructure: true, landingHazard: null, linkCollisions: [] });
+
+        game.resolveTurn({ player1: [action], player2: [] });
+        const extractor = game.entities.find((e) => e.type === 'EXTRACTOR');
+        expect(extractor.x).toBeCloseTo(prediction.landing.x, 6);
+        expect(extractor.y).toBeCloseTo(prediction.landing.y, 6);
+    });
+
+    it('should wrap the landing point around the map edges', () => {
+        hub.x = 1900;
+        const prediction = GameState.predictLaunch(game.getState(), launch('WEAPON', 0, 300));
+
+        expect(prediction.landing.x).toBeCloseTo(200, 6);
+        expect(prediction.landing.y).toBeCloseTo(1000, 6);
+        expect(prediction.dx).toBeCloseTo(300, 6);
+    });
+
+    it('should apply the Napalm minimum range and short stop', () => {
+        const action = launch('NAPALM', 0, 100);
+        const prediction = GameState.predictLaunch(game.getState(), action);
+
+        expect(prediction.launchDistance).toBe(ENTITY_STATS.NAPALM.minRange);
+        expect(prediction.travelDistance).toBe(ENTITY_STATS.NAPALM.minRange - 150);
+        expect(prediction.deploysStructure).toBe(false);
+
+        const snapshots = game.resolveTurn({ player1: [action], player2: [] });
+        const landed = snapshots.find((s) => s.type === 'LANDING');
+        const fire = landed.state.entities.find((e) => e.type === 'NAPALM_FIRE');
+        expect(fire.startX).toBeCloseTo(prediction.landing.x, 6);
+        expect(fire.endX).toBeCloseTo(prediction.target.x, 6);
+    });
+
+    it('should predict the Cluster Bomb split and sub-bomb landings', () => {
+        const stats = ENTITY_STATS.CLUSTER_BOMB;
+        const prediction = GameState.predictLaunch(game.getState(), launch('CLUSTER_BOMB', 0, 400));
+
+        expect(prediction.split.tick).toBe(Math.ceil(prediction.arrivalTick * stats.splitTickRatio));
+        expect(prediction.split.x).toBeCloseTo(500 + (400 * prediction.split.tick) / prediction.arrivalTick, 6);
+        expect(prediction.subLandings).toHaveLength(stats.subBombCount);
+        prediction.subLandings.forEach((p) => expect(p.x).toBeCloseTo(900, 6));
+        expect(prediction.subLandings[0].y).toBeCloseTo(1000 - stats.spreadDistance / 2, 6);
+        expect(prediction.subLandings[stats.subBombCount - 1].y).toBeCloseTo(1000 + stats.spreadDistance / 2, 6);
+    });
+
+    it('should report terrain and hazards crossed in flight', () => {
+        game.map.mountains = [{ id: 'mtn', x: 700, y: 1000, radius: 50 }];
+        game.addEntity({ type: 'EXPLOSION_HAZARD', owner: 'player2', x: 1000, y: 1100, deployed: true, isHazard: true });
+
+        const prediction = GameState.predictLaunch(game.getState(), launch('WEAPON', 0, 600));
+
+        expect(prediction.crossings.map((c) => [c.kind, c.destroysProjectile])).toEqual([
+            ['MOUNTAIN', false],
+            ['EXPLOSION_HAZARD', true]
+        ]);
+        expect(prediction.crossings[0].x).toBeGreaterThanOrEqual(650);
+    });
+
+    it('should warn when a structure lands in a lake', () => {
+        game.map.lakes = [{ id: 'lake', x: 800, y: 1000, radius: 60 }];
+        const action = launch('EXTRACTOR', 0, 300);
+        const prediction = GameState.predictLaunch(game.getState(), action);
+
+        expect(prediction.landingHazard).toEqual({ kind: 'LAKE', id: 'lake' });
+        expect(prediction.linkCollisions).toContainEqual(expect.objectContaining({ kind: 'LAKE', id: 'lake' }));
+
+        game.resolveTurn({ player1: [action], player2: [] });
+        expect(game.entities.some((e) => e.type === 'EXTRACTOR')).toBe(false);
+    });
+
+    it('should predict link collisions for new structures', () => {
+        const a = game.addEntity({ type: 'HUB', owner: 'player2', x: 700, y: 900, deployed: true });
+        const b = game.addEntity({ type: 'EXTRACTOR', owner: 'player2', x: 700, y: 1100, deployed: true });
+        game.addLink(a.id, b.id, 'player2');
+        const action = launch('EXTRACTOR', 0, 400);
+
+        const prediction = GameState.predictLaunch(game.getState(), action);
+        expect(prediction.linkCollisions).toEqual([{ kind: 'LINK', from: a.id, to: b.id, x: 700, y: 1000 }]);
+
+        game.resolveTurn({ player1: [action], player2: [] });
+        expect(game.entities.some((e) => e.type === 'EXTRACTOR' && e.owner === 'player1')).toBe(false);
+    });
+
+    it('should work on a visible state without changing it', () => {
+        const state = game.getVisibleState('player1');
+        const before = JSON.stringify(state);
+
+        expect(GameState.predictLaunch(state, launch('HOMING_MISSILE', 90, 300))).toMatchObject({ isSeeker: true });
+        expect(JSON.stringify(state)).toBe(before);
+        expect(GameState.predictLaunch(state, { sourceId: 'missing', itemType: 'WEAPON', angle: 0, distance: 100 })).toBeNull();
+    });
+});
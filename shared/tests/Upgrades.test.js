@@ -0,0 +1,123 @@
+/**
+ * Upgrades.test.js
+ *
+ * Structure upgrade tiers: per-tier stats, the UPGRADE action in turn resolution and its validation.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+import { getEntityStats, getUpgradeCost, getMaxTier } from '../Upgrades.js';
+import { validateActions, REJECTION_REASONS } from '../ActionValidator.js';
+
+describe('Structure upgrades', () => {
+    let game;
+    let hub;
+
+    const upgrade = (targetId) => ({ type: 'UPGRADE', playerId: 'p1', targetId });
+    const reasons = (result) => result.rejected.map((r) => r.reason);
+
+    beforeEach(() => {
+        game = new GameState();
+        game.initializeGame(['p1', 'p2'], null, 1);
+        game.map.lakes = [];
+        game.map.mountains = [];
+        hub = game.entities.find((e) => e.owner === 'p1' && e.type === 'HUB');
+        game.players.p1.energy = 100;
+    });
+
+    describe('stats', () => {
+        it('should layer tier values over the base stats', () => {
+            const extractor = { type: 'EXTRACTOR', tier: 2 };
+            const stats = getEntityStats(extractor);
+
+            expect(getEntityStats({ type: 'EXTRACTOR' })).toBe(ENTITY_STATS.EXTRACTOR);
+            expect(stats.energyGen).toBe(ENTITY_STATS.EXTRACTOR.tiers[0].energyGen);
+            expect(stats.size).toBe(ENTITY_STATS.EXTRACTOR.size);
+            expect(stats.upgradeCost).toBeUndefined();
+        });
+
+        it('should price the next tier and stop at the last one', () => {
+            expect(getUpgradeCost({ type: 'HUB' })).toBe(ENTITY_STATS.HUB.tiers[0].upgradeCost);
+            expect(getUpgradeCost({ type: 'HUB', tier: getMaxTier('HUB') })).toBeNull();
+            expect(getMaxTier('WEAPON')).toBe(1);
+        });
+    });
+
+    describe('resolution', () => {
+        it('should spend energy and raise HP, fuel and vision', () => {
+            hub.hp = 3; // Chip damage carries over
+            const cost = getUpgradeCost(hub);
+            const income = game.rules.incomePerTurn;
+
+            game.resolveTurn({ p1: [upgrade(hub.id)], p2: [] });
+
+            const tier2 = ENTITY_STATS.HUB.tiers[0];
+            expect(hub.tier).toBe(2);
+            expect(hub.hp).toBe(3 + tier2.hp - ENTITY_STATS.HUB.hp);
+            expect(hub.maxFuel).toBe(tier2.fuel);
+            expect(GameState.getVisionRadius(hub)).toBe(tier2.vision);
+            expect(game.players.p1.energy).toBe(100 + income - cost);
+            expect(game.combatEvents).toContainEqual(
+                expect.objectContaining({ type: 'UPGRADE', owner: 'p1', entityId: hub.id, tier: 2 })
+            );
+        });
+
+        it('should pay the upgraded energy generation from the next turn', () => {
+            const extractor = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: hub.x + 80, y: hub.y, deployed: true });
+            game.resolveTurn({ p1: [upgrade(extractor.id)], p2: [] });
+            const energy = game.players.p1.energy;
+
+            game.resolveTurn({ p1: [], p2: [] });
+
+            const gain = ENTITY_STATS.EXTRACTOR.tiers[0].energyGen + game.rules.incomePerTurn;
+            expect(game.players.p1.energy).toBe(energy + gain);
+        });
+
+        it('should skip an upgrade the player can no longer afford', () => {
+            game.players.p1.energy = 0;
+            game.rules.incomePerTurn = 0;
+
+            game.resolveTurn({ p1: [upgrade(hub.id)], p2: [] });
+
+            expect(hub.tier).toBeUndefined();
+        });
+    });
+
+    describe('validation', () => {
+        it('should accept an upgrade and count its cost against later launches', () => {
+            game.players.p1.energy = getUpgradeCost(hub) + ENTITY_STATS.WEAPON.cost - 1;
+            const result = validateActions(game, 'p1', [
+                upgrade(hub.id),
+                { type: 'LAUNCH', sourceId: hub.id, itemType: 'WEAPON', angle: 0, distance: 100 }
+            ]);
+
+            expect(result.valid).toHaveLength(1);
+            expect(reasons(result)).toEqual([REJECTION_REASONS.INSUFFICIENT_ENERGY]);
+        });
+
+        it('should reject upgrades of foreign, untiered, maxed or already queued structures', () => {
+            const p2Hub = game.entities.find((e) => e.owner === 'p2');
+            const shield = game.addEntity({ type: 'SHIELD', owner: 'p1', x: hub.x + 80, y: hub.y, deployed: true });
+            const maxed = game.addEntity({ type: 'EXTRACTOR', owner: 'p1', x: hub.x - 80, y: hub.y, deployed: true });
+            maxed.tier = getMaxTier('EXTRACTOR');
+
+            const result = validateActions(game, 'p1', [
+                upgrade(p2Hub.id),
+                upgrade(shield.id),
+                upgrade(maxed.id),
+                upgrade('nope'),
+                upgrade(hub.id),
+                upgrade(hub.id)
+            ]);
+
+            expect(reasons(result)).toEqual([
+                REJECTION_REASONS.NOT_OWNER,
+                REJECTION_REASONS.NOT_UPGRADABLE,
+                REJECTION_REASONS.MAX_TIER,
+                REJECTION_REASONS.UNKNOWN_SOURCE,
+                REJECTION_REASONS.ALREADY_UPGRADING
+            ]);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Victory.test.js
+ *
+ * Alternative victory conditions: score at the turn limit, king of the hill,
+ * economic and super-node captures, on top of plain elimination.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GameState } from '../GameState.js';
+import { normalizeRules, getTurnLimit, SCORE_MODE_TURNS } from '../MatchRules.js';
+import { evaluateVictory, computeScore, getHillZone, SCORE_WEIGHTS, DEFAULT_HILL_RADIUS } from '../Victory.js';
+import { ENTITY_STATS } from '../constants/EntityStats.js';
+
+const newGame = (victory, rules = {}) => {
+    const game = new GameState();
+    game.initializeGame(['player1', 'player2'], null, 7, { ...rules, victory });
+    return game;
+};
+
+const hubOf = (game, pid) => game.entities.find((e) => e.owner === pid && e.type === 'HUB');
+
+const idle = { player1: [], player2: [] };
+
+describe('Victory conditions', () => {
+    it('should normalize the victory rules and give score matches a turn limit', () => {
+        expect(normalizeRules({ victory: { mode: 'bogus', energyTarget: -5 } }).victory).toEqual({
+            mode: 'elimination',
+            energyTarget: 1,
+            nodeTarget: 2,
+            holdTurns: 5
+        });
+
+        const king = normalizeRules({ victory: { mode: 'king' } });
+        expect(normalizeRules({ victory: { holdTurns: 3 } }, king).victory.mode).toBe('king');
+
+        expect(getTurnLimit(normalizeRules({ victory: { mode: 'score' } }))).toBe(SCORE_MODE_TURNS);
+        expect(getTurnLimit(normalizeRules({ victory: { mode: 'score' }, maxTurns: 4 }))).toBe(4);
+        expect(getTurnLimit(normalizeRules())).toBe(0);
+    });
+
+    it('should default the hill to the map centre', () => {
+        expect(getHillZone({ width: 2000, height: 1000 })).toEqual({ x: 1000, y: 500, radius: DEFAULT_HILL_RADIUS });
+        expect(getHillZone({ width: 2000, height: 1000, hill: { x: 10, y: 20, radius: 30 } })).toEqual({
+            x: 10,
+            y: 20,
+            radius: 30
+        });
+    });
+
+    it('should award a score match to the best score at the turn limit', () => {
+        const game = newGame({ mode: 'score' }, { maxTurns: 2 });
+        game.players.player1.energy += 50;
+
+        game.resolveTurn(idle);
+        expect(game.winner).toBeNull();
+        expect(game.players.player1.progress.score).toBe(computeScore(game, 'player1'));
+        expect(game.players.player1.progress.score - game.players.player2.progress.score).toBe(50 * SCORE_WEIGHTS.energy);
+
+        game.resolveTurn(idle);
+        expect(game.winner).toBe('player1');
+    });
+
+    it('should call an even score match a draw', () => {
+        const game = newGame({ mode: 'score' }, { maxTurns: 1 });
+        game.resolveTurn(idle);
+        expect(game.winner).toBe('DRAW');
+    });
+
+    it('should award king of the hill to a player holding the zone alone long enough', () => {
+        const game = newGame({ mode: 'king', holdTurns: 2 });
+        const hub = hubOf(game, 'player1');
+        game.map.hill = { x: hub.x, y: hub.y, radius: 50 };
+
+        game.resolveTurn(idle);
+        expect(game.players.player1.progress.hillTurns).toBe(1);
+        expect(game.winner).toBeNull();
+
+        game.resolveTurn(idle);
+        expect(game.winner).toBe('player1');
+    });
+
+    it('should start the count over when the hill is lost and retaken', () => {
+        const game = newGame({ mode: 'king', holdTurns: 3 });
+        const hub = hubOf(game, 'player1');
+        game.map.hill = { x: hub.x, y: hub.y, radius: 50 };
+
+        game.resolveTurn(idle);
+        game.resolveTurn(idle);
+        expect(game.players.player1.progress.hillTurns).toBe(2);
+
+        // Player 2 moves in and contests the hill for a turn
+        const intruder = game.addEntity({ type: 'SHIELD', owner: 'player2', x: hub.x + 20, y: hub.y, hp: ENTITY_STATS.SHIELD.hp });
+        game.resolveTurn(idle);
+        expect(game.players.player1.progress.hillTurns).toBe(0);
+
+        // Retaken: two more turns are not enough, the third wins
+        game.entities = game.entities.filter((e) => e.id !== intruder.id);
+        game.resolveTurn(idle);
+        game.resolveTurn(idle);
+        expect(game.players.player1.progress.hillTurns).toBe(2);
+        expect(game.winner).toBeNull();
+
+        game.resolveTurn(idle);
+        expect(game.winner).toBe('player1');
+    });
+
+    it('should not count a contested hill', () => {
+        const game = newGame({ mode: 'king', holdTurns: 1 });
+        const hub = hubOf(game, 'player1');
+        game.map.hill = { x: hub.x, y: hub.y, radius: 50 };
+        game.addEntity({ type: 'SHIELD', owner: 'player2', x: hub.x + 20, y: hub.y, hp: ENTITY_STATS.SHIELD.hp });
+
+        expect(evaluateVictory(game)).toBeNull();
+        expect(game.players.player1.progress.hillTurns).toBe(0);
+        expect(game.players.player2.progress.hillTurns).toBe(0);
+    });
+
+    it('should award an economic victory to the richest player past the target', () => {
+        const game = newGame({ mode: 'economic', energyTarget: 400 });
+        game.players.player1.energy = 500;
+        game.players.player2.energy = 450;
+
+        game.resolveTurn(idle);
+        expect(game.winner).toBe('player1');
+    });
+
+    it('should award a node victory for capturing enough SUPER nodes', () => {
+        const game = newGame({ mode: 'nodes', nodeTarget: 1 });
+        const superNode = game.map.resources.find((node) => node.isSuper);
+        const standardNode = game.map.resources.find((node) => !node.isSuper);
+
+        const onStandard = game.addEntity({ type: 'EXTRACTOR', owner: 'player2', x: standardNode.x, y: standardNode.y, hp: 1 });
+        game.updateExtractorStatus(onStandard);
+        expect(evaluateVictory(game)).toBeNull();
+        expect(game.players.player2.progress.superNodes).toBe(0);
+
+        const onSuper = game.addEntity({ type: 'EXTRACTOR', owner: 'player1', x: superNode.x, y: superNode.y, hp: 1 });
+        game.updateExtractorStatus(onSuper);
+        expect(evaluateVictory(game)).toBe('player1');
+        expect(game.players.player1.progress.superNodes).toBe(1);
+    });
+
+    it('should still end elimination matches only by elimination', () => {
+        const game = newGame({ mode: 'elimination' });
+        game.players.player1.energy = 100000;
+        game.resolveTurn(idle);
+        expect(game.winner).toBeNull();
+    });
+});
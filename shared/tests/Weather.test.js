@@ -0,0 +1,126 @@
+/**
+ * Weather.test.js
+ *
+ * Titan weather: deterministic rolls, wind drift on shots, haze on vision and storm grounding.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameState } from '../GameState.js';
+import { CALM_WEATHER, generateWeather, isInStorm } from '../Weather.js';
+import { validateAction, REJECTION_REASONS } from '../ActionValidator.js';
+
+describe('Titan Weather', () => {
+    let game;
+    let hub;
+
+    const startGame = (seed, weather = true) => {
+        game = new GameState();
+        game.initializeGame(['player1', 'player2'], null, seed, { weather });
+        game.map.lakes = [];
+        game.map.mountains = [];
+        hub = game.entities.find((e) => e.owner === 'player1');
+        hub.x = 500;
+        hub.y = 1000;
+        return game;
+    };
+
+    const launch = (itemType, angle, launchDistance) => ({
+        playerId: 'player1',
+        sourceId: hub.id,
+        itemType,
+        angle,
+        distance: GameState.calculatePullDistance(launchDistance)
+    });
+
+    describe('rolls', () => {
+        it('should roll the same weather from the same seed', () => {
+            const a = startGame(42);
+            a.resolveTurn({ player1: [], player2: [] });
+            const b = startGame(42);
+            b.resolveTurn({ player1: [], player2: [] });
+
+            expect(b.weather).toEqual(a.weather);
+            expect(a.getState().weather).toEqual(a.weather);
+        });
+
+        it('should stay calm without drawing random numbers when the rule is off', () => {
+            startGame(42, false);
+            const rng = { ...game.rng };
+
+            expect(generateWeather(game)).toBe(CALM_WEATHER);
+            expect(game.rng).toEqual(rng);
+        });
+
+        it('should let the wind veer rather than jump between turns', () => {
+            startGame(3);
+            game.weather = { wind: { dx: 0.5, dy: 0 }, haze: 0, storms: [] };
+            const next = generateWeather(game);
+            const angle = (Math.atan2(next.wind.dy, next.wind.dx) * 180) / Math.PI;
+
+            expect(Math.abs(angle)).toBeLessThanOrEqual(31);
+        });
+    });
+
+    describe('wind', () => {
+        beforeEach(() => {
+            startGame(7);
+            game.weather = { wind: { dx: 0.2, dy: 0.3 }, haze: 0, storms: [] };
+        });
+
+        it('should blow unguided shots off course, as predicted', () => {
+            const action = launch('EXTRACTOR', 0, 300);
+            const prediction = GameState.predictLaunch(game.getState(), action);
+
+            expect(prediction.drift).toEqual({ dx: 0.2 * prediction.arrivalTick, dy: 0.3 * prediction.arrivalTick });
+
+            game.resolveTurn({ player1: [action], player2: [] });
+            const extractor = game.entities.find((e) => e.type === 'EXTRACTOR');
+            expect(extractor.x).toBeCloseTo(prediction.landing.x, 5);
+            expect(extractor.y).toBeCloseTo(prediction.landing.y, 5);
+            expect(extractor.y).toBeGreaterThan(hub.y + 20);
+        });
+    });
+
+    describe('haze', () => {
+        it('should shrink every vision radius', () => {
+            startGame(7);
+            game.weather = CALM_WEATHER;
+            const radius = GameState.getVisionRadius(hub);
+            const edge = { x: hub.x + radius * 0.9, y: hub.y };
+            expect(game.isPositionVisible('player1', edge.x, edge.y)).toBe(true);
+
+            game.weather = { wind: { dx: 0, dy: 0 }, haze: 0.25, storms: [] };
+
+            expect(game.isPositionVisible('player1', edge.x, edge.y)).toBe(false);
+            expect(game.getVisionCircles('player1')[0].radius).toBeCloseTo(radius * 0.75);
+        });
+    });
+
+    describe('storms', () => {
+        beforeEach(() => {
+            startGame(7);
+            game.weather = { wind: { dx: 0, dy: 0 }, haze: 0, storms: [{ x: hub.x + 50, y: hub.y, radius: 100 }] };
+        });
+
+        it('should ground launches from inside a storm', () => {
+            const action = launch('EXTRACTOR', 0, 300);
+            const energy = game.players.player1.energy;
+            expect(isInStorm(game.weather, game.map, hub.x, hub.y)).toBe(true);
+            expect(GameState.predictLaunch(game.getState(), action).grounded).toBe(true);
+
+            game.resolveTurn({ player1: [action], player2: [] });
+
+            expect(game.entities.some((e) => e.type === 'EXTRACTOR')).toBe(false);
+            expect(game.combatEvents).toContainEqual(
+                expect.objectContaining({ type: 'GROUNDED', owner: 'player1', sourceId: hub.id })
+            );
+            expect(game.players.player1.energy).toBeGreaterThanOrEqual(energy);
+        });
+
+        it('should be rejected by the action validator', () => {
+            const result = validateAction(game.getState(), 'player1', { type: 'LAUNCH', ...launch('EXTRACTOR', 0, 300) });
+            expect(result.valid).toBe(false);
+            expect(result.reason).toBe(REJECTION_REASONS.STORM_GROUNDED);
+        });
+    });
+});